@@ -0,0 +1,35 @@
+import React from "react";
+import { useTranslation } from "react-i18next";
+import { Input } from "./ui/input";
+import { Field } from "./ui/field";
+import { ASSET_CLASSES, num } from "../lib/finance";
+
+const MIX_FIELDS = ["internationalPct", "goldPct", "cashPct"];
+
+// How equity and the defensive part are split across asset classes, and the
+// expected return assumed for each class.
+export default function AssetMixSettings({ value, onChange }) {
+  const { t } = useTranslation();
+  const setReturn = (id, v) => onChange({ ...value, returns: { ...value.returns, [id]: num(v) } });
+
+  return (
+    <div className="grid gap-3 sm:gap-4 rounded-2xl border border-white/10 bg-black/20 p-3 sm:p-4">
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        {MIX_FIELDS.map((key) => (
+          <Field key={key} label={t(`glide.${key}`)}>
+            <Input type="number" min={0} max={100} value={value[key]} onChange={(e) => onChange({ ...value, [key]: num(e.target.value) })} className="input-enhanced focus-enhanced text-base" />
+          </Field>
+        ))}
+      </div>
+      <div className="text-xs sm:text-sm text-gray-400 leading-relaxed">{t('glide.mixHint')}</div>
+      <div className="text-sm font-medium text-gray-300">{t('glide.returns')}</div>
+      <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+        {ASSET_CLASSES.map((id) => (
+          <Field key={id} label={t(`glide.assets.${id}`)}>
+            <Input type="number" step="0.1" value={value.returns[id]} onChange={(e) => setReturn(id, e.target.value)} className="input-enhanced focus-enhanced text-base" />
+          </Field>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+import React from "react";
+import { useTranslation } from "react-i18next";
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, Cell } from "recharts";
+import { Metric } from "./ui/metric";
+import { useCurrency } from "../context/CurrencyContext";
+
+// Outcome of a rolling-window backtest: best, median and worst windows, the
+// share of windows that beat the assumed constant return, and a histogram of
+// realised CAGR across all windows.
+export default function BacktestResults({ result, windowYears, assumedReturnPct }) {
+  const { t } = useTranslation();
+  const { formatMoney } = useCurrency();
+
+  if (!result.windows.length) {
+    return (
+      <div className="text-xs sm:text-sm text-amber-300">
+        {t('backtest.notEnoughHistory', { years: Math.round(windowYears), available: result.lastYear - result.firstYear + 1 })}
+      </div>
+    );
+  }
+
+  const beating = result.windows.filter((w) => w.cagrPct >= assumedReturnPct).length / result.windows.length;
+  const windowSub = (w) => t('backtest.windowSub', { from: w.startYear, to: w.endYear, cagr: w.cagrPct.toFixed(1) });
+  const chartData = result.distribution.map((b) => ({ ...b, label: `${b.fromPct}–${b.toPct}%` }));
+
+  return (
+    <div className="grid gap-3 sm:gap-4">
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-2 sm:gap-3">
+        <Metric label={t('backtest.best')} value={formatMoney(result.best.value)} sub={windowSub(result.best)} />
+        <Metric label={t('backtest.median')} value={formatMoney(result.median.value)} sub={windowSub(result.median)} />
+        <Metric label={t('backtest.worst')} value={formatMoney(result.worst.value)} sub={windowSub(result.worst)} />
+        <Metric
+          label={t('backtest.beatAssumed', { rate: assumedReturnPct })}
+          value={`${(beating * 100).toFixed(0)}%`}
+          sub={t('backtest.windowCount', { count: result.windows.length, years: Math.round(windowYears) })}
+        />
+      </div>
+      <div className="text-sm sm:text-base text-gray-300 font-medium">{t('backtest.distribution')}</div>
+      <div className="h-48 sm:h-56 chart-container">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={chartData} margin={{ left: 8, right: 8, top: 10, bottom: 0 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#374151" opacity={0.3} />
+            <XAxis dataKey="label" tickLine={false} axisLine={false} tick={{ fill: '#9ca3af', fontSize: 11 }} />
+            <YAxis allowDecimals={false} tickLine={false} axisLine={false} tick={{ fill: '#9ca3af', fontSize: 12 }} />
+            <Tooltip
+              formatter={(v) => [v, t('backtest.windows')]}
+              labelFormatter={(l) => t('backtest.cagrRange', { range: l })}
+              contentStyle={{
+                backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                border: '1px solid rgba(255, 255, 255, 0.1)',
+                borderRadius: '8px',
+                color: '#ffffff',
+                fontSize: '12px'
+              }}
+            />
+            <Bar dataKey="count" radius={[4, 4, 0, 0]}>
+              {chartData.map((b) => (
+                <Cell key={b.fromPct} fill={b.toPct <= 0 ? "#f87171" : b.fromPct >= assumedReturnPct ? "#34d399" : "#60a5fa"} />
+              ))}
+            </Bar>
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+      <div className="text-xs sm:text-sm text-gray-400 leading-relaxed">{t('backtest.note')}</div>
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+import React from "react";
+import { useTranslation } from "react-i18next";
+import { Field } from "./ui/field";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "./ui/select";
+import { HISTORICAL_INDICES } from "../lib/finance";
+
+// Index picker for the SIP and Lump Sum backtest modes. The window length is
+// the tab's own horizon, so only the return history is chosen here.
+export default function BacktestSettings({ value, onChange, windowYears }) {
+  const { t } = useTranslation();
+  const series = HISTORICAL_INDICES[value.index] || HISTORICAL_INDICES.nifty50;
+  const firstYear = series.startYear;
+  const lastYear = series.startYear + series.returnsPct.length - 1;
+
+  return (
+    <div className="grid gap-3 sm:gap-4 rounded-2xl border border-white/10 bg-black/20 p-3 sm:p-4">
+      <Field
+        label={t('backtest.index')}
+        hint={t('backtest.indexHint', { from: firstYear, to: lastYear, basis: t(`backtest.basis.${series.basis}`), years: Math.max(1, Math.round(windowYears)) })}
+      >
+        <Select value={value.index} onValueChange={(v) => onChange({ ...value, index: v })}>
+          <SelectTrigger className="text-sm sm:text-base">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.entries(HISTORICAL_INDICES).map(([id, index]) => (
+              <SelectItem key={id} value={id}>{index.label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </Field>
+    </div>
+  );
+}
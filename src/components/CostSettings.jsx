@@ -0,0 +1,50 @@
+import React from "react";
+import { useTranslation } from "react-i18next";
+import { Input } from "./ui/input";
+import { Field } from "./ui/field";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "./ui/select";
+import { FUND_PLANS, num } from "../lib/finance";
+
+// Fund costs shared by the SIP and Lump Sum tabs. When switched on, the
+// schedules use the selected plan's costs.
+export default function CostSettings({ value, onChange }) {
+  const { t } = useTranslation();
+
+  const numberField = (key, label, step) => (
+    <Field label={label}>
+      <Input type="number" step={step} value={value[key]} onChange={(e) => onChange({ ...value, [key]: num(e.target.value) })} className="input-enhanced focus-enhanced text-sm sm:text-base" />
+    </Field>
+  );
+
+  return (
+    <div className="grid gap-3 sm:gap-4 rounded-2xl border border-white/10 bg-black/20 p-3 sm:p-4">
+      <label className="flex items-center gap-2 text-sm text-gray-200 cursor-pointer">
+        <input type="checkbox" checked={value.enabled} onChange={(e) => onChange({ ...value, enabled: e.target.checked })} className="accent-blue-500" />
+        {t('costs.enable')}
+      </label>
+      {value.enabled && (
+        <>
+          <Field label={t('costs.plan')} hint={t('costs.planHint')}>
+            <Select value={value.plan} onValueChange={(v) => onChange({ ...value, plan: v })}>
+              <SelectTrigger className="text-sm sm:text-base">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {FUND_PLANS.map((p) => <SelectItem key={p} value={p}>{t(`costs.plans.${p}`)}</SelectItem>)}
+              </SelectContent>
+            </Select>
+          </Field>
+          <div className="grid grid-cols-2 gap-3">
+            {numberField("directTerPct", t('costs.directTer'), "0.05")}
+            {numberField("regularTerPct", t('costs.regularTer'), "0.05")}
+            {numberField("advisoryFeePct", t('costs.advisoryFee'), "0.05")}
+            {numberField("transactionCostPct", t('costs.transactionCost'), "0.005")}
+            {numberField("exitLoadPct", t('costs.exitLoad'), "0.25")}
+            {numberField("exitLoadMonths", t('costs.exitLoadMonths'), "1")}
+          </div>
+          <div className="text-xs sm:text-sm text-gray-400 leading-relaxed">{t('costs.hint')}</div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -3,14 +3,15 @@ import { CircleDollarSign } from "lucide-react";
 import { useCurrency } from "../context/CurrencyContext";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "./ui/select";
 
-export default function CurrencySelector() {
+// `onChange` lets the planner convert amounts before switching currency
+export default function CurrencySelector({ onChange }) {
     const { currencyCode, setCurrencyCode, currencies } = useCurrency();
 
     const currentCurrency = currencies.find(c => c.code === currencyCode) || currencies[0];
 
     return (
         <div className="relative">
-            <Select value={currencyCode} onValueChange={setCurrencyCode}>
+            <Select value={currencyCode} onValueChange={onChange || setCurrencyCode}>
                 <SelectTrigger className="w-auto min-w-[140px] rounded-2xl glass border-white/10 bg-white/5 backdrop-blur-sm hover:bg-white/10 transition-all duration-200 text-white">
                     <div className="flex items-center gap-2">
                         <CircleDollarSign className="h-4 w-4 text-green-400" />
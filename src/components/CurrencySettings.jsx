@@ -0,0 +1,89 @@
+import React from "react";
+import { useTranslation } from "react-i18next";
+import { RotateCcw } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { useCurrency } from "../context/CurrencyContext";
+import { DEFAULT_FX_RATES, DEFAULT_FX_AS_OF, REGIONAL_DEFAULTS } from "../lib/currency";
+import { num } from "../lib/finance";
+
+// Editable exchange-rate table plus what happens on a currency switch:
+// convert the plan's amounts and/or load the new currency's regional
+// inflation and return assumptions.
+export default function CurrencySettings({ onApplyDefaults }) {
+  const { t } = useTranslation();
+  const { currencies, currencyCode, rates, setRates, fxOptions, setFxOptions, convert } = useCurrency();
+  const regional = REGIONAL_DEFAULTS[currencyCode];
+
+  return (
+    <Card className="rounded-2xl card-enhanced glass mb-4 sm:mb-6">
+      <CardHeader>
+        <CardTitle className="text-gradient text-lg sm:text-xl">{t('fx.title')}</CardTitle>
+      </CardHeader>
+      <CardContent className="grid grid-cols-1 lg:grid-cols-2 gap-4 sm:gap-6">
+        <div className="grid gap-3 content-start">
+          <div className="overflow-x-auto rounded-xl border border-white/10 bg-black/20">
+            <table className="w-full text-xs sm:text-sm">
+              <thead className="border-b border-white/10">
+                <tr>
+                  <th className="px-2 py-1 sm:px-4 sm:py-2 text-left text-gray-400 font-medium">{t('fx.currency')}</th>
+                  <th className="px-2 py-1 sm:px-4 sm:py-2 text-left text-gray-400 font-medium">{t('fx.perUsd')}</th>
+                  <th className="px-2 py-1 sm:px-4 sm:py-2 text-right text-gray-400 font-medium">{t('fx.inActive', { code: currencyCode })}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {currencies.map((c) => (
+                  <tr key={c.code} className="border-b border-white/5">
+                    <td className="px-2 py-1 sm:px-4 sm:py-2 text-white">{c.symbol} {c.code}</td>
+                    <td className="px-2 py-1 sm:px-4 sm:py-2">
+                      <Input
+                        type="number"
+                        step="0.01"
+                        value={rates[c.code] ?? ""}
+                        disabled={c.code === "USD"}
+                        onChange={(e) => setRates({ ...rates, [c.code]: num(e.target.value) })}
+                        className="input-enhanced focus-enhanced text-sm h-8"
+                      />
+                    </td>
+                    <td className="px-2 py-1 sm:px-4 sm:py-2 text-right font-mono text-gray-300">
+                      {c.code === currencyCode ? "—" : convert(1, c.code).toFixed(4)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <span className="text-xs text-gray-400">{t('fx.asOf', { date: DEFAULT_FX_AS_OF })}</span>
+            <Button variant="outline" onClick={() => setRates(DEFAULT_FX_RATES)} className="text-sm">
+              <RotateCcw className="h-4 w-4 mr-2" />
+              {t('fx.resetRates')}
+            </Button>
+          </div>
+        </div>
+
+        <div className="grid gap-3 content-start text-sm text-gray-300">
+          <label className="flex items-start gap-2 cursor-pointer">
+            <input type="checkbox" checked={fxOptions.convertOnSwitch} onChange={(e) => setFxOptions({ ...fxOptions, convertOnSwitch: e.target.checked })} className="accent-blue-500 mt-1" />
+            <span>{t('fx.convertOnSwitch')}<span className="block text-xs text-gray-400">{t('fx.convertHint')}</span></span>
+          </label>
+          <label className="flex items-start gap-2 cursor-pointer">
+            <input type="checkbox" checked={fxOptions.regionalDefaults} onChange={(e) => setFxOptions({ ...fxOptions, regionalDefaults: e.target.checked })} className="accent-blue-500 mt-1" />
+            <span>{t('fx.regionalOnSwitch')}<span className="block text-xs text-gray-400">{t('fx.regionalHint')}</span></span>
+          </label>
+          {regional && (
+            <div className="rounded-xl border border-white/10 bg-black/20 p-3 grid gap-2">
+              <div className="text-xs sm:text-sm text-gray-300">
+                {t('fx.regionalSummary', { code: currencyCode, inflation: regional.inflation, equity: regional.equityReturn, post: regional.postRetReturn })}
+              </div>
+              <div>
+                <Button variant="outline" onClick={onApplyDefaults} className="text-sm">{t('fx.applyDefaults', { code: currencyCode })}</Button>
+              </div>
+            </div>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,40 @@
+import React from "react";
+import { useTranslation } from "react-i18next";
+import { ComposedChart, Area, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, Legend } from "recharts";
+import { useCurrency } from "../context/CurrencyContext";
+
+// Percentile fan chart for Monte Carlo results: a shaded P10–P90 band with
+// the median path on top, plus the amount invested when the series has it.
+export default function FanChart({ data }) {
+  const { t } = useTranslation();
+  const { formatMoney } = useCurrency();
+  const hasInvested = data.some((d) => d.invested !== undefined);
+  const chartData = data.map((d) => ({ ...d, band: [d.p10, d.p90] }));
+
+  return (
+    <ResponsiveContainer width="100%" height="100%">
+      <ComposedChart data={chartData} margin={{ left: 8, right: 8, top: 10, bottom: 0 }}>
+        <CartesianGrid strokeDasharray="3 3" stroke="#374151" opacity={0.3} />
+        <XAxis dataKey="year" tickLine={false} axisLine={false} tick={{ fill: '#9ca3af', fontSize: 12 }} />
+        <YAxis tickFormatter={(v) => `${(v / 1e5).toFixed(0)}L`} tickLine={false} axisLine={false} tick={{ fill: '#9ca3af', fontSize: 12 }} />
+        <Tooltip
+          formatter={(v) => (Array.isArray(v) ? v.map(formatMoney).join(" – ") : formatMoney(v))}
+          labelFormatter={(l) => `Year ${l}`}
+          contentStyle={{
+            backgroundColor: 'rgba(0, 0, 0, 0.8)',
+            border: '1px solid rgba(255, 255, 255, 0.1)',
+            borderRadius: '8px',
+            color: '#ffffff',
+            fontSize: '12px'
+          }}
+        />
+        <Area type="monotone" dataKey="band" name={t('simulation.band')} stroke="none" fill="#34d399" fillOpacity={0.25} />
+        <Line type="monotone" dataKey="p50" name={t('simulation.median')} stroke="#34d399" strokeWidth={2} dot={false} />
+        <Line type="monotone" dataKey="p10" name="P10" stroke="#f87171" strokeWidth={1} strokeDasharray="4 4" dot={false} />
+        <Line type="monotone" dataKey="p90" name="P90" stroke="#60a5fa" strokeWidth={1} strokeDasharray="4 4" dot={false} />
+        {hasInvested && <Line type="monotone" dataKey="invested" name={t('sip.totalInvested')} stroke="#9ca3af" strokeWidth={1} dot={false} />}
+        <Legend />
+      </ComposedChart>
+    </ResponsiveContainer>
+  );
+}
@@ -0,0 +1,59 @@
+import React, { useMemo } from "react";
+import { useTranslation } from "react-i18next";
+import { useCurrency } from "../context/CurrencyContext";
+import { compareFundPlans, planCostRates } from "../lib/finance";
+
+// Direct vs regular plan of the same SIP or lump sum, next to the
+// cost-free result, with the fees each pays over the horizon.
+export default function FundPlanComparison({ kind, input, costs }) {
+  const { t } = useTranslation();
+  const { formatMoney } = useCurrency();
+  const result = useMemo(() => compareFundPlans(kind, input, costs), [kind, input, costs]);
+  const columns = [
+    { id: "gross", run: result.gross, feePct: 0 },
+    { id: "direct", run: result.direct, feePct: planCostRates(costs, "direct").annualFeePct },
+    { id: "regular", run: result.regular, feePct: planCostRates(costs, "regular").annualFeePct },
+  ];
+  const lines = [
+    { key: "annualFee", render: (c) => `${c.feePct.toFixed(2)}%` },
+    { key: "finalValue", render: (c) => formatMoney(Math.round(c.run.netValue)) },
+    { key: "feesAnnual", render: (c) => formatMoney(Math.round(c.run.fees.annual)) },
+    { key: "feesTransaction", render: (c) => formatMoney(Math.round(c.run.fees.transaction)) },
+    { key: "feesExitLoad", render: (c) => formatMoney(Math.round(c.run.fees.exitLoad)) },
+    { key: "feesTotal", render: (c) => formatMoney(Math.round(c.run.fees.total)) },
+  ];
+
+  return (
+    <div className="grid gap-3 rounded-2xl border border-white/10 bg-black/20 p-3 sm:p-4">
+      <div className="text-sm font-medium text-gray-300">{t('costs.comparison')}</div>
+      <div className="overflow-x-auto rounded-xl border border-white/10 bg-black/20">
+        <table className="w-full text-xs sm:text-sm">
+          <thead className="border-b border-white/10">
+            <tr>
+              <th className="px-2 py-1 sm:px-4 sm:py-2 text-left text-gray-400 font-medium"></th>
+              {columns.map((c) => (
+                <th key={c.id} className="px-2 py-1 sm:px-4 sm:py-2 text-right text-gray-400 font-medium">{t(`costs.columns.${c.id}`)}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {lines.map((line) => (
+              <tr key={line.key} className={`border-b border-white/5 ${line.key === "finalValue" || line.key === "feesTotal" ? "font-semibold" : ""}`}>
+                <td className="px-2 py-1 sm:px-4 sm:py-2 text-gray-300">{t(`costs.lines.${line.key}`)}</td>
+                {columns.map((c) => (
+                  <td key={c.id} className="px-2 py-1 sm:px-4 sm:py-2 text-right font-mono text-white">{line.render(c)}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className={`rounded-xl border p-3 text-sm sm:text-base ${result.valueGap >= 0 ? "border-emerald-400/30 bg-emerald-500/10 text-emerald-200" : "border-sky-400/30 bg-sky-500/10 text-sky-200"}`}>
+        {t(result.valueGap >= 0 ? 'costs.directAhead' : 'costs.regularAhead', {
+          amount: formatMoney(Math.round(Math.abs(result.valueGap))),
+          fees: formatMoney(Math.round(Math.abs(result.feeGap))),
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+import React from "react";
+import { useTranslation } from "react-i18next";
+import { ComposedChart, Area, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, Legend } from "recharts";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import { ASSET_CLASSES } from "../lib/finance";
+
+const ASSET_COLORS = {
+  domesticEquity: "#3b82f6",
+  internationalEquity: "#8b5cf6",
+  debt: "#10b981",
+  gold: "#f59e0b",
+  cash: "#9ca3af",
+};
+
+// Allocation at every age from today to retirement, stacked by asset class,
+// with the blended expected return on a second axis. `rows` come from
+// `glidePath`.
+export default function GlidePath({ rows }) {
+  const { t } = useTranslation();
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+
+  return (
+    <Card className="lg:col-span-3 rounded-2xl card-enhanced glass animate-slide-in-right">
+      <CardHeader>
+        <CardTitle className="text-gradient text-lg sm:text-xl">{t('glide.title')}</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <div className="h-64 sm:h-72 md:h-80 lg:h-96 xl:h-[450px]">
+          <ResponsiveContainer width="100%" height="100%">
+            <ComposedChart data={rows} margin={{ left: 0, right: 8, top: 10, bottom: 0 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#374151" opacity={0.3} />
+              <XAxis dataKey="age" tickLine={false} axisLine={false} tick={{ fill: '#9ca3af', fontSize: 12 }} />
+              <YAxis yAxisId="weight" domain={[0, 100]} tickFormatter={(v) => `${v}%`} tickLine={false} axisLine={false} tick={{ fill: '#9ca3af', fontSize: 12 }} />
+              <YAxis yAxisId="return" orientation="right" tickFormatter={(v) => `${v}%`} tickLine={false} axisLine={false} tick={{ fill: '#f472b6', fontSize: 12 }} />
+              <Tooltip
+                formatter={(v) => `${v}%`}
+                labelFormatter={(l) => t('glide.ageN', { age: l })}
+                contentStyle={{
+                  backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                  border: '1px solid rgba(255, 255, 255, 0.1)',
+                  borderRadius: '8px',
+                  color: '#ffffff',
+                  fontSize: '12px'
+                }}
+              />
+              <Legend />
+              {ASSET_CLASSES.map((id) => (
+                <Area key={id} yAxisId="weight" type="monotone" dataKey={id} name={t(`glide.assets.${id}`)} stackId="mix" stroke={ASSET_COLORS[id]} fill={ASSET_COLORS[id]} fillOpacity={0.6} />
+              ))}
+              <Line yAxisId="return" type="monotone" dataKey="expectedReturnPct" name={t('glide.expectedReturn')} stroke="#f472b6" strokeWidth={2} dot={false} />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+        <div className="text-xs sm:text-sm text-gray-400 mt-3 leading-relaxed">
+          {t('glide.summary', { from: first.age, to: last.age, start: first.expectedReturnPct, end: last.expectedReturnPct })}
+        </div>
+        <div className="text-xs sm:text-sm text-gray-400 mt-1 leading-relaxed">{t('allocation.note')}</div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -1,450 +1,304 @@
-import React, { useMemo, useState, lazy, Suspense } from "react";
+import React, { useCallback, useEffect, useMemo, useState } from "react";
 import { useTranslation } from "react-i18next";
 import { Tabs, TabsList, TabsTrigger, TabsContent } from "./ui/tabs";
 import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
 import { Button } from "./ui/button";
 import { Input } from "./ui/input";
-import { Label } from "./ui/label";
+import { Field } from "./ui/field";
+import { Metric } from "./ui/metric";
 import { Slider } from "./ui/slider";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "./ui/select";
-import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, Legend, AreaChart, Area, BarChart, Bar } from "recharts";
-import { Info, Calculator, TrendingUp, PieChart, Target, PiggyBank, HandCoins, LineChart as LineChartIcon, RefreshCw, Printer } from "lucide-react";
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, Legend, AreaChart, Area, ReferenceLine } from "recharts";
+import { Calculator, TrendingUp, PieChart, Target, PiggyBank, HandCoins, LineChart as LineChartIcon, RefreshCw, FileDown, Share2, FolderOpen, Upload, ArrowLeftRight, Landmark, Wallet } from "lucide-react";
 import { motion } from "framer-motion";
 import CurrencySelector from "./CurrencySelector";
 import LanguageSelector from "./LanguageSelector";
 import { useCurrency } from "../context/CurrencyContext";
 import BreakdownTable from "./ui/BreakdownTable";
-
-// --- Utilities ---
-// const inr removed - using dynamic formatMoney instead
-const num = (v) => (isFinite(+v) ? +v : 0);
-
-const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
-
-// Convert annual percentage to monthly decimal
-const annualPctToMonthlyRate = (p) => num(p) / 100 / 12;
-const annualPctToRate = (p) => num(p) / 100;
-
-// Compound helpers
-const fvLumpSum = (principal, annualPct, years, compPerYear = 12) => {
-  const r = annualPctToRate(annualPct) / compPerYear;
-  const n = years * compPerYear;
-  return principal * Math.pow(1 + r, n);
-};
-
-const fvSIP = (monthlyInvestment, annualPct, years) => {
-  const r = annualPctToMonthlyRate(annualPct);
-  const n = Math.round(years * 12);
-  if (r === 0) return monthlyInvestment * n;
-  return monthlyInvestment * ((Math.pow(1 + r, n) - 1) / r) * (1 + r);
-};
-
-const sipSchedule = (monthlyInvestment, annualPct, years) => {
-  const r = annualPctToMonthlyRate(annualPct);
-  const n = Math.round(years * 12);
-  let balance = 0;
-  const rows = [];
-  for (let m = 1; m <= n; m++) {
-    balance = (balance + monthlyInvestment) * (1 + r);
-    if (m % 12 === 0) {
-      rows.push({ year: m / 12, invested: monthlyInvestment * m, value: balance });
-    }
-  }
-  if (n % 12 !== 0) {
-    rows.push({ year: years, invested: monthlyInvestment * n, value: balance });
-  }
-  return rows;
-};
-
-const lumpsumSchedule = (principal, annualPct, years) => {
-  const r = annualPctToRate(annualPct);
-  const rows = [];
-  for (let y = 1; y <= years; y++) {
-    const value = principal * Math.pow(1 + r, y);
-    rows.push({ year: y, value, invested: principal });
-  }
-  if (!rows.find((x) => x.year === years)) rows.push({ year: years, value: principal * Math.pow(1 + r, years), invested: principal });
-  return rows;
-};
-
-// Retirement corpus calculators
-const retirementCorpus_SWR = ({ monthlyExpenseToday, inflationPct, yearsToRetire, swrPct }) => {
-  const g = annualPctToRate(inflationPct);
-  const annualExpenseAtRetire = monthlyExpenseToday * 12 * Math.pow(1 + g, yearsToRetire);
-  const corpus = annualExpenseAtRetire / annualPctToRate(swrPct);
-  return { annualExpenseAtRetire, corpus };
-};
-
-const retirementCorpus_FiniteYears = ({ monthlyExpenseToday, inflationPct, yearsToRetire, yearsInRetirement, postRetReturnPct }) => {
-  const g = annualPctToRate(inflationPct);
-  const r = annualPctToRate(postRetReturnPct);
-  const annualExpenseAtRetire = monthlyExpenseToday * 12 * Math.pow(1 + g, yearsToRetire);
-  const realRate = (1 + r) / (1 + g) - 1;
-  let corpus;
-  if (Math.abs(realRate) < 1e-9) {
-    corpus = annualExpenseAtRetire * yearsInRetirement;
-  } else {
-    corpus = annualExpenseAtRetire * (1 - Math.pow(1 + realRate, -yearsInRetirement)) / realRate;
-  }
-  return { annualExpenseAtRetire, corpus, realRate };
-};
-
-// CAGR
-const calcCAGR = ({ initial, final, years }) => {
-  if (initial <= 0 || years <= 0) return 0;
-  return (Math.pow(final / initial, 1 / years) - 1) * 100;
-};
-
-const retirementSchedule = ({ corpus, annualExpenseAtRetire, yearsInRetirement, inflationPct, postRetReturnPct }) => {
-  const rows = [];
-  const g = annualPctToRate(inflationPct);
-  const r = annualPctToRate(postRetReturnPct);
-  let currentCorpus = corpus;
-  let currentExpense = annualExpenseAtRetire;
-
-  for (let y = 1; y <= yearsInRetirement; y++) {
-    currentCorpus = currentCorpus - currentExpense;
-    currentCorpus = currentCorpus * (1 + r);
-    rows.push({
-      age: y,
-      expenses: currentExpense,
-      corpus: Math.max(0, currentCorpus)
-    });
-    currentExpense = currentExpense * (1 + g);
-  }
-  return rows;
-};
-
-// Age-based asset allocation
-const suggestAllocation = (age, rule = "110-age") => {
-  const base = rule === "100-age" ? 100 : 110;
-  const equity = clamp(base - age, 0, 100);
-  const debt = clamp(100 - equity, 0, 100);
-  return { equity, debt };
-};
-
-// --- New features: Tax modelling (India basics), XIRR, Goal-based SIP back-solve ---
-
-// TAX MODELLING (simple Indian rules)
-// Notes: This is a simplified estimator for user education. It supports:
-// - Equity LTCG: 10% on gains above ₹1,00,000 in a financial year (no indexation)
-// - Equity STCG: 15% (where STT applied)
-// - Section 80C deduction cap: ₹1,50,000
-
-const taxModel = ({ ltcgGain, stcgGain, otherIncome = 0, taxableIncomeBefore80C = 0, investments80C = 0 }) => {
-  // Inputs expected in INR
-  const exemptLTCGThreshold = 100000;
-  const ltcgTaxable = Math.max(0, ltcgGain - exemptLTCGThreshold);
-  const ltcgTax = ltcgTaxable * 0.10;
-  const stcgTax = Math.max(0, stcgGain) * 0.15;
-
-  const sec80CLimit = 150000;
-  const eligible80C = Math.min(sec80CLimit, Math.max(0, investments80C));
-
-  const grossIncome = otherIncome + taxableIncomeBefore80C;
-  const taxableAfter80C = Math.max(0, grossIncome - eligible80C);
-
-  // Very crude slab: we won't implement the full Indian slab system here — show taxable income after 80C and taxes on capital gains separately.
-  return {
-    ltcgTaxable,
-    ltcgTax,
-    stcgTax,
-    eligible80C,
-    taxableAfter80C,
-    grossIncome,
-    totalCapitalGainsTax: ltcgTax + stcgTax,
-  };
-};
-
-// XIRR implementation (Newton-Raphson on NPV of cashflows)
-// cashflows: [{ date: Date/string, amount: number }] amounts: outflows negative, inflows positive
-const xirr = (cashflows, guess = 0.1) => {
-  // Helper: convert date to year fraction relative to first date
-  const parseDate = (d) => (d instanceof Date ? d : new Date(d));
-  if (!cashflows || cashflows.length === 0) return NaN;
-  const dates = cashflows.map((c) => parseDate(c.date));
-  const amounts = cashflows.map((c) => num(c.amount));
-  const t0 = dates[0];
-  const dayDiff = (d1, d2) => (d1 - d2) / (1000 * 60 * 60 * 24);
-  const years = dates.map((d) => dayDiff(d, t0) / 365.0);
-
-  const npv = (r) => amounts.reduce((s, a, i) => s + a / Math.pow(1 + r, years[i]), 0);
-  const npvDerivative = (r) => amounts.reduce((s, a, i) => s - (years[i] * a) / Math.pow(1 + r, years[i] + 1), 0);
-
-  let x = guess;
-  for (let i = 0; i < 100; i++) {
-    const f = npv(x);
-    const fprime = npvDerivative(x);
-    if (Math.abs(fprime) < 1e-10) break;
-    const dx = f / fprime;
-    x -= dx;
-    if (Math.abs(dx) < 1e-7) return x;
-  }
-  return x;
-};
-
-// GOAL-BASED SIP BACK-SOLVE
-// Compute monthly SIP needed to reach target considering existing corpus and lump sum
-const requiredSIP = ({ targetAmount, years, expectedAnnualReturnPct, existingCorpus = 0, existingMonthly = 0, lumpsum = 0 }) => {
-  const r = annualPctToMonthlyRate(expectedAnnualReturnPct);
-  const n = Math.round(years * 12);
-
-  // Future value of existing corpus and lumpsum
-  const fvCorpus = fvLumpSum(existingCorpus + lumpsum, expectedAnnualReturnPct, years, 12);
-
-  // If r === 0, simple arithmetic
-  if (Math.abs(r) < 1e-12) {
-    const remaining = Math.max(0, targetAmount - fvCorpus);
-    return remaining / n;
-  }
-
-  const factor = ((Math.pow(1 + r, n) - 1) / r) * (1 + r); // multiplier for SIP
-  const remaining = Math.max(0, targetAmount - fvCorpus);
-  const monthly = remaining / factor;
-  return monthly;
-};
-
-// UI Helper components
-const Field = ({ label, children, hint }) => (
-  <div className="grid gap-2">
-    <Label className="text-sm sm:text-base text-gray-200 font-medium">{label}</Label>
-    {children}
-    {hint && (
-      <div className="flex items-center gap-2 text-xs sm:text-sm text-gray-400 mt-1">
-        <Info className="h-3 w-3 sm:h-3.5 sm:w-3.5 icon-hover" />
-        <span>{hint}</span>
-      </div>
-    )}
-  </div>
-);
-
-const Metric = ({ label, value, sub }) => (
-  <div className="p-3 sm:p-4 rounded-2xl metric-card gradient-card">
-    <div className="text-xs sm:text-sm uppercase tracking-wide text-gray-300">{label}</div>
-    <div className="text-lg sm:text-xl lg:text-2xl font-semibold mt-1 text-white counter">{value}</div>
-    {sub && <div className="text-xs sm:text-sm text-gray-400 mt-1">{sub}</div>}
-  </div>
-);
+import FanChart from "./FanChart";
+import SimulationSettings from "./SimulationSettings";
+import ScenarioComparison from "./ScenarioComparison";
+import { useMonteCarlo } from "../hooks/useMonteCarlo";
+import PlanManager from "./PlanManager";
+import PdfReportDialog from "./PdfReportDialog";
+import WithdrawalStrategies from "./WithdrawalStrategies";
+import XirrImport from "./XirrImport";
+import BacktestSettings from "./BacktestSettings";
+import BacktestResults from "./BacktestResults";
+import CurrencySettings from "./CurrencySettings";
+import TaxJurisdictionPanel from "./TaxJurisdictionPanel";
+import RiskProfileQuiz from "./RiskProfileQuiz";
+import AssetMixSettings from "./AssetMixSettings";
+import GlidePath from "./GlidePath";
+import Rebalancer from "./Rebalancer";
+import MultiGoalPlanner from "./MultiGoalPlanner";
+import RealValueSettings from "./RealValueSettings";
+import LoanPlanner from "./LoanPlanner";
+import SwpPlanner from "./SwpPlanner";
+import StpPlanner from "./StpPlanner";
+import CostSettings from "./CostSettings";
+import FundPlanComparison from "./FundPlanComparison";
+import { createDefaultPlan, normalizePlan, readPlanFromUrl, buildShareUrl } from "../lib/planState";
+import { costRatesOf, sipResults, lumpsumResults, retirementResults, allocationResults, taxResults, goalSipResult } from "../lib/planResults";
+import { loadWorkingPlan, saveWorkingPlan } from "../lib/planStore";
+import { convertPlanAmounts, applyRegionalDefaults } from "../lib/currency";
+import {
+  num,
+  rollingBacktest,
+  calcCAGR,
+  solveXirr,
+  ALLOCATION_RULES,
+  ASSET_CLASSES,
+  TAX_YEARS,
+  TAX_JURISDICTIONS,
+} from "../lib/finance";
+
+const AUTOSAVE_DELAY_MS = 1000;
 
 export default function InvestmentPlanner() {
-  const { t } = useTranslation();
-  const { formatMoney, activeCurrency } = useCurrency();
+  const { t, i18n } = useTranslation();
+  const { formatMoney, formatMoneyIn, activeCurrency, currencyCode, setCurrencyCode, rates, fxOptions } = useCurrency();
   const s = activeCurrency.symbol;
+
+  // A plan shared via link (#plan=...) seeds every input below
+  const [sharedPlan] = useState(readPlanFromUrl);
+  const [initialPlan] = useState(() => sharedPlan || createDefaultPlan());
+  const [tab, setTab] = useState(initialPlan.tab);
+
+  // ---- Nominal / real view (SIP and Lump Sum) ----
+  const [realView, setRealView] = useState(initialPlan.realView);
+  const showReal = realView.mode === "real";
+  // Breakdown rows in the selected view; real rows are in today's money
+  const breakdownRows = (rows) => rows.map((d) => (showReal
+    ? { ...d, invested: d.realInvested, interest: d.realValue - d.realInvested, total: d.realValue }
+    : { ...d, interest: d.value - d.invested, total: d.value }));
+  const realViewAssumptions = showReal ? [{ label: t('realValue.inflation'), value: realView.inflation }] : [];
+
+  // ---- Fund costs (SIP and Lump Sum) ----
+  const [costs, setCosts] = useState(initialPlan.costs);
+  const costRates = useMemo(() => costRatesOf(costs), [costs]);
+  const costAssumptions = costRates ? [
+    { label: t('costs.plan'), value: t(`costs.plans.${costs.plan}`) },
+    { label: t('costs.annualFee'), value: costRates.annualFeePct },
+    { label: t('costs.transactionCost'), value: costRates.transactionCostPct },
+    { label: t('costs.exitLoad'), value: costRates.exitLoadPct },
+    { label: t('costs.exitLoadMonths'), value: costRates.exitLoadMonths },
+  ] : [];
+
   // ---- SIP ----
-  const [sip, setSip] = useState({ monthly: 20000, annualReturn: 12, years: 20 });
-  const sipFV = useMemo(() => fvSIP(sip.monthly, sip.annualReturn, sip.years), [sip]);
-  const sipData = useMemo(() => sipSchedule(sip.monthly, sip.annualReturn, sip.years), [sip]);
+  const [sip, setSip] = useState(initialPlan.sip);
+  const sipRes = useMemo(() => sipResults(sip, costs, realView.inflation), [sip, costs, realView.inflation]);
+  const sipInput = sipRes.input;
+  const sipStepUp = sipRes.stepUp;
+  const sipFV = sipRes.value;
+  const sipInvested = sipRes.invested;
+  const sipData = sipRes.rows;
+  const sipLast = sipData.at(-1);
+  const sipShown = showReal
+    ? { value: sipLast?.realValue ?? 0, invested: sipLast?.realInvested ?? 0, flatValue: sipLast?.flatRealValue ?? 0, flatInvested: sipLast?.flatRealInvested ?? 0 }
+    : { value: sipFV, invested: sipInvested, flatValue: sipRes.flatValue, flatInvested: sipRes.flatInvested };
+  const [sipSim, setSipSim] = useState(initialPlan.sipSim);
+  const sipSimTarget = sipSim.target > 0 ? sipSim.target : sipFV;
+  const sipMC = useMonteCarlo("sip", { ...sipInput, meanPct: sip.annualReturn, volatilityPct: sipSim.volatility, distribution: sipSim.distribution, paths: sipSim.paths, target: sipSimTarget }, sipSim.enabled);
+  const [sipBacktest, setSipBacktest] = useState(initialPlan.sipBacktest);
+  const sipBT = useMemo(() => (sipBacktest.enabled
+    ? rollingBacktest({ index: sipBacktest.index, windowYears: sip.years, mode: "sip", ...sipInput })
+    : null), [sipBacktest, sip.years, sipInput]);
 
   // ---- Lump Sum ----
-  const [ls, setLs] = useState({ principal: 1000000, annualReturn: 10, years: 15 });
-  const lsFV = useMemo(() => fvLumpSum(ls.principal, ls.annualReturn, ls.years), [ls]);
-  const lsData = useMemo(() => lumpsumSchedule(ls.principal, ls.annualReturn, ls.years), [ls]);
+  const [ls, setLs] = useState(initialPlan.ls);
+  const lsRes = useMemo(() => lumpsumResults(ls, costs, realView.inflation), [ls, costs, realView.inflation]);
+  const lsFV = lsRes.value;
+  const lsData = lsRes.rows;
+  const lsShownFV = showReal ? lsData.at(-1)?.realValue ?? 0 : lsFV;
+  const [lsBacktest, setLsBacktest] = useState(initialPlan.lsBacktest);
+  const lsBT = useMemo(() => (lsBacktest.enabled
+    ? rollingBacktest({ index: lsBacktest.index, windowYears: ls.years, mode: "lumpsum", principal: ls.principal })
+    : null), [lsBacktest, ls]);
+
+  // ---- STP (Lump Sum tab) ----
+  const [stp, setStp] = useState(initialPlan.stp);
+
+  // ---- Loan ----
+  const [loan, setLoan] = useState(initialPlan.loan);
+
+  // ---- SWP ----
+  const [swp, setSwp] = useState(initialPlan.swp);
 
   // ---- Retirement ----
-  const [ret, setRet] = useState({ expenseMonthly: 60000, inflation: 6, yearsToRetire: 25, yearsInRetirement: 30, postRetReturn: 7, swr: 4 });
-  const retSWR = useMemo(() => retirementCorpus_SWR({ monthlyExpenseToday: ret.expenseMonthly, inflationPct: ret.inflation, yearsToRetire: ret.yearsToRetire, swrPct: ret.swr }), [ret]);
-  const retFinite = useMemo(() => retirementCorpus_FiniteYears({ monthlyExpenseToday: ret.expenseMonthly, inflationPct: ret.inflation, yearsToRetire: ret.yearsToRetire, yearsInRetirement: ret.yearsInRetirement, postRetReturnPct: ret.postRetReturn }), [ret]);
+  const [ret, setRet] = useState(initialPlan.ret);
+  const { swr: retSWR, finite: retFinite, rows: retData, plan: retPlan, lifetime: retLifetime, drawdown: retDrawdown } = useMemo(() => retirementResults(ret), [ret]);
+  const [retWithdrawal, setRetWithdrawal] = useState(initialPlan.retWithdrawal);
+  const [retSim, setRetSim] = useState(initialPlan.retSim);
+  const retMC = useMonteCarlo("retirement", {
+    corpus: retFinite.corpus,
+    annualExpenseAtRetire: retFinite.annualExpenseAtRetire,
+    yearsInRetirement: ret.yearsInRetirement,
+    inflationPct: ret.inflation,
+    meanPct: ret.postRetReturn,
+    volatilityPct: retSim.volatility,
+    distribution: retSim.distribution,
+    paths: retSim.paths,
+  }, retSim.enabled);
 
   // ---- CAGR ----
-  const [cagr, setCagr] = useState({ initial: 500000, final: 2500000, years: 5 });
+  const [cagr, setCagr] = useState(initialPlan.cagr);
   const cagrPct = useMemo(() => calcCAGR(cagr), [cagr]);
 
   // ---- Allocation ----
-  const [age, setAge] = useState(30);
-  const [rule, setRule] = useState("110-age");
-  const alloc = useMemo(() => suggestAllocation(age, rule), [age, rule]);
+  const [age, setAge] = useState(initialPlan.age);
+  const [rule, setRule] = useState(initialPlan.rule);
+  const [allocation, setAllocation] = useState(initialPlan.allocation);
+  const [rebalance, setRebalance] = useState(initialPlan.rebalance);
+  const [riskAnswers, setRiskAnswers] = useState(initialPlan.riskAnswers);
+  const { risk, alloc, glide } = useMemo(() => allocationResults({ age, rule, allocation, riskAnswers }), [age, rule, allocation, riskAnswers]);
 
   // ---- Advanced features state ----
-  const [taxInputs, setTaxInputs] = useState({ ltcgGain: 120000, stcgGain: 20000, otherIncome: 1200000, taxableIncomeBefore80C: 1200000, investments80C: 100000 });
-  const taxResult = useMemo(() => taxModel(taxInputs), [taxInputs]);
+  const [taxInputs, setTaxInputs] = useState(initialPlan.taxInputs);
+  const [taxJurisdiction, setTaxJurisdiction] = useState(initialPlan.taxJurisdiction);
+  const [taxPacks, setTaxPacks] = useState(initialPlan.taxPacks);
+  const tax = useMemo(() => taxResults({ taxJurisdiction, taxInputs, taxPacks }), [taxJurisdiction, taxInputs, taxPacks]);
+  const taxResult = tax.india;
+  // Indian tax is always in rupees, whatever the display currency
+  const formatInr = (v) => formatMoneyIn(v, "INR");
+
+  const [xirrFlows, setXirrFlows] = useState(initialPlan.xirrFlows);
+  const [showXirrImport, setShowXirrImport] = useState(false);
+  const xirrResult = useMemo(() => solveXirr(xirrFlows), [xirrFlows]);
+
+  const [goal, setGoal] = useState(initialPlan.goal);
+  const [multiGoals, setMultiGoals] = useState(initialPlan.multiGoals);
+  const requiredMonthly = useMemo(() => goalSipResult(goal), [goal]);
+
+  // Calculators whose expected return the risk profile can suggest, each at its own horizon
+  const riskTargets = useMemo(() => [
+    { id: "sip", labelKey: "tabs.sip", years: sip.years, current: sip.annualReturn },
+    { id: "lumpsum", labelKey: "tabs.lumpsum", years: ls.years, current: ls.annualReturn },
+    { id: "goal", labelKey: "advanced.goalSip.title", years: goal.years, current: goal.expectedReturn },
+  ], [sip.years, sip.annualReturn, ls.years, ls.annualReturn, goal.years, goal.expectedReturn]);
+  const applyRiskReturns = (rates) => {
+    setSip((prev) => ({ ...prev, annualReturn: rates.sip }));
+    setLs((prev) => ({ ...prev, annualReturn: rates.lumpsum }));
+    setGoal((prev) => ({ ...prev, expectedReturn: rates.goal }));
+  };
 
-  const [xirrFlows, setXirrFlows] = useState([
-    { date: new Date().toISOString().slice(0, 10), amount: -20000 },
-    { date: new Date(new Date().setFullYear(new Date().getFullYear() + 1)).toISOString().slice(0, 10), amount: 250000 },
-  ]);
-  const xirrValue = useMemo(() => xirr(xirrFlows), [xirrFlows]);
+  // ---- Scenario comparison (per tab) ----
+  const [scenarios, setScenarios] = useState(initialPlan.scenarios);
+
+  // ---- Whole-plan snapshot (share links) ----
+  const language = i18n.resolvedLanguage || i18n.language;
+  const planState = useMemo(() => ({
+    tab, sip, sipSim, sipBacktest, ls, lsBacktest, stp, realView, costs, loan, swp, ret, retWithdrawal, retSim, cagr, age, rule, allocation, rebalance, riskAnswers, taxJurisdiction, taxInputs, taxPacks, xirrFlows, goal, multiGoals, scenarios,
+    currency: currencyCode,
+    language,
+  }), [tab, sip, sipSim, sipBacktest, ls, lsBacktest, stp, realView, costs, loan, swp, ret, retWithdrawal, retSim, cagr, age, rule, allocation, rebalance, riskAnswers, taxJurisdiction, taxInputs, taxPacks, xirrFlows, goal, multiGoals, scenarios, currencyCode, language]);
+
+  const applyPlan = useCallback((plan) => {
+    const next = normalizePlan(plan);
+    setTab(next.tab);
+    setSip(next.sip);
+    setSipSim(next.sipSim);
+    setSipBacktest(next.sipBacktest);
+    setLs(next.ls);
+    setLsBacktest(next.lsBacktest);
+    setStp(next.stp);
+    setRealView(next.realView);
+    setCosts(next.costs);
+    setLoan(next.loan);
+    setSwp(next.swp);
+    setRet(next.ret);
+    setRetWithdrawal(next.retWithdrawal);
+    setRetSim(next.retSim);
+    setCagr(next.cagr);
+    setAge(next.age);
+    setRule(next.rule);
+    setAllocation(next.allocation);
+    setRebalance(next.rebalance);
+    setRiskAnswers(next.riskAnswers);
+    setTaxJurisdiction(next.taxJurisdiction);
+    setTaxInputs(next.taxInputs);
+    setTaxPacks(next.taxPacks);
+    setXirrFlows(next.xirrFlows);
+    setGoal(next.goal);
+    setMultiGoals(next.multiGoals);
+    setScenarios(next.scenarios);
+    setCurrencyCode(next.currency);
+    i18n.changeLanguage(next.language);
+  }, [setCurrencyCode, i18n]);
+
+  // Restore the shared link, else the autosaved working plan; autosave only
+  // starts afterwards so the defaults never overwrite the saved plan.
+  const [hydrated, setHydrated] = useState(false);
+  useEffect(() => {
+    if (sharedPlan) {
+      applyPlan(sharedPlan);
+      setHydrated(true);
+      return undefined;
+    }
+    let cancelled = false;
+    loadWorkingPlan()
+      .then((plan) => { if (!cancelled && plan) applyPlan(plan); })
+      .catch(() => {})
+      .finally(() => { if (!cancelled) setHydrated(true); });
+    return () => { cancelled = true; };
+  }, [sharedPlan, applyPlan]);
+
+  const [autosavedAt, setAutosavedAt] = useState(null);
+  useEffect(() => {
+    if (!hydrated) return undefined;
+    const timer = setTimeout(() => {
+      // Best effort: without IndexedDB the planner still works, just unsaved
+      saveWorkingPlan(planState).then(() => setAutosavedAt(Date.now())).catch(() => {});
+    }, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [hydrated, planState]);
+
+  // Switching currency rescales the plan's amounts at the current exchange
+  // rates and, optionally, loads the new region's return assumptions
+  const changeCurrency = (code) => {
+    let next = planState;
+    if (fxOptions.convertOnSwitch) next = convertPlanAmounts(next, currencyCode, code, rates);
+    if (fxOptions.regionalDefaults) next = applyRegionalDefaults(next, code);
+    applyPlan({ ...next, currency: code });
+  };
 
-  const [goal, setGoal] = useState({ target: 10000000, years: 10, expectedReturn: 12, existingCorpus: 500000, lumpsum: 0 });
-  const requiredMonthly = useMemo(() => requiredSIP({ targetAmount: goal.target, years: goal.years, expectedAnnualReturnPct: goal.expectedReturn, existingCorpus: goal.existingCorpus, lumpsum: goal.lumpsum }), [goal]);
+  const [showPlans, setShowPlans] = useState(false);
+  const [showFx, setShowFx] = useState(false);
+  const [showReport, setShowReport] = useState(false);
+  const [shareStatus, setShareStatus] = useState(null);
+  const handleShare = async () => {
+    const url = buildShareUrl(planState);
+    window.history.replaceState(null, "", url);
+    try {
+      await navigator.clipboard.writeText(url);
+      setShareStatus("copied");
+      setTimeout(() => setShareStatus(null), 2000);
+    } catch {
+      // Clipboard access can be denied (e.g. insecure context); let the user copy it
+      window.prompt(t('share.copyPrompt'), url);
+    }
+  };
 
+  // Every plan slice back to its default; the open tab, currency and
+  // language are display choices and stay as they are
   const resetAll = () => {
-    setSip({ monthly: 0, annualReturn: 0, years: 0 });
-    setLs({ principal: 0, annualReturn: 0, years: 0 });
-    setRet({ expenseMonthly: 0, inflation: 0, yearsToRetire: 0, yearsInRetirement: 0, postRetReturn: 0, swr: 0 });
-    setCagr({ initial: 0, final: 0, years: 0 });
-    setAge(0);
-    setRule("110-age");
-    setTaxInputs({ ltcgGain: 0, stcgGain: 0, otherIncome: 0, taxableIncomeBefore80C: 0, investments80C: 0 });
-    setXirrFlows([
-      { date: new Date().toISOString().slice(0, 10), amount: 0 },
-      { date: new Date(new Date().setFullYear(new Date().getFullYear() + 1)).toISOString().slice(0, 10), amount: 0 },
-    ]);
-    setGoal({ target: 0, years: 0, expectedReturn: 0, existingCorpus: 0, lumpsum: 0 });
+    applyPlan({ ...createDefaultPlan(), tab, currency: currencyCode, language });
   };
 
-  const handlePrint = () => {
-    const printWindow = window.open('', '_blank');
-    const currentDate = new Date().toLocaleDateString(activeCurrency.locale, { year: 'numeric', month: 'long', day: 'numeric' });
-
-    const printContent = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <title>D-Planner Investment Report</title>
-        <style>
-          * { margin: 0; padding: 0; box-sizing: border-box; }
-          body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; padding: 40px; color: #1f2937; line-height: 1.6; }
-          .header { text-align: center; margin-bottom: 40px; border-bottom: 3px solid #3b82f6; padding-bottom: 20px; }
-          .header h1 { color: #1e40af; font-size: 32px; margin-bottom: 10px; }
-          .header .subtitle { color: #6b7280; font-size: 14px; }
-          .meta { display: flex; justify-content: space-between; margin-bottom: 30px; padding: 15px; background: #f3f4f6; border-radius: 8px; }
-          .section { margin-bottom: 30px; page-break-inside: avoid; }
-          .section-title { color: #1e40af; font-size: 20px; margin-bottom: 15px; border-left: 4px solid #3b82f6; padding-left: 12px; }
-          .input-group { margin-bottom: 20px; }
-          .input-label { font-weight: 600; color: #374151; margin-bottom: 5px; }
-          .input-value { color: #059669; font-size: 18px; font-weight: 500; }
-          .results { background: #ecfdf5; padding: 20px; border-radius: 8px; border-left: 4px solid #10b981; }
-          .result-item { display: flex; justify-content: space-between; padding: 10px 0; border-bottom: 1px solid #d1fae5; }
-          .result-item:last-child { border-bottom: none; }
-          .result-label { font-weight: 600; color: #065f46; }
-          .result-value { color: #047857; font-size: 18px; font-weight: 700; }
-          .footer { margin-top: 40px; padding-top: 20px; border-top: 2px solid #e5e7eb; font-size: 12px; color: #6b7280; }
-          @media print { body { padding: 20px; } .no-print { display: none; } }
-        </style>
-      </head>
-      <body>
-        <div class="header">
-          <h1>📊 D-Planner Investment Report</h1>
-          <p class="subtitle">${t('header.subtitle')}</p>
-        </div>
-        
-        <div class="meta">
-          <div><strong>Date:</strong> ${currentDate}</div>
-          <div><strong>Currency:</strong> ${activeCurrency.code} (${activeCurrency.symbol})</div>
-        </div>
-
-        <div class="section">
-          <h2 class="section-title">${t('sip.title')}</h2>
-          <div class="input-group">
-            <div class="input-label">${t('sip.monthlyInvestment')}</div>
-            <div class="input-value">${formatMoney(sip.monthly)}</div>
-          </div>
-          <div class="input-group">
-            <div class="input-label">${t('sip.expectedReturn')}</div>
-            <div class="input-value">${sip.annualReturn}%</div>
-          </div>
-          <div class="input-group">
-            <div class="input-label">${t('sip.investmentHorizon')}</div>
-            <div class="input-value">${sip.years} ${t('common.years')}</div>
-          </div>
-          <div class="results">
-            <div class="result-item">
-              <span class="result-label">${t('sip.futureValue')}:</span>
-              <span class="result-value">${formatMoney(sipFV)}</span>
-            </div>
-            <div class="result-item">
-              <span class="result-label">${t('sip.totalInvested')}:</span>
-              <span class="result-value">${formatMoney(sip.monthly * Math.round(sip.years * 12))}</span>
-            </div>
-            <div class="result-item">
-              <span class="result-label">${t('sip.wealthGain')}:</span>
-              <span class="result-value">${formatMoney(Math.max(0, sipFV - sip.monthly * Math.round(sip.years * 12)))}</span>
-            </div>
-          </div>
-        </div>
-
-        <div class="section">
-          <h2 class="section-title">${t('lumpsum.title')}</h2>
-          <div class="input-group">
-            <div class="input-label">${t('lumpsum.principal')}</div>
-            <div class="input-value">${formatMoney(ls.principal)}</div>
-          </div>
-          <div class="input-group">
-            <div class="input-label">${t('lumpsum.expectedReturn')}</div>
-            <div class="input-value">${ls.annualReturn}%</div>
-          </div>
-          <div class="input-group">
-            <div class="input-label">${t('common.years')}</div>
-            <div class="input-value">${ls.years} ${t('common.years')}</div>
-          </div>
-          <div class="results">
-            <div class="result-item">
-              <span class="result-label">${t('sip.futureValue')}:</span>
-              <span class="result-value">${formatMoney(lsFV)}</span>
-            </div>
-            <div class="result-item">
-              <span class="result-label">${t('sip.wealthGain')}:</span>
-              <span class="result-value">${formatMoney(Math.max(0, lsFV - ls.principal))}</span>
-            </div>
-          </div>
-        </div>
-
-        <div class="section">
-          <h2 class="section-title">${t('retirement.title')}</h2>
-          <div class="input-group">
-            <div class="input-label">${t('retirement.monthlyExpense')}</div>
-            <div class="input-value">${formatMoney(ret.expenseMonthly)}</div>
-          </div>
-          <div class="input-group">
-            <div class="input-label">${t('retirement.yearsToRetirement')}</div>
-            <div class="input-value">${ret.yearsToRetire} ${t('common.years')}</div>
-          </div>
-          <div class="input-group">
-            <div class="input-label">${t('retirement.yearsInRetirement')}</div>
-            <div class="input-value">${ret.yearsInRetirement} ${t('common.years')}</div>
-          </div>
-          <div class="results">
-            <div class="result-item">
-              <span class="result-label">${t('retirement.corpusSWR')}:</span>
-              <span class="result-value">${formatMoney(retSWR.corpus)}</span>
-            </div>
-            <div class="result-item">
-              <span class="result-label">${t('retirement.corpusFinite', { years: ret.yearsInRetirement })}:</span>
-              <span class="result-value">${formatMoney(retFinite.corpus)}</span>
-            </div>
-          </div>
-        </div>
-
-        <div class="section">
-          <h2 class="section-title">${t('cagr.title')}</h2>
-          <div class="input-group">
-            <div class="input-label">${t('cagr.initialValue')}</div>
-            <div class="input-value">${formatMoney(cagr.initial)}</div>
-          </div>
-          <div class="input-group">
-            <div class="input-label">${t('cagr.finalValue')}</div>
-            <div class="input-value">${formatMoney(cagr.final)}</div>
-          </div>
-          <div class="input-group">
-            <div class="input-label">${t('common.years')}</div>
-            <div class="input-value">${cagr.years} ${t('common.years')}</div>
-          </div>
-          <div class="results">
-            <div class="result-item">
-              <span class="result-label">${t('tabs.cagr')}:</span>
-              <span class="result-value">${cagrPct.toFixed(2)}% p.a.</span>
-            </div>
-            <div class="result-item">
-              <span class="result-label">${t('cagr.growthMultiple')}:</span>
-              <span class="result-value">× ${(cagr.final / Math.max(1, cagr.initial)).toFixed(2)}</span>
-            </div>
-          </div>
-        </div>
-
-        <div class="footer">
-          <p><strong>Disclaimer:</strong> This tool is for education and planning. It does not provide financial advice. Returns are assumptions, not guarantees. For precise tax filing and investment advice consult a licensed professional.</p>
-        </div>
-      </body>
-      </html>
-    `;
-
-    printWindow.document.write(printContent);
-    printWindow.document.close();
-    printWindow.focus();
-    setTimeout(() => {
-      printWindow.print();
-    }, 250);
-  };
+  const jurisdictionField = (
+    <Field label={t('taxPacks.jurisdiction')} hint={t('taxPacks.currencyHint', { currency: TAX_JURISDICTIONS[taxJurisdiction].currency })}>
+      <Select value={taxJurisdiction} onValueChange={setTaxJurisdiction}>
+        <SelectTrigger className="text-sm sm:text-base">
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          {Object.keys(TAX_JURISDICTIONS).map((id) => (
+            <SelectItem key={id} value={id}>{t(`taxPacks.names.${id}`)}</SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+    </Field>
+  );
 
   return (
     <div className="min-h-screen gradient-bg text-white p-3 sm:p-4 md:p-6 lg:p-8 xl:p-10">
@@ -468,11 +322,23 @@ export default function InvestmentPlanner() {
             </p>
           </div>
           <div className="flex flex-wrap items-center gap-2 sm:gap-3 animate-fade-in-up animate-delay-300 mt-3 sm:mt-0">
-            <CurrencySelector />
+            <CurrencySelector onChange={changeCurrency} />
             <LanguageSelector />
-            <Button variant="outline" onClick={handlePrint} className="rounded-2xl btn-enhanced glass text-sm sm:text-base px-3 sm:px-4 py-2">
-              <Printer className="h-3 w-3 sm:h-4 sm:w-4 mr-1 sm:mr-2 icon-hover" />
-              {t('common.print')}
+            <Button variant="outline" onClick={() => setShowFx(!showFx)} className="rounded-2xl btn-enhanced glass text-sm sm:text-base px-3 sm:px-4 py-2">
+              <ArrowLeftRight className="h-3 w-3 sm:h-4 sm:w-4 mr-1 sm:mr-2 icon-hover" />
+              {t('fx.button')}
+            </Button>
+            <Button variant="outline" onClick={() => setShowPlans(!showPlans)} className="rounded-2xl btn-enhanced glass text-sm sm:text-base px-3 sm:px-4 py-2">
+              <FolderOpen className="h-3 w-3 sm:h-4 sm:w-4 mr-1 sm:mr-2 icon-hover" />
+              {t('plans.button')}
+            </Button>
+            <Button variant="outline" onClick={handleShare} className="rounded-2xl btn-enhanced glass text-sm sm:text-base px-3 sm:px-4 py-2">
+              <Share2 className="h-3 w-3 sm:h-4 sm:w-4 mr-1 sm:mr-2 icon-hover" />
+              {shareStatus === "copied" ? t('share.copied') : t('share.button')}
+            </Button>
+            <Button variant="outline" onClick={() => setShowReport(!showReport)} className="rounded-2xl btn-enhanced glass text-sm sm:text-base px-3 sm:px-4 py-2">
+              <FileDown className="h-3 w-3 sm:h-4 sm:w-4 mr-1 sm:mr-2 icon-hover" />
+              {t('report.button')}
             </Button>
             <Button variant="outline" onClick={resetAll} className="rounded-2xl btn-enhanced glass text-sm sm:text-base px-3 sm:px-4 py-2">
               <RefreshCw className="h-3 w-3 sm:h-4 sm:w-4 mr-1 sm:mr-2 icon-hover" />
@@ -481,9 +347,13 @@ export default function InvestmentPlanner() {
           </div>
         </header>
 
-        <Tabs defaultValue="sip" className="grid gap-4 sm:gap-6">
+        {showFx && <CurrencySettings onApplyDefaults={() => applyPlan(applyRegionalDefaults(planState, currencyCode))} />}
+        {showPlans && <PlanManager currentPlan={planState} onLoad={applyPlan} autosavedAt={autosavedAt} />}
+        {showReport && <PdfReportDialog plan={planState} />}
+
+        <Tabs value={tab} onValueChange={setTab} className="grid gap-4 sm:gap-6">
           <div className="overflow-x-auto no-scrollbar">
-            <TabsList className="grid grid-cols-6 sm:grid-cols-6 w-full min-w-max rounded-2xl glass animate-fade-in-up animate-delay-400">
+            <TabsList className="grid grid-cols-8 sm:grid-cols-8 w-full min-w-max rounded-2xl glass animate-fade-in-up animate-delay-400">
               <TabsTrigger value="sip" className="rounded-2xl tab-enhanced text-xs sm:text-sm px-2 sm:px-3">
                 <PiggyBank className="h-3 w-3 sm:h-4 sm:w-4 mr-1 sm:mr-2 icon-hover" />
                 <span className="hidden sm:inline">{t('tabs.sip')}</span>
@@ -499,6 +369,16 @@ export default function InvestmentPlanner() {
                 <span className="hidden sm:inline">{t('tabs.retirement')}</span>
                 <span className="sm:hidden">Ret</span>
               </TabsTrigger>
+              <TabsTrigger value="swp" className="rounded-2xl tab-enhanced text-xs sm:text-sm px-2 sm:px-3">
+                <Wallet className="h-3 w-3 sm:h-4 sm:w-4 mr-1 sm:mr-2 icon-hover" />
+                <span className="hidden sm:inline">{t('tabs.swp')}</span>
+                <span className="sm:hidden">{t('tabs.swp')}</span>
+              </TabsTrigger>
+              <TabsTrigger value="loan" className="rounded-2xl tab-enhanced text-xs sm:text-sm px-2 sm:px-3">
+                <Landmark className="h-3 w-3 sm:h-4 sm:w-4 mr-1 sm:mr-2 icon-hover" />
+                <span className="hidden sm:inline">{t('tabs.loan')}</span>
+                <span className="sm:hidden">{t('tabs.loan')}</span>
+              </TabsTrigger>
               <TabsTrigger value="cagr" className="rounded-2xl tab-enhanced text-xs sm:text-sm px-2 sm:px-3">
                 <LineChartIcon className="h-3 w-3 sm:h-4 sm:w-4 mr-1 sm:mr-2 icon-hover" />
                 <span className="hidden sm:inline">{t('tabs.cagr')}</span>
@@ -533,6 +413,50 @@ export default function InvestmentPlanner() {
                 <Field label={t('sip.investmentHorizon')}>
                   <Input type="number" step="1" value={sip.years} onChange={(e) => setSip({ ...sip, years: num(e.target.value) })} className="input-enhanced focus-enhanced text-base" />
                 </Field>
+                <Field label={t('sip.stepUp')} hint={t('sip.stepUpHint')}>
+                  <Select value={sip.stepUpType} onValueChange={(v) => setSip({ ...sip, stepUpType: v })}>
+                    <SelectTrigger className="text-sm sm:text-base">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="none">{t('sip.stepUpNone')}</SelectItem>
+                      <SelectItem value="percent">{t('sip.stepUpPercent')}</SelectItem>
+                      <SelectItem value="amount">{t('sip.stepUpAmount')}</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </Field>
+                {sipStepUp && (
+                  <>
+                    <Field label={sip.stepUpType === "percent" ? t('sip.stepUpValuePct') : `${t('sip.stepUpValueAmount')} (${s})`}>
+                      <Input type="number" step={sip.stepUpType === "percent" ? "0.5" : "500"} value={sip.stepUpValue} onChange={(e) => setSip({ ...sip, stepUpValue: num(e.target.value) })} className="input-enhanced focus-enhanced text-base" />
+                    </Field>
+                    <Field label={`${t('sip.stepUpCap')} (${s})`} hint={t('sip.stepUpCapHint')}>
+                      <Input type="number" value={sip.stepUpCap} onChange={(e) => setSip({ ...sip, stepUpCap: num(e.target.value) })} className="input-enhanced focus-enhanced text-base" />
+                    </Field>
+                  </>
+                )}
+                <Field label={t('simulation.mode')}>
+                  <Select
+                    value={sipSim.enabled ? "montecarlo" : sipBacktest.enabled ? "backtest" : "constant"}
+                    onValueChange={(v) => {
+                      setSipSim({ ...sipSim, enabled: v === "montecarlo" });
+                      setSipBacktest({ ...sipBacktest, enabled: v === "backtest" });
+                    }}
+                  >
+                    <SelectTrigger className="text-sm sm:text-base">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="constant">{t('simulation.constant')}</SelectItem>
+                      <SelectItem value="montecarlo">{t('simulation.monteCarlo')}</SelectItem>
+                      <SelectItem value="backtest">{t('backtest.mode')}</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </Field>
+                {sipSim.enabled && <SimulationSettings value={sipSim} onChange={setSipSim} showTarget />}
+                {sipBacktest.enabled && <BacktestSettings value={sipBacktest} onChange={setSipBacktest} windowYears={sip.years} />}
+                <RealValueSettings value={realView} onChange={setRealView} />
+                <CostSettings value={costs} onChange={setCosts} />
               </CardContent>
             </Card>
 
@@ -542,52 +466,101 @@ export default function InvestmentPlanner() {
               </CardHeader>
               <CardContent className="grid gap-3 sm:gap-4">
                 <div className="grid grid-cols-2 lg:grid-cols-4 gap-2 sm:gap-3">
-                  <Metric label={t('sip.futureValue')} value={formatMoney(sipFV)} />
-                  <Metric label={t('sip.totalInvested')} value={formatMoney(sip.monthly * Math.round(sip.years * 12))} />
-                  <Metric label={t('sip.wealthGain')} value={formatMoney(Math.max(0, sipFV - sip.monthly * Math.round(sip.years * 12)))} />
+                  <Metric label={t('sip.futureValue')} value={formatMoney(sipShown.value)} sub={showReal ? t('realValue.nominalSub', { amount: formatMoney(sipFV) }) : undefined} />
+                  <Metric label={t('sip.totalInvested')} value={formatMoney(sipShown.invested)} sub={showReal ? t('realValue.nominalSub', { amount: formatMoney(sipInvested) }) : undefined} />
+                  <Metric label={t('sip.wealthGain')} value={formatMoney(Math.max(0, sipShown.value - sipShown.invested))} sub={showReal ? t('realValue.todaysMoney') : undefined} />
                   <Metric label={t('common.years')} value={`${sip.years}`} />
                 </div>
+                {sipStepUp && (
+                  <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 sm:gap-3">
+                    <Metric label={t('sip.flatFutureValue')} value={formatMoney(sipShown.flatValue)} sub={`${t('sip.totalInvested')}: ${formatMoney(sipShown.flatInvested)}`} />
+                    <Metric label={t('sip.stepUpExtraValue')} value={formatMoney(sipShown.value - sipShown.flatValue)} sub={`${t('sip.stepUpExtraInvested')}: ${formatMoney(sipShown.invested - sipShown.flatInvested)}`} />
+                    <Metric label={t('sip.finalInstalment')} value={formatMoney(sipData.at(-1)?.monthly ?? 0)} />
+                  </div>
+                )}
+                {sipSim.enabled && (
+                  <div className="grid grid-cols-2 lg:grid-cols-4 gap-2 sm:gap-3">
+                    <Metric
+                      label={t('simulation.probabilityTarget')}
+                      value={sipMC.result ? `${(sipMC.result.successProbability * 100).toFixed(1)}%` : "—"}
+                      sub={`${t('simulation.target')}: ${formatMoney(sipSimTarget)}`}
+                    />
+                    <Metric label={t('simulation.p10')} value={sipMC.result ? formatMoney(sipMC.result.final.p10) : "—"} />
+                    <Metric label={t('simulation.p50')} value={sipMC.result ? formatMoney(sipMC.result.final.p50) : "—"} />
+                    <Metric label={t('simulation.p90')} value={sipMC.result ? formatMoney(sipMC.result.final.p90) : "—"} />
+                  </div>
+                )}
+                {sipBT && <BacktestResults result={sipBT} windowYears={sip.years} assumedReturnPct={sip.annualReturn} />}
+                {costs.enabled && (sipSim.enabled || sipBT) && <div className="text-xs sm:text-sm text-amber-300">{t('costs.grossNote')}</div>}
+                {sipSim.enabled && (sipMC.running || sipMC.error) && (
+                  <div className="text-xs sm:text-sm text-gray-400">{sipMC.error || t('simulation.running', { paths: sipSim.paths.toLocaleString() })}</div>
+                )}
                 <div className="h-64 sm:h-72 md:h-80 lg:h-96 xl:h-[450px] chart-container">
-                  <ResponsiveContainer width="100%" height="100%">
-                    <AreaChart data={sipData} margin={{ left: 8, right: 8, top: 10, bottom: 0 }}>
-                      <defs>
-                        <linearGradient id="v1" x1="0" y1="0" x2="0" y2="1">
-                          <stop offset="5%" stopColor="#60a5fa" stopOpacity={0.4} />
-                          <stop offset="95%" stopColor="#60a5fa" stopOpacity={0.1} />
-                        </linearGradient>
-                        <linearGradient id="v2" x1="0" y1="0" x2="0" y2="1">
-                          <stop offset="5%" stopColor="#34d399" stopOpacity={0.4} />
-                          <stop offset="95%" stopColor="#34d399" stopOpacity={0.1} />
-                        </linearGradient>
-                      </defs>
-                      <CartesianGrid strokeDasharray="3 3" stroke="#374151" opacity={0.3} />
-                      <XAxis dataKey="year" tickLine={false} axisLine={false} tick={{ fill: '#9ca3af', fontSize: 12 }} />
-                      <YAxis tickFormatter={(v) => `${(v / 1e5).toFixed(0)}L`} tickLine={false} axisLine={false} tick={{ fill: '#9ca3af', fontSize: 12 }} />
-                      <Tooltip
-                        formatter={(v) => formatMoney(v)}
-                        labelFormatter={(l) => `Year ${l}`}
-                        contentStyle={{
-                          backgroundColor: 'rgba(0, 0, 0, 0.8)',
-                          border: '1px solid rgba(255, 255, 255, 0.1)',
-                          borderRadius: '8px',
-                          color: '#ffffff',
-                          fontSize: '12px'
-                        }}
-                      />
-                      <Area type="monotone" dataKey="invested" name="Invested" stroke="#60a5fa" fillOpacity={1} fill="url(#v1)" />
-                      <Area type="monotone" dataKey="value" name="Value" stroke="#34d399" fillOpacity={1} fill="url(#v2)" />
-                      <Legend />
-                    </AreaChart>
-                  </ResponsiveContainer>
+                  {sipSim.enabled ? (
+                    <FanChart data={sipMC.result?.series ?? []} />
+                  ) : (
+                    <ResponsiveContainer width="100%" height="100%">
+                      <AreaChart data={sipData} margin={{ left: 8, right: 8, top: 10, bottom: 0 }}>
+                        <defs>
+                          <linearGradient id="v1" x1="0" y1="0" x2="0" y2="1">
+                            <stop offset="5%" stopColor="#60a5fa" stopOpacity={0.4} />
+                            <stop offset="95%" stopColor="#60a5fa" stopOpacity={0.1} />
+                          </linearGradient>
+                          <linearGradient id="v2" x1="0" y1="0" x2="0" y2="1">
+                            <stop offset="5%" stopColor="#34d399" stopOpacity={0.4} />
+                            <stop offset="95%" stopColor="#34d399" stopOpacity={0.1} />
+                          </linearGradient>
+                        </defs>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#374151" opacity={0.3} />
+                        <XAxis dataKey="year" tickLine={false} axisLine={false} tick={{ fill: '#9ca3af', fontSize: 12 }} />
+                        <YAxis tickFormatter={(v) => `${(v / 1e5).toFixed(0)}L`} tickLine={false} axisLine={false} tick={{ fill: '#9ca3af', fontSize: 12 }} />
+                        <Tooltip
+                          formatter={(v) => formatMoney(v)}
+                          labelFormatter={(l) => `Year ${l}`}
+                          contentStyle={{
+                            backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                            border: '1px solid rgba(255, 255, 255, 0.1)',
+                            borderRadius: '8px',
+                            color: '#ffffff',
+                            fontSize: '12px'
+                          }}
+                        />
+                        <Area type="monotone" dataKey="invested" name="Invested" stroke="#60a5fa" fillOpacity={1} fill="url(#v1)" />
+                        <Area type="monotone" dataKey="value" name="Value" stroke="#34d399" fillOpacity={1} fill="url(#v2)" />
+                        {sipStepUp && <Area type="monotone" dataKey="flatValue" name={t('sip.flatSip')} stroke="#fbbf24" strokeDasharray="5 5" fill="none" />}
+                        {showReal && <Area type="monotone" dataKey="realValue" name={t('realValue.realSeries')} stroke="#a78bfa" strokeWidth={2} fill="none" />}
+                        <Legend />
+                      </AreaChart>
+                    </ResponsiveContainer>
+                  )}
                 </div>
+                {costs.enabled && <FundPlanComparison kind="sip" input={sipInput} costs={costs} />}
                 <div className="mt-6">
                   <BreakdownTable
-                    data={sipData.map(d => ({ ...d, interest: d.value - d.invested, total: d.value }))}
+                    data={breakdownRows(sipData)}
                     type="sip"
+                    exportMeta={{
+                      fileName: "sip-schedule",
+                      title: t('sip.title'),
+                      assumptions: [
+                        { label: t('sip.monthlyInvestment').trim(), value: sip.monthly },
+                        { label: t('sip.expectedReturn'), value: sip.annualReturn },
+                        { label: t('sip.investmentHorizon'), value: sip.years },
+                        ...(sipStepUp ? [
+                          { label: t('sip.stepUp'), value: sip.stepUpType === "percent" ? t('sip.stepUpPercent') : t('sip.stepUpAmount') },
+                          { label: sip.stepUpType === "percent" ? t('sip.stepUpValuePct') : t('sip.stepUpValueAmount'), value: sip.stepUpValue },
+                          { label: t('sip.stepUpCap'), value: sip.stepUpCap },
+                        ] : []),
+                        ...realViewAssumptions,
+                        ...costAssumptions,
+                      ],
+                    }}
                   />
                 </div>
               </CardContent>
             </Card>
+
+            <ScenarioComparison kind="sip" current={sip} scenarios={scenarios.sip} costs={costs} onChange={(list) => setScenarios({ ...scenarios, sip: list })} onLoad={setSip} />
           </TabsContent>
 
           {/* Lump Sum */}
@@ -606,6 +579,20 @@ export default function InvestmentPlanner() {
                 <Field label={t('common.years')}>
                   <Input type="number" step="1" value={ls.years} onChange={(e) => setLs({ ...ls, years: num(e.target.value) })} className="input-enhanced focus-enhanced text-base" />
                 </Field>
+                <Field label={t('simulation.mode')}>
+                  <Select value={lsBacktest.enabled ? "backtest" : "constant"} onValueChange={(v) => setLsBacktest({ ...lsBacktest, enabled: v === "backtest" })}>
+                    <SelectTrigger className="text-sm sm:text-base">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="constant">{t('simulation.constant')}</SelectItem>
+                      <SelectItem value="backtest">{t('backtest.mode')}</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </Field>
+                {lsBacktest.enabled && <BacktestSettings value={lsBacktest} onChange={setLsBacktest} windowYears={ls.years} />}
+                <RealValueSettings value={realView} onChange={setRealView} />
+                <CostSettings value={costs} onChange={setCosts} />
               </CardContent>
             </Card>
 
@@ -615,11 +602,13 @@ export default function InvestmentPlanner() {
               </CardHeader>
               <CardContent className="grid gap-3 sm:gap-4">
                 <div className="grid grid-cols-2 lg:grid-cols-4 gap-2 sm:gap-3">
-                  <Metric label={t('sip.futureValue')} value={formatMoney(lsFV)} />
+                  <Metric label={t('sip.futureValue')} value={formatMoney(lsShownFV)} sub={showReal ? t('realValue.nominalSub', { amount: formatMoney(lsFV) }) : undefined} />
                   <Metric label={t('lumpsum.principal')} value={formatMoney(ls.principal)} />
-                  <Metric label={t('sip.wealthGain')} value={formatMoney(Math.max(0, lsFV - ls.principal))} />
+                  <Metric label={t('sip.wealthGain')} value={formatMoney(Math.max(0, lsShownFV - ls.principal))} sub={showReal ? t('realValue.todaysMoney') : undefined} />
                   <Metric label={t('common.years')} value={`${ls.years}`} />
                 </div>
+                {lsBT && <BacktestResults result={lsBT} windowYears={ls.years} assumedReturnPct={ls.annualReturn} />}
+                {costs.enabled && lsBT && <div className="text-xs sm:text-sm text-amber-300">{t('costs.grossNote')}</div>}
                 <div className="h-64 sm:h-72 md:h-80 lg:h-96 xl:h-[450px] chart-container">
                   <ResponsiveContainer width="100%" height="100%">
                     <LineChart data={lsData} margin={{ left: 8, right: 8, top: 10, bottom: 0 }}>
@@ -638,17 +627,35 @@ export default function InvestmentPlanner() {
                         }}
                       />
                       <Line type="monotone" dataKey="value" name="Value" stroke="#38bdf8" strokeWidth={2} dot={false} />
+                      {showReal && <Line type="monotone" dataKey="realValue" name={t('realValue.realSeries')} stroke="#a78bfa" strokeWidth={2} dot={false} />}
+                      {showReal && <Legend />}
                     </LineChart>
                   </ResponsiveContainer>
                 </div>
+                {costs.enabled && <FundPlanComparison kind="lumpsum" input={lsRes.input} costs={costs} />}
                 <div className="mt-6">
                   <BreakdownTable
-                    data={lsData.map(d => ({ ...d, interest: d.value - d.invested, total: d.value }))}
+                    data={breakdownRows(lsData)}
                     type="lumpsum"
+                    exportMeta={{
+                      fileName: "lumpsum-schedule",
+                      title: t('lumpsum.title'),
+                      assumptions: [
+                        { label: t('lumpsum.principal').trim(), value: ls.principal },
+                        { label: t('lumpsum.expectedReturn'), value: ls.annualReturn },
+                        { label: t('common.years'), value: ls.years },
+                        ...realViewAssumptions,
+                        ...costAssumptions,
+                      ],
+                    }}
                   />
                 </div>
               </CardContent>
             </Card>
+
+            <StpPlanner value={stp} onChange={setStp} />
+
+            <ScenarioComparison kind="lumpsum" current={ls} scenarios={scenarios.lumpsum} costs={costs} onChange={(list) => setScenarios({ ...scenarios, lumpsum: list })} onLoad={setLs} />
           </TabsContent>
 
           {/* Retirement */}
@@ -676,6 +683,28 @@ export default function InvestmentPlanner() {
                 <Field label={t('retirement.safeWithdrawalRate')} hint={t('retirement.swrHint')}>
                   <Input type="number" step="0.1" value={ret.swr} onChange={(e) => setRet({ ...ret, swr: num(e.target.value) })} className="input-enhanced focus-enhanced text-base" />
                 </Field>
+                <div className="text-sm sm:text-base text-gray-300 font-medium pt-2">{t('retirement.accumulation')}</div>
+                <Field label={`${t('retirement.currentSavings')} (${s})`}>
+                  <Input type="number" value={ret.currentSavings} onChange={(e) => setRet({ ...ret, currentSavings: num(e.target.value) })} className="input-enhanced focus-enhanced text-base" />
+                </Field>
+                <Field label={`${t('retirement.monthlyContribution')} (${s})`}>
+                  <Input type="number" value={ret.monthlyContribution} onChange={(e) => setRet({ ...ret, monthlyContribution: num(e.target.value) })} className="input-enhanced focus-enhanced text-base" />
+                </Field>
+                <Field label={t('retirement.preRetirementReturn')}>
+                  <Input type="number" step="0.1" value={ret.preRetReturn} onChange={(e) => setRet({ ...ret, preRetReturn: num(e.target.value) })} className="input-enhanced focus-enhanced text-base" />
+                </Field>
+                <Field label={t('simulation.mode')}>
+                  <Select value={retSim.enabled ? "montecarlo" : "constant"} onValueChange={(v) => setRetSim({ ...retSim, enabled: v === "montecarlo" })}>
+                    <SelectTrigger className="text-sm sm:text-base">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="constant">{t('simulation.constant')}</SelectItem>
+                      <SelectItem value="montecarlo">{t('simulation.monteCarlo')}</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </Field>
+                {retSim.enabled && <SimulationSettings value={retSim} onChange={setRetSim} />}
               </CardContent>
             </Card>
 
@@ -692,20 +721,104 @@ export default function InvestmentPlanner() {
                 <div className="text-xs sm:text-sm text-gray-400 leading-relaxed">
                   <p>{t('retirement.methodsNote')}</p>
                 </div>
+                <div className="text-sm sm:text-base text-gray-300 font-medium pt-2">{t('retirement.accumulationPlan')}</div>
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2 sm:gap-3">
+                  <Metric label={t('retirement.projectedCorpus')} value={formatMoney(retPlan.projectedCorpus)} sub={t('retirement.investedSub', { amount: formatMoney(retPlan.invested) })} />
+                  <Metric
+                    label={retPlan.gap > 0 ? t('retirement.shortfall') : t('retirement.surplus')}
+                    value={formatMoney(Math.abs(retPlan.gap))}
+                    sub={t('retirement.corpusFinite', { years: ret.yearsInRetirement })}
+                  />
+                  <Metric
+                    label={t('retirement.additionalSip')}
+                    value={isFinite(retPlan.additionalMonthlySIP) ? formatMoney(retPlan.additionalMonthlySIP) : "—"}
+                    sub={retPlan.gap > 0 ? t('retirement.additionalSipSub', { amount: formatMoney(ret.monthlyContribution + retPlan.additionalMonthlySIP) }) : t('retirement.onTrack')}
+                  />
+                </div>
+                <div className="h-64 sm:h-72 md:h-80 lg:h-96 chart-container">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <LineChart data={retLifetime} margin={{ left: 8, right: 8, top: 10, bottom: 0 }}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#374151" opacity={0.3} />
+                      <XAxis dataKey="year" type="number" domain={[0, "dataMax"]} tickLine={false} axisLine={false} tick={{ fill: '#9ca3af', fontSize: 12 }} />
+                      <YAxis tickFormatter={(v) => `${(v / 1e5).toFixed(0)}L`} tickLine={false} axisLine={false} tick={{ fill: '#9ca3af', fontSize: 12 }} />
+                      <Tooltip
+                        formatter={(v) => formatMoney(v)}
+                        labelFormatter={(l) => `Year ${l}`}
+                        contentStyle={{
+                          backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                          border: '1px solid rgba(255, 255, 255, 0.1)',
+                          borderRadius: '8px',
+                          color: '#ffffff',
+                          fontSize: '12px'
+                        }}
+                      />
+                      <Legend />
+                      <ReferenceLine x={ret.yearsToRetire} stroke="#fbbf24" strokeDasharray="4 4" label={{ value: t('retirement.retirementMarker'), fill: '#fbbf24', fontSize: 12, position: 'insideTopRight' }} />
+                      <Line type="monotone" dataKey="projected" name={t('retirement.projectedPath')} stroke="#34d399" strokeWidth={2} dot={false} />
+                      <Line type="monotone" dataKey="required" name={t('retirement.requiredPath')} stroke="#f87171" strokeWidth={2} strokeDasharray="6 3" dot={false} connectNulls />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+                {retSim.enabled && (
+                  <>
+                    <div className="grid grid-cols-2 lg:grid-cols-4 gap-2 sm:gap-3">
+                      <Metric
+                        label={t('simulation.probabilitySurvive')}
+                        value={retMC.result ? `${(retMC.result.successProbability * 100).toFixed(1)}%` : "—"}
+                        sub={t('retirement.corpusFinite', { years: ret.yearsInRetirement })}
+                      />
+                      <Metric label={t('simulation.p10')} value={retMC.result ? formatMoney(retMC.result.final.p10) : "—"} />
+                      <Metric label={t('simulation.p50')} value={retMC.result ? formatMoney(retMC.result.final.p50) : "—"} />
+                      <Metric label={t('simulation.p90')} value={retMC.result ? formatMoney(retMC.result.final.p90) : "—"} />
+                    </div>
+                    {(retMC.running || retMC.error) && (
+                      <div className="text-xs sm:text-sm text-gray-400">{retMC.error || t('simulation.running', { paths: retSim.paths.toLocaleString() })}</div>
+                    )}
+                    <div className="h-64 sm:h-72 md:h-80 lg:h-96 chart-container">
+                      <FanChart data={retMC.result?.series ?? []} />
+                    </div>
+                  </>
+                )}
                 <div className="mt-6">
                   <BreakdownTable
-                    data={retirementSchedule({
-                      corpus: retFinite.corpus,
-                      annualExpenseAtRetire: retFinite.annualExpenseAtRetire,
-                      yearsInRetirement: ret.yearsInRetirement,
-                      inflationPct: ret.inflation,
-                      postRetReturnPct: ret.postRetReturn
-                    })}
+                    data={retData}
                     type="retirement"
+                    exportMeta={{
+                      fileName: "retirement-schedule",
+                      title: t('retirement.title'),
+                      assumptions: [
+                        { label: t('retirement.monthlyExpense').trim(), value: ret.expenseMonthly },
+                        { label: t('retirement.inflation'), value: ret.inflation },
+                        { label: t('retirement.yearsToRetirement'), value: ret.yearsToRetire },
+                        { label: t('retirement.yearsInRetirement'), value: ret.yearsInRetirement },
+                        { label: t('retirement.postRetirementReturn'), value: ret.postRetReturn },
+                        { label: t('retirement.annualExpenseAtRetirement'), value: retFinite.annualExpenseAtRetire },
+                        { label: t('retirement.corpusFinite', { years: ret.yearsInRetirement }), value: retFinite.corpus },
+                      ],
+                    }}
                   />
                 </div>
               </CardContent>
             </Card>
+
+            <WithdrawalStrategies
+              value={retWithdrawal}
+              onChange={setRetWithdrawal}
+              corpora={{ required: retFinite.corpus, projected: retPlan.projectedCorpus }}
+              drawdown={retDrawdown}
+            />
+
+            <ScenarioComparison kind="retire" current={ret} scenarios={scenarios.retire} onChange={(list) => setScenarios({ ...scenarios, retire: list })} onLoad={(inputs) => setRet({ ...ret, ...inputs })} />
+          </TabsContent>
+
+          {/* SWP */}
+          <TabsContent value="swp" className="grid grid-cols-1 lg:grid-cols-5 gap-4 sm:gap-6">
+            <SwpPlanner value={swp} onChange={setSwp} />
+          </TabsContent>
+
+          {/* Loan */}
+          <TabsContent value="loan" className="grid grid-cols-1 lg:grid-cols-5 gap-4 sm:gap-6">
+            <LoanPlanner value={loan} onChange={setLoan} />
           </TabsContent>
 
           {/* CAGR */}
@@ -755,97 +868,199 @@ export default function InvestmentPlanner() {
                     <div className="w-12 sm:w-14 text-right text-sm sm:text-base font-medium">{age}</div>
                   </div>
                 </Field>
-                <Field label={t('allocation.rule')}>
+                <Field label={t('allocation.rule')} hint={t(`allocation.ruleHints.${rule}`)}>
                   <Select value={rule} onValueChange={setRule}>
                     <SelectTrigger className="text-sm sm:text-base">
                       <SelectValue />
                     </SelectTrigger>
                     <SelectContent>
-                      <SelectItem value="110-age">110 − age</SelectItem>
-                      <SelectItem value="100-age">100 − age</SelectItem>
+                      {Object.keys(ALLOCATION_RULES).map((id) => (
+                        <SelectItem key={id} value={id}>{t(`allocation.rules.${id}`)}</SelectItem>
+                      ))}
                     </SelectContent>
                   </Select>
                 </Field>
-                <div className="grid grid-cols-2 gap-2 sm:gap-3 mt-2">
-                  <Metric label={t('allocation.equity')} value={`${alloc.equity}%`} />
-                  <Metric label={t('allocation.debt')} value={`${alloc.debt}%`} />
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                  <Field label={t('allocation.retirementAge')}>
+                    <Input type="number" value={allocation.retirementAge} onChange={(e) => setAllocation({ ...allocation, retirementAge: num(e.target.value) })} className="input-enhanced focus-enhanced text-base" />
+                  </Field>
+                  {rule === "custom" && (
+                    <>
+                      <Field label={t('allocation.startEquityPct')}>
+                        <Input type="number" min={0} max={100} value={allocation.startEquityPct} onChange={(e) => setAllocation({ ...allocation, startEquityPct: num(e.target.value) })} className="input-enhanced focus-enhanced text-base" />
+                      </Field>
+                      <Field label={t('allocation.endEquityPct')}>
+                        <Input type="number" min={0} max={100} value={allocation.endEquityPct} onChange={(e) => setAllocation({ ...allocation, endEquityPct: num(e.target.value) })} className="input-enhanced focus-enhanced text-base" />
+                      </Field>
+                    </>
+                  )}
                 </div>
-              </CardContent>
-            </Card>
-
-            <Card className="lg:col-span-3 rounded-2xl card-enhanced glass animate-slide-in-right">
-              <CardHeader>
-                <CardTitle className="text-gradient text-lg sm:text-xl">{t('allocation.visual')}</CardTitle>
-              </CardHeader>
-              <CardContent>
-                <div className="h-64 sm:h-72 md:h-80 lg:h-96 xl:h-[450px]">
-                  <ResponsiveContainer width="100%" height="100%">
-                    <BarChart data={[{ name: "Portfolio", Equity: alloc.equity, Debt: alloc.debt }]}>
-                      <CartesianGrid strokeDasharray="3 3" stroke="#374151" opacity={0.3} />
-                      <XAxis dataKey="name" tickLine={false} axisLine={false} tick={{ fill: '#9ca3af', fontSize: 12 }} />
-                      <YAxis domain={[0, 100]} tickFormatter={(v) => `${v}%`} tickLine={false} axisLine={false} tick={{ fill: '#9ca3af', fontSize: 12 }} />
-                      <Tooltip
-                        formatter={(v) => `${v}%`}
-                        contentStyle={{
-                          backgroundColor: 'rgba(0, 0, 0, 0.8)',
-                          border: '1px solid rgba(255, 255, 255, 0.1)',
-                          borderRadius: '8px',
-                          color: '#ffffff',
-                          fontSize: '12px'
-                        }}
-                      />
-                      <Legend />
-                      <Bar dataKey="Equity" fill="#3b82f6" radius={[8, 8, 0, 0]} />
-                      <Bar dataKey="Debt" fill="#10b981" radius={[8, 8, 0, 0]} />
-                    </BarChart>
-                  </ResponsiveContainer>
+                <div className="grid grid-cols-2 sm:grid-cols-3 gap-2 sm:gap-3 mt-2">
+                  {ASSET_CLASSES.map((id) => (
+                    <Metric key={id} label={t(`glide.assets.${id}`)} value={`${glide[0][id]}%`} />
+                  ))}
+                  <Metric label={t('glide.expectedReturn')} value={`${glide[0].expectedReturnPct}%`} />
                 </div>
-                <div className="text-xs sm:text-sm text-gray-400 mt-3 leading-relaxed">{t('allocation.note')}</div>
+                {risk.profile && (
+                  <div className="text-xs sm:text-sm text-gray-400">{t('risk.adjusted', { profile: t(`risk.profiles.${risk.profile.id}`) })}</div>
+                )}
+                <AssetMixSettings value={allocation} onChange={setAllocation} />
               </CardContent>
             </Card>
+
+            <GlidePath rows={glide} />
+
+            <RiskProfileQuiz
+              answers={riskAnswers}
+              onChange={setRiskAnswers}
+              risk={risk}
+              age={age}
+              rule={rule}
+              alloc={alloc}
+              targets={riskTargets}
+              onApply={applyRiskReturns}
+            />
+
+            <Rebalancer value={rebalance} onChange={setRebalance} targetPct={glide[0]} />
           </TabsContent>
 
           {/* Advanced */}
           <TabsContent value="advanced" className="grid grid-cols-1 xl:grid-cols-5 gap-4 sm:gap-6">
             {/* Tax Modelling Section */}
             <div className="xl:col-span-5 grid grid-cols-1 lg:grid-cols-5 gap-4 sm:gap-6">
-              <Card className="lg:col-span-2 rounded-2xl card-enhanced glass animate-slide-in-right">
-                <CardHeader>
-                  <CardTitle className="text-gradient text-lg sm:text-xl">{t('advanced.taxModelling.title')}</CardTitle>
-                </CardHeader>
-                <CardContent className="grid gap-3 sm:gap-4">
-                  <Field label={`${t('advanced.taxModelling.ltcgEquities')} (${s})`}>
-                    <Input type="number" value={taxInputs.ltcgGain} onChange={(e) => setTaxInputs({ ...taxInputs, ltcgGain: num(e.target.value) })} className="input-enhanced focus-enhanced text-sm sm:text-base" />
-                  </Field>
-                  <Field label={`${t('advanced.taxModelling.stcgEquities')} (${s})`}>
-                    <Input type="number" value={taxInputs.stcgGain} onChange={(e) => setTaxInputs({ ...taxInputs, stcgGain: num(e.target.value) })} className="input-enhanced focus-enhanced text-sm sm:text-base" />
-                  </Field>
-                  <Field label={`${t('advanced.taxModelling.otherIncome')} (${s})`}>
-                    <Input type="number" value={taxInputs.otherIncome} onChange={(e) => setTaxInputs({ ...taxInputs, otherIncome: num(e.target.value) })} className="input-enhanced focus-enhanced text-sm sm:text-base" />
-                  </Field>
-                  <Field label={`${t('advanced.taxModelling.investments80C')} (${s})`} hint={`${t('advanced.taxModelling.max80C')} ${formatMoney(150000)}`}>
-                    <Input type="number" value={taxInputs.investments80C} onChange={(e) => setTaxInputs({ ...taxInputs, investments80C: num(e.target.value) })} className="input-enhanced focus-enhanced text-sm sm:text-base" />
-                  </Field>
-                </CardContent>
-              </Card>
-
-              <Card className="lg:col-span-3 rounded-2xl card-enhanced glass animate-slide-in-left">
-                <CardHeader>
-                  <CardTitle className="text-gradient text-lg sm:text-xl">{t('advanced.taxModelling.estimate')}</CardTitle>
-                </CardHeader>
-                <CardContent className="grid gap-3 sm:gap-4">
-                  <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2 sm:gap-3">
-                    <Metric label={t('advanced.taxModelling.ltcgTaxable')} value={formatMoney(taxResult.ltcgTaxable)} />
-                    <Metric label={t('advanced.taxModelling.ltcgTax')} value={formatMoney(taxResult.ltcgTax)} />
-                    <Metric label={t('advanced.taxModelling.stcgTax')} value={formatMoney(taxResult.stcgTax)} />
-                  </div>
-                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 sm:gap-3">
-                    <Metric label={t('advanced.taxModelling.eligible80C')} value={formatMoney(taxResult.eligible80C)} />
-                    <Metric label={t('advanced.taxModelling.taxableAfter80C')} value={formatMoney(taxResult.taxableAfter80C)} />
-                  </div>
-                  <div className="text-xs sm:text-sm text-gray-400 leading-relaxed">{t('advanced.taxModelling.disclaimer')}</div>
-                </CardContent>
-              </Card>
+              {taxJurisdiction !== "IN" ? (
+                <TaxJurisdictionPanel
+                  jurisdiction={taxJurisdiction}
+                  value={taxPacks[taxJurisdiction]}
+                  result={tax.pack}
+                  onChange={(v) => setTaxPacks({ ...taxPacks, [taxJurisdiction]: v })}
+                  jurisdictionField={jurisdictionField}
+                />
+              ) : (
+                <>
+                  <Card className="lg:col-span-2 rounded-2xl card-enhanced glass animate-slide-in-right">
+                    <CardHeader>
+                      <CardTitle className="text-gradient text-lg sm:text-xl">{t('advanced.taxModelling.title')}</CardTitle>
+                    </CardHeader>
+                    <CardContent className="grid gap-3 sm:gap-4">
+                      {jurisdictionField}
+                      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 sm:gap-4">
+                        <Field label={t('advanced.taxModelling.financialYear')}>
+                          <Select value={taxInputs.fy} onValueChange={(v) => setTaxInputs({ ...taxInputs, fy: v })}>
+                            <SelectTrigger className="text-sm sm:text-base">
+                              <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                              {TAX_YEARS.map((fy) => <SelectItem key={fy} value={fy}>FY {fy}</SelectItem>)}
+                            </SelectContent>
+                          </Select>
+                        </Field>
+                        <Field label={t('advanced.taxModelling.ageGroup')}>
+                          <Select value={taxInputs.ageGroup} onValueChange={(v) => setTaxInputs({ ...taxInputs, ageGroup: v })}>
+                            <SelectTrigger className="text-sm sm:text-base">
+                              <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                              <SelectItem value="below60">{t('advanced.taxModelling.below60')}</SelectItem>
+                              <SelectItem value="60to80">{t('advanced.taxModelling.60to80')}</SelectItem>
+                              <SelectItem value="above80">{t('advanced.taxModelling.above80')}</SelectItem>
+                            </SelectContent>
+                          </Select>
+                        </Field>
+                      </div>
+                      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 sm:gap-4">
+                        <Field label={`${t('advanced.taxModelling.salaryIncome')} (₹)`}>
+                          <Input type="number" value={taxInputs.salaryIncome} onChange={(e) => setTaxInputs({ ...taxInputs, salaryIncome: num(e.target.value) })} className="input-enhanced focus-enhanced text-sm sm:text-base" />
+                        </Field>
+                        <Field label={`${t('advanced.taxModelling.otherIncome')} (₹)`}>
+                          <Input type="number" value={taxInputs.otherIncome} onChange={(e) => setTaxInputs({ ...taxInputs, otherIncome: num(e.target.value) })} className="input-enhanced focus-enhanced text-sm sm:text-base" />
+                        </Field>
+                        <Field label={`${t('advanced.taxModelling.ltcgEquities')} (₹)`}>
+                          <Input type="number" value={taxInputs.ltcgGain} onChange={(e) => setTaxInputs({ ...taxInputs, ltcgGain: num(e.target.value) })} className="input-enhanced focus-enhanced text-sm sm:text-base" />
+                        </Field>
+                        <Field label={`${t('advanced.taxModelling.stcgEquities')} (₹)`}>
+                          <Input type="number" value={taxInputs.stcgGain} onChange={(e) => setTaxInputs({ ...taxInputs, stcgGain: num(e.target.value) })} className="input-enhanced focus-enhanced text-sm sm:text-base" />
+                        </Field>
+                      </div>
+                      <div className="text-xs sm:text-sm text-gray-300 font-medium">{t('advanced.taxModelling.oldRegimeDeductions')}</div>
+                      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 sm:gap-4">
+                        <Field label={`${t('advanced.taxModelling.investments80C')} (₹)`} hint={`${t('advanced.taxModelling.max')} ${formatInr(150000)}`}>
+                          <Input type="number" value={taxInputs.investments80C} onChange={(e) => setTaxInputs({ ...taxInputs, investments80C: num(e.target.value) })} className="input-enhanced focus-enhanced text-sm sm:text-base" />
+                        </Field>
+                        <Field label={`${t('advanced.taxModelling.nps80CCD1B')} (₹)`} hint={`${t('advanced.taxModelling.max')} ${formatInr(50000)}`}>
+                          <Input type="number" value={taxInputs.nps80CCD1B} onChange={(e) => setTaxInputs({ ...taxInputs, nps80CCD1B: num(e.target.value) })} className="input-enhanced focus-enhanced text-sm sm:text-base" />
+                        </Field>
+                        <Field label={`${t('advanced.taxModelling.medical80D')} (₹)`} hint={`${t('advanced.taxModelling.max')} ${formatInr(taxInputs.ageGroup === "below60" ? 25000 : 50000)}`}>
+                          <Input type="number" value={taxInputs.medical80D} onChange={(e) => setTaxInputs({ ...taxInputs, medical80D: num(e.target.value) })} className="input-enhanced focus-enhanced text-sm sm:text-base" />
+                        </Field>
+                        <Field label={`${t('advanced.taxModelling.medical80DParents')} (₹)`} hint={`${t('advanced.taxModelling.max')} ${formatInr(taxInputs.parentsSenior ? 50000 : 25000)}`}>
+                          <Input type="number" value={taxInputs.medical80DParents} onChange={(e) => setTaxInputs({ ...taxInputs, medical80DParents: num(e.target.value) })} className="input-enhanced focus-enhanced text-sm sm:text-base" />
+                        </Field>
+                      </div>
+                      <label className="flex items-center gap-2 text-sm text-gray-200 cursor-pointer">
+                        <input type="checkbox" checked={taxInputs.parentsSenior} onChange={(e) => setTaxInputs({ ...taxInputs, parentsSenior: e.target.checked })} className="accent-blue-500" />
+                        {t('advanced.taxModelling.parentsSenior')}
+                      </label>
+                    </CardContent>
+                  </Card>
+
+                  <Card className="lg:col-span-3 rounded-2xl card-enhanced glass animate-slide-in-left">
+                    <CardHeader>
+                      <CardTitle className="text-gradient text-lg sm:text-xl">{t('advanced.taxModelling.estimate')}</CardTitle>
+                    </CardHeader>
+                    <CardContent className="grid gap-3 sm:gap-4">
+                      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 sm:gap-3">
+                        {["old", "new"].map((regime) => (
+                          <Metric
+                            key={regime}
+                            label={t(`advanced.taxModelling.${regime}Regime`)}
+                            value={formatInr(taxResult[regime].totalTax)}
+                            sub={t('advanced.taxModelling.effectiveRate', { rate: taxResult[regime].effectiveRatePct.toFixed(2) })}
+                          />
+                        ))}
+                      </div>
+                      <div className="rounded-xl border border-emerald-400/30 bg-emerald-500/10 p-3 text-sm sm:text-base text-emerald-200">
+                        {taxResult.savings > 0
+                          ? t('advanced.taxModelling.recommendation', { regime: t(`advanced.taxModelling.${taxResult.recommended}Regime`), amount: formatInr(taxResult.savings) })
+                          : t('advanced.taxModelling.noDifference')}
+                      </div>
+                      <div className="overflow-x-auto rounded-xl border border-white/10 bg-black/20">
+                        <table className="w-full text-xs sm:text-sm">
+                          <thead className="border-b border-white/10">
+                            <tr>
+                              <th className="px-2 py-1 sm:px-4 sm:py-2 text-left text-gray-400 font-medium"></th>
+                              <th className="px-2 py-1 sm:px-4 sm:py-2 text-right text-gray-400 font-medium">{t('advanced.taxModelling.oldRegime')}</th>
+                              <th className="px-2 py-1 sm:px-4 sm:py-2 text-right text-gray-400 font-medium">{t('advanced.taxModelling.newRegime')}</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {[
+                              ["grossIncome", (r) => r.grossIncome],
+                              ["standardDeduction", (r) => r.standardDeduction],
+                              ["deductions", (r) => r.deductions.total],
+                              ["taxableIncome", (r) => r.taxableNormalIncome],
+                              ["slabTax", (r) => r.slabTax],
+                              ["stcgTax", (r) => r.stcgTax],
+                              ["ltcgTax", (r) => r.ltcgTax],
+                              ["rebate87A", (r) => (r.rebate ? -r.rebate : 0)],
+                              ["surcharge", (r) => r.surcharge],
+                              ["cess", (r) => r.cess],
+                              ["totalTax", (r) => r.totalTax],
+                            ].map(([key, pick]) => (
+                              <tr key={key} className={`border-b border-white/5 ${key === "totalTax" ? "font-semibold" : ""}`}>
+                                <td className="px-2 py-1 sm:px-4 sm:py-2 text-gray-300">{t(`advanced.taxModelling.${key}`)}</td>
+                                <td className="px-2 py-1 sm:px-4 sm:py-2 text-right font-mono text-white">{formatInr(pick(taxResult.old))}</td>
+                                <td className="px-2 py-1 sm:px-4 sm:py-2 text-right font-mono text-white">{formatInr(pick(taxResult.new))}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                      <div className="text-xs sm:text-sm text-gray-400 leading-relaxed">{t('advanced.taxModelling.disclaimer')}</div>
+                    </CardContent>
+                  </Card>
+                </>
+              )}
             </div>
 
             {/* XIRR Section */}
@@ -855,7 +1070,7 @@ export default function InvestmentPlanner() {
                   <CardTitle className="text-gradient text-lg sm:text-xl">{t('advanced.xirr.title')}</CardTitle>
                 </CardHeader>
                 <CardContent className="grid gap-3 sm:gap-4">
-                  <div className="grid gap-2">
+                  <div className="grid gap-2 max-h-[28rem] overflow-y-auto no-scrollbar">
                     {xirrFlows.map((f, i) => (
                       <div key={i} className="grid grid-cols-1 sm:grid-cols-3 gap-2">
                         <Input type="date" value={f.date} onChange={(e) => setXirrFlows(xirrFlows.map((s, j) => (j === i ? { ...s, date: e.target.value } : s)))} className="text-sm sm:text-base" />
@@ -863,10 +1078,20 @@ export default function InvestmentPlanner() {
                         <Button variant="ghost" onClick={() => setXirrFlows(xirrFlows.filter((_, j) => j !== i))} className="text-xs sm:text-sm">{t('advanced.xirr.remove')}</Button>
                       </div>
                     ))}
-                    <div className="flex gap-2">
-                      <Button onClick={() => setXirrFlows([...xirrFlows, { date: new Date().toISOString().slice(0, 10), amount: 0 }])} className="text-sm sm:text-base">{t('advanced.xirr.addRow')}</Button>
-                    </div>
                   </div>
+                  <div className="flex flex-wrap gap-2">
+                    <Button onClick={() => setXirrFlows([...xirrFlows, { date: new Date().toISOString().slice(0, 10), amount: 0 }])} className="text-sm sm:text-base">{t('advanced.xirr.addRow')}</Button>
+                    <Button variant="outline" onClick={() => setShowXirrImport(!showXirrImport)} className="text-sm sm:text-base">
+                      <Upload className="h-4 w-4 mr-2" />
+                      {t('xirrImport.button')}
+                    </Button>
+                  </div>
+                  {showXirrImport && (
+                    <XirrImport
+                      onImport={(flows, append) => setXirrFlows(append ? [...xirrFlows, ...flows] : flows)}
+                      onClose={() => setShowXirrImport(false)}
+                    />
+                  )}
                 </CardContent>
               </Card>
 
@@ -875,7 +1100,15 @@ export default function InvestmentPlanner() {
                   <CardTitle className="text-gradient text-lg sm:text-xl">{t('advanced.xirr.result')}</CardTitle>
                 </CardHeader>
                 <CardContent className="grid gap-3 sm:gap-4">
-                  <Metric label="XIRR" value={isFinite(xirrValue) ? `${(xirrValue * 100).toFixed(2)}%` : "—"} />
+                  <Metric label="XIRR" value={xirrResult.error ? "—" : `${(xirrResult.rate * 100).toFixed(2)}%`} />
+                  {xirrResult.error && (
+                    <div className="rounded-xl border border-red-400/30 bg-red-500/10 p-3 text-xs sm:text-sm text-red-300">{t(`advanced.xirr.errors.${xirrResult.error}`)}</div>
+                  )}
+                  {xirrResult.roots.length > 1 && (
+                    <div className="rounded-xl border border-amber-400/30 bg-amber-500/10 p-3 text-xs sm:text-sm text-amber-200">
+                      {t('advanced.xirr.multipleRoots', { rates: xirrResult.roots.map((r) => `${(r * 100).toFixed(2)}%`).join(", ") })}
+                    </div>
+                  )}
                   <div className="text-xs sm:text-sm text-gray-400 leading-relaxed">{t('advanced.xirr.description')}</div>
                 </CardContent>
               </Card>
@@ -918,13 +1151,18 @@ export default function InvestmentPlanner() {
                   <div className="text-xs sm:text-sm text-gray-400 leading-relaxed">{t('advanced.goalSip.note')}</div>
                 </CardContent>
               </Card>
+
+              <ScenarioComparison kind="goal" current={goal} scenarios={scenarios.goal} onChange={(list) => setScenarios({ ...scenarios, goal: list })} onLoad={setGoal} />
             </div>
 
+            {/* Multiple goals */}
+            <MultiGoalPlanner value={multiGoals} onChange={setMultiGoals} />
+
           </TabsContent>
         </Tabs>
 
         <footer className="max-w-6xl mx-auto mt-6 sm:mt-8 lg:mt-10 text-xs sm:text-sm text-gray-400 leading-relaxed glass p-4 sm:p-6 rounded-2xl animate-fade-in-up animate-delay-500">
-          <p><strong className="text-white">Disclaimer:</strong> This tool is for education and planning. It does not provide financial advice. Returns are assumptions, not guarantees. Taxes, fees, and product-specific rules (e.g., exact income tax slab computation, cess, surcharge, LTCG exemptions with indexation for non-equity assets) are simplified here. For precise tax filing and investment advice consult a licensed professional.</p>
+          <p><strong className="text-white">Disclaimer:</strong> This tool is for education and planning. It does not provide financial advice. Returns are assumptions, not guarantees. Taxes, fees, and product-specific rules (e.g., HRA, home-loan interest, capital gains on non-equity assets) are simplified here. For precise tax filing and investment advice consult a licensed professional.</p>
         </footer>
       </motion.div>
     </div>
@@ -0,0 +1,212 @@
+import React, { useMemo } from "react";
+import { useTranslation } from "react-i18next";
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, Legend } from "recharts";
+import { Plus, Trash2 } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { Field } from "./ui/field";
+import { Metric } from "./ui/metric";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "./ui/select";
+import BreakdownTable from "./ui/BreakdownTable";
+import { useCurrency } from "../context/CurrencyContext";
+import { PREPAY_MODES, num } from "../lib/finance";
+import { loanResults } from "../lib/planResults";
+
+const MAX_ONE_OFFS = 10;
+
+// Loan tab: EMI, month-wise amortization with one-off and recurring
+// prepayments, and whether the prepayments would do better in a SIP.
+export default function LoanPlanner({ value, onChange }) {
+  const { t } = useTranslation();
+  const { formatMoney, activeCurrency } = useCurrency();
+  const s = activeCurrency.symbol;
+
+  // Outstanding balance at the end of each year (year 0 is the loan amount)
+  const { summary, comparison, yearly: balances } = useMemo(() => loanResults(value), [value]);
+  const hasPrepayments = summary.totalPrepaid > 0;
+
+  const tenure = (months) => t('loan.tenureValue', { years: Math.floor(months / 12), months: months % 12 });
+  const set = (patch) => onChange({ ...value, ...patch });
+  const setOneOffs = (oneOffs) => set({ oneOffs });
+  const updateOneOff = (id, patch) => setOneOffs(value.oneOffs.map((p) => (p.id === id ? { ...p, ...patch } : p)));
+  const addOneOff = () => {
+    if (value.oneOffs.length >= MAX_ONE_OFFS) return;
+    const id = Math.max(0, ...value.oneOffs.map((p) => p.id)) + 1;
+    setOneOffs([...value.oneOffs, { id, month: 12, amount: 0 }]);
+  };
+
+  const numberField = (key, label, step) => (
+    <Field label={label}>
+      <Input type="number" step={step} value={value[key]} onChange={(e) => set({ [key]: num(e.target.value) })} className="input-enhanced focus-enhanced text-base" />
+    </Field>
+  );
+
+  return (
+    <>
+      <Card className="lg:col-span-2 rounded-2xl card-enhanced glass animate-slide-in-left">
+        <CardHeader>
+          <CardTitle className="text-gradient text-lg sm:text-xl">{t('loan.title')}</CardTitle>
+        </CardHeader>
+        <CardContent className="grid gap-3 sm:gap-4">
+          {numberField("principal", `${t('loan.principal')} (${s})`)}
+          {numberField("annualRate", t('loan.interestRate'), "0.05")}
+          {numberField("years", t('loan.tenure'), "1")}
+
+          <div className="grid gap-3 sm:gap-4 rounded-2xl border border-white/10 bg-black/20 p-3 sm:p-4">
+            <div className="text-sm font-medium text-gray-300">{t('loan.prepayments')}</div>
+            <Field label={t('loan.prepayMode')} hint={t(`loan.prepayModeHints.${value.prepayMode}`)}>
+              <Select value={value.prepayMode} onValueChange={(v) => set({ prepayMode: v })}>
+                <SelectTrigger className="text-sm sm:text-base">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {PREPAY_MODES.map((m) => <SelectItem key={m} value={m}>{t(`loan.prepayModes.${m}`)}</SelectItem>)}
+                </SelectContent>
+              </Select>
+            </Field>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+              {numberField("recurringAmount", `${t('loan.recurringAmount')} (${s})`)}
+              <Field label={t('loan.frequency')}>
+                <Select value={value.recurringFrequency} onValueChange={(v) => set({ recurringFrequency: v })}>
+                  <SelectTrigger className="text-sm sm:text-base">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="monthly">{t('loan.monthly')}</SelectItem>
+                    <SelectItem value="yearly">{t('loan.yearly')}</SelectItem>
+                  </SelectContent>
+                </Select>
+              </Field>
+              {numberField("recurringStartMonth", t('loan.startMonth'), "1")}
+            </div>
+            <div className="grid gap-2">
+              <div className="flex items-center justify-between gap-2">
+                <span className="text-xs sm:text-sm text-gray-400">{t('loan.oneOffs')}</span>
+                <Button variant="outline" size="sm" onClick={addOneOff} disabled={value.oneOffs.length >= MAX_ONE_OFFS} className="rounded-xl glass text-xs">
+                  <Plus className="h-3.5 w-3.5 mr-1" />
+                  {t('loan.addOneOff')}
+                </Button>
+              </div>
+              {value.oneOffs.map((p) => (
+                <div key={p.id} className="flex items-end gap-2">
+                  <div className="w-24">
+                    <Field label={t('loan.month')}>
+                      <Input type="number" step="1" value={p.month} onChange={(e) => updateOneOff(p.id, { month: num(e.target.value) })} className="input-enhanced focus-enhanced text-sm sm:text-base" />
+                    </Field>
+                  </div>
+                  <div className="flex-1">
+                    <Field label={`${t('loan.amount')} (${s})`}>
+                      <Input type="number" value={p.amount} onChange={(e) => updateOneOff(p.id, { amount: num(e.target.value) })} className="input-enhanced focus-enhanced text-sm sm:text-base" />
+                    </Field>
+                  </div>
+                  <Button variant="ghost" onClick={() => setOneOffs(value.oneOffs.filter((x) => x.id !== p.id))} aria-label={t('loan.remove')} className="text-gray-400 hover:text-red-400">
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {numberField("investReturn", t('loan.investReturn'), "0.1")}
+        </CardContent>
+      </Card>
+
+      <Card className="lg:col-span-3 rounded-2xl card-enhanced glass animate-slide-in-right">
+        <CardHeader>
+          <CardTitle className="text-gradient text-lg sm:text-xl">{t('loan.repayment')}</CardTitle>
+        </CardHeader>
+        <CardContent className="grid gap-3 sm:gap-4">
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-2 sm:gap-3">
+            <Metric label={t('loan.emi')} value={formatMoney(Math.round(summary.emi))} sub={value.prepayMode === "emi" && hasPrepayments ? t('loan.finalEmi', { amount: formatMoney(Math.round(summary.finalEmi)) }) : undefined} />
+            <Metric label={t('loan.totalInterest')} value={formatMoney(Math.round(summary.totalInterest))} />
+            <Metric label={t('loan.totalPaid')} value={formatMoney(Math.round(summary.totalPaid))} />
+            <Metric label={t('loan.actualTenure')} value={tenure(summary.months)} />
+          </div>
+          {hasPrepayments && (
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 sm:gap-3">
+              <Metric label={t('loan.totalPrepaid')} value={formatMoney(Math.round(summary.totalPrepaid))} />
+              <Metric label={t('loan.interestSaved')} value={formatMoney(Math.round(summary.interestSaved))} />
+              <Metric label={t('loan.tenureSaved')} value={tenure(summary.monthsSaved)} />
+            </div>
+          )}
+          <div className="h-64 sm:h-72 md:h-80 chart-container">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={balances} margin={{ left: 8, right: 8, top: 10, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#374151" opacity={0.3} />
+                <XAxis dataKey="year" tickLine={false} axisLine={false} tick={{ fill: '#9ca3af', fontSize: 12 }} />
+                <YAxis tickFormatter={(v) => `${(v / 1e5).toFixed(0)}L`} tickLine={false} axisLine={false} tick={{ fill: '#9ca3af', fontSize: 12 }} />
+                <Tooltip
+                  formatter={(v) => formatMoney(Math.round(v))}
+                  labelFormatter={(l) => `Year ${l}`}
+                  contentStyle={{
+                    backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                    border: '1px solid rgba(255, 255, 255, 0.1)',
+                    borderRadius: '8px',
+                    color: '#ffffff',
+                    fontSize: '12px'
+                  }}
+                />
+                <Line type="monotone" dataKey="baseBalance" name={t('loan.balanceWithout')} stroke="#f87171" strokeDasharray="5 5" strokeWidth={2} dot={false} />
+                {hasPrepayments && <Line type="monotone" dataKey="balance" name={t('loan.balanceWith')} stroke="#34d399" strokeWidth={2} dot={false} />}
+                <Legend />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          {hasPrepayments && (
+            <div className="grid gap-3 rounded-2xl border border-white/10 bg-black/20 p-3 sm:p-4">
+              <div className="text-sm font-medium text-gray-300">{t('loan.prepayVsInvest')}</div>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 sm:gap-3">
+                <Metric label={t('loan.prepayCorpus')} value={formatMoney(Math.round(comparison.prepayCorpus))} sub={t('loan.prepayCorpusHint')} />
+                <Metric label={t('loan.investCorpus')} value={formatMoney(Math.round(comparison.investCorpus))} sub={t('loan.investCorpusHint', { rate: value.investReturn })} />
+              </div>
+              <div className={`rounded-xl border p-3 text-sm sm:text-base ${comparison.better === "invest" ? "border-sky-400/30 bg-sky-500/10 text-sky-200" : "border-emerald-400/30 bg-emerald-500/10 text-emerald-200"}`}>
+                {comparison.better ? t(`loan.verdict.${comparison.better}`, { amount: formatMoney(Math.round(comparison.advantage)) }) : t('loan.verdict.tie')}
+              </div>
+              <div className="h-56 sm:h-64 chart-container">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={comparison.rows} margin={{ left: 8, right: 8, top: 10, bottom: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#374151" opacity={0.3} />
+                    <XAxis dataKey="year" tickLine={false} axisLine={false} tick={{ fill: '#9ca3af', fontSize: 12 }} />
+                    <YAxis tickFormatter={(v) => `${(v / 1e5).toFixed(0)}L`} tickLine={false} axisLine={false} tick={{ fill: '#9ca3af', fontSize: 12 }} />
+                    <Tooltip
+                      formatter={(v) => formatMoney(Math.round(v))}
+                      labelFormatter={(l) => `Year ${l}`}
+                      contentStyle={{
+                        backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                        border: '1px solid rgba(255, 255, 255, 0.1)',
+                        borderRadius: '8px',
+                        color: '#ffffff',
+                        fontSize: '12px'
+                      }}
+                    />
+                    <Line type="monotone" dataKey="prepayCorpus" name={t('loan.prepayCorpus')} stroke="#34d399" strokeWidth={2} dot={false} />
+                    <Line type="monotone" dataKey="investCorpus" name={t('loan.investCorpus')} stroke="#38bdf8" strokeWidth={2} dot={false} />
+                    <Legend />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+              <div className="text-xs sm:text-sm text-gray-400 leading-relaxed">{t('loan.comparisonNote')}</div>
+            </div>
+          )}
+
+          <BreakdownTable
+            data={summary.rows}
+            type="loan"
+            exportMeta={{
+              fileName: "loan-amortization",
+              title: t('loan.title'),
+              assumptions: [
+                { label: t('loan.principal'), value: value.principal },
+                { label: t('loan.interestRate'), value: value.annualRate },
+                { label: t('loan.tenure'), value: value.years },
+                { label: t('loan.prepayMode'), value: t(`loan.prepayModes.${value.prepayMode}`) },
+              ],
+            }}
+          />
+        </CardContent>
+      </Card>
+    </>
+  );
+}
@@ -0,0 +1,167 @@
+import React, { useMemo } from "react";
+import { useTranslation } from "react-i18next";
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, Legend } from "recharts";
+import { Plus, Trash2 } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { Field } from "./ui/field";
+import { Metric } from "./ui/metric";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "./ui/select";
+import { useCurrency } from "../context/CurrencyContext";
+import { GOAL_PRIORITIES, num } from "../lib/finance";
+import { multiGoalResults } from "../lib/planResults";
+
+const COLORS = ["#34d399", "#60a5fa", "#fbbf24", "#f87171", "#a78bfa", "#f472b6", "#22d3ee", "#a3e635"];
+const MAX_GOALS = COLORS.length;
+const GOAL_KINDS = ["house", "education", "car", "wedding", "travel", "other"];
+
+// Several named goals priced in today's money: each grows by its own
+// inflation to its target year and gets a required SIP; an optional monthly
+// budget funds them in priority order. The timeline stacks each goal's SIP
+// by year, so a goal's band ends in the year it is funded.
+export default function MultiGoalPlanner({ value, onChange }) {
+  const { t } = useTranslation();
+  const { formatMoney, activeCurrency } = useCurrency();
+  const s = activeCurrency.symbol;
+  const startYear = new Date().getFullYear();
+  const plan = useMemo(() => multiGoalResults(value, startYear), [value, startYear]);
+
+  const goalName = (g) => g.name || t(`goals.kinds.${g.kind}`);
+  const setList = (list) => onChange({ ...value, list });
+  const update = (id, patch) => setList(value.list.map((g) => (g.id === id ? { ...g, ...patch } : g)));
+  const addGoal = () => {
+    if (value.list.length >= MAX_GOALS) return;
+    const id = Math.max(0, ...value.list.map((g) => g.id)) + 1;
+    setList([...value.list, { id, kind: "other", name: "", costToday: 0, inflationPct: 6, targetYear: startYear + 5, priority: "medium", existingCorpus: 0, expectedReturn: 10 }]);
+  };
+
+  const numberField = (g, key, label, step) => (
+    <Field label={label}>
+      <Input type="number" step={step} value={g[key]} onChange={(e) => update(g.id, { [key]: num(e.target.value) })} className="input-enhanced focus-enhanced text-sm sm:text-base" />
+    </Field>
+  );
+
+  return (
+    <Card className="xl:col-span-5 rounded-2xl card-enhanced glass animate-fade-in-up">
+      <CardHeader>
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <CardTitle className="text-gradient text-lg sm:text-xl">{t('goals.title')}</CardTitle>
+          <Button variant="outline" onClick={addGoal} disabled={value.list.length >= MAX_GOALS} className="rounded-2xl btn-enhanced glass text-sm">
+            <Plus className="h-4 w-4 mr-1" />
+            {t('goals.add')}
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent className="grid gap-4 sm:gap-6">
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-3 sm:gap-4">
+          {value.list.map((g, i) => (
+            <div key={g.id} className="grid gap-3 rounded-2xl border border-white/10 bg-black/20 p-3 sm:p-4" style={{ borderLeft: `4px solid ${COLORS[i % COLORS.length]}` }}>
+              <div className="flex items-end gap-2">
+                <Field label={t('goals.kind')}>
+                  <Select value={g.kind} onValueChange={(v) => update(g.id, { kind: v })}>
+                    <SelectTrigger className="text-sm sm:text-base">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {GOAL_KINDS.map((k) => <SelectItem key={k} value={k}>{t(`goals.kinds.${k}`)}</SelectItem>)}
+                    </SelectContent>
+                  </Select>
+                </Field>
+                <div className="flex-1">
+                  <Field label={t('goals.name')}>
+                    <Input value={g.name} placeholder={t(`goals.kinds.${g.kind}`)} onChange={(e) => update(g.id, { name: e.target.value })} className="input-enhanced focus-enhanced text-sm sm:text-base" />
+                  </Field>
+                </div>
+                <Button variant="ghost" onClick={() => setList(value.list.filter((x) => x.id !== g.id))} aria-label={t('goals.remove')} className="text-gray-400 hover:text-red-400">
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+              <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+                {numberField(g, "costToday", `${t('goals.costToday')} (${s})`)}
+                {numberField(g, "inflationPct", t('goals.inflation'), "0.1")}
+                {numberField(g, "targetYear", t('goals.targetYear'))}
+                <Field label={t('goals.priority')}>
+                  <Select value={g.priority} onValueChange={(v) => update(g.id, { priority: v })}>
+                    <SelectTrigger className="text-sm sm:text-base">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {GOAL_PRIORITIES.map((p) => <SelectItem key={p} value={p}>{t(`goals.priorities.${p}`)}</SelectItem>)}
+                    </SelectContent>
+                  </Select>
+                </Field>
+                {numberField(g, "existingCorpus", `${t('goals.existingCorpus')} (${s})`)}
+                {numberField(g, "expectedReturn", t('goals.expectedReturn'), "0.1")}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-4 gap-2 sm:gap-3 items-end">
+          <Field label={`${t('goals.monthlyBudget')} (${s})`} hint={t('goals.budgetHint')}>
+            <Input type="number" value={value.monthlyBudget} onChange={(e) => onChange({ ...value, monthlyBudget: num(e.target.value) })} className="input-enhanced focus-enhanced text-sm sm:text-base" />
+          </Field>
+          <Metric label={t('goals.totalRequired')} value={formatMoney(Math.round(plan.totalRequired))} />
+          <Metric label={t('goals.totalAllocated')} value={formatMoney(Math.round(plan.totalAllocated))} />
+          <Metric label={t('goals.shortfall')} value={formatMoney(Math.round(plan.shortfall))} />
+        </div>
+
+        <div className="overflow-x-auto rounded-xl border border-white/10 bg-black/20">
+          <table className="w-full text-xs sm:text-sm">
+            <thead className="border-b border-white/10">
+              <tr>
+                <th className="px-2 py-1 sm:px-4 sm:py-2 text-left text-gray-400 font-medium">{t('goals.goal')}</th>
+                <th className="px-2 py-1 sm:px-4 sm:py-2 text-right text-gray-400 font-medium">{t('goals.targetYear')}</th>
+                <th className="px-2 py-1 sm:px-4 sm:py-2 text-right text-gray-400 font-medium">{t('goals.futureCost')}</th>
+                <th className="px-2 py-1 sm:px-4 sm:py-2 text-right text-gray-400 font-medium">{t('goals.requiredSip')}</th>
+                <th className="px-2 py-1 sm:px-4 sm:py-2 text-right text-gray-400 font-medium">{t('goals.allocatedSip')}</th>
+                <th className="px-2 py-1 sm:px-4 sm:py-2 text-right text-gray-400 font-medium">{t('goals.funded')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {plan.goals.map((g) => (
+                <tr key={g.id} className="border-b border-white/5">
+                  <td className="px-2 py-1 sm:px-4 sm:py-2 text-white">{goalName(g)} <span className="text-gray-400">· {t(`goals.priorities.${g.priority}`)}</span></td>
+                  <td className="px-2 py-1 sm:px-4 sm:py-2 text-right font-mono text-gray-300">{g.targetYear}</td>
+                  <td className="px-2 py-1 sm:px-4 sm:py-2 text-right font-mono text-white">{formatMoney(Math.round(g.futureCost))}</td>
+                  <td className="px-2 py-1 sm:px-4 sm:py-2 text-right font-mono text-white">{isFinite(g.requiredMonthly) ? formatMoney(Math.round(g.requiredMonthly)) : t('goals.dueNow')}</td>
+                  <td className="px-2 py-1 sm:px-4 sm:py-2 text-right font-mono text-white">{formatMoney(Math.round(g.allocatedMonthly))}</td>
+                  <td className={`px-2 py-1 sm:px-4 sm:py-2 text-right font-mono ${g.fundedPct >= 99.5 ? "text-emerald-400" : "text-amber-300"}`}>{g.fundedPct.toFixed(0)}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div>
+          <div className="text-sm font-medium text-gray-300 mb-2">{t('goals.timeline')}</div>
+          <div className="h-64 sm:h-72 md:h-80 chart-container">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={plan.timeline} margin={{ left: 8, right: 8, top: 10, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#374151" opacity={0.3} />
+                <XAxis dataKey="year" tickLine={false} axisLine={false} tick={{ fill: '#9ca3af', fontSize: 12 }} />
+                <YAxis tickFormatter={(v) => formatMoney(v)} width={90} tickLine={false} axisLine={false} tick={{ fill: '#9ca3af', fontSize: 12 }} />
+                <Tooltip
+                  formatter={(v) => formatMoney(Math.round(v))}
+                  contentStyle={{
+                    backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                    border: '1px solid rgba(255, 255, 255, 0.1)',
+                    borderRadius: '8px',
+                    color: '#ffffff',
+                    fontSize: '12px'
+                  }}
+                />
+                <Legend />
+                {plan.goals.map((g, i) => (
+                  <Bar key={g.id} dataKey={String(g.id)} name={goalName(g)} stackId="goals" fill={COLORS[i % COLORS.length]} />
+                ))}
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+          <div className="text-xs sm:text-sm text-gray-400 mt-3 leading-relaxed">{t('goals.note')}</div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
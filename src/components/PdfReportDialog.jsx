@@ -0,0 +1,140 @@
+import React, { useRef, useState } from "react";
+import { useTranslation } from "react-i18next";
+import { FileDown, Loader2 } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import { Button } from "./ui/button";
+import PlanReport from "./PlanReport";
+
+// A4 portrait in millimetres
+const PAGE = { width: 210, height: 297, margin: 10 };
+
+const REPORT_SECTIONS = ["sip", "lumpsum", "stp", "retirement", "swp", "loan", "cagr", "allocation", "tax", "xirr", "goal", "goals"];
+
+const SECTION_LABELS = {
+  sip: "tabs.sip",
+  lumpsum: "tabs.lumpsum",
+  stp: "stp.title",
+  retirement: "tabs.retirement",
+  swp: "swp.title",
+  loan: "loan.title",
+  cagr: "tabs.cagr",
+  allocation: "tabs.allocation",
+  tax: "advanced.taxModelling.title",
+  xirr: "advanced.xirr.title",
+  goal: "advanced.goalSip.title",
+  goals: "goals.title",
+};
+
+const nextFrame = () => new Promise((resolve) => requestAnimationFrame(() => resolve()));
+
+// Rasterize each report section and lay them out on A4 pages. Sections are
+// kept whole when they fit on a page; taller ones are sliced across pages.
+const renderPdf = async (root, fileName) => {
+  const [{ jsPDF }, { default: html2canvas }] = await Promise.all([import("jspdf"), import("html2canvas-pro")]);
+  const pdf = new jsPDF({ unit: "mm", format: "a4", orientation: "portrait" });
+  const contentWidth = PAGE.width - PAGE.margin * 2;
+  const contentHeight = PAGE.height - PAGE.margin * 2;
+  let y = PAGE.margin;
+
+  for (const node of root.querySelectorAll("[data-report-section]")) {
+    const canvas = await html2canvas(node, { scale: 2, backgroundColor: "#ffffff", logging: false });
+    const mmPerPx = contentWidth / canvas.width;
+    const heightMm = canvas.height * mmPerPx;
+
+    if (heightMm <= contentHeight) {
+      if (y + heightMm > PAGE.height - PAGE.margin) {
+        pdf.addPage();
+        y = PAGE.margin;
+      }
+      pdf.addImage(canvas.toDataURL("image/png"), "PNG", PAGE.margin, y, contentWidth, heightMm);
+      y += heightMm;
+      continue;
+    }
+
+    // Slice into page-sized strips
+    const sliceHeightPx = Math.floor(contentHeight / mmPerPx);
+    for (let top = 0; top < canvas.height; top += sliceHeightPx) {
+      if (y > PAGE.margin) {
+        pdf.addPage();
+        y = PAGE.margin;
+      }
+      const slice = document.createElement("canvas");
+      slice.width = canvas.width;
+      slice.height = Math.min(sliceHeightPx, canvas.height - top);
+      slice.getContext("2d").drawImage(canvas, 0, top, canvas.width, slice.height, 0, 0, canvas.width, slice.height);
+      const sliceMm = slice.height * mmPerPx;
+      pdf.addImage(slice.toDataURL("image/png"), "PNG", PAGE.margin, y, contentWidth, sliceMm);
+      y += sliceMm;
+    }
+  }
+
+  pdf.save(fileName);
+};
+
+// Pick report sections and download the plan as a PDF, generated entirely in
+// the browser.
+export default function PdfReportDialog({ plan }) {
+  const { t } = useTranslation();
+  const [sections, setSections] = useState(REPORT_SECTIONS);
+  const [includeTables, setIncludeTables] = useState(true);
+  const [rendering, setRendering] = useState(false);
+  const [error, setError] = useState(null);
+  const reportRef = useRef(null);
+
+  const toggle = (id) => setSections((prev) =>
+    prev.includes(id) ? prev.filter((s) => s !== id) : REPORT_SECTIONS.filter((s) => s === id || prev.includes(s))
+  );
+
+  const handleDownload = async () => {
+    setError(null);
+    setRendering(true);
+    try {
+      // Let the offscreen report mount and lay out before capturing it
+      await nextFrame();
+      await nextFrame();
+      await renderPdf(reportRef.current, "d-planner-report.pdf");
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRendering(false);
+    }
+  };
+
+  return (
+    <Card className="rounded-2xl card-enhanced glass mb-4 sm:mb-6">
+      <CardHeader>
+        <CardTitle className="text-gradient text-lg sm:text-xl">{t('report.title')}</CardTitle>
+      </CardHeader>
+      <CardContent className="grid gap-3 sm:gap-4">
+        <div className="text-xs sm:text-sm text-gray-400">{t('report.chooseSections')}</div>
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+          {REPORT_SECTIONS.map((id) => (
+            <label key={id} className="flex items-center gap-2 text-sm text-white cursor-pointer">
+              <input type="checkbox" checked={sections.includes(id)} onChange={() => toggle(id)} className="accent-blue-500" />
+              {t(SECTION_LABELS[id])}
+            </label>
+          ))}
+        </div>
+        <label className="flex items-center gap-2 text-sm text-white cursor-pointer">
+          <input type="checkbox" checked={includeTables} onChange={(e) => setIncludeTables(e.target.checked)} className="accent-blue-500" />
+          {t('report.includeTables')}
+        </label>
+
+        {error && <div className="text-xs sm:text-sm text-red-400">{t('report.error', { message: error })}</div>}
+
+        <div>
+          <Button onClick={handleDownload} disabled={rendering || sections.length === 0} className="rounded-2xl text-sm sm:text-base">
+            {rendering ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <FileDown className="h-4 w-4 mr-2" />}
+            {rendering ? t('report.generating') : t('report.download')}
+          </Button>
+        </div>
+      </CardContent>
+
+      {rendering && (
+        <div aria-hidden style={{ position: "fixed", left: -10000, top: 0 }}>
+          <PlanReport ref={reportRef} plan={plan} sections={sections} includeTables={includeTables} />
+        </div>
+      )}
+    </Card>
+  );
+}
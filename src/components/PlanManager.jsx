@@ -0,0 +1,134 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { useTranslation } from "react-i18next";
+import { Save, FolderOpen, Copy, Pencil, Trash2, Check, X, RefreshCcw } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { listPlans, savePlan, renamePlan, duplicatePlan, deletePlan } from "../lib/planStore";
+
+// Named plans stored locally in IndexedDB: save the current planner state,
+// then load, overwrite, rename, duplicate or delete saved plans.
+export default function PlanManager({ currentPlan, onLoad, autosavedAt }) {
+  const { t, i18n } = useTranslation();
+  const [plans, setPlans] = useState([]);
+  const [name, setName] = useState("");
+  const [editing, setEditing] = useState(null); // { id, name }
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setPlans(await listPlans());
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const run = async (action) => {
+    try {
+      await action();
+      await refresh();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSave = () => run(async () => {
+    await savePlan({ name: name || t('plans.untitled'), plan: currentPlan });
+    setName("");
+  });
+
+  const handleRename = () => run(async () => {
+    await renamePlan(editing.id, editing.name);
+    setEditing(null);
+  });
+
+  const handleDelete = (plan) => {
+    if (!window.confirm(t('plans.confirmDelete', { name: plan.name }))) return;
+    run(() => deletePlan(plan.id));
+  };
+
+  const formatTime = (ts) => new Date(ts).toLocaleString(i18n.resolvedLanguage || undefined, { dateStyle: "medium", timeStyle: "short" });
+
+  return (
+    <Card className="rounded-2xl card-enhanced glass mb-4 sm:mb-6">
+      <CardHeader>
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <CardTitle className="text-gradient text-lg sm:text-xl">{t('plans.title')}</CardTitle>
+          {autosavedAt && (
+            <span className="text-xs text-gray-400">{t('plans.autosaved', { time: formatTime(autosavedAt) })}</span>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent className="grid gap-3 sm:gap-4">
+        <div className="flex flex-col sm:flex-row gap-2">
+          <Input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && handleSave()}
+            placeholder={t('plans.namePlaceholder')}
+            className="input-enhanced focus-enhanced text-sm sm:text-base"
+          />
+          <Button onClick={handleSave} className="rounded-2xl text-sm sm:text-base">
+            <Save className="h-4 w-4 mr-2" />
+            {t('plans.saveCurrent')}
+          </Button>
+        </div>
+
+        {error && <div className="text-xs sm:text-sm text-red-400">{t('plans.error', { message: error })}</div>}
+
+        {plans.length === 0 ? (
+          <div className="text-xs sm:text-sm text-gray-400">{t('plans.empty')}</div>
+        ) : (
+          <ul className="grid gap-2">
+            {plans.map((plan) => (
+              <li key={plan.id} className="flex flex-col sm:flex-row sm:items-center gap-2 rounded-xl border border-white/10 bg-black/20 p-2 sm:p-3">
+                {editing?.id === plan.id ? (
+                  <div className="flex flex-1 gap-2">
+                    <Input
+                      value={editing.name}
+                      onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                      onKeyDown={(e) => e.key === "Enter" && handleRename()}
+                      className="h-8 text-sm"
+                      autoFocus
+                    />
+                    <Button variant="ghost" size="sm" onClick={handleRename} aria-label={t('plans.rename')}><Check className="h-4 w-4" /></Button>
+                    <Button variant="ghost" size="sm" onClick={() => setEditing(null)} aria-label={t('plans.cancel')}><X className="h-4 w-4" /></Button>
+                  </div>
+                ) : (
+                  <div className="flex-1 min-w-0">
+                    <div className="text-sm sm:text-base text-white truncate">{plan.name}</div>
+                    <div className="text-xs text-gray-400">{t('plans.updated', { time: formatTime(plan.updatedAt) })}</div>
+                  </div>
+                )}
+                <div className="flex flex-wrap gap-1">
+                  <Button variant="ghost" size="sm" onClick={() => onLoad(plan.plan)} className="text-xs">
+                    <FolderOpen className="h-3.5 w-3.5 mr-1" />
+                    {t('plans.load')}
+                  </Button>
+                  <Button variant="ghost" size="sm" onClick={() => run(() => savePlan({ id: plan.id, name: plan.name, plan: currentPlan }))} className="text-xs">
+                    <RefreshCcw className="h-3.5 w-3.5 mr-1" />
+                    {t('plans.overwrite')}
+                  </Button>
+                  <Button variant="ghost" size="sm" onClick={() => setEditing({ id: plan.id, name: plan.name })} aria-label={t('plans.rename')}>
+                    <Pencil className="h-3.5 w-3.5" />
+                  </Button>
+                  <Button variant="ghost" size="sm" onClick={() => run(() => duplicatePlan(plan.id, t('plans.copyOf', { name: plan.name })))} aria-label={t('plans.duplicate')}>
+                    <Copy className="h-3.5 w-3.5" />
+                  </Button>
+                  <Button variant="ghost" size="sm" onClick={() => handleDelete(plan)} aria-label={t('plans.delete')}>
+                    <Trash2 className="h-3.5 w-3.5" />
+                  </Button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
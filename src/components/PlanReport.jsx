@@ -0,0 +1,502 @@
+import React, { forwardRef } from "react";
+import { useTranslation } from "react-i18next";
+import { LineChart, Line, AreaChart, Area, XAxis, YAxis, CartesianGrid, Legend } from "recharts";
+import { useCurrency } from "../context/CurrencyContext";
+import { ASSET_CLASSES, compareFundPlans, TAX_JURISDICTIONS } from "../lib/finance";
+import { planResults } from "../lib/planResults";
+
+// Printable rendering of a plan for the PDF export. Results come from the
+// same planResults selectors the tabs use, so the report always matches
+// what was on screen.
+// Each section carries `data-report-section` so the exporter can rasterize
+// and paginate it as a unit; text is rendered by the browser, so Hindi and
+// Gujarati come out with the same fonts as the app.
+
+const CHART_WIDTH = 700;
+const CHART_HEIGHT = 240;
+const axisTick = { fill: "#4b5563", fontSize: 11 };
+
+const KeyValues = ({ title, items }) => (
+  <div>
+    <h3 className="text-sm font-semibold text-gray-700 mb-1">{title}</h3>
+    <table className="w-full text-sm">
+      <tbody>
+        {items.map(([label, value]) => (
+          <tr key={label} className="border-b border-gray-200">
+            <td className="py-1 pr-2 text-gray-600">{label}</td>
+            <td className="py-1 text-right font-semibold text-gray-900">{value}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+const Section = ({ title, inputs, results, children }) => {
+  const { t } = useTranslation();
+  return (
+    <section data-report-section className="bg-white px-8 py-5">
+      <h2 className="text-xl font-bold text-blue-800 border-l-4 border-blue-500 pl-3 mb-3">{title}</h2>
+      <div className="grid grid-cols-2 gap-6 mb-3">
+        <KeyValues title={t('report.inputs')} items={inputs} />
+        <KeyValues title={t('report.results')} items={results} />
+      </div>
+      {children}
+    </section>
+  );
+};
+
+const DataTable = ({ columns, rows }) => (
+  <table className="w-full text-xs mt-3 border border-gray-200">
+    <thead className="bg-gray-100">
+      <tr>
+        {columns.map((c, i) => (
+          <th key={c.label} className={`px-2 py-1 font-semibold text-gray-700 ${i === 0 ? "text-left" : "text-right"}`}>{c.label}</th>
+        ))}
+      </tr>
+    </thead>
+    <tbody>
+      {rows.map((row, r) => (
+        <tr key={r} className="border-t border-gray-200">
+          {columns.map((c, i) => (
+            <td key={c.label} className={`px-2 py-0.5 text-gray-900 ${i === 0 ? "" : "text-right"}`}>{c.render(row)}</td>
+          ))}
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+const PlanReport = forwardRef(function PlanReport({ plan, sections, includeTables = true }, ref) {
+  const { t } = useTranslation();
+  const { formatMoney, formatMoneyIn, activeCurrency } = useCurrency();
+  const include = (id) => sections.includes(id);
+  const yrs = (v) => `${v} ${t('common.years')}`;
+  const pct = (v) => `${v}%`;
+  const money = (v) => formatMoney(v);
+  const yAxis = <YAxis tickFormatter={(v) => `${(v / 1e5).toFixed(0)}L`} tick={axisTick} width={50} />;
+  const xAxis = <XAxis dataKey="year" tick={axisTick} />;
+  const grid = <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />;
+
+  const { sip, ls, stp, ret, swp, loan, cagr, goal, taxInputs, xirrFlows } = plan;
+
+  const showReal = plan.realView.mode === "real";
+  const { costs } = plan;
+  const results = planResults(plan);
+  const { costRates, risk, glide, rebalance, goals: goalsPlan, goalSip } = results;
+  const sipInput = results.sip.input;
+  const sipRows = results.sip.rows;
+  const sipLast = { ...(sipRows.at(-1) || { realValue: 0, realInvested: 0 }), value: results.sip.value, invested: results.sip.invested };
+  const lsInput = results.ls.input;
+  const lsRows = results.ls.rows;
+  const lsFV = results.ls.value;
+  // Inflation input and today's-money results, only in the real view
+  const realInputs = showReal ? [[t('realValue.inflation'), pct(plan.realView.inflation)]] : [];
+  // Cost inputs and the direct vs regular outcome, only when costs are on
+  const costInputs = costRates ? [
+    [t('costs.plan'), t(`costs.plans.${costs.plan}`)],
+    [t('costs.annualFee'), pct(costRates.annualFeePct)],
+    [t('costs.transactionCost'), pct(costRates.transactionCostPct)],
+    [t('costs.exitLoad'), pct(costRates.exitLoadPct)],
+    [t('costs.exitLoadMonths'), costRates.exitLoadMonths],
+  ] : [];
+  const costResults = (kind, input) => {
+    if (!costRates) return [];
+    const plans = compareFundPlans(kind, input, costs);
+    return [
+      [`${t('costs.columns.direct')}: ${t('costs.lines.finalValue')}`, money(Math.round(plans.direct.netValue))],
+      [`${t('costs.columns.regular')}: ${t('costs.lines.finalValue')}`, money(Math.round(plans.regular.netValue))],
+      [`${t('costs.columns.direct')}: ${t('costs.lines.feesTotal')}`, money(Math.round(plans.direct.fees.total))],
+      [`${t('costs.columns.regular')}: ${t('costs.lines.feesTotal')}`, money(Math.round(plans.regular.fees.total))],
+    ];
+  };
+  const { swr: retSWR, finite: retFinite, rows: retRows, plan: retPlan } = results.ret;
+  const cagrPct = results.cagr;
+  const glideEnd = glide[glide.length - 1];
+  const jurisdiction = plan.taxJurisdiction;
+  const taxMoney = (v) => formatMoneyIn(v, TAX_JURISDICTIONS[jurisdiction].currency);
+  const tax = results.tax.india;
+  const taxPack = results.tax.pack;
+  const taxLine = (key) => taxPack.scenarios[0].lines.find((l) => l.key === key)?.amount ?? 0;
+  const xirrResult = results.xirr;
+
+  const stpResult = results.stp;
+  const swpResult = results.swp.summary;
+  const swpYears = results.swp.yearly;
+  const { summary: loanResult, comparison: loanVsInvest } = results.loan;
+  // Years with a payment; the baseline without prepayments can run longer
+  const loanYears = results.loan.yearly.slice(0, Math.ceil(loanResult.months / 12) + 1);
+  const loanTenure = (months) => t('loan.tenureValue', { years: Math.floor(months / 12), months: months % 12 });
+
+  const growthColumns = [
+    { label: t('breakdown.year'), render: (r) => r.year },
+    { label: t('breakdown.invested'), render: (r) => money(r.invested) },
+    { label: t('breakdown.interest'), render: (r) => money(r.value - r.invested) },
+    { label: t('breakdown.totalValue'), render: (r) => money(r.value) },
+  ];
+
+  return (
+    <div ref={ref} style={{ width: 794 }} className="bg-white text-gray-900">
+      <section data-report-section className="bg-white px-8 pt-8 pb-4">
+        <div className="text-center border-b-4 border-blue-500 pb-4 mb-4">
+          <h1 className="text-3xl font-bold text-blue-800">{t('report.title')}</h1>
+          <p className="text-sm text-gray-500 mt-1">{t('header.subtitle')}</p>
+        </div>
+        <div className="flex justify-between rounded-lg bg-gray-100 px-4 py-2 text-sm">
+          <span><strong>{t('report.date')}:</strong> {new Date().toLocaleDateString(activeCurrency.locale, { year: "numeric", month: "long", day: "numeric" })}</span>
+          <span><strong>{t('breakdown.currency')}:</strong> {activeCurrency.code} ({activeCurrency.symbol})</span>
+        </div>
+      </section>
+
+      {include("sip") && (
+        <Section
+          title={t('sip.title')}
+          inputs={[
+            [t('sip.monthlyInvestment'), money(sip.monthly)],
+            [t('sip.expectedReturn'), pct(sip.annualReturn)],
+            [t('sip.investmentHorizon'), yrs(sip.years)],
+            ...(sip.stepUpType !== "none" ? [[t('sip.stepUp'), sip.stepUpType === "percent" ? `${sip.stepUpValue}%` : money(sip.stepUpValue)]] : []),
+            ...realInputs,
+            ...costInputs,
+          ]}
+          results={[
+            [t('sip.futureValue'), money(sipLast.value)],
+            [t('sip.totalInvested'), money(sipLast.invested)],
+            [t('sip.wealthGain'), money(Math.max(0, sipLast.value - sipLast.invested))],
+            ...(showReal ? [
+              [t('realValue.futureValueReal'), money(sipLast.realValue)],
+              [t('realValue.gainReal'), money(Math.max(0, sipLast.realValue - sipLast.realInvested))],
+            ] : []),
+            ...costResults("sip", sipInput),
+          ]}
+        >
+          <AreaChart width={CHART_WIDTH} height={CHART_HEIGHT} data={sipRows}>
+            {grid}{xAxis}{yAxis}
+            <Area isAnimationActive={false} type="monotone" dataKey="invested" name={t('breakdown.invested')} stroke="#3b82f6" fill="#bfdbfe" />
+            <Area isAnimationActive={false} type="monotone" dataKey="value" name={t('breakdown.totalValue')} stroke="#059669" fill="#a7f3d0" fillOpacity={0.6} />
+            {showReal && <Area isAnimationActive={false} type="monotone" dataKey="realValue" name={t('realValue.realSeries')} stroke="#7c3aed" fill="none" />}
+            <Legend />
+          </AreaChart>
+          {includeTables && <DataTable columns={growthColumns} rows={sipRows} />}
+        </Section>
+      )}
+
+      {include("lumpsum") && (
+        <Section
+          title={t('lumpsum.title')}
+          inputs={[
+            [t('lumpsum.principal'), money(ls.principal)],
+            [t('lumpsum.expectedReturn'), pct(ls.annualReturn)],
+            [t('common.years'), yrs(ls.years)],
+            ...realInputs,
+            ...costInputs,
+          ]}
+          results={[
+            [t('sip.futureValue'), money(lsFV)],
+            [t('sip.wealthGain'), money(Math.max(0, lsFV - ls.principal))],
+            ...(showReal ? [
+              [t('realValue.futureValueReal'), money(lsRows.at(-1)?.realValue ?? 0)],
+              [t('realValue.gainReal'), money(Math.max(0, (lsRows.at(-1)?.realValue ?? 0) - ls.principal))],
+            ] : []),
+            ...costResults("lumpsum", lsInput),
+          ]}
+        >
+          <LineChart width={CHART_WIDTH} height={CHART_HEIGHT} data={lsRows}>
+            {grid}{xAxis}{yAxis}
+            <Line isAnimationActive={false} type="monotone" dataKey="value" name={t('breakdown.totalValue')} stroke="#0284c7" strokeWidth={2} dot={false} />
+            {showReal && <Line isAnimationActive={false} type="monotone" dataKey="realValue" name={t('realValue.realSeries')} stroke="#7c3aed" strokeWidth={2} dot={false} />}
+            <Legend />
+          </LineChart>
+          {includeTables && <DataTable columns={growthColumns} rows={lsRows} />}
+        </Section>
+      )}
+
+      {include("stp") && stp.lumpSum > 0 && (
+        <Section
+          title={t('stp.title')}
+          inputs={[
+            [t('stp.lumpSum'), money(stp.lumpSum)],
+            [t('stp.sourceReturn'), pct(stp.sourceReturn)],
+            [t('stp.targetReturn'), pct(stp.targetReturn)],
+            [t('stp.transfer'), `${money(stp.transfer)} / ${t(`stp.frequencies.${stp.frequency}`)}`],
+            [t('stp.horizon'), yrs(stp.years)],
+          ]}
+          results={[
+            [t('stp.sourceBalance'), money(Math.round(stpResult.rows.at(-1)?.source ?? 0))],
+            [t('stp.targetBalance'), money(Math.round(stpResult.rows.at(-1)?.target ?? 0))],
+            [t('stp.stpValue'), money(Math.round(stpResult.finalValue))],
+            [t('stp.lumpSumValue'), money(Math.round(stpResult.lumpSumValue))],
+          ]}
+        >
+          <AreaChart width={CHART_WIDTH} height={CHART_HEIGHT} data={stpResult.yearly}>
+            {grid}{xAxis}{yAxis}
+            <Area isAnimationActive={false} type="monotone" dataKey="source" name={t('stp.sourceFund')} stackId="stp" stroke="#3b82f6" fill="#bfdbfe" />
+            <Area isAnimationActive={false} type="monotone" dataKey="target" name={t('stp.targetFund')} stackId="stp" stroke="#059669" fill="#a7f3d0" />
+            <Area isAnimationActive={false} type="monotone" dataKey="lumpSum" name={t('stp.lumpSumDayOne')} stroke="#d97706" strokeDasharray="5 5" fill="none" />
+            <Legend />
+          </AreaChart>
+        </Section>
+      )}
+
+      {include("retirement") && (
+        <Section
+          title={t('retirement.title')}
+          inputs={[
+            [t('retirement.monthlyExpense'), money(ret.expenseMonthly)],
+            [t('retirement.inflation'), pct(ret.inflation)],
+            [t('retirement.yearsToRetirement'), yrs(ret.yearsToRetire)],
+            [t('retirement.yearsInRetirement'), yrs(ret.yearsInRetirement)],
+            [t('retirement.postRetirementReturn'), pct(ret.postRetReturn)],
+            [t('retirement.safeWithdrawalRate'), pct(ret.swr)],
+            [t('retirement.currentSavings'), money(ret.currentSavings)],
+            [t('retirement.monthlyContribution'), money(ret.monthlyContribution)],
+            [t('retirement.preRetirementReturn'), pct(ret.preRetReturn)],
+          ]}
+          results={[
+            [t('retirement.annualExpenseAtRetirement'), money(retSWR.annualExpenseAtRetire)],
+            [t('retirement.corpusSWR'), money(retSWR.corpus)],
+            [t('retirement.corpusFinite', { years: ret.yearsInRetirement }), money(retFinite.corpus)],
+            [t('retirement.projectedCorpus'), money(retPlan.projectedCorpus)],
+            [retPlan.gap > 0 ? t('retirement.shortfall') : t('retirement.surplus'), money(Math.abs(retPlan.gap))],
+            [t('retirement.additionalSip'), isFinite(retPlan.additionalMonthlySIP) ? money(retPlan.additionalMonthlySIP) : "—"],
+          ]}
+        >
+          <LineChart width={CHART_WIDTH} height={CHART_HEIGHT} data={retRows}>
+            {grid}{xAxis}{yAxis}
+            <Line isAnimationActive={false} type="monotone" dataKey="corpus" name={t('breakdown.corpus')} stroke="#059669" strokeWidth={2} dot={false} />
+            <Line isAnimationActive={false} type="monotone" dataKey="expenses" name={t('breakdown.expenses')} stroke="#dc2626" strokeWidth={2} dot={false} />
+            <Legend />
+          </LineChart>
+          {includeTables && (
+            <DataTable
+              columns={[
+                { label: t('breakdown.year'), render: (r) => r.year },
+                { label: t('breakdown.expenses'), render: (r) => money(r.expenses) },
+                { label: t('breakdown.corpus'), render: (r) => money(r.corpus) },
+              ]}
+              rows={retRows}
+            />
+          )}
+        </Section>
+      )}
+
+      {include("swp") && swp.corpus > 0 && (
+        <Section
+          title={t('swp.title')}
+          inputs={[
+            [t('swp.corpus'), money(swp.corpus)],
+            [t('swp.withdrawal'), `${money(swp.withdrawal)} / ${t(`swp.frequencies.${swp.frequency}`)}`],
+            [t('swp.indexation'), swp.indexation === "inflation" ? `${t('swp.inflationIndexed')} (${pct(swp.inflation)})` : t('swp.fixed')],
+            [t('swp.expectedReturn'), pct(swp.annualReturn)],
+            [t('swp.duration'), yrs(swp.years)],
+          ]}
+          results={[
+            [t('swp.totalWithdrawn'), money(Math.round(swpResult.totalWithdrawn))],
+            [t('swp.finalBalance'), money(Math.round(swpResult.finalBalance))],
+            [t('swp.lasts'), swpResult.depletionMonth === null ? t('swp.indefinitely') : t('swp.durationValue', { years: Math.floor(swpResult.depletionMonth / 12), months: swpResult.depletionMonth % 12 })],
+            [t('swp.maxWithdrawal'), money(Math.floor(swpResult.maxWithdrawal))],
+          ]}
+        >
+          <LineChart width={CHART_WIDTH} height={CHART_HEIGHT} data={swpYears}>
+            {grid}{xAxis}{yAxis}
+            <Line isAnimationActive={false} type="monotone" dataKey="balance" name={t('breakdown.balance')} stroke="#059669" strokeWidth={2} dot={false} />
+            <Legend />
+          </LineChart>
+          {includeTables && (
+            <DataTable
+              columns={[
+                { label: t('breakdown.year'), render: (r) => r.year },
+                { label: t('breakdown.withdrawal'), render: (r) => money(Math.round(r.withdrawal)) },
+                { label: t('breakdown.balance'), render: (r) => money(Math.round(r.balance)) },
+              ]}
+              rows={swpYears.slice(1)}
+            />
+          )}
+        </Section>
+      )}
+
+      {include("loan") && loan.principal > 0 && (
+        <Section
+          title={t('loan.title')}
+          inputs={[
+            [t('loan.principal'), money(loan.principal)],
+            [t('loan.interestRate'), pct(loan.annualRate)],
+            [t('loan.tenure'), yrs(loan.years)],
+            ...(loanResult.totalPrepaid > 0 ? [
+              [t('loan.prepayMode'), t(`loan.prepayModes.${loan.prepayMode}`)],
+              [t('loan.investReturn'), pct(loan.investReturn)],
+            ] : []),
+          ]}
+          results={[
+            [t('loan.emi'), money(Math.round(loanResult.emi))],
+            [t('loan.totalInterest'), money(Math.round(loanResult.totalInterest))],
+            [t('loan.actualTenure'), loanTenure(loanResult.months)],
+            ...(loanResult.totalPrepaid > 0 ? [
+              [t('loan.totalPrepaid'), money(Math.round(loanResult.totalPrepaid))],
+              [t('loan.interestSaved'), money(Math.round(loanResult.interestSaved))],
+              [t('loan.prepayCorpus'), money(Math.round(loanVsInvest.prepayCorpus))],
+              [t('loan.investCorpus'), money(Math.round(loanVsInvest.investCorpus))],
+            ] : []),
+          ]}
+        >
+          <LineChart width={CHART_WIDTH} height={CHART_HEIGHT} data={loanYears}>
+            {grid}{xAxis}{yAxis}
+            <Line isAnimationActive={false} type="monotone" dataKey="balance" name={t('breakdown.balance')} stroke="#dc2626" strokeWidth={2} dot={false} />
+            <Legend />
+          </LineChart>
+          {includeTables && (
+            <DataTable
+              columns={[
+                { label: t('breakdown.year'), render: (r) => r.year },
+                { label: t('breakdown.interest'), render: (r) => money(Math.round(r.interest)) },
+                { label: t('breakdown.principal'), render: (r) => money(Math.round(r.principal)) },
+                { label: t('breakdown.prepayment'), render: (r) => money(Math.round(r.prepayment)) },
+                { label: t('breakdown.balance'), render: (r) => money(Math.round(r.balance)) },
+              ]}
+              rows={loanYears.slice(1)}
+            />
+          )}
+        </Section>
+      )}
+
+      {include("cagr") && (
+        <Section
+          title={t('cagr.title')}
+          inputs={[
+            [t('cagr.initialValue'), money(cagr.initial)],
+            [t('cagr.finalValue'), money(cagr.final)],
+            [t('common.years'), yrs(cagr.years)],
+          ]}
+          results={[
+            [t('tabs.cagr'), `${cagrPct.toFixed(2)}% p.a.`],
+            [t('cagr.growthMultiple'), `× ${(cagr.final / Math.max(1, cagr.initial)).toFixed(2)}`],
+          ]}
+        />
+      )}
+
+      {include("allocation") && (
+        <Section
+          title={t('allocation.title')}
+          inputs={[
+            [t('allocation.age'), plan.age],
+            [t('allocation.rule'), t(`allocation.rules.${plan.rule}`)],
+            [t('allocation.retirementAge'), plan.allocation.retirementAge],
+            ...(risk.profile ? [[t('risk.profile'), `${t(`risk.profiles.${risk.profile.id}`)} (${t('risk.score', { score: risk.score, max: risk.maxScore })})`]] : []),
+          ]}
+          results={[
+            ...ASSET_CLASSES.map((id) => [t(`glide.assets.${id}`), `${glide[0][id]}%`]),
+            [t('glide.expectedReturn'), `${glide[0].expectedReturnPct}% → ${glideEnd.expectedReturnPct}% (${t('glide.ageN', { age: glideEnd.age })})`],
+            ...rebalance.rows.filter((r) => r.trade !== 0).map((r) => [
+              `${t('rebalance.title')}: ${t(`glide.assets.${r.id}`)}`,
+              t(r.trade > 0 ? 'rebalance.buy' : 'rebalance.sell', { amount: money(Math.abs(r.trade)) }),
+            ]),
+            [t('rebalance.taxImpact'), money(rebalance.totals.tax)],
+          ]}
+        >
+          <AreaChart width={CHART_WIDTH} height={220} data={glide}>
+            {grid}
+            <XAxis dataKey="age" tick={axisTick} />
+            <YAxis domain={[0, 100]} tick={axisTick} tickFormatter={(v) => `${v}%`} />
+            <Area isAnimationActive={false} type="monotone" dataKey="domesticEquity" stackId="a" name={t('glide.assets.domesticEquity')} stroke="#3b82f6" fill="#3b82f6" />
+            <Area isAnimationActive={false} type="monotone" dataKey="internationalEquity" stackId="a" name={t('glide.assets.internationalEquity')} stroke="#8b5cf6" fill="#8b5cf6" />
+            <Area isAnimationActive={false} type="monotone" dataKey="debt" stackId="a" name={t('glide.assets.debt')} stroke="#10b981" fill="#10b981" />
+            <Area isAnimationActive={false} type="monotone" dataKey="gold" stackId="a" name={t('glide.assets.gold')} stroke="#f59e0b" fill="#f59e0b" />
+            <Area isAnimationActive={false} type="monotone" dataKey="cash" stackId="a" name={t('glide.assets.cash')} stroke="#9ca3af" fill="#9ca3af" />
+            <Legend />
+          </AreaChart>
+        </Section>
+      )}
+
+      {include("tax") && taxPack && (
+        <Section
+          title={`${t('advanced.taxModelling.title')} – ${t(`taxPacks.names.${jurisdiction}`)}`}
+          inputs={[
+            [t('taxPacks.lines.grossIncome'), taxMoney(taxLine("grossIncome"))],
+            [t('taxPacks.lines.taxableIncome'), taxMoney(taxLine("taxableIncome"))],
+          ]}
+          results={[
+            ...taxPack.scenarios.map((sc) => [t(`taxPacks.scenarios.${sc.id}`), taxMoney(sc.totalTax)]),
+            ...(taxPack.recommended ? [[t('advanced.taxModelling.recommended'), `${t(`taxPacks.scenarios.${taxPack.recommended}`)} (−${taxMoney(taxPack.savings)})`]] : []),
+          ]}
+        />
+      )}
+
+      {include("tax") && !taxPack && (
+        <Section
+          title={t('advanced.taxModelling.title')}
+          inputs={[
+            [t('advanced.taxModelling.financialYear'), `FY ${taxInputs.fy}`],
+            [t('advanced.taxModelling.salaryIncome'), taxMoney(taxInputs.salaryIncome)],
+            [t('advanced.taxModelling.otherIncome'), taxMoney(taxInputs.otherIncome)],
+            [t('advanced.taxModelling.ltcgEquities'), taxMoney(taxInputs.ltcgGain)],
+            [t('advanced.taxModelling.stcgEquities'), taxMoney(taxInputs.stcgGain)],
+            [t('advanced.taxModelling.deductions'), taxMoney(tax.old.deductions.total)],
+          ]}
+          results={[
+            [t('advanced.taxModelling.oldRegime'), taxMoney(tax.old.totalTax)],
+            [t('advanced.taxModelling.newRegime'), taxMoney(tax.new.totalTax)],
+            [t('advanced.taxModelling.recommended'), `${t(`advanced.taxModelling.${tax.recommended}Regime`)} (−${taxMoney(tax.savings)})`],
+          ]}
+        />
+      )}
+
+      {include("xirr") && (
+        <Section
+          title={t('advanced.xirr.title')}
+          inputs={xirrFlows.map((f, i) => [`${i + 1}. ${f.date}`, money(f.amount)])}
+          results={[["XIRR", xirrResult.error ? "—" : `${(xirrResult.rate * 100).toFixed(2)}%`]]}
+        >
+          {xirrResult.error && <p className="text-sm text-red-700">{t(`advanced.xirr.errors.${xirrResult.error}`)}</p>}
+          {xirrResult.roots.length > 1 && (
+            <p className="text-sm text-amber-700">
+              {t('advanced.xirr.multipleRoots', { rates: xirrResult.roots.map((r) => `${(r * 100).toFixed(2)}%`).join(", ") })}
+            </p>
+          )}
+        </Section>
+      )}
+
+      {include("goal") && (
+        <Section
+          title={t('advanced.goalSip.title')}
+          inputs={[
+            [t('advanced.goalSip.targetAmount'), money(goal.target)],
+            [t('advanced.goalSip.yearsToGoal'), yrs(goal.years)],
+            [t('advanced.goalSip.expectedReturn'), pct(goal.expectedReturn)],
+            [t('advanced.goalSip.existingCorpus'), money(goal.existingCorpus)],
+            [t('advanced.goalSip.existingLumpsum'), money(goal.lumpsum)],
+          ]}
+          results={[[t('advanced.goalSip.monthlySip'), money(Math.max(0, Math.round(goalSip)))]]}
+        />
+      )}
+
+      {include("goals") && plan.multiGoals.list.length > 0 && (
+        <Section
+          title={t('goals.title')}
+          inputs={[
+            ...goalsPlan.goals.map((g) => [
+              `${g.name || t(`goals.kinds.${g.kind}`)} (${g.targetYear}, ${t(`goals.priorities.${g.priority}`)})`,
+              `${money(g.costToday)} @ ${pct(g.inflationPct)}`,
+            ]),
+            [t('goals.monthlyBudget'), plan.multiGoals.monthlyBudget > 0 ? money(plan.multiGoals.monthlyBudget) : "—"],
+          ]}
+          results={[
+            ...goalsPlan.goals.map((g) => [
+              `${g.name || t(`goals.kinds.${g.kind}`)}: ${money(Math.round(g.futureCost))}`,
+              `${t('goals.perMonth', { amount: money(Math.round(g.allocatedMonthly)) })} · ${t('goals.fundedPct', { pct: g.fundedPct.toFixed(0) })}`,
+            ]),
+            [t('goals.totalAllocated'), money(Math.round(goalsPlan.totalAllocated))],
+            [t('goals.shortfall'), money(Math.round(goalsPlan.shortfall))],
+          ]}
+        />
+      )}
+
+      <section data-report-section className="bg-white px-8 py-5">
+        <p className="text-xs text-gray-500 border-t-2 border-gray-200 pt-3">
+          <strong>{t('report.disclaimerTitle')}:</strong> {t('report.disclaimer')}
+        </p>
+      </section>
+    </div>
+  );
+});
+
+export default PlanReport;
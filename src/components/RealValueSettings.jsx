@@ -0,0 +1,31 @@
+import React from "react";
+import { useTranslation } from "react-i18next";
+import { Input } from "./ui/input";
+import { Field } from "./ui/field";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "./ui/select";
+import { num } from "../lib/finance";
+
+// Nominal/real toggle shared by the SIP and Lump Sum tabs. In the real view
+// results are shown in today's money at the given inflation rate.
+export default function RealValueSettings({ value, onChange }) {
+  const { t } = useTranslation();
+
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 sm:gap-4 rounded-2xl border border-white/10 bg-black/20 p-3 sm:p-4">
+      <Field label={t('realValue.view')} hint={t('realValue.hint')}>
+        <Select value={value.mode} onValueChange={(v) => onChange({ ...value, mode: v })}>
+          <SelectTrigger className="text-sm sm:text-base">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="nominal">{t('realValue.nominal')}</SelectItem>
+            <SelectItem value="real">{t('realValue.real')}</SelectItem>
+          </SelectContent>
+        </Select>
+      </Field>
+      <Field label={t('realValue.inflation')}>
+        <Input type="number" step="0.1" value={value.inflation} onChange={(e) => onChange({ ...value, inflation: num(e.target.value) })} className="input-enhanced focus-enhanced text-base" />
+      </Field>
+    </div>
+  );
+}
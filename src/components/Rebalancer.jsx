@@ -0,0 +1,100 @@
+import React, { useMemo } from "react";
+import { useTranslation } from "react-i18next";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import { Input } from "./ui/input";
+import { Field } from "./ui/field";
+import { Metric } from "./ui/metric";
+import { useCurrency } from "../context/CurrencyContext";
+import { ASSET_CLASSES, num } from "../lib/finance";
+import { rebalanceResults } from "../lib/planResults";
+
+// Trades from current holdings to the target allocation (today's row of the
+// glide path), with realised gains and the tax on any sells.
+export default function Rebalancer({ value, onChange, targetPct }) {
+  const { t } = useTranslation();
+  const { formatMoney, activeCurrency } = useCurrency();
+  const s = activeCurrency.symbol;
+  const plan = useMemo(() => rebalanceResults(value, targetPct), [value, targetPct]);
+  const setClassValue = (field, id, v) => onChange({ ...value, [field]: { ...value[field], [id]: num(v) } });
+
+  const tradeLabel = (trade) => {
+    if (trade === 0) return t('rebalance.hold');
+    return t(trade > 0 ? 'rebalance.buy' : 'rebalance.sell', { amount: formatMoney(Math.abs(trade)) });
+  };
+
+  const th = "px-2 py-1 sm:px-4 sm:py-2 text-gray-400 font-medium";
+  const td = "px-2 py-1 sm:px-4 sm:py-2";
+
+  return (
+    <Card className="lg:col-span-5 rounded-2xl card-enhanced glass animate-fade-in-up">
+      <CardHeader>
+        <CardTitle className="text-gradient text-lg sm:text-xl">{t('rebalance.title')}</CardTitle>
+      </CardHeader>
+      <CardContent className="grid gap-4 sm:gap-6">
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 sm:gap-4 items-end">
+          <Field label={`${t('rebalance.contribution')} (${s})`}>
+            <Input type="number" value={value.contribution} onChange={(e) => onChange({ ...value, contribution: num(e.target.value) })} className="input-enhanced focus-enhanced text-base" />
+          </Field>
+          <Field label={`${t('rebalance.equityExemption')} (${s})`}>
+            <Input type="number" value={value.equityExemption} onChange={(e) => onChange({ ...value, equityExemption: num(e.target.value) })} className="input-enhanced focus-enhanced text-base" />
+          </Field>
+          <label className="flex items-center gap-2 text-sm text-gray-200 cursor-pointer pb-2">
+            <input type="checkbox" checked={value.contributionsOnly} onChange={(e) => onChange({ ...value, contributionsOnly: e.target.checked })} className="accent-blue-500" />
+            {t('rebalance.contributionsOnly')}
+          </label>
+        </div>
+
+        <div className="overflow-x-auto rounded-xl border border-white/10 bg-black/20">
+          <table className="w-full text-xs sm:text-sm">
+            <thead className="border-b border-white/10">
+              <tr>
+                <th className={`${th} text-left`}>{t('rebalance.assetClass')}</th>
+                <th className={`${th} text-left`}>{t('rebalance.holding')} ({s})</th>
+                <th className={`${th} text-left`}>{t('rebalance.costBasis')} ({s})</th>
+                <th className={`${th} text-left`}>{t('rebalance.gainsTaxPct')}</th>
+                <th className={`${th} text-right`}>{t('rebalance.currentPct')}</th>
+                <th className={`${th} text-right`}>{t('rebalance.targetPct')}</th>
+                <th className={`${th} text-right`}>{t('rebalance.trade')}</th>
+                <th className={`${th} text-right`}>{t('rebalance.afterPct')}</th>
+                <th className={`${th} text-right`}>{t('rebalance.tax')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {plan.rows.map((r) => (
+                <tr key={r.id} className="border-b border-white/5">
+                  <td className={`${td} text-white whitespace-nowrap`}>{t(`glide.assets.${r.id}`)}</td>
+                  <td className={td}>
+                    <Input type="number" value={value.holdings[r.id]} onChange={(e) => setClassValue("holdings", r.id, e.target.value)} className="input-enhanced focus-enhanced text-sm h-8 min-w-[96px]" />
+                  </td>
+                  <td className={td}>
+                    <Input type="number" value={value.costBasis[r.id]} onChange={(e) => setClassValue("costBasis", r.id, e.target.value)} className="input-enhanced focus-enhanced text-sm h-8 min-w-[96px]" />
+                  </td>
+                  <td className={td}>
+                    <Input type="number" step="0.1" value={value.gainsTaxPct[r.id]} onChange={(e) => setClassValue("gainsTaxPct", r.id, e.target.value)} className="input-enhanced focus-enhanced text-sm h-8 min-w-[64px]" />
+                  </td>
+                  <td className={`${td} text-right font-mono text-gray-300`}>{r.currentPct.toFixed(1)}%</td>
+                  <td className={`${td} text-right font-mono text-gray-300`}>{r.targetPct.toFixed(1)}%</td>
+                  <td className={`${td} text-right font-mono whitespace-nowrap ${r.trade > 0 ? "text-emerald-400" : r.trade < 0 ? "text-red-400" : "text-gray-400"}`}>{tradeLabel(r.trade)}</td>
+                  <td className={`${td} text-right font-mono text-white`}>{r.afterPct.toFixed(1)}%</td>
+                  <td className={`${td} text-right font-mono text-white`}>{formatMoney(r.tax)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="grid grid-cols-2 lg:grid-cols-4 gap-2 sm:gap-3">
+          <Metric label={t('rebalance.totalBuys')} value={formatMoney(plan.totals.buys)} />
+          <Metric label={t('rebalance.totalSells')} value={formatMoney(plan.totals.sells)} sub={t('rebalance.realisedGain', { amount: formatMoney(plan.totals.realisedGain) })} />
+          <Metric label={t('rebalance.taxImpact')} value={formatMoney(plan.totals.tax)} sub={plan.totals.exemptionUsed > 0 ? t('rebalance.exemptionUsed', { amount: formatMoney(plan.totals.exemptionUsed) }) : undefined} />
+          <Metric
+            label={t('rebalance.maxDrift')}
+            value={`${plan.maxDriftPct.toFixed(1)}%`}
+            sub={plan.contributionNeeded === null ? t('rebalance.cannotWithoutSelling') : t('rebalance.contributionNeeded', { amount: formatMoney(plan.contributionNeeded) })}
+          />
+        </div>
+        <div className="text-xs sm:text-sm text-gray-400 leading-relaxed">{t('rebalance.note')}</div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,110 @@
+import React, { useMemo } from "react";
+import { useTranslation } from "react-i18next";
+import { Wand2 } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import { Button } from "./ui/button";
+import { Field } from "./ui/field";
+import { Metric } from "./ui/metric";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "./ui/select";
+import { useCurrency } from "../context/CurrencyContext";
+import { REGIONAL_DEFAULTS } from "../lib/currency";
+import { RISK_QUESTIONS, suggestAllocation, suggestedReturn } from "../lib/finance";
+
+// Risk-profile questionnaire for the Allocation tab. Once every question is
+// answered it shows the profile, how the score was reached and a suggested
+// expected return for each calculator's own horizon, which `onApply` writes
+// back as { [target id]: annualReturnPct }.
+export default function RiskProfileQuiz({ answers, onChange, risk, age, rule, alloc, targets, onApply }) {
+  const { t } = useTranslation();
+  const { currencyCode } = useCurrency();
+  const regional = REGIONAL_DEFAULTS[currencyCode] || REGIONAL_DEFAULTS.INR;
+  const base = suggestAllocation(age, rule);
+
+  const suggestions = useMemo(() => targets.map((target) => ({
+    ...target,
+    ...suggestedReturn({ equityPct: alloc.equity, years: target.years, equityReturnPct: regional.equityReturn, debtReturnPct: regional.debtReturn }),
+  })), [targets, alloc.equity, regional]);
+
+  const apply = () => onApply(Object.fromEntries(suggestions.map((s) => [s.id, s.annualReturnPct])));
+
+  return (
+    <Card className="lg:col-span-5 rounded-2xl card-enhanced glass animate-fade-in-up">
+      <CardHeader>
+        <CardTitle className="text-gradient text-lg sm:text-xl">{t('risk.title')}</CardTitle>
+      </CardHeader>
+      <CardContent className="grid grid-cols-1 lg:grid-cols-2 gap-4 sm:gap-6">
+        <div className="grid gap-3 sm:gap-4 content-start">
+          {RISK_QUESTIONS.map((q) => (
+            <Field key={q.id} label={t(`risk.questions.${q.id}`)}>
+              <Select value={answers[q.id] || undefined} onValueChange={(v) => onChange({ ...answers, [q.id]: v })}>
+                <SelectTrigger className="text-sm sm:text-base">
+                  <SelectValue placeholder={t('risk.choose')} />
+                </SelectTrigger>
+                <SelectContent>
+                  {q.options.map(([id]) => (
+                    <SelectItem key={id} value={id}>{t(`risk.answers.${q.id}.${id}`)}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </Field>
+          ))}
+          <div className="text-xs sm:text-sm text-gray-400 leading-relaxed">{t('risk.ageNote', { age })}</div>
+        </div>
+
+        {!risk.profile ? (
+          <div className="rounded-2xl border border-white/10 bg-black/20 p-3 sm:p-4 text-sm text-gray-400 self-start">{t('risk.incomplete')}</div>
+        ) : (
+          <div className="grid gap-3 sm:gap-4 content-start">
+            <div className="grid grid-cols-2 gap-2 sm:gap-3">
+              <Metric label={t('risk.profile')} value={t(`risk.profiles.${risk.profile.id}`)} sub={t('risk.score', { score: risk.score, max: risk.maxScore })} />
+              <Metric label={t('allocation.equity')} value={`${alloc.equity}%`} sub={t('risk.tilt', { base: base.equity, tilt: `${risk.profile.equityTiltPct >= 0 ? "+" : ""}${risk.profile.equityTiltPct}` })} />
+            </div>
+            <div className="rounded-2xl border border-white/10 bg-black/20 p-3 sm:p-4 text-xs sm:text-sm text-gray-300 leading-relaxed">
+              <div className="mb-2">{t(`risk.explanations.${risk.profile.id}`)}</div>
+              <ul className="grid gap-1">
+                {risk.breakdown.map((b) => (
+                  <li key={b.id} className="flex justify-between gap-2">
+                    <span>{b.id === "age" ? t('risk.ageLine', { age: b.answer }) : `${t(`risk.questions.${b.id}`)} — ${t(`risk.answers.${b.id}.${b.answer}`)}`}</span>
+                    <span className="font-mono text-white">+{b.points}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+            <div className="overflow-x-auto rounded-xl border border-white/10 bg-black/20">
+              <table className="w-full text-xs sm:text-sm">
+                <thead className="border-b border-white/10">
+                  <tr>
+                    <th className="px-2 py-1 sm:px-4 sm:py-2 text-left text-gray-400 font-medium">{t('risk.calculator')}</th>
+                    <th className="px-2 py-1 sm:px-4 sm:py-2 text-left text-gray-400 font-medium">{t('risk.why')}</th>
+                    <th className="px-2 py-1 sm:px-4 sm:py-2 text-right text-gray-400 font-medium">{t('risk.current')}</th>
+                    <th className="px-2 py-1 sm:px-4 sm:py-2 text-right text-gray-400 font-medium">{t('risk.suggested')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {suggestions.map((s) => (
+                    <tr key={s.id} className="border-b border-white/5">
+                      <td className="px-2 py-1 sm:px-4 sm:py-2 text-white">{t(s.labelKey)}</td>
+                      <td className="px-2 py-1 sm:px-4 sm:py-2 text-gray-300">
+                        {t('risk.blend', { equity: s.equity, equityReturn: regional.equityReturn, debt: s.debt, debtReturn: regional.debtReturn })}
+                        {s.horizonCapped && <div className="text-amber-300">{t('risk.capped', { years: s.years })}</div>}
+                      </td>
+                      <td className="px-2 py-1 sm:px-4 sm:py-2 text-right font-mono text-gray-300">{s.current}%</td>
+                      <td className="px-2 py-1 sm:px-4 sm:py-2 text-right font-mono text-white">{s.annualReturnPct}%</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <span className="text-xs text-gray-400">{t('risk.assumptions', { code: currencyCode })}</span>
+              <Button variant="outline" onClick={apply} className="text-sm">
+                <Wand2 className="h-4 w-4 mr-2" />
+                {t('risk.apply')}
+              </Button>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
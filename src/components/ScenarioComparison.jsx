@@ -0,0 +1,169 @@
+import React, { useMemo } from "react";
+import { useTranslation } from "react-i18next";
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, Legend } from "recharts";
+import { Plus, Trash2, Star, Upload } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { useCurrency } from "../context/CurrencyContext";
+import { SCENARIO_MODELS, createScenario } from "../lib/scenarios";
+import { num } from "../lib/finance";
+
+const COLORS = ["#34d399", "#60a5fa", "#fbbf24", "#f87171", "#a78bfa", "#f472b6"];
+const MAX_SCENARIOS = COLORS.length;
+
+// Named what-if scenarios for one calculator tab: each keeps its own inputs,
+// all are overlaid on one chart, and the key metrics are tabulated with
+// deltas against the first (baseline) scenario. `costs` (SIP and Lump Sum
+// only) nets the fund costs out as on the tab itself.
+export default function ScenarioComparison({ kind, current, scenarios, costs, onChange, onLoad }) {
+  const { t } = useTranslation();
+  const { formatMoney } = useCurrency();
+  const model = SCENARIO_MODELS[kind];
+
+  const results = useMemo(() => scenarios.map((sc) => model.compute(sc.inputs, costs)), [scenarios, model, costs]);
+
+  const chartData = useMemo(() => {
+    const byYear = new Map();
+    results.forEach((res, i) => {
+      res.series.forEach(({ year, value }) => {
+        const row = byYear.get(year) || { year };
+        row[scenarios[i].id] = value;
+        byYear.set(year, row);
+      });
+    });
+    return [...byYear.values()].sort((a, b) => a.year - b.year);
+  }, [results, scenarios]);
+
+  const addScenario = () => {
+    if (scenarios.length >= MAX_SCENARIOS) return;
+    onChange([...scenarios, createScenario(t('scenarios.defaultName', { n: scenarios.length + 1 }), current)]);
+  };
+  const update = (id, patch) => onChange(scenarios.map((sc) => (sc.id === id ? { ...sc, ...patch } : sc)));
+  const remove = (id) => onChange(scenarios.filter((sc) => sc.id !== id));
+  const makeBaseline = (id) => onChange([...scenarios.filter((sc) => sc.id === id), ...scenarios.filter((sc) => sc.id !== id)]);
+
+  const formatDelta = (value, base) => {
+    if (!isFinite(value) || !isFinite(base)) return "—";
+    const diff = value - base;
+    const pct = base !== 0 ? ` (${diff >= 0 ? "+" : ""}${((diff / Math.abs(base)) * 100).toFixed(1)}%)` : "";
+    return `${diff >= 0 ? "+" : "−"}${formatMoney(Math.abs(diff))}${pct}`;
+  };
+
+  return (
+    <Card className="lg:col-span-5 rounded-2xl card-enhanced glass">
+      <CardHeader>
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <CardTitle className="text-gradient text-lg sm:text-xl">{t('scenarios.title')}</CardTitle>
+          <Button variant="outline" onClick={addScenario} disabled={scenarios.length >= MAX_SCENARIOS} className="rounded-2xl btn-enhanced glass text-sm">
+            <Plus className="h-4 w-4 mr-1" />
+            {t('scenarios.addCurrent')}
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent className="grid gap-4">
+        {scenarios.length === 0 ? (
+          <div className="text-xs sm:text-sm text-gray-400 leading-relaxed">{t('scenarios.empty')}</div>
+        ) : (
+          <>
+            <div className="grid gap-3">
+              {scenarios.map((sc, i) => (
+                <div key={sc.id} className="grid gap-2 rounded-xl border border-white/10 bg-black/20 p-3">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span className="h-3 w-3 rounded-full" style={{ backgroundColor: COLORS[i] }} />
+                    <Input value={sc.name} onChange={(e) => update(sc.id, { name: e.target.value })} className="h-8 max-w-[220px] text-sm" aria-label={t('scenarios.name')} />
+                    {i === 0 ? (
+                      <span className="text-xs uppercase tracking-wide text-emerald-300">{t('scenarios.baseline')}</span>
+                    ) : (
+                      <Button variant="ghost" size="sm" onClick={() => makeBaseline(sc.id)} className="text-xs">
+                        <Star className="h-3.5 w-3.5 mr-1" />
+                        {t('scenarios.makeBaseline')}
+                      </Button>
+                    )}
+                    <div className="ml-auto flex gap-1">
+                      {onLoad && (
+                        <Button variant="ghost" size="sm" onClick={() => onLoad(sc.inputs)} className="text-xs">
+                          <Upload className="h-3.5 w-3.5 mr-1" />
+                          {t('scenarios.load')}
+                        </Button>
+                      )}
+                      <Button variant="ghost" size="sm" onClick={() => remove(sc.id)} className="text-xs" aria-label={t('scenarios.remove')}>
+                        <Trash2 className="h-3.5 w-3.5" />
+                      </Button>
+                    </div>
+                  </div>
+                  <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-2">
+                    {model.fields.map((f) => (
+                      <label key={f.key} className="grid gap-1 text-xs text-gray-400">
+                        <span className="truncate">{t(f.label)}</span>
+                        <Input
+                          type="number"
+                          value={sc.inputs[f.key]}
+                          onChange={(e) => update(sc.id, { inputs: { ...sc.inputs, [f.key]: num(e.target.value) } })}
+                          className="h-8 text-sm"
+                        />
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <div className="h-64 sm:h-72 md:h-80 chart-container">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={chartData} margin={{ left: 8, right: 8, top: 10, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#374151" opacity={0.3} />
+                  <XAxis dataKey="year" tickLine={false} axisLine={false} tick={{ fill: '#9ca3af', fontSize: 12 }} />
+                  <YAxis tickFormatter={(v) => `${(v / 1e5).toFixed(0)}L`} tickLine={false} axisLine={false} tick={{ fill: '#9ca3af', fontSize: 12 }} />
+                  <Tooltip
+                    formatter={(v) => formatMoney(v)}
+                    labelFormatter={(l) => `Year ${l}`}
+                    contentStyle={{
+                      backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                      border: '1px solid rgba(255, 255, 255, 0.1)',
+                      borderRadius: '8px',
+                      color: '#ffffff',
+                      fontSize: '12px'
+                    }}
+                  />
+                  {scenarios.map((sc, i) => (
+                    <Line key={sc.id} type="monotone" dataKey={sc.id} name={sc.name} stroke={COLORS[i]} strokeWidth={i === 0 ? 3 : 2} dot={false} connectNulls />
+                  ))}
+                  <Legend />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+
+            <div className="w-full overflow-x-auto rounded-xl border border-white/10 bg-black/20">
+              <table className="w-full text-xs sm:text-sm">
+                <thead className="bg-black/60 border-b border-white/10">
+                  <tr>
+                    <th className="px-2 py-1 sm:px-4 sm:py-2 text-left text-gray-400 font-medium">{t('scenarios.metric')}</th>
+                    {scenarios.map((sc, i) => (
+                      <th key={sc.id} className="px-2 py-1 sm:px-4 sm:py-2 text-right font-medium" style={{ color: COLORS[i] }}>{sc.name}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {model.metrics.map((m) => (
+                    <tr key={m.key} className="border-b border-white/5">
+                      <td className="px-2 py-1 sm:px-4 sm:py-2 text-gray-300">{t(m.label)}</td>
+                      {results.map((res, i) => (
+                        <td key={scenarios[i].id} className="px-2 py-1 sm:px-4 sm:py-2 text-right text-white font-mono">
+                          <div>{formatMoney(res.metrics[m.key])}</div>
+                          {i > 0 && (
+                            <div className="text-[11px] text-gray-400">{formatDelta(res.metrics[m.key], results[0].metrics[m.key])}</div>
+                          )}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
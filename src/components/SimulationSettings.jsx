@@ -0,0 +1,52 @@
+import React from "react";
+import { useTranslation } from "react-i18next";
+import { Input } from "./ui/input";
+import { Field } from "./ui/field";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "./ui/select";
+import { useCurrency } from "../context/CurrencyContext";
+import { num } from "../lib/finance";
+
+const PATH_OPTIONS = [1000, 2000, 5000, 10000];
+
+// Inputs shared by the SIP and Retirement Monte Carlo modes. The mean return
+// is the tab's own expected return; only the spread is configured here.
+export default function SimulationSettings({ value, onChange, showTarget = false }) {
+  const { t } = useTranslation();
+  const { activeCurrency } = useCurrency();
+
+  return (
+    <div className="grid gap-3 sm:gap-4 rounded-2xl border border-white/10 bg-black/20 p-3 sm:p-4">
+      <Field label={t('simulation.volatility')} hint={t('simulation.meanHint')}>
+        <Input type="number" step="0.5" value={value.volatility} onChange={(e) => onChange({ ...value, volatility: num(e.target.value) })} className="input-enhanced focus-enhanced text-base" />
+      </Field>
+      <Field label={t('simulation.distribution')}>
+        <Select value={value.distribution} onValueChange={(v) => onChange({ ...value, distribution: v })}>
+          <SelectTrigger className="text-sm sm:text-base">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="lognormal">{t('simulation.lognormal')}</SelectItem>
+            <SelectItem value="normal">{t('simulation.normal')}</SelectItem>
+          </SelectContent>
+        </Select>
+      </Field>
+      <Field label={t('simulation.paths')}>
+        <Select value={String(value.paths)} onValueChange={(v) => onChange({ ...value, paths: num(v) })}>
+          <SelectTrigger className="text-sm sm:text-base">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {PATH_OPTIONS.map((p) => (
+              <SelectItem key={p} value={String(p)}>{p.toLocaleString()}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </Field>
+      {showTarget && (
+        <Field label={`${t('simulation.target')} (${activeCurrency.symbol})`} hint={t('simulation.targetHint')}>
+          <Input type="number" value={value.target} onChange={(e) => onChange({ ...value, target: num(e.target.value) })} className="input-enhanced focus-enhanced text-base" />
+        </Field>
+      )}
+    </div>
+  );
+}
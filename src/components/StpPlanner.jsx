@@ -0,0 +1,121 @@
+import React, { useMemo } from "react";
+import { useTranslation } from "react-i18next";
+import { ComposedChart, Area, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, Legend } from "recharts";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import { Input } from "./ui/input";
+import { Field } from "./ui/field";
+import { Metric } from "./ui/metric";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "./ui/select";
+import BreakdownTable from "./ui/BreakdownTable";
+import { useCurrency } from "../context/CurrencyContext";
+import { STP_FREQUENCIES, num } from "../lib/finance";
+import { stpResults } from "../lib/planResults";
+
+// STP from a source (debt) fund into a target (equity) fund, with both
+// balances stacked and the day-one lump sum drawn over them for comparison.
+export default function StpPlanner({ value, onChange }) {
+  const { t } = useTranslation();
+  const { formatMoney, activeCurrency } = useCurrency();
+  const s = activeCurrency.symbol;
+
+  const result = useMemo(() => stpResults(value), [value]);
+  const stpAhead = result.difference >= 0;
+
+  const set = (patch) => onChange({ ...value, ...patch });
+  const numberField = (key, label, step) => (
+    <Field label={label}>
+      <Input type="number" step={step} value={value[key]} onChange={(e) => set({ [key]: num(e.target.value) })} className="input-enhanced focus-enhanced text-base" />
+    </Field>
+  );
+
+  return (
+    <Card className="lg:col-span-5 rounded-2xl card-enhanced glass animate-fade-in-up">
+      <CardHeader>
+        <CardTitle className="text-gradient text-lg sm:text-xl">{t('stp.title')}</CardTitle>
+      </CardHeader>
+      <CardContent className="grid grid-cols-1 lg:grid-cols-5 gap-4 sm:gap-6">
+        <div className="lg:col-span-2 grid gap-3 sm:gap-4 content-start">
+          {numberField("lumpSum", `${t('stp.lumpSum')} (${s})`)}
+          <div className="grid grid-cols-2 gap-3">
+            {numberField("sourceReturn", t('stp.sourceReturn'), "0.1")}
+            {numberField("targetReturn", t('stp.targetReturn'), "0.1")}
+          </div>
+          <div className="grid grid-cols-2 gap-3">
+            {numberField("transfer", `${t('stp.transfer')} (${s})`)}
+            <Field label={t('stp.frequency')}>
+              <Select value={value.frequency} onValueChange={(v) => set({ frequency: v })}>
+                <SelectTrigger className="text-sm sm:text-base">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.keys(STP_FREQUENCIES).map((f) => <SelectItem key={f} value={f}>{t(`stp.frequencies.${f}`)}</SelectItem>)}
+                </SelectContent>
+              </Select>
+            </Field>
+          </div>
+          {numberField("years", t('stp.horizon'), "1")}
+          <div className="text-xs sm:text-sm text-gray-400 leading-relaxed">
+            {result.lastTransferMonth
+              ? t('stp.transfersEnd', { months: result.lastTransferMonth })
+              : t('stp.transfersOngoing', { amount: formatMoney(Math.round(result.rows.at(-1)?.source ?? 0)) })}
+          </div>
+        </div>
+
+        <div className="lg:col-span-3 grid gap-3 sm:gap-4">
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-2 sm:gap-3">
+            <Metric label={t('stp.sourceBalance')} value={formatMoney(Math.round(result.rows.at(-1)?.source ?? 0))} />
+            <Metric label={t('stp.targetBalance')} value={formatMoney(Math.round(result.rows.at(-1)?.target ?? 0))} />
+            <Metric label={t('stp.stpValue')} value={formatMoney(Math.round(result.finalValue))} />
+            <Metric label={t('stp.lumpSumValue')} value={formatMoney(Math.round(result.lumpSumValue))} />
+          </div>
+          <div className={`rounded-xl border p-3 text-sm sm:text-base ${stpAhead ? "border-emerald-400/30 bg-emerald-500/10 text-emerald-200" : "border-sky-400/30 bg-sky-500/10 text-sky-200"}`}>
+            {t(stpAhead ? 'stp.stpAhead' : 'stp.lumpSumAhead', { amount: formatMoney(Math.round(Math.abs(result.difference))), years: value.years })}
+          </div>
+          <div className="h-64 sm:h-72 md:h-80 chart-container">
+            <ResponsiveContainer width="100%" height="100%">
+              <ComposedChart data={result.yearly} margin={{ left: 8, right: 8, top: 10, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#374151" opacity={0.3} />
+                <XAxis dataKey="year" tickLine={false} axisLine={false} tick={{ fill: '#9ca3af', fontSize: 12 }} />
+                <YAxis tickFormatter={(v) => `${(v / 1e5).toFixed(0)}L`} tickLine={false} axisLine={false} tick={{ fill: '#9ca3af', fontSize: 12 }} />
+                <Tooltip
+                  formatter={(v) => formatMoney(Math.round(v))}
+                  labelFormatter={(l) => `Year ${l}`}
+                  contentStyle={{
+                    backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                    border: '1px solid rgba(255, 255, 255, 0.1)',
+                    borderRadius: '8px',
+                    color: '#ffffff',
+                    fontSize: '12px'
+                  }}
+                />
+                <Area type="monotone" dataKey="source" name={t('stp.sourceFund')} stackId="stp" stroke="#60a5fa" fill="#60a5fa" fillOpacity={0.3} />
+                <Area type="monotone" dataKey="target" name={t('stp.targetFund')} stackId="stp" stroke="#34d399" fill="#34d399" fillOpacity={0.3} />
+                <Line type="monotone" dataKey="lumpSum" name={t('stp.lumpSumDayOne')} stroke="#fbbf24" strokeDasharray="5 5" strokeWidth={2} dot={false} />
+                <Legend />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+
+        <div className="lg:col-span-5">
+          <BreakdownTable
+            data={result.yearly}
+            type="stp"
+            exportMeta={{
+              fileName: "stp-schedule",
+              title: t('stp.title'),
+              assumptions: [
+                { label: t('stp.lumpSum'), value: value.lumpSum },
+                { label: t('stp.sourceReturn'), value: value.sourceReturn },
+                { label: t('stp.targetReturn'), value: value.targetReturn },
+                { label: t('stp.transfer'), value: value.transfer },
+                { label: t('stp.frequency'), value: t(`stp.frequencies.${value.frequency}`) },
+                { label: t('stp.horizon'), value: value.years },
+              ],
+            }}
+          />
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,133 @@
+import React, { useMemo } from "react";
+import { useTranslation } from "react-i18next";
+import { AreaChart, Area, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, Legend } from "recharts";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import { Input } from "./ui/input";
+import { Field } from "./ui/field";
+import { Metric } from "./ui/metric";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "./ui/select";
+import BreakdownTable from "./ui/BreakdownTable";
+import { useCurrency } from "../context/CurrencyContext";
+import { SWP_FREQUENCIES, num } from "../lib/finance";
+import { swpResults } from "../lib/planResults";
+
+// SWP tab: fixed or inflation-indexed withdrawals from a corpus, how long it
+// lasts, and the largest withdrawal it can sustain for the chosen duration.
+export default function SwpPlanner({ value, onChange }) {
+  const { t } = useTranslation();
+  const { formatMoney, activeCurrency } = useCurrency();
+  const s = activeCurrency.symbol;
+
+  // Balance and cumulative withdrawals at the end of each year
+  const { summary, yearly } = useMemo(() => swpResults(value), [value]);
+
+  const duration = (months) => t('swp.durationValue', { years: Math.floor(months / 12), months: months % 12 });
+  const set = (patch) => onChange({ ...value, ...patch });
+  const numberField = (key, label, step) => (
+    <Field label={label}>
+      <Input type="number" step={step} value={value[key]} onChange={(e) => set({ [key]: num(e.target.value) })} className="input-enhanced focus-enhanced text-base" />
+    </Field>
+  );
+
+  return (
+    <>
+      <Card className="lg:col-span-2 rounded-2xl card-enhanced glass animate-slide-in-left">
+        <CardHeader>
+          <CardTitle className="text-gradient text-lg sm:text-xl">{t('swp.title')}</CardTitle>
+        </CardHeader>
+        <CardContent className="grid gap-3 sm:gap-4">
+          {numberField("corpus", `${t('swp.corpus')} (${s})`)}
+          {numberField("withdrawal", `${t('swp.withdrawal')} (${s})`)}
+          <Field label={t('swp.frequency')}>
+            <Select value={value.frequency} onValueChange={(v) => set({ frequency: v })}>
+              <SelectTrigger className="text-sm sm:text-base">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.keys(SWP_FREQUENCIES).map((f) => <SelectItem key={f} value={f}>{t(`swp.frequencies.${f}`)}</SelectItem>)}
+              </SelectContent>
+            </Select>
+          </Field>
+          <Field label={t('swp.indexation')} hint={t(`swp.indexationHints.${value.indexation}`)}>
+            <Select value={value.indexation} onValueChange={(v) => set({ indexation: v })}>
+              <SelectTrigger className="text-sm sm:text-base">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="fixed">{t('swp.fixed')}</SelectItem>
+                <SelectItem value="inflation">{t('swp.inflationIndexed')}</SelectItem>
+              </SelectContent>
+            </Select>
+          </Field>
+          {value.indexation === "inflation" && numberField("inflation", t('swp.inflation'), "0.1")}
+          {numberField("annualReturn", t('swp.expectedReturn'), "0.1")}
+          {numberField("years", t('swp.duration'), "1")}
+        </CardContent>
+      </Card>
+
+      <Card className="lg:col-span-3 rounded-2xl card-enhanced glass animate-slide-in-right">
+        <CardHeader>
+          <CardTitle className="text-gradient text-lg sm:text-xl">{t('swp.projection')}</CardTitle>
+        </CardHeader>
+        <CardContent className="grid gap-3 sm:gap-4">
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-2 sm:gap-3">
+            <Metric label={t('swp.totalWithdrawn')} value={formatMoney(Math.round(summary.totalWithdrawn))} />
+            <Metric label={t('swp.finalBalance')} value={formatMoney(Math.round(summary.finalBalance))} sub={t('swp.afterYears', { years: value.years })} />
+            <Metric label={t('swp.lasts')} value={summary.depletionMonth === null ? t('swp.indefinitely') : duration(summary.depletionMonth)} />
+            <Metric label={t('swp.maxWithdrawal')} value={formatMoney(Math.floor(summary.maxWithdrawal))} sub={t('swp.maxWithdrawalHint', { years: value.years, frequency: t(`swp.frequencies.${value.frequency}`) })} />
+          </div>
+          <div className={`rounded-xl border p-3 text-sm sm:text-base ${summary.lastsFullTerm ? "border-emerald-400/30 bg-emerald-500/10 text-emerald-200" : "border-amber-400/30 bg-amber-500/10 text-amber-200"}`}>
+            {summary.lastsFullTerm
+              ? t('swp.lastsFullTerm', { years: value.years })
+              : t('swp.runsOut', { duration: duration(summary.depletionMonth), amount: formatMoney(Math.floor(summary.maxWithdrawal)) })}
+          </div>
+          <div className="h-64 sm:h-72 md:h-80 lg:h-96 chart-container">
+            <ResponsiveContainer width="100%" height="100%">
+              <AreaChart data={yearly} margin={{ left: 8, right: 8, top: 10, bottom: 0 }}>
+                <defs>
+                  <linearGradient id="swpBalance" x1="0" y1="0" x2="0" y2="1">
+                    <stop offset="5%" stopColor="#34d399" stopOpacity={0.4} />
+                    <stop offset="95%" stopColor="#34d399" stopOpacity={0.1} />
+                  </linearGradient>
+                </defs>
+                <CartesianGrid strokeDasharray="3 3" stroke="#374151" opacity={0.3} />
+                <XAxis dataKey="year" tickLine={false} axisLine={false} tick={{ fill: '#9ca3af', fontSize: 12 }} />
+                <YAxis tickFormatter={(v) => `${(v / 1e5).toFixed(0)}L`} tickLine={false} axisLine={false} tick={{ fill: '#9ca3af', fontSize: 12 }} />
+                <Tooltip
+                  formatter={(v) => formatMoney(Math.round(v))}
+                  labelFormatter={(l) => `Year ${l}`}
+                  contentStyle={{
+                    backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                    border: '1px solid rgba(255, 255, 255, 0.1)',
+                    borderRadius: '8px',
+                    color: '#ffffff',
+                    fontSize: '12px'
+                  }}
+                />
+                <Area type="monotone" dataKey="balance" name={t('breakdown.balance')} stroke="#34d399" fillOpacity={1} fill="url(#swpBalance)" />
+                <Area type="monotone" dataKey="withdrawn" name={t('swp.totalWithdrawn')} stroke="#fbbf24" strokeDasharray="5 5" fill="none" />
+                <Legend />
+              </AreaChart>
+            </ResponsiveContainer>
+          </div>
+          <BreakdownTable
+            data={summary.rows}
+            type="swp"
+            exportMeta={{
+              fileName: "swp-schedule",
+              title: t('swp.title'),
+              assumptions: [
+                { label: t('swp.corpus'), value: value.corpus },
+                { label: t('swp.withdrawal'), value: value.withdrawal },
+                { label: t('swp.frequency'), value: t(`swp.frequencies.${value.frequency}`) },
+                { label: t('swp.indexation'), value: value.indexation === "inflation" ? `${t('swp.inflationIndexed')} (${value.inflation}%)` : t('swp.fixed') },
+                { label: t('swp.expectedReturn'), value: value.annualReturn },
+                { label: t('swp.duration'), value: value.years },
+              ],
+            }}
+          />
+        </CardContent>
+      </Card>
+    </>
+  );
+}
@@ -0,0 +1,169 @@
+import React from "react";
+import { useTranslation } from "react-i18next";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import { Input } from "./ui/input";
+import { Field } from "./ui/field";
+import { Metric } from "./ui/metric";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "./ui/select";
+import { useCurrency } from "../context/CurrencyContext";
+import { TAX_JURISDICTIONS, EU_CAPITAL_TAX_PRESETS, num } from "../lib/finance";
+
+// Inputs per jurisdiction, keyed by the names its tax engine expects.
+// "select" options are [value, label key]; `when` hides a field unless the
+// inputs match.
+const FIELDS = {
+  US: [
+    { key: "year", type: "year" },
+    { key: "filingStatus", type: "select", options: [["single", "taxPacks.options.single"], ["joint", "taxPacks.options.joint"]] },
+    { key: "ageGroup", type: "select", options: [["under50", "taxPacks.options.under50"], ["50to64", "taxPacks.options.50to64"], ["65plus", "taxPacks.options.65plus"]] },
+    { key: "wages", type: "money" },
+    { key: "otherIncome", type: "money" },
+    { key: "stcgGain", type: "money" },
+    { key: "ltcgGain", type: "money" },
+    { key: "k401", type: "money" },
+    { key: "traditionalIra", type: "money" },
+    { key: "rothIra", type: "money" },
+  ],
+  UK: [
+    { key: "year", type: "year" },
+    { key: "salary", type: "money" },
+    { key: "otherIncome", type: "money" },
+    { key: "savingsInterest", type: "money" },
+    { key: "dividends", type: "money" },
+    { key: "capitalGains", type: "money" },
+    { key: "pensionContributions", type: "money" },
+    { key: "isaSubscriptions", type: "money" },
+  ],
+  EU: [
+    { key: "preset", type: "select", options: Object.keys(EU_CAPITAL_TAX_PRESETS).map((id) => [id, `taxPacks.presets.${id}`]) },
+    { key: "capitalGains", type: "money" },
+    { key: "dividends", type: "money" },
+    { key: "interest", type: "money" },
+    { key: "lossesCarriedForward", type: "money" },
+    { key: "ratePct", type: "pct", when: (v) => v.preset === "custom" },
+    { key: "allowance", type: "money", when: (v) => v.preset === "custom" },
+    { key: "equityFundExemptionPct", type: "pct", when: (v) => v.preset === "custom" },
+    { key: "equityFunds", type: "bool" },
+  ],
+};
+
+// Tax estimate for the non-Indian jurisdictions: a form generated from
+// FIELDS and the jurisdiction's own scenario comparison, shown in its
+// currency whatever the display currency is. `result` is the pack from
+// taxResults, so the report prints the same comparison.
+export default function TaxJurisdictionPanel({ jurisdiction, value, result, onChange, jurisdictionField }) {
+  const { t } = useTranslation();
+  const { currencies, formatMoneyIn } = useCurrency();
+  const pack = TAX_JURISDICTIONS[jurisdiction];
+  const symbol = (currencies.find((c) => c.code === pack.currency) || { symbol: pack.currency }).symbol;
+  const money = (v) => formatMoneyIn(v, pack.currency);
+  const two = result.scenarios.length > 1;
+
+  const renderField = (f) => {
+    const label = t(`taxPacks.fields.${f.key}`);
+    if (f.type === "bool") {
+      return (
+        <label key={f.key} className="sm:col-span-2 flex items-center gap-2 text-sm text-gray-200 cursor-pointer">
+          <input type="checkbox" checked={!!value[f.key]} onChange={(e) => onChange({ ...value, [f.key]: e.target.checked })} className="accent-blue-500" />
+          {label}
+        </label>
+      );
+    }
+    if (f.type === "year" || f.type === "select") {
+      const options = f.type === "year" ? pack.years.map((y) => [y, null]) : f.options;
+      return (
+        <Field key={f.key} label={label}>
+          <Select value={String(value[f.key])} onValueChange={(v) => onChange({ ...value, [f.key]: v })}>
+            <SelectTrigger className="text-sm sm:text-base">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {options.map(([id, key]) => <SelectItem key={id} value={id}>{key ? t(key) : id}</SelectItem>)}
+            </SelectContent>
+          </Select>
+        </Field>
+      );
+    }
+    return (
+      <Field key={f.key} label={f.type === "money" ? `${label} (${symbol})` : label}>
+        <Input type="number" step={f.type === "pct" ? "0.1" : undefined} value={value[f.key]} onChange={(e) => onChange({ ...value, [f.key]: num(e.target.value) })} className="input-enhanced focus-enhanced text-sm sm:text-base" />
+      </Field>
+    );
+  };
+
+  return (
+    <>
+      <Card className="lg:col-span-2 rounded-2xl card-enhanced glass animate-slide-in-right">
+        <CardHeader>
+          <CardTitle className="text-gradient text-lg sm:text-xl">{t('advanced.taxModelling.title')}</CardTitle>
+        </CardHeader>
+        <CardContent className="grid gap-3 sm:gap-4">
+          {jurisdictionField}
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 sm:gap-4">
+            {FIELDS[jurisdiction].filter((f) => !f.when || f.when(value)).map(renderField)}
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card className="lg:col-span-3 rounded-2xl card-enhanced glass animate-slide-in-left">
+        <CardHeader>
+          <CardTitle className="text-gradient text-lg sm:text-xl">{t('advanced.taxModelling.estimate')}</CardTitle>
+        </CardHeader>
+        <CardContent className="grid gap-3 sm:gap-4">
+          <div className={`grid grid-cols-1 ${two ? "sm:grid-cols-2" : ""} gap-2 sm:gap-3`}>
+            {result.scenarios.map((sc) => (
+              <Metric
+                key={sc.id}
+                label={t(`taxPacks.scenarios.${sc.id}`)}
+                value={money(sc.totalTax)}
+                sub={t('advanced.taxModelling.effectiveRate', { rate: sc.effectiveRatePct.toFixed(2) })}
+              />
+            ))}
+          </div>
+          {two && (
+            <div className="rounded-xl border border-emerald-400/30 bg-emerald-500/10 p-3 text-sm sm:text-base text-emerald-200">
+              {result.recommended
+                ? t('taxPacks.recommendation', { scenario: t(`taxPacks.scenarios.${result.recommended}`), amount: money(result.savings) })
+                : t('taxPacks.noDifference')}
+            </div>
+          )}
+          {result.warnings.map((w) => (
+            <div key={w.key} className="rounded-xl border border-amber-400/30 bg-amber-500/10 p-3 text-xs sm:text-sm text-amber-200">
+              {t(`taxPacks.warnings.${w.key}`, { amount: money(w.amount) })}
+            </div>
+          ))}
+          <div className="overflow-x-auto rounded-xl border border-white/10 bg-black/20">
+            <table className="w-full text-xs sm:text-sm">
+              <thead className="border-b border-white/10">
+                <tr>
+                  <th className="px-2 py-1 sm:px-4 sm:py-2 text-left text-gray-400 font-medium"></th>
+                  {result.scenarios.map((sc) => (
+                    <th key={sc.id} className="px-2 py-1 sm:px-4 sm:py-2 text-right text-gray-400 font-medium">{t(`taxPacks.scenarios.${sc.id}`)}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {result.scenarios[0].lines.map(({ key }, i) => (
+                  <tr key={key} className={`border-b border-white/5 ${key === "totalTax" ? "font-semibold" : ""}`}>
+                    <td className="px-2 py-1 sm:px-4 sm:py-2 text-gray-300">{t(`taxPacks.lines.${key}`)}</td>
+                    {result.scenarios.map((sc) => (
+                      <td key={sc.id} className="px-2 py-1 sm:px-4 sm:py-2 text-right font-mono text-white">{money(sc.lines[i].amount)}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {result.allowances.length > 0 && (
+            <div className="grid grid-cols-2 sm:grid-cols-3 gap-2 sm:gap-3">
+              {result.allowances.map((a) => (
+                <Metric key={a.key} label={t(`taxPacks.allowances.${a.key}`)} value={money(a.amount)} />
+              ))}
+            </div>
+          )}
+          <div className="text-xs sm:text-sm text-gray-400 leading-relaxed">{t(`taxPacks.disclaimers.${jurisdiction}`)}</div>
+        </CardContent>
+      </Card>
+    </>
+  );
+}
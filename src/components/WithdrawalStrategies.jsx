@@ -0,0 +1,160 @@
+import React, { useMemo } from "react";
+import { useTranslation } from "react-i18next";
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, Legend } from "recharts";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import { Input } from "./ui/input";
+import { Field } from "./ui/field";
+import { Metric } from "./ui/metric";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "./ui/select";
+import BreakdownTable from "./ui/BreakdownTable";
+import { useCurrency } from "../context/CurrencyContext";
+import { WITHDRAWAL_STRATEGIES, withdrawalPlan, num } from "../lib/finance";
+
+// Strategy-specific inputs, keyed by the parameter names the engine expects
+const PARAM_FIELDS = {
+  constantReal: [],
+  fixedPercent: [{ key: "withdrawalPct", label: "withdrawal.withdrawalPct", step: "0.1" }],
+  guytonKlinger: [
+    { key: "guardrailPct", label: "withdrawal.guardrailPct" },
+    { key: "adjustmentPct", label: "withdrawal.adjustmentPct" },
+  ],
+  bucket: [
+    { key: "cashYears", label: "withdrawal.cashYears" },
+    { key: "debtYears", label: "withdrawal.debtYears" },
+    { key: "cashReturnPct", label: "withdrawal.cashReturnPct", step: "0.1" },
+    { key: "debtReturnPct", label: "withdrawal.debtReturnPct", step: "0.1" },
+    { key: "equityReturnPct", label: "withdrawal.equityReturnPct", step: "0.1" },
+  ],
+};
+
+// Drawdown of the retirement corpus under each withdrawal strategy: the
+// selected one is charted and tabulated, and all of them are summarised
+// side by side (depletion year, total withdrawn, legacy).
+export default function WithdrawalStrategies({ value, onChange, corpora, drawdown }) {
+  const { t } = useTranslation();
+  const { formatMoney } = useCurrency();
+  const corpus = corpora[value.corpusSource] ?? corpora.required;
+
+  const plans = useMemo(() => Object.fromEntries(
+    Object.keys(WITHDRAWAL_STRATEGIES).map((id) => [id, withdrawalPlan({ ...drawdown, corpus, strategy: id, params: value })])
+  ), [drawdown, corpus, value]);
+  const selected = plans[value.strategy] || plans.constantReal;
+
+  const depletionLabel = (plan) => plan.depletionYear
+    ? t('withdrawal.depletesIn', { year: plan.depletionYear })
+    : t('withdrawal.lasts', { years: drawdown.yearsInRetirement });
+
+  return (
+    <Card className="lg:col-span-5 rounded-2xl card-enhanced glass">
+      <CardHeader>
+        <CardTitle className="text-gradient text-lg sm:text-xl">{t('withdrawal.title')}</CardTitle>
+      </CardHeader>
+      <CardContent className="grid grid-cols-1 lg:grid-cols-5 gap-4 sm:gap-6">
+        <div className="lg:col-span-2 grid gap-3 sm:gap-4 content-start">
+          <Field label={t('withdrawal.strategy')} hint={t(`withdrawal.${value.strategy}Hint`)}>
+            <Select value={value.strategy} onValueChange={(v) => onChange({ ...value, strategy: v })}>
+              <SelectTrigger className="text-sm sm:text-base">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.keys(WITHDRAWAL_STRATEGIES).map((id) => (
+                  <SelectItem key={id} value={id}>{t(`withdrawal.${id}`)}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </Field>
+          <Field label={t('withdrawal.corpusSource')}>
+            <Select value={value.corpusSource} onValueChange={(v) => onChange({ ...value, corpusSource: v })}>
+              <SelectTrigger className="text-sm sm:text-base">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="required">{t('withdrawal.requiredCorpus', { amount: formatMoney(corpora.required) })}</SelectItem>
+                <SelectItem value="projected">{t('withdrawal.projectedCorpus', { amount: formatMoney(corpora.projected) })}</SelectItem>
+              </SelectContent>
+            </Select>
+          </Field>
+          {(PARAM_FIELDS[value.strategy] || []).map((f) => (
+            <Field key={f.key} label={t(f.label)}>
+              <Input type="number" step={f.step} value={value[f.key]} onChange={(e) => onChange({ ...value, [f.key]: num(e.target.value) })} className="input-enhanced focus-enhanced text-base" />
+            </Field>
+          ))}
+        </div>
+
+        <div className="lg:col-span-3 grid gap-3 sm:gap-4">
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 sm:gap-3">
+            <Metric label={t('withdrawal.depletion')} value={selected.depletionYear ? t('withdrawal.yearN', { year: selected.depletionYear }) : t('withdrawal.never')} sub={depletionLabel(selected)} />
+            <Metric label={t('withdrawal.totalWithdrawn')} value={formatMoney(selected.totalWithdrawn)} />
+            <Metric label={t('withdrawal.legacy')} value={formatMoney(selected.legacy)} />
+          </div>
+          <div className="h-64 sm:h-72 md:h-80 chart-container">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={selected.rows} margin={{ left: 8, right: 8, top: 10, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#374151" opacity={0.3} />
+                <XAxis dataKey="year" tickLine={false} axisLine={false} tick={{ fill: '#9ca3af', fontSize: 12 }} />
+                <YAxis tickFormatter={(v) => `${(v / 1e5).toFixed(0)}L`} tickLine={false} axisLine={false} tick={{ fill: '#9ca3af', fontSize: 12 }} />
+                <Tooltip
+                  formatter={(v) => formatMoney(v)}
+                  labelFormatter={(l) => `Year ${l}`}
+                  contentStyle={{
+                    backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                    border: '1px solid rgba(255, 255, 255, 0.1)',
+                    borderRadius: '8px',
+                    color: '#ffffff',
+                    fontSize: '12px'
+                  }}
+                />
+                <Legend />
+                <Line type="monotone" dataKey="corpus" name={t('breakdown.corpus')} stroke="#34d399" strokeWidth={2} dot={false} />
+                <Line type="monotone" dataKey="withdrawal" name={t('breakdown.withdrawal')} stroke="#f87171" strokeWidth={2} dot={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+
+        <div className="lg:col-span-5 overflow-x-auto rounded-xl border border-white/10 bg-black/20">
+          <table className="w-full text-xs sm:text-sm">
+            <thead className="border-b border-white/10">
+              <tr>
+                <th className="px-2 py-1 sm:px-4 sm:py-2 text-left text-gray-400 font-medium">{t('withdrawal.strategy')}</th>
+                <th className="px-2 py-1 sm:px-4 sm:py-2 text-right text-gray-400 font-medium">{t('withdrawal.depletion')}</th>
+                <th className="px-2 py-1 sm:px-4 sm:py-2 text-right text-gray-400 font-medium">{t('withdrawal.totalWithdrawn')}</th>
+                <th className="px-2 py-1 sm:px-4 sm:py-2 text-right text-gray-400 font-medium">{t('withdrawal.legacy')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(plans).map(([id, plan]) => (
+                <tr key={id} className={`border-b border-white/5 ${id === value.strategy ? "bg-white/5" : ""}`}>
+                  <td className="px-2 py-1 sm:px-4 sm:py-2 text-white">{t(`withdrawal.${id}`)}</td>
+                  <td className={`px-2 py-1 sm:px-4 sm:py-2 text-right ${plan.depletionYear ? "text-red-400" : "text-emerald-400"}`}>
+                    {plan.depletionYear ? t('withdrawal.yearN', { year: plan.depletionYear }) : t('withdrawal.never')}
+                  </td>
+                  <td className="px-2 py-1 sm:px-4 sm:py-2 text-right font-mono text-white">{formatMoney(plan.totalWithdrawn)}</td>
+                  <td className="px-2 py-1 sm:px-4 sm:py-2 text-right font-mono text-white">{formatMoney(plan.legacy)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="lg:col-span-5">
+          <BreakdownTable
+            data={selected.rows}
+            type="withdrawal"
+            exportMeta={{
+              fileName: `withdrawal-${value.strategy}`,
+              title: `${t('withdrawal.title')} – ${t(`withdrawal.${value.strategy}`)}`,
+              assumptions: [
+                { label: t('withdrawal.startingCorpus'), value: corpus },
+                { label: t('retirement.annualExpenseAtRetirement'), value: drawdown.annualExpenseAtRetire },
+                { label: t('retirement.inflation'), value: drawdown.inflationPct },
+                { label: t('retirement.postRetirementReturn'), value: drawdown.postRetReturnPct },
+                ...(PARAM_FIELDS[value.strategy] || []).map((f) => ({ label: t(f.label), value: value[f.key] })),
+              ],
+            }}
+          />
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
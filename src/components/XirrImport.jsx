@@ -0,0 +1,193 @@
+import React, { useMemo, useState } from "react";
+import { useTranslation } from "react-i18next";
+import { Upload } from "lucide-react";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { Field } from "./ui/field";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "./ui/select";
+import { useCurrency } from "../context/CurrencyContext";
+import { BROKER_PRESETS, parseCsv, detectPreset, detectMapping, rowsToFlows } from "../lib/importTransactions";
+import { num } from "../lib/finance";
+
+const PREVIEW_ROWS = 8;
+const CUSTOM_MAPPING = { headerRow: 0, date: 0, amount: 1, units: -1, price: -1, type: -1, signMode: "positiveIsInvestment" };
+const SKIP_REASONS = { date: "skipped", amount: "skipped", reinvest: "skippedReinvest", type: "skippedType" };
+
+// Direction from the transaction type when the statement has one, else from
+// the amount's sign as registrars print it (negative = redemption)
+const presetMapping = (mapping) => ({ ...mapping, signMode: mapping.type !== -1 ? "type" : "positiveIsInvestment" });
+
+// Load XIRR cashflows from a broker or registrar CSV statement: pick a
+// preset (auto-detected when possible) or map the columns by hand, add the
+// current value as a final inflow, preview, then replace or append.
+export default function XirrImport({ onImport, onClose }) {
+  const { t } = useTranslation();
+  const { formatMoney, activeCurrency } = useCurrency();
+  const [rows, setRows] = useState(null);
+  const [fileName, setFileName] = useState("");
+  const [presetId, setPresetId] = useState("custom");
+  const [mapping, setMapping] = useState(CUSTOM_MAPPING);
+  const [currentValue, setCurrentValue] = useState(0);
+  const [currentDate, setCurrentDate] = useState(new Date().toISOString().slice(0, 10));
+  const [error, setError] = useState(null);
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    try {
+      const parsed = parseCsv(await file.text());
+      if (parsed.length < 2) throw new Error(t('xirrImport.emptyFile'));
+      const detected = detectPreset(parsed);
+      setRows(parsed);
+      setFileName(file.name);
+      setPresetId(detected ? detected.presetId : "custom");
+      setMapping(detected ? presetMapping(detected.mapping) : CUSTOM_MAPPING);
+      setError(null);
+    } catch (err) {
+      setRows(null);
+      setError(err.message);
+    }
+  };
+
+  const changePreset = (id) => {
+    setPresetId(id);
+    setError(null);
+    const detected = id === "custom" ? null : detectMapping(rows, id);
+    if (detected) setMapping(presetMapping(detected));
+    else if (id !== "custom") setError(t('xirrImport.presetNotFound', { preset: BROKER_PRESETS[id].label }));
+  };
+
+  const result = useMemo(() => {
+    if (!rows) return null;
+    const { flows, skipped } = rowsToFlows(rows, mapping);
+    const withValue = currentValue > 0 ? [...flows, { date: currentDate, amount: currentValue, label: t('xirrImport.currentValue') }] : flows;
+    return {
+      flows: withValue,
+      skipped,
+      invested: flows.reduce((s, f) => s + (f.amount < 0 ? -f.amount : 0), 0),
+      received: withValue.reduce((s, f) => s + (f.amount > 0 ? f.amount : 0), 0),
+    };
+  }, [rows, mapping, currentValue, currentDate, t]);
+
+  // Skipped rows grouped by message, each listing its first few line numbers
+  const skippedGroups = result ? Object.entries(result.skipped.reduce((groups, s) => {
+    const key = SKIP_REASONS[s.reason];
+    (groups[key] = groups[key] || []).push(s.line);
+    return groups;
+  }, {})) : [];
+
+  const header = rows ? rows[mapping.headerRow] || [] : [];
+  const columnSelect = (key, optional = false) => (
+    <Select value={String(mapping[key])} onValueChange={(v) => setMapping({ ...mapping, [key]: num(v) })}>
+      <SelectTrigger className="text-sm">
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        {optional && <SelectItem value="-1">{t('xirrImport.none')}</SelectItem>}
+        {header.map((name, i) => (
+          <SelectItem key={i} value={String(i)}>{name || t('xirrImport.column', { n: i + 1 })}</SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+
+  const load = (append) => {
+    onImport(result.flows.map(({ date, amount }) => ({ date, amount })), append);
+    onClose();
+  };
+
+  return (
+    <div className="grid gap-3 sm:gap-4 rounded-2xl border border-white/10 bg-black/20 p-3 sm:p-4">
+      <div className="text-sm sm:text-base text-gray-200 font-medium">{t('xirrImport.title')}</div>
+      <label className="flex items-center gap-2 cursor-pointer rounded-xl border border-dashed border-white/20 p-3 text-sm text-gray-300 hover:bg-white/5">
+        <Upload className="h-4 w-4" />
+        <span className="truncate">{fileName || t('xirrImport.chooseFile')}</span>
+        <input type="file" accept=".csv,text/csv,text/plain" className="hidden" onChange={(e) => handleFile(e.target.files[0])} />
+      </label>
+      {error && <div className="text-xs sm:text-sm text-red-400">{error}</div>}
+
+      {rows && (
+        <>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <Field label={t('xirrImport.format')}>
+              <Select value={presetId} onValueChange={changePreset}>
+                <SelectTrigger className="text-sm">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(BROKER_PRESETS).map(([id, preset]) => (
+                    <SelectItem key={id} value={id}>{preset.label}</SelectItem>
+                  ))}
+                  <SelectItem value="custom">{t('xirrImport.custom')}</SelectItem>
+                </SelectContent>
+              </Select>
+            </Field>
+            <Field label={t('xirrImport.headerRow')}>
+              <Input type="number" min={1} max={rows.length} value={mapping.headerRow + 1} onChange={(e) => setMapping({ ...mapping, headerRow: Math.min(rows.length - 1, Math.max(0, num(e.target.value) - 1)) })} className="input-enhanced focus-enhanced text-sm" />
+            </Field>
+            <Field label={t('xirrImport.dateColumn')}>{columnSelect("date")}</Field>
+            <Field label={t('xirrImport.amountColumn')}>{columnSelect("amount", true)}</Field>
+            {mapping.amount === -1 && (
+              <>
+                <Field label={t('xirrImport.unitsColumn')}>{columnSelect("units", true)}</Field>
+                <Field label={t('xirrImport.priceColumn')}>{columnSelect("price", true)}</Field>
+              </>
+            )}
+            <Field label={t('xirrImport.typeColumn')}>{columnSelect("type", true)}</Field>
+            <Field label={t('xirrImport.signMode')}>
+              <Select value={mapping.signMode} onValueChange={(v) => setMapping({ ...mapping, signMode: v })}>
+                <SelectTrigger className="text-sm">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="type" disabled={mapping.type === -1}>{t('xirrImport.signByType')}</SelectItem>
+                  <SelectItem value="positiveIsInvestment">{t('xirrImport.positiveIsInvestment')}</SelectItem>
+                  <SelectItem value="negativeIsInvestment">{t('xirrImport.negativeIsInvestment')}</SelectItem>
+                </SelectContent>
+              </Select>
+            </Field>
+            <Field label={`${t('xirrImport.currentValue')} (${activeCurrency.symbol})`} hint={t('xirrImport.currentValueHint')}>
+              <Input type="number" value={currentValue} onChange={(e) => setCurrentValue(num(e.target.value))} className="input-enhanced focus-enhanced text-sm" />
+            </Field>
+            <Field label={t('xirrImport.valuationDate')}>
+              <Input type="date" value={currentDate} onChange={(e) => setCurrentDate(e.target.value)} className="text-sm" />
+            </Field>
+          </div>
+
+          <div className="text-xs sm:text-sm text-gray-300">
+            {t('xirrImport.summary', { count: result.flows.length, invested: formatMoney(result.invested), received: formatMoney(result.received) })}
+            {skippedGroups.map(([key, lines]) => (
+              <span key={key} className="text-amber-300"> {t(`xirrImport.${key}`, { count: lines.length, rows: lines.slice(0, 5).join(", ") })}</span>
+            ))}
+          </div>
+          <div className="overflow-x-auto rounded-xl border border-white/10">
+            <table className="w-full text-xs sm:text-sm">
+              <thead className="border-b border-white/10">
+                <tr>
+                  <th className="px-2 py-1 text-left text-gray-400 font-medium">{t('xirrImport.date')}</th>
+                  <th className="px-2 py-1 text-left text-gray-400 font-medium">{t('xirrImport.type')}</th>
+                  <th className="px-2 py-1 text-right text-gray-400 font-medium">{t('xirrImport.flow')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.flows.slice(0, PREVIEW_ROWS).map((f, i) => (
+                  <tr key={i} className="border-b border-white/5">
+                    <td className="px-2 py-1 text-white">{f.date}</td>
+                    <td className="px-2 py-1 text-gray-300 truncate max-w-[12rem]">{f.label}</td>
+                    <td className={`px-2 py-1 text-right font-mono ${f.amount < 0 ? "text-red-300" : "text-emerald-300"}`}>{formatMoney(f.amount)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {result.flows.length > PREVIEW_ROWS && (
+              <div className="px-2 py-1 text-xs text-gray-400">{t('xirrImport.more', { count: result.flows.length - PREVIEW_ROWS })}</div>
+            )}
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <Button onClick={() => load(false)} disabled={result.flows.length === 0} className="text-sm sm:text-base">{t('xirrImport.replace')}</Button>
+            <Button variant="outline" onClick={() => load(true)} disabled={result.flows.length === 0} className="text-sm sm:text-base">{t('xirrImport.append')}</Button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
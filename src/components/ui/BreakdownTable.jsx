@@ -1,72 +1,128 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useTranslation } from 'react-i18next';
+import { Download } from 'lucide-react';
 import { useCurrency } from '../../context/CurrencyContext';
+import { Button } from './button';
+import { buildSheet, downloadCsv, downloadXlsx } from '../../lib/exportTable';
 
-const BreakdownTable = ({ data, type = 'sip' }) => {
-    const { t } = useTranslation(); // simplified for now, assuming external translation or transparent keys
-    const { formatMoney } = useCurrency();
+// Columns per schedule type; `money` columns are formatted on screen but
+// exported as raw numbers.
+const COLUMNS = {
+    // Year | Invested | Interest | Total Value (SIP, Lumpsum)
+    sip: [
+        { key: 'year', label: 'breakdown.year' },
+        { key: 'invested', label: 'breakdown.invested', money: true },
+        { key: 'interest', label: 'breakdown.interest', money: true },
+        { key: 'total', label: 'breakdown.totalValue', money: true },
+    ],
+    // Year | Expense | Balance (Retirement)
+    retirement: [
+        { key: 'year', label: 'breakdown.year' },
+        { key: 'expenses', label: 'breakdown.expenses', money: true },
+        { key: 'corpus', label: 'breakdown.corpus', money: true },
+    ],
+    // Year | Withdrawal | Balance (withdrawal strategies)
+    withdrawal: [
+        { key: 'year', label: 'breakdown.year' },
+        { key: 'withdrawal', label: 'breakdown.withdrawal', money: true },
+        { key: 'corpus', label: 'breakdown.corpus', money: true },
+    ],
+    // Month | EMI | Interest | Principal | Prepayment | Balance (loan amortization)
+    loan: [
+        { key: 'month', label: 'breakdown.month' },
+        { key: 'emi', label: 'breakdown.emi', money: true },
+        { key: 'interest', label: 'breakdown.interest', money: true },
+        { key: 'principal', label: 'breakdown.principal', money: true },
+        { key: 'prepayment', label: 'breakdown.prepayment', money: true },
+        { key: 'balance', label: 'breakdown.balance', money: true },
+    ],
+    // Year | Source | Target | Total | Lump sum on day one (STP)
+    stp: [
+        { key: 'year', label: 'breakdown.year' },
+        { key: 'source', label: 'stp.sourceFund', money: true },
+        { key: 'target', label: 'stp.targetFund', money: true },
+        { key: 'total', label: 'breakdown.totalValue', money: true },
+        { key: 'lumpSum', label: 'stp.lumpSumDayOne', money: true },
+    ],
+    // Month | Withdrawal | Returns | Balance (SWP)
+    swp: [
+        { key: 'month', label: 'breakdown.month' },
+        { key: 'withdrawal', label: 'breakdown.withdrawal', money: true },
+        { key: 'returns', label: 'breakdown.returns', money: true },
+        { key: 'balance', label: 'breakdown.balance', money: true },
+    ],
+};
+
+/**
+ * Year-wise schedule table. Pass `exportMeta` ({ fileName, title,
+ * assumptions: [{ label, value }] }) to offer CSV and Excel downloads.
+ */
+const BreakdownTable = ({ data, type = 'sip', exportMeta }) => {
+    const { t } = useTranslation();
+    const { formatMoney, activeCurrency } = useCurrency();
+    const [exportError, setExportError] = useState(null);
 
     if (!data || data.length === 0) return null;
 
-    // Common columns
-    // Year | Invested | Interest | Total Value (SIP, Lumpsum)
-    // Age | Expense | Balance (Retirement)
+    const columns = COLUMNS[type] || COLUMNS.sip;
 
-    const renderHeader = () => {
-        switch (type) {
-            case 'retirement':
-                return (
-                    <tr>
-                        <th className="px-2 py-1 sm:px-4 sm:py-2 text-left text-gray-400 font-medium">Age</th>
-                        <th className="px-2 py-1 sm:px-4 sm:py-2 text-right text-gray-400 font-medium">Expenses</th>
-                        <th className="px-2 py-1 sm:px-4 sm:py-2 text-right text-gray-400 font-medium">Corpus</th>
-                    </tr>
-                );
-            default: // sip, lumpsum
-                return (
-                    <tr>
-                        <th className="px-2 py-1 sm:px-4 sm:py-2 text-left text-gray-400 font-medium">Year</th>
-                        <th className="px-2 py-1 sm:px-4 sm:py-2 text-right text-gray-400 font-medium">Invested</th>
-                        <th className="px-2 py-1 sm:px-4 sm:py-2 text-right text-gray-400 font-medium">Interest</th>
-                        <th className="px-2 py-1 sm:px-4 sm:py-2 text-right text-gray-400 font-medium">Total Value</th>
-                    </tr>
-                );
-        }
-    };
+    const sheet = () => buildSheet({
+        title: exportMeta.title,
+        assumptions: [
+            { label: t('breakdown.currency'), value: activeCurrency.code },
+            ...(exportMeta.assumptions || []),
+        ],
+        columns: columns.map((c) => ({ key: c.key, label: c.money ? `${t(c.label)} (${activeCurrency.code})` : t(c.label) })),
+        rows: data,
+    });
 
-    const renderRows = () => {
-        return data.map((row, index) => {
-            if (type === 'retirement') {
-                return (
-                    <tr key={index} className="border-b border-white/5 hover:bg-white/5 transition-colors">
-                        <td className="px-2 py-1 sm:px-4 sm:py-2 text-white">{row.age}</td>
-                        <td className="px-2 py-1 sm:px-4 sm:py-2 text-right text-white font-mono">{formatMoney(row.expenses)}</td>
-                        <td className="px-2 py-1 sm:px-4 sm:py-2 text-right text-white font-mono">{formatMoney(row.corpus)}</td>
-                    </tr>
-                );
-            }
-            return (
-                <tr key={index} className="border-b border-white/5 hover:bg-white/5 transition-colors">
-                    <td className="px-2 py-1 sm:px-4 sm:py-2 text-white">{row.year}</td>
-                    <td className="px-2 py-1 sm:px-4 sm:py-2 text-right text-white font-mono">{formatMoney(row.invested)}</td>
-                    <td className="px-2 py-1 sm:px-4 sm:py-2 text-right text-white font-mono">{formatMoney(row.interest)}</td>
-                    <td className="px-2 py-1 sm:px-4 sm:py-2 text-right text-white font-mono">{formatMoney(row.total)}</td>
-                </tr>
-            );
-        });
+    const download = async (save) => {
+        setExportError(null);
+        try {
+            await save(sheet());
+        } catch (err) {
+            setExportError(err.message);
+        }
     };
 
     return (
-        <div className="w-full mt-6 overflow-hidden rounded-xl border border-white/10 bg-black/20">
-            <div className="overflow-x-auto max-h-[350px] sm:max-h-[450px] lg:max-h-[600px] overflow-y-auto no-scrollbar">
-                <table className="w-full text-xs sm:text-sm">
-                    <thead className="sticky top-0 bg-black/80 backdrop-blur-sm z-10 border-b border-white/10">
-                        {renderHeader()}
-                    </thead>
-                    <tbody>
-                        {renderRows()}
-                    </tbody>
-                </table>
+        <div className="w-full mt-6">
+            {exportMeta && (
+                <div className="flex justify-end gap-2 mb-2">
+                    <Button variant="outline" size="sm" onClick={() => download((rows) => downloadCsv(rows, exportMeta.fileName))} className="rounded-xl glass text-xs">
+                        <Download className="h-3.5 w-3.5 mr-1" />
+                        CSV
+                    </Button>
+                    <Button variant="outline" size="sm" onClick={() => download((rows) => downloadXlsx(rows, exportMeta.fileName, exportMeta.title))} className="rounded-xl glass text-xs">
+                        <Download className="h-3.5 w-3.5 mr-1" />
+                        Excel
+                    </Button>
+                </div>
+            )}
+            {exportError && <div className="text-xs sm:text-sm text-red-400 text-right mb-2">{t('breakdown.exportError', { message: exportError })}</div>}
+            <div className="overflow-hidden rounded-xl border border-white/10 bg-black/20">
+                <div className="overflow-x-auto max-h-[350px] sm:max-h-[450px] lg:max-h-[600px] overflow-y-auto no-scrollbar">
+                    <table className="w-full text-xs sm:text-sm">
+                        <thead className="sticky top-0 bg-black/80 backdrop-blur-sm z-10 border-b border-white/10">
+                            <tr>
+                                {columns.map((c, i) => (
+                                    <th key={c.key} className={`px-2 py-1 sm:px-4 sm:py-2 ${i === 0 ? 'text-left' : 'text-right'} text-gray-400 font-medium`}>{t(c.label)}</th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {data.map((row, index) => (
+                                <tr key={index} className="border-b border-white/5 hover:bg-white/5 transition-colors">
+                                    {columns.map((c, i) => (
+                                        <td key={c.key} className={`px-2 py-1 sm:px-4 sm:py-2 ${i === 0 ? '' : 'text-right font-mono'} text-white`}>
+                                            {c.money ? formatMoney(row[c.key]) : row[c.key]}
+                                        </td>
+                                    ))}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
             </div>
         </div>
     );
@@ -0,0 +1,18 @@
+import React from "react";
+import { Info } from "lucide-react";
+import { Label } from "./label";
+
+const Field = ({ label, children, hint }) => (
+  <div className="grid gap-2">
+    <Label className="text-sm sm:text-base text-gray-200 font-medium">{label}</Label>
+    {children}
+    {hint && (
+      <div className="flex items-center gap-2 text-xs sm:text-sm text-gray-400 mt-1">
+        <Info className="h-3 w-3 sm:h-3.5 sm:w-3.5 icon-hover" />
+        <span>{hint}</span>
+      </div>
+    )}
+  </div>
+);
+
+export { Field }
@@ -0,0 +1,11 @@
+import React from "react";
+
+const Metric = ({ label, value, sub }) => (
+  <div className="p-3 sm:p-4 rounded-2xl metric-card gradient-card">
+    <div className="text-xs sm:text-sm uppercase tracking-wide text-gray-300">{label}</div>
+    <div className="text-lg sm:text-xl lg:text-2xl font-semibold mt-1 text-white counter">{value}</div>
+    {sub && <div className="text-xs sm:text-sm text-gray-400 mt-1">{sub}</div>}
+  </div>
+);
+
+export { Metric }
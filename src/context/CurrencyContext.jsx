@@ -1,4 +1,5 @@
 import React, { createContext, useContext, useState, useEffect } from "react";
+import { DEFAULT_FX_RATES, convertAmount } from "../lib/currency";
 
 const CurrencyContext = createContext();
 
@@ -11,32 +12,66 @@ export const currencies = [
   { code: "AED", symbol: "AED", locale: "en-AE" },
 ];
 
+const DEFAULT_FX_OPTIONS = { convertOnSwitch: true, regionalDefaults: false };
+
+const readStored = (key, defaults) => {
+  try {
+    return { ...defaults, ...JSON.parse(localStorage.getItem(key) || "{}") };
+  } catch {
+    return defaults;
+  }
+};
+
 export const CurrencyProvider = ({ children }) => {
   const [currencyCode, setCurrencyCode] = useState(() => {
     return localStorage.getItem("app_currency") || "INR";
   });
 
+  // Exchange rates (units per USD) and what happens when the currency changes
+  const [rates, setRates] = useState(() => readStored("app_fx_rates", DEFAULT_FX_RATES));
+  const [fxOptions, setFxOptions] = useState(() => readStored("app_fx_options", DEFAULT_FX_OPTIONS));
+
   useEffect(() => {
     localStorage.setItem("app_currency", currencyCode);
   }, [currencyCode]);
 
+  useEffect(() => {
+    localStorage.setItem("app_fx_rates", JSON.stringify(rates));
+  }, [rates]);
+
+  useEffect(() => {
+    localStorage.setItem("app_fx_options", JSON.stringify(fxOptions));
+  }, [fxOptions]);
+
   const activeCurrency = currencies.find((c) => c.code === currencyCode) || currencies[0];
 
-  const formatMoney = (value) => {
-    if (!isFinite(value)) return activeCurrency.symbol + "0";
-    return new Intl.NumberFormat(activeCurrency.locale, {
+  // Format in a given currency regardless of the active one (e.g. tax packs)
+  const formatMoneyIn = (value, code) => {
+    const currency = currencies.find((c) => c.code === code) || activeCurrency;
+    if (!isFinite(value)) return currency.symbol + "0";
+    return new Intl.NumberFormat(currency.locale, {
       style: "currency",
-      currency: activeCurrency.code,
+      currency: currency.code,
       maximumFractionDigits: 0,
     }).format(value);
   };
 
+  const formatMoney = (value) => formatMoneyIn(value, activeCurrency.code);
+
+  const convert = (amount, from, to = currencyCode) => convertAmount(amount, from, to, rates);
+
   const value = {
     currencyCode,
     setCurrencyCode,
     activeCurrency,
     formatMoney,
+    formatMoneyIn,
     currencies,
+    rates,
+    setRates,
+    fxOptions,
+    setFxOptions,
+    convert,
   };
 
   return (
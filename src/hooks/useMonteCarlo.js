@@ -0,0 +1,54 @@
+import { useEffect, useRef, useState } from "react";
+
+const DEBOUNCE_MS = 200;
+
+// Runs a simulation from src/workers/monteCarlo.worker.js whenever `input`
+// changes. Requests are debounced and replies to superseded requests are
+// ignored, so typing in a field never shows results for stale inputs.
+// A worker that fails to load or crashes reports `error` and is replaced on
+// the next request.
+export function useMonteCarlo(kind, input, enabled = true) {
+  const workerRef = useRef(null);
+  const requestRef = useRef(0);
+  const [state, setState] = useState({ result: null, running: false, error: null });
+  const key = JSON.stringify(input);
+
+  useEffect(() => () => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+  }, []);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    if (!workerRef.current) {
+      workerRef.current = new Worker(new URL("../workers/monteCarlo.worker.js", import.meta.url), { type: "module" });
+    }
+    const worker = workerRef.current;
+    const id = ++requestRef.current;
+    const onMessage = ({ data }) => {
+      if (data.id !== id) return;
+      setState({ result: data.result ?? null, running: false, error: data.error ?? null });
+    };
+    const onError = (event) => {
+      event.preventDefault();
+      if (event.type === "error" && workerRef.current === worker) {
+        worker.terminate();
+        workerRef.current = null;
+      }
+      setState({ result: null, running: false, error: event.message || "Simulation failed" });
+    };
+    worker.addEventListener("message", onMessage);
+    worker.addEventListener("error", onError);
+    worker.addEventListener("messageerror", onError);
+    setState((prev) => ({ ...prev, running: true }));
+    const timer = setTimeout(() => worker.postMessage({ id, kind, input: JSON.parse(key) }), DEBOUNCE_MS);
+    return () => {
+      clearTimeout(timer);
+      worker.removeEventListener("message", onMessage);
+      worker.removeEventListener("error", onError);
+      worker.removeEventListener("messageerror", onError);
+    };
+  }, [enabled, kind, key]);
+
+  return state;
+}
@@ -0,0 +1,146 @@
+// Currency conversion and regional assumptions for planner state.
+// Exchange rates are units of each currency per US dollar; the bundled
+// defaults are offline snapshots that the user can override. Converting a
+// plan rescales every monetary input (SIP amounts, principals, expenses,
+// corpora, holdings, goals, cashflows, scenario inputs) while leaving rates
+// and durations alone. Indian tax inputs stay in rupees because the tax rules
+// are.
+
+/**
+ * Offline default exchange rates, in units per 1 USD.
+ */
+export const DEFAULT_FX_RATES = {
+  USD: 1,
+  INR: 85.5,
+  EUR: 0.92,
+  GBP: 0.79,
+  JPY: 150,
+  AED: 3.6725,
+};
+
+/** Month the default rates were taken from, shown next to the table. */
+export const DEFAULT_FX_AS_OF = "2025-06";
+
+/**
+ * Typical long-run assumptions per currency, in annual percent: consumer
+ * inflation, an equity-heavy expected return, a conservative
+ * post-retirement return and a high-grade debt return.
+ */
+export const REGIONAL_DEFAULTS = {
+  INR: { inflation: 6, equityReturn: 12, postRetReturn: 7, debtReturn: 7 },
+  USD: { inflation: 3, equityReturn: 8, postRetReturn: 5, debtReturn: 4 },
+  EUR: { inflation: 2.5, equityReturn: 7, postRetReturn: 4, debtReturn: 3 },
+  GBP: { inflation: 3, equityReturn: 7, postRetReturn: 4.5, debtReturn: 4 },
+  JPY: { inflation: 1.5, equityReturn: 6, postRetReturn: 2, debtReturn: 1 },
+  AED: { inflation: 2.5, equityReturn: 7, postRetReturn: 4.5, debtReturn: 4 },
+};
+
+// Monetary fields of each plan section; scenario lists reuse the section
+// shape of their calculator tab.
+const MONEY_FIELDS = {
+  sip: ["monthly", "stepUpCap"],
+  sipSim: ["target"],
+  ls: ["principal"],
+  ret: ["expenseMonthly", "currentSavings", "monthlyContribution"],
+  cagr: ["initial", "final"],
+  goal: ["target", "existingCorpus", "lumpsum"],
+  rebalance: ["contribution", "equityExemption"],
+  loan: ["principal", "recurringAmount"],
+  swp: ["corpus", "withdrawal"],
+  stp: ["lumpSum", "transfer"],
+};
+// Sections holding per-asset-class amounts
+const MONEY_MAPS = { rebalance: ["holdings", "costBasis"] };
+const SCENARIO_SECTIONS = { sip: "sip", lumpsum: "ls", retire: "ret", goal: "goal" };
+
+const roundMoney = (v) => (Math.abs(v) >= 100 ? Math.round(v) : Math.round(v * 100) / 100);
+
+/**
+ * Convert an amount between currencies. Unknown currencies or non-positive
+ * rates leave the amount unchanged.
+ * @param {number} value
+ * @param {string} from
+ * @param {string} to
+ * @param {Record<string, number>} [rates]
+ * @returns {number}
+ */
+export const convertAmount = (value, from, to, rates = DEFAULT_FX_RATES) => {
+  const a = rates[from];
+  const b = rates[to];
+  if (from === to || !(a > 0) || !(b > 0)) return value;
+  return (value / a) * b;
+};
+
+const convertSection = (section, key, factor) => {
+  const next = { ...section };
+  MONEY_FIELDS[key].forEach((field) => {
+    if (typeof next[field] === "number") next[field] = roundMoney(next[field] * factor);
+  });
+  (MONEY_MAPS[key] || []).forEach((field) => {
+    if (next[field]) next[field] = Object.fromEntries(Object.entries(next[field]).map(([id, v]) => [id, roundMoney(v * factor)]));
+  });
+  // The step-up value is an amount only for fixed-amount step-ups
+  if (key === "sip" && next.stepUpType === "amount") next.stepUpValue = roundMoney(next.stepUpValue * factor);
+  return next;
+};
+
+/**
+ * Rescale every monetary input of a plan from one currency to another.
+ * @param {object} plan planner state as produced by `createDefaultPlan`
+ * @param {string} from
+ * @param {string} to
+ * @param {Record<string, number>} [rates]
+ * @returns {object}
+ */
+export const convertPlanAmounts = (plan, from, to, rates = DEFAULT_FX_RATES) => {
+  const factor = convertAmount(1, from, to, rates);
+  if (factor === 1) return plan;
+  const next = { ...plan };
+  Object.keys(MONEY_FIELDS).forEach((key) => {
+    if (next[key]) next[key] = convertSection(next[key], key, factor);
+  });
+  if (next.multiGoals) {
+    next.multiGoals = {
+      monthlyBudget: roundMoney(next.multiGoals.monthlyBudget * factor),
+      list: next.multiGoals.list.map((g) => ({ ...g, costToday: roundMoney(g.costToday * factor), existingCorpus: roundMoney(g.existingCorpus * factor) })),
+    };
+  }
+  if (next.loan) {
+    next.loan = { ...next.loan, oneOffs: next.loan.oneOffs.map((p) => ({ ...p, amount: roundMoney(p.amount * factor) })) };
+  }
+  if (Array.isArray(next.xirrFlows)) {
+    next.xirrFlows = next.xirrFlows.map((f) => ({ ...f, amount: roundMoney(f.amount * factor) }));
+  }
+  if (next.scenarios) {
+    next.scenarios = Object.fromEntries(Object.entries(next.scenarios).map(([kind, list]) => [
+      kind,
+      SCENARIO_SECTIONS[kind] ? list.map((sc) => ({ ...sc, inputs: convertSection(sc.inputs, SCENARIO_SECTIONS[kind], factor) })) : list,
+    ]));
+  }
+  return next;
+};
+
+/**
+ * Replace a plan's inflation and expected returns with the regional
+ * defaults of a currency. Plans in currencies without defaults are returned
+ * unchanged.
+ * @param {object} plan
+ * @param {string} code
+ * @returns {object}
+ */
+export const applyRegionalDefaults = (plan, code) => {
+  const d = REGIONAL_DEFAULTS[code];
+  if (!d) return plan;
+  return {
+    ...plan,
+    sip: { ...plan.sip, annualReturn: d.equityReturn },
+    ls: { ...plan.ls, annualReturn: d.equityReturn },
+    realView: { ...plan.realView, inflation: d.inflation },
+    ret: { ...plan.ret, inflation: d.inflation, preRetReturn: d.equityReturn, postRetReturn: d.postRetReturn },
+    goal: { ...plan.goal, expectedReturn: d.equityReturn },
+    loan: { ...plan.loan, investReturn: d.equityReturn },
+    stp: { ...plan.stp, sourceReturn: d.debtReturn, targetReturn: d.equityReturn },
+    swp: { ...plan.swp, annualReturn: d.postRetReturn, inflation: d.inflation },
+    allocation: { ...plan.allocation, returns: { ...plan.allocation.returns, domesticEquity: d.equityReturn, debt: d.debtReturn } },
+  };
+};
@@ -0,0 +1,72 @@
+// Export year-wise schedules as CSV or .xlsx.
+// Both formats share one sheet layout: a title, a block of input
+// assumptions, a blank row, then the column headers and raw numeric rows.
+
+const round2 = (v) => (typeof v === "number" && isFinite(v) ? Math.round(v * 100) / 100 : v);
+
+/**
+ * Lay out a schedule as an array of rows (array of cell values).
+ * @param {{ title: string, assumptions?: { label: string, value: string|number }[], columns: { key: string, label: string }[], rows: object[] }} input
+ * @returns {(string|number|null)[][]}
+ */
+export const buildSheet = ({ title, assumptions = [], columns, rows }) => [
+  [title],
+  ...assumptions.map(({ label, value }) => [label, round2(value)]),
+  [],
+  columns.map((c) => c.label),
+  ...rows.map((row) => columns.map((c) => round2(row[c.key]) ?? null)),
+];
+
+const csvCell = (v) => {
+  if (v === null || v === undefined) return "";
+  const text = String(v);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {(string|number|null)[][]} sheet
+ * @returns {string}
+ */
+export const toCsv = (sheet) => sheet.map((row) => row.map(csvCell).join(",")).join("\r\n");
+
+const saveBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Download a sheet as UTF-8 CSV. The byte-order mark lets Excel open
+ * Hindi and Gujarati headers correctly.
+ * @param {(string|number|null)[][]} sheet
+ * @param {string} fileName without extension
+ */
+export const downloadCsv = (sheet, fileName) => {
+  saveBlob(new Blob(["\uFEFF", toCsv(sheet)], { type: "text/csv;charset=utf-8" }), `${fileName}.csv`);
+};
+
+// Excel sheet names can't contain []/\:*? and are at most 31 characters
+const sheetTitle = (name) => String(name).replace(/[[\]/\\:*?]/g, " ").replace(/\s+/g, " ").trim().slice(0, 31) || "Schedule";
+
+/**
+ * Download a sheet as an .xlsx workbook. The writer is loaded on demand so
+ * it stays out of the main bundle.
+ * @param {(string|number|null)[][]} sheet
+ * @param {string} fileName without extension
+ * @param {string} [sheetName]
+ */
+export const downloadXlsx = async (sheet, fileName, sheetName = "Schedule") => {
+  const { default: writeXlsxFile } = await import("write-excel-file/browser");
+  const data = sheet.map((row, i) => row.map((value) => {
+    if (value === null || value === undefined) return null;
+    // Bold the title row
+    return i === 0 ? { value, fontWeight: "bold" } : value;
+  }));
+  const blob = await writeXlsxFile(data, { sheet: sheetTitle(sheetName) }).toBlob();
+  saveBlob(blob, `${fileName}.xlsx`);
+};
@@ -0,0 +1,115 @@
+import { clamp, num } from "./helpers";
+
+// ASSET ALLOCATION
+// A rule gives the equity share at an age. The mix then splits equity into
+// domestic and international and the remainder into debt, gold and cash, so
+// every asset class follows the rule's glide towards retirement. Expected
+// returns are blended from per-class assumptions.
+
+/**
+ * Asset classes in display order.
+ */
+export const ASSET_CLASSES = ["domesticEquity", "internationalEquity", "debt", "gold", "cash"];
+
+/**
+ * Shape of a typical target-date fund: full equity until `glideYears`
+ * before retirement, then a straight line down to `equityAtRetirementPct`.
+ */
+export const TARGET_DATE_GLIDE = { maxEquityPct: 90, glideYears: 25, equityAtRetirementPct: 40 };
+
+/**
+ * Equity rules by id. `equityAt(age, params)` returns the unclamped equity
+ * percentage; `params` holds `startAge`, `retirementAge`, `startEquityPct`
+ * and `endEquityPct`.
+ */
+export const ALLOCATION_RULES = {
+  "110-age": { equityAt: (age) => 110 - age },
+  "100-age": { equityAt: (age) => 100 - age },
+  targetDate: {
+    equityAt: (age, { retirementAge }) => {
+      const { maxEquityPct, glideYears, equityAtRetirementPct } = TARGET_DATE_GLIDE;
+      const yearsLeft = clamp(num(retirementAge) - age, 0, glideYears);
+      return equityAtRetirementPct + ((maxEquityPct - equityAtRetirementPct) * yearsLeft) / glideYears;
+    },
+  },
+  // Straight line from the user's equity share today to their share at retirement
+  custom: {
+    equityAt: (age, { startAge, retirementAge, startEquityPct, endEquityPct }) => {
+      const span = num(retirementAge) - num(startAge);
+      if (span <= 0) return num(endEquityPct);
+      const done = clamp((age - num(startAge)) / span, 0, 1);
+      return num(startEquityPct) + (num(endEquityPct) - num(startEquityPct)) * done;
+    },
+  },
+};
+
+const DEFAULT_RULE_PARAMS = { retirementAge: 60, startEquityPct: 80, endEquityPct: 30 };
+
+const round1 = (v) => Math.round(v * 10) / 10;
+
+/**
+ * Equity/debt split for an age under a rule.
+ * @param {number} age
+ * @param {"110-age"|"100-age"|"targetDate"|"custom"} [rule="110-age"]
+ * @param {{ startAge?: number, retirementAge?: number, startEquityPct?: number, endEquityPct?: number }} [params]
+ * @returns {{ equity: number, debt: number }} percentages summing to 100
+ */
+export const suggestAllocation = (age, rule = "110-age", params = {}) => {
+  const impl = ALLOCATION_RULES[rule] || ALLOCATION_RULES["110-age"];
+  const equity = Math.round(clamp(impl.equityAt(num(age), { startAge: age, ...DEFAULT_RULE_PARAMS, ...params }), 0, 100));
+  const debt = clamp(100 - equity, 0, 100);
+  return { equity, debt };
+};
+
+/**
+ * Split an equity share across the asset classes. `internationalPct` is the
+ * share of equity held abroad; `goldPct` and `cashPct` are shares of the
+ * non-equity part, with debt taking the rest.
+ * @param {number} equityPct
+ * @param {{ internationalPct?: number, goldPct?: number, cashPct?: number }} mix
+ * @returns {{ domesticEquity: number, internationalEquity: number, debt: number, gold: number, cash: number }}
+ */
+export const splitAllocation = (equityPct, { internationalPct = 0, goldPct = 0, cashPct = 0 }) => {
+  const equity = clamp(num(equityPct), 0, 100);
+  const defensive = 100 - equity;
+  const internationalEquity = round1((equity * clamp(num(internationalPct), 0, 100)) / 100);
+  const goldShare = clamp(num(goldPct), 0, 100);
+  const cashShare = clamp(num(cashPct), 0, 100 - goldShare);
+  const gold = round1((defensive * goldShare) / 100);
+  const cash = round1((defensive * cashShare) / 100);
+  return {
+    domesticEquity: round1(equity - internationalEquity),
+    internationalEquity,
+    debt: round1(defensive - gold - cash),
+    gold,
+    cash,
+  };
+};
+
+/**
+ * Weighted expected return of an allocation.
+ * @param {Record<string, number>} weights percentages by asset class
+ * @param {Record<string, number>} returnsPct annual percentages by asset class
+ * @returns {number}
+ */
+export const blendedReturn = (weights, returnsPct) =>
+  ASSET_CLASSES.reduce((sum, id) => sum + (num(weights[id]) * num(returnsPct[id])) / 100, 0);
+
+/**
+ * Allocation for every age from today to retirement (one row when already
+ * retired), with the blended expected return of each year's mix.
+ * @param {{ age: number, rule: string, tiltPct?: number, retirementAge: number, startEquityPct?: number, endEquityPct?: number, internationalPct?: number, goldPct?: number, cashPct?: number, returnsPct: Record<string, number> }} input
+ * @returns {{ age: number, year: number, equity: number, domesticEquity: number, internationalEquity: number, debt: number, gold: number, cash: number, expectedReturnPct: number }[]}
+ */
+export const glidePath = ({ age, rule, tiltPct = 0, retirementAge, startEquityPct, endEquityPct, internationalPct, goldPct, cashPct, returnsPct }) => {
+  const start = Math.round(num(age));
+  const end = Math.max(start, Math.round(num(retirementAge)));
+  const params = { startAge: start, retirementAge: end, startEquityPct, endEquityPct };
+  const rows = [];
+  for (let a = start; a <= end; a++) {
+    const equity = clamp(suggestAllocation(a, rule, params).equity + num(tiltPct), 0, 100);
+    const weights = splitAllocation(equity, { internationalPct, goldPct, cashPct });
+    rows.push({ age: a, year: a - start, equity, ...weights, expectedReturnPct: Math.round(blendedReturn(weights, returnsPct) * 100) / 100 });
+  }
+  return rows;
+};
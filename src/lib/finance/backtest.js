@@ -0,0 +1,99 @@
+import { num, annualPctToRate } from "./helpers";
+import { stepUpInstalment } from "./growth";
+import { HISTORICAL_INDICES } from "./indexReturns";
+
+// Rolling-window backtests against bundled index history.
+// A SIP or lump sum is replayed over every N-year window of calendar-year
+// returns (1996–2010, 1997–2011, …). Each year's return is spread evenly
+// over its twelve months so SIP instalments earn the part of the year they
+// were invested for. The realised CAGR of a lump sum is its plain CAGR; for
+// a SIP it is the annualised internal rate of return of its instalments.
+
+// Annualised IRR of monthly start-of-month instalments that grew to `value`
+const sipIrr = (instalments, value) => {
+  const n = instalments.length;
+  const fv = (r) => instalments.reduce((sum, p, i) => sum + p * Math.pow(1 + r, n - i), 0);
+  if (value <= 0 || n === 0) return -1;
+  let lo = -0.5;
+  let hi = 1;
+  for (let i = 0; i < 200 && hi - lo > 1e-12; i++) {
+    const mid = (lo + hi) / 2;
+    if (fv(mid) < value) lo = mid;
+    else hi = mid;
+  }
+  return Math.pow(1 + (lo + hi) / 2, 12) - 1;
+};
+
+const runWindow = (returns, { mode, principal, monthlyInvestment, stepUpType, stepUpValue, stepUpCap }) => {
+  if (mode === "lumpsum") {
+    const invested = Math.max(0, num(principal));
+    const value = returns.reduce((v, r) => v * (1 + r), invested);
+    const cagr = invested > 0 ? Math.pow(value / invested, 1 / returns.length) - 1 : 0;
+    return { invested, value, cagrPct: cagr * 100 };
+  }
+  const instalments = [];
+  let value = 0;
+  returns.forEach((r, y) => {
+    const monthly = Math.pow(1 + r, 1 / 12) - 1;
+    const p = stepUpInstalment({ monthlyInvestment, year: y + 1, stepUpType, stepUpValue, stepUpCap });
+    for (let m = 0; m < 12; m++) {
+      instalments.push(p);
+      value = (value + p) * (1 + monthly);
+    }
+  });
+  const invested = instalments.reduce((sum, p) => sum + p, 0);
+  return { invested, value, cagrPct: invested > 0 ? sipIrr(instalments, value) * 100 : 0 };
+};
+
+/**
+ * Histogram of realised CAGRs in buckets `bucketPct` wide, aligned to
+ * multiples of the bucket size.
+ * @param {number[]} cagrsPct
+ * @param {number} [bucketPct]
+ * @returns {{ fromPct: number, toPct: number, count: number }[]}
+ */
+export const cagrDistribution = (cagrsPct, bucketPct = 2) => {
+  if (!cagrsPct.length) return [];
+  const size = Math.max(0.5, num(bucketPct));
+  const first = Math.floor(Math.min(...cagrsPct) / size);
+  const last = Math.floor(Math.max(...cagrsPct) / size);
+  const buckets = [];
+  for (let b = first; b <= last; b++) buckets.push({ fromPct: b * size, toPct: (b + 1) * size, count: 0 });
+  cagrsPct.forEach((c) => { buckets[Math.floor(c / size) - first].count++; });
+  return buckets;
+};
+
+/**
+ * Replay a SIP (with optional step-up) or a lump sum over every rolling
+ * window of `windowYears` in an index's history. Windows are ordered by
+ * start year; best, worst and median are picked by final value, which for a
+ * fixed amount invested also orders them by realised CAGR. All three are
+ * null when the history is shorter than the window.
+ * @param {{ index: string, windowYears: number, mode?: "sip"|"lumpsum", principal?: number, monthlyInvestment?: number, stepUpType?: "none"|"percent"|"amount", stepUpValue?: number, stepUpCap?: number, bucketPct?: number }} input
+ * @returns {{ windows: { startYear: number, endYear: number, invested: number, value: number, cagrPct: number }[], best: object|null, worst: object|null, median: object|null, distribution: { fromPct: number, toPct: number, count: number }[], firstYear: number, lastYear: number }}
+ */
+export const rollingBacktest = ({ index, windowYears, mode = "sip", principal = 0, monthlyInvestment = 0, stepUpType = "none", stepUpValue = 0, stepUpCap = 0, bucketPct = 2 }) => {
+  const series = HISTORICAL_INDICES[index];
+  if (!series) throw new Error(`Unknown index: ${index}`);
+  const returns = series.returnsPct.map(annualPctToRate);
+  const n = Math.max(1, Math.round(num(windowYears)));
+
+  const windows = [];
+  for (let start = 0; start + n <= returns.length; start++) {
+    windows.push({
+      startYear: series.startYear + start,
+      endYear: series.startYear + start + n - 1,
+      ...runWindow(returns.slice(start, start + n), { mode, principal, monthlyInvestment, stepUpType, stepUpValue, stepUpCap }),
+    });
+  }
+  const ranked = [...windows].sort((a, b) => a.value - b.value);
+  return {
+    windows,
+    best: ranked.at(-1) ?? null,
+    worst: ranked[0] ?? null,
+    median: ranked.length ? ranked[Math.floor((ranked.length - 1) / 2)] : null,
+    distribution: cagrDistribution(windows.map((w) => w.cagrPct), bucketPct),
+    firstYear: series.startYear,
+    lastYear: series.startYear + returns.length - 1,
+  };
+};
@@ -0,0 +1,123 @@
+import { num, annualPctToMonthlyRate, annualPctToRate, monthsIn } from "./helpers";
+import { stepUpInstalment } from "./growth";
+
+// FUND COSTS
+// Growth net of what a mutual fund investor pays:
+// - annual fees (expense ratio / TER plus any advisory fee) charged monthly on
+//   the balance, at a twelfth of the annual rate after that month's growth
+// - a transaction cost (e.g. stamp duty) deducted from every purchase
+// - an exit load on redemption at the end of the horizon, charged only on
+//   units bought within `exitLoadMonths` of it
+// With every cost at zero the schedules match `sipSchedule` and
+// `lumpsumSchedule`. Tax on gains is not modelled.
+
+/**
+ * Direct and regular plans of the same fund.
+ */
+export const FUND_PLANS = ["direct", "regular"];
+
+/**
+ * Cost rates for one plan. A direct plan pays its TER plus the fee of an
+ * adviser chosen by the investor; a regular plan pays a higher TER that
+ * includes the distributor's commission, and no separate advisory fee.
+ * @param {{ directTerPct: number, regularTerPct: number, advisoryFeePct?: number, transactionCostPct?: number, exitLoadPct?: number, exitLoadMonths?: number }} costs
+ * @param {"direct"|"regular"} plan
+ * @returns {{ annualFeePct: number, transactionCostPct: number, exitLoadPct: number, exitLoadMonths: number }}
+ */
+export const planCostRates = ({ directTerPct, regularTerPct, advisoryFeePct = 0, transactionCostPct = 0, exitLoadPct = 0, exitLoadMonths = 0 }, plan) => ({
+  annualFeePct: plan === "regular" ? num(regularTerPct) : num(directTerPct) + num(advisoryFeePct),
+  transactionCostPct: num(transactionCostPct),
+  exitLoadPct: num(exitLoadPct),
+  exitLoadMonths: num(exitLoadMonths),
+});
+
+/**
+ * Net-of-costs growth of monthly purchases, `instalments[m - 1]` paid at the
+ * start of month m.
+ * @param {{ instalments: number[], annualReturnPct: number, years: number, annualFeePct?: number, transactionCostPct?: number, exitLoadPct?: number, exitLoadMonths?: number }} input
+ * @returns {{ rows: { year: number, invested: number, value: number, fees: number }[], invested: number, value: number, exitLoad: number, netValue: number, fees: { annual: number, transaction: number, exitLoad: number, total: number } }}
+ */
+export const costedSchedule = ({ instalments, annualReturnPct, years, annualFeePct = 0, transactionCostPct = 0, exitLoadPct = 0, exitLoadMonths = 0 }) => {
+  const r = annualPctToMonthlyRate(annualReturnPct);
+  const fee = annualPctToMonthlyRate(annualFeePct);
+  const txn = annualPctToRate(transactionCostPct);
+  const n = monthsIn(years);
+  let balance = 0;
+  let invested = 0;
+  let annual = 0;
+  let transaction = 0;
+  // Net amount bought each month, for the exit load
+  const bought = [];
+  const rows = [];
+  for (let m = 1; m <= n; m++) {
+    const paid = Math.max(0, num(instalments[m - 1]));
+    invested += paid;
+    transaction += paid * txn;
+    bought.push(paid * (1 - txn));
+    balance = (balance + paid * (1 - txn)) * (1 + r);
+    const charged = balance * fee;
+    annual += charged;
+    balance -= charged;
+    if (m % 12 === 0 || m === n) rows.push({ year: m % 12 === 0 ? m / 12 : num(years), invested, value: balance, fees: annual + transaction });
+  }
+  // Every unit grows by the same factor each month, so a purchase's value at
+  // the end is its amount times the growth since it was made
+  const monthly = (1 + r) * (1 - fee);
+  const recent = Math.min(n, Math.max(0, Math.round(num(exitLoadMonths))));
+  let recentValue = 0;
+  for (let m = n - recent + 1; m <= n; m++) recentValue += bought[m - 1] * Math.pow(monthly, n - m + 1);
+  const exitLoad = recentValue * annualPctToRate(exitLoadPct);
+  return {
+    rows,
+    invested,
+    value: balance,
+    exitLoad,
+    netValue: balance - exitLoad,
+    fees: { annual, transaction, exitLoad, total: annual + transaction + exitLoad },
+  };
+};
+
+/**
+ * Step-up SIP net of costs.
+ * @param {{ monthlyInvestment: number, annualReturnPct: number, years: number, stepUpType?: "none"|"percent"|"amount", stepUpValue?: number, stepUpCap?: number, annualFeePct?: number, transactionCostPct?: number, exitLoadPct?: number, exitLoadMonths?: number }} input
+ * @returns {ReturnType<typeof costedSchedule>}
+ */
+export const sipWithCosts = (input) => {
+  const n = monthsIn(input.years);
+  const instalments = Array.from({ length: n }, (_, i) => stepUpInstalment({ ...input, year: Math.ceil((i + 1) / 12) }));
+  return costedSchedule({ ...input, instalments });
+};
+
+/**
+ * Lump sum net of costs.
+ * @param {{ principal: number, annualReturnPct: number, years: number, annualFeePct?: number, transactionCostPct?: number, exitLoadPct?: number, exitLoadMonths?: number }} input
+ * @returns {ReturnType<typeof costedSchedule>}
+ */
+export const lumpsumWithCosts = (input) => costedSchedule({ ...input, instalments: [num(input.principal)] });
+
+/**
+ * Rows of `sipSchedule` or `lumpsumSchedule` with each year's balance replaced
+ * by the costed one. The last row is what redemption pays after the exit load.
+ * @param {{ year: number, invested: number, value: number }[]} rows
+ * @param {ReturnType<typeof costedSchedule>} costed
+ * @returns {object[]}
+ */
+export const netOfCosts = (rows, costed) => rows.map((row, i) => ({
+  ...row,
+  value: i === rows.length - 1 ? costed.netValue : costed.rows[i]?.value ?? row.value,
+}));
+
+/**
+ * Direct vs regular plan of the same SIP or lump sum.
+ * @param {"sip"|"lumpsum"} kind
+ * @param {object} input growth inputs as for `sipWithCosts` or `lumpsumWithCosts`
+ * @param {object} costs as for `planCostRates`
+ * @returns {{ direct: object, regular: object, gross: object, valueGap: number, feeGap: number }}
+ */
+export const compareFundPlans = (kind, input, costs) => {
+  const run = kind === "lumpsum" ? lumpsumWithCosts : sipWithCosts;
+  const direct = run({ ...input, ...planCostRates(costs, "direct") });
+  const regular = run({ ...input, ...planCostRates(costs, "regular") });
+  const gross = run(input);
+  return { direct, regular, gross, valueGap: direct.netValue - regular.netValue, feeGap: regular.fees.total - direct.fees.total };
+};
@@ -0,0 +1,59 @@
+import { describe, it, expect } from "vitest";
+import { planCostRates, sipWithCosts, lumpsumWithCosts, netOfCosts, compareFundPlans } from "./fees";
+import { fvSIP, fvLumpSum, sipSchedule } from "./growth";
+
+const costs = { directTerPct: 0.5, regularTerPct: 1.5, advisoryFeePct: 0, transactionCostPct: 0.005, exitLoadPct: 1, exitLoadMonths: 12 };
+const sip = { monthlyInvestment: 20000, annualReturnPct: 12, years: 20 };
+
+describe("planCostRates", () => {
+  it("adds the advisory fee to the direct plan only", () => {
+    const withAdviser = { ...costs, advisoryFeePct: 1 };
+    expect(planCostRates(withAdviser, "direct").annualFeePct).toBe(1.5);
+    expect(planCostRates(withAdviser, "regular").annualFeePct).toBe(1.5);
+  });
+});
+
+describe("costedSchedule", () => {
+  it("matches the cost-free calculators when every cost is 0", () => {
+    expect(sipWithCosts(sip).netValue).toBeCloseTo(fvSIP(sip), 4);
+    expect(lumpsumWithCosts({ principal: 1000000, annualReturnPct: 10, years: 15 }).netValue).toBeCloseTo(fvLumpSum({ principal: 1000000, annualReturnPct: 10, years: 15 }), 4);
+  });
+
+  it("reduces the value by the annual fee and transaction cost", () => {
+    const result = sipWithCosts({ ...sip, ...planCostRates(costs, "regular") });
+    expect(result.value).toBeLessThan(fvSIP(sip));
+    expect(result.fees.transaction).toBeCloseTo(4800000 * 0.00005, 6);
+    expect(result.fees.total).toBeCloseTo(result.fees.annual + result.fees.transaction + result.fees.exitLoad, 6);
+  });
+
+  it("charges the exit load only on units bought within the exit load period", () => {
+    const rates = planCostRates(costs, "direct");
+    expect(lumpsumWithCosts({ principal: 100000, annualReturnPct: 10, years: 2, ...rates }).exitLoad).toBe(0);
+    const early = lumpsumWithCosts({ principal: 100000, annualReturnPct: 10, years: 0.5, ...rates });
+    expect(early.exitLoad).toBeCloseTo(early.value * 0.01, 6);
+  });
+});
+
+describe("netOfCosts", () => {
+  it("swaps in the costed balances and ends at the value after the exit load", () => {
+    const costed = sipWithCosts({ ...sip, ...planCostRates(costs, "direct") });
+    const rows = netOfCosts(sipSchedule(sip), costed);
+    expect(rows[0].value).toBe(costed.rows[0].value);
+    expect(rows.at(-1).value).toBe(costed.netValue);
+    expect(rows.at(-1).monthly).toBe(20000);
+  });
+});
+
+describe("compareFundPlans", () => {
+  it("puts the direct plan ahead of the regular plan at a lower TER", () => {
+    const result = compareFundPlans("sip", sip, costs);
+    expect(result.gross.netValue).toBeCloseTo(fvSIP(sip), 4);
+    expect(result.valueGap).toBeGreaterThan(0);
+    expect(result.feeGap).toBeGreaterThan(0);
+  });
+
+  it("puts the regular plan ahead when the advisory fee outweighs the TER gap", () => {
+    const result = compareFundPlans("lumpsum", { principal: 1000000, annualReturnPct: 10, years: 10 }, { ...costs, advisoryFeePct: 1.5 });
+    expect(result.valueGap).toBeLessThan(0);
+  });
+});
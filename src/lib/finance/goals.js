@@ -0,0 +1,75 @@
+import { num } from "./helpers";
+import { fvLumpSum, fvSIP, requiredSIP } from "./growth";
+
+// MULTIPLE GOALS
+// Each goal is priced in today's money and grown by its own inflation to
+// the target year; the required SIP then comes from `requiredSIP` with the
+// goal's existing corpus. With a monthly budget, goals are funded in
+// priority order (then earliest first) until the budget runs out, and the
+// rest are reported as partly funded.
+
+/**
+ * Priority ranks, most important first.
+ */
+export const GOAL_PRIORITIES = ["high", "medium", "low"];
+
+/**
+ * Cost of a goal in the target year.
+ * @param {{ costToday: number, inflationPct: number, years: number }} input
+ * @returns {number}
+ */
+export const goalFutureCost = ({ costToday, inflationPct, years }) =>
+  num(costToday) * Math.pow(1 + num(inflationPct) / 100, Math.max(0, num(years)));
+
+/**
+ * Future cost, required SIP and funding for a list of goals.
+ * @param {{ goals: { id: number, costToday: number, inflationPct: number, targetYear: number, priority: string, existingCorpus?: number, expectedReturn: number }[], startYear: number, monthlyBudget?: number }} input
+ *   `monthlyBudget` of 0 funds every goal in full.
+ * @returns {{ goals: { id: number, years: number, futureCost: number, requiredMonthly: number, allocatedMonthly: number, projectedValue: number, fundedPct: number }[], totalRequired: number, totalAllocated: number, shortfall: number, timeline: object[] }}
+ */
+export const planGoals = ({ goals, startYear, monthlyBudget = 0 }) => {
+  const priced = goals.map((g) => {
+    const years = Math.max(0, num(g.targetYear) - num(startYear));
+    const futureCost = goalFutureCost({ costToday: g.costToday, inflationPct: g.inflationPct, years });
+    const requiredMonthly = Math.max(0, requiredSIP({ targetAmount: futureCost, years, annualReturnPct: g.expectedReturn, existingCorpus: g.existingCorpus }));
+    return { ...g, years, futureCost, requiredMonthly };
+  });
+
+  const order = priced
+    .map((g, i) => ({ g, i }))
+    .sort((a, b) => GOAL_PRIORITIES.indexOf(a.g.priority) - GOAL_PRIORITIES.indexOf(b.g.priority) || a.g.years - b.g.years);
+  const budgeted = num(monthlyBudget) > 0;
+  let left = num(monthlyBudget);
+  const allocated = new Array(priced.length).fill(0);
+  order.forEach(({ g, i }) => {
+    // Unfunded goals due this year cannot be saved for, so they take no budget
+    if (!isFinite(g.requiredMonthly)) return;
+    allocated[i] = budgeted ? Math.min(left, g.requiredMonthly) : g.requiredMonthly;
+    left -= allocated[i];
+  });
+
+  const results = priced.map((g, i) => {
+    const corpusValue = fvLumpSum({ principal: num(g.existingCorpus), annualReturnPct: g.expectedReturn, years: g.years });
+    const projectedValue = corpusValue + fvSIP({ monthlyInvestment: allocated[i], annualReturnPct: g.expectedReturn, years: g.years });
+    return {
+      ...g,
+      allocatedMonthly: allocated[i],
+      projectedValue,
+      fundedPct: g.futureCost > 0 ? Math.min(100, (projectedValue / g.futureCost) * 100) : 100,
+    };
+  });
+
+  // Monthly SIP per goal in each calendar year until the last target year
+  const lastYear = Math.max(num(startYear), ...results.map((g) => num(g.targetYear)));
+  const timeline = [];
+  for (let year = num(startYear); year <= lastYear; year++) {
+    const row = { year };
+    results.forEach((g) => { row[g.id] = year < num(g.targetYear) ? g.allocatedMonthly : 0; });
+    timeline.push(row);
+  }
+
+  const finiteRequired = results.filter((g) => isFinite(g.requiredMonthly));
+  const totalRequired = finiteRequired.reduce((s, g) => s + g.requiredMonthly, 0);
+  const totalAllocated = allocated.reduce((s, a) => s + a, 0);
+  return { goals: results, totalRequired, totalAllocated, shortfall: Math.max(0, totalRequired - totalAllocated), timeline };
+};
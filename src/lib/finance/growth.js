@@ -0,0 +1,167 @@
+import { num, annualPctToMonthlyRate, annualPctToRate, monthsIn } from "./helpers";
+
+// Compound growth of one-off and monthly investments.
+// Schedules return one row per completed year (plus a final row for a
+// fractional horizon) shaped as { year, invested, value }.
+
+/**
+ * Future value of a one-off investment.
+ * @param {{ principal: number, annualReturnPct: number, years: number, compPerYear?: number }} input
+ * @returns {number}
+ */
+export const fvLumpSum = ({ principal, annualReturnPct, years, compPerYear = 12 }) => {
+  const r = annualPctToRate(annualReturnPct) / compPerYear;
+  const n = num(years) * compPerYear;
+  return num(principal) * Math.pow(1 + r, n);
+};
+
+/**
+ * Future value of a monthly SIP paid at the start of each month (annuity due).
+ * @param {{ monthlyInvestment: number, annualReturnPct: number, years: number }} input
+ * @returns {number}
+ */
+export const fvSIP = ({ monthlyInvestment, annualReturnPct, years }) => {
+  const r = annualPctToMonthlyRate(annualReturnPct);
+  const n = monthsIn(years);
+  const p = num(monthlyInvestment);
+  if (r === 0) return p * n;
+  return p * ((Math.pow(1 + r, n) - 1) / r) * (1 + r);
+};
+
+/**
+ * Monthly instalment in a given year (1-based) of a step-up SIP. The
+ * instalment rises once a year by a percentage ("percent") or a fixed amount
+ * ("amount") and never exceeds `stepUpCap` when the cap is positive.
+ * @param {{ monthlyInvestment: number, year: number, stepUpType?: "none"|"percent"|"amount", stepUpValue?: number, stepUpCap?: number }} input
+ * @returns {number}
+ */
+export const stepUpInstalment = ({ monthlyInvestment, year, stepUpType = "none", stepUpValue = 0, stepUpCap = 0 }) => {
+  const p = num(monthlyInvestment);
+  const k = Math.max(0, Math.floor(num(year)) - 1);
+  let amount = p;
+  if (stepUpType === "percent") amount = p * Math.pow(1 + annualPctToRate(stepUpValue), k);
+  else if (stepUpType === "amount") amount = p + num(stepUpValue) * k;
+  const cap = num(stepUpCap);
+  // The cap only limits increases; it never lowers the starting instalment
+  if (cap > 0) amount = Math.min(amount, Math.max(cap, p));
+  return Math.max(0, amount);
+};
+
+/**
+ * Year-wise SIP balance. With a step-up the instalment increases at the start
+ * of every year; without one this matches `fvSIP`.
+ * @param {{ monthlyInvestment: number, annualReturnPct: number, years: number, stepUpType?: "none"|"percent"|"amount", stepUpValue?: number, stepUpCap?: number }} input
+ * @returns {{ year: number, invested: number, value: number, monthly: number }[]}
+ */
+export const sipSchedule = ({ monthlyInvestment, annualReturnPct, years, stepUpType = "none", stepUpValue = 0, stepUpCap = 0 }) => {
+  const r = annualPctToMonthlyRate(annualReturnPct);
+  const n = monthsIn(years);
+  let balance = 0;
+  let invested = 0;
+  let monthly = 0;
+  const rows = [];
+  for (let m = 1; m <= n; m++) {
+    monthly = stepUpInstalment({ monthlyInvestment, year: Math.ceil(m / 12), stepUpType, stepUpValue, stepUpCap });
+    invested += monthly;
+    balance = (balance + monthly) * (1 + r);
+    if (m % 12 === 0) {
+      rows.push({ year: m / 12, invested, value: balance, monthly });
+    }
+  }
+  if (n % 12 !== 0) {
+    rows.push({ year: num(years), invested, value: balance, monthly });
+  }
+  return rows;
+};
+
+/**
+ * Future value and total invested of a step-up SIP.
+ * @param {{ monthlyInvestment: number, annualReturnPct: number, years: number, stepUpType?: "none"|"percent"|"amount", stepUpValue?: number, stepUpCap?: number }} input
+ * @returns {{ value: number, invested: number }}
+ */
+export const fvStepUpSIP = (input) => {
+  const last = sipSchedule(input).at(-1);
+  return { value: last ? last.value : 0, invested: last ? last.invested : 0 };
+};
+
+/**
+ * Year-wise lump sum balance, compounded the same way as `fvLumpSum` so the
+ * last row always matches the headline future value.
+ * @param {{ principal: number, annualReturnPct: number, years: number, compPerYear?: number }} input
+ * @returns {{ year: number, invested: number, value: number }[]}
+ */
+export const lumpsumSchedule = ({ principal, annualReturnPct, years, compPerYear = 12 }) => {
+  const p = num(principal);
+  const total = num(years);
+  const rows = [];
+  for (let y = 1; y <= total; y++) {
+    rows.push({ year: y, invested: p, value: fvLumpSum({ principal: p, annualReturnPct, years: y, compPerYear }) });
+  }
+  if (!rows.find((x) => x.year === total)) {
+    rows.push({ year: total, invested: p, value: fvLumpSum({ principal: p, annualReturnPct, years: total, compPerYear }) });
+  }
+  return rows;
+};
+
+/**
+ * An amount received `years` from now expressed in today's money.
+ * @param {{ value: number, inflationPct: number, years: number }} input
+ * @returns {number}
+ */
+export const realValue = ({ value, inflationPct, years }) => num(value) / Math.pow(1 + annualPctToRate(inflationPct), num(years));
+
+/**
+ * Adds `realValue` and `realInvested` (today's money) to each row of a
+ * `sipSchedule` or `lumpsumSchedule`. The balance is deflated from the row's
+ * year; each year's contributions are deflated month by month from when they
+ * were paid, so `realValue - realInvested` is the gain in purchasing power.
+ * With `upfront` the whole amount is taken as invested today (a lump sum).
+ * @param {{ year: number, invested: number, value: number }[]} rows
+ * @param {number} inflationPct
+ * @param {{ upfront?: boolean }} [options]
+ * @returns {{ year: number, invested: number, value: number, realInvested: number, realValue: number }[]}
+ */
+export const realSchedule = (rows, inflationPct, { upfront = false } = {}) => {
+  const i = annualPctToRate(inflationPct);
+  let prevYear = 0;
+  let prevInvested = 0;
+  let realInvested = 0;
+  return rows.map((row) => {
+    if (upfront) {
+      realInvested = num(row.invested);
+    } else {
+      // Instalments are paid at the start of each month of the year
+      const months = Math.max(1, Math.round((row.year - prevYear) * 12));
+      const instalment = (row.invested - prevInvested) / months;
+      const start = Math.round(prevYear * 12);
+      for (let k = 0; k < months; k++) realInvested += instalment / Math.pow(1 + i, (start + k) / 12);
+    }
+    prevYear = row.year;
+    prevInvested = row.invested;
+    return { ...row, realInvested, realValue: realValue({ value: row.value, inflationPct, years: row.year }) };
+  });
+};
+
+/**
+ * Monthly SIP needed to reach a target, after growing the existing corpus and
+ * any lump sum at the same return. Returns 0 when the target is already met
+ * and Infinity when there is a shortfall but no months left to invest.
+ * @param {{ targetAmount: number, years: number, annualReturnPct: number, existingCorpus?: number, lumpsum?: number }} input
+ * @returns {number}
+ */
+export const requiredSIP = ({ targetAmount, years, annualReturnPct, existingCorpus = 0, lumpsum = 0 }) => {
+  const r = annualPctToMonthlyRate(annualReturnPct);
+  const n = monthsIn(years);
+
+  // Future value of existing corpus and lumpsum
+  const fvCorpus = fvLumpSum({ principal: num(existingCorpus) + num(lumpsum), annualReturnPct, years, compPerYear: 12 });
+  const remaining = Math.max(0, num(targetAmount) - fvCorpus);
+  if (remaining === 0) return 0;
+  if (n === 0) return Infinity;
+
+  // If r === 0, simple arithmetic
+  if (Math.abs(r) < 1e-12) return remaining / n;
+
+  const factor = ((Math.pow(1 + r, n) - 1) / r) * (1 + r); // multiplier for SIP
+  return remaining / factor;
+};
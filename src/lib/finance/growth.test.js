@@ -0,0 +1,133 @@
+import { describe, it, expect } from "vitest";
+import { fvLumpSum, fvSIP, sipSchedule, fvStepUpSIP, lumpsumSchedule, requiredSIP, realValue, realSchedule } from "./growth";
+
+// Reference values are the spreadsheet FV and PMT functions with a monthly
+// rate of annual / 12 (type 1 = payment at the start of the month).
+
+describe("fvSIP", () => {
+  it("matches FV(1%, 240, -20000, 0, 1)", () => {
+    expect(fvSIP({ monthlyInvestment: 20000, annualReturnPct: 12, years: 20 })).toBeCloseTo(19982958.38, 1);
+  });
+
+  it("sums the instalments at a 0% return", () => {
+    expect(fvSIP({ monthlyInvestment: 5000, annualReturnPct: 0, years: 10 })).toBe(600000);
+  });
+
+  it("is 0 over 0 years", () => {
+    expect(fvSIP({ monthlyInvestment: 5000, annualReturnPct: 12, years: 0 })).toBe(0);
+  });
+
+  it("rounds a fractional horizon to whole months, FV(1%, 30, -10000, 0, 1)", () => {
+    expect(fvSIP({ monthlyInvestment: 10000, annualReturnPct: 12, years: 2.5 })).toBeCloseTo(351327.40, 1);
+  });
+
+  it("treats empty inputs as 0", () => {
+    expect(fvSIP({ monthlyInvestment: "", annualReturnPct: "abc", years: 5 })).toBe(0);
+  });
+});
+
+describe("fvLumpSum", () => {
+  it("matches FV(10%/12, 180, 0, -1000000)", () => {
+    expect(fvLumpSum({ principal: 1000000, annualReturnPct: 10, years: 15 })).toBeCloseTo(4453919.55, 1);
+  });
+
+  it("returns the principal at a 0% return or over 0 years", () => {
+    expect(fvLumpSum({ principal: 250000, annualReturnPct: 0, years: 10 })).toBe(250000);
+    expect(fvLumpSum({ principal: 250000, annualReturnPct: 12, years: 0 })).toBe(250000);
+  });
+
+  it("compounds a fractional horizon", () => {
+    expect(fvLumpSum({ principal: 100000, annualReturnPct: 12, years: 1.5 })).toBeCloseTo(100000 * Math.pow(1.01, 18), 6);
+  });
+});
+
+describe("sipSchedule", () => {
+  it("ends at fvSIP", () => {
+    const input = { monthlyInvestment: 20000, annualReturnPct: 12, years: 20 };
+    const rows = sipSchedule(input);
+    expect(rows).toHaveLength(20);
+    expect(rows.at(-1).value).toBeCloseTo(fvSIP(input), 4);
+    expect(rows.at(-1).invested).toBe(4800000);
+  });
+
+  it("adds a final row for a fractional horizon", () => {
+    const rows = sipSchedule({ monthlyInvestment: 10000, annualReturnPct: 12, years: 2.5 });
+    expect(rows.map((r) => r.year)).toEqual([1, 2, 2.5]);
+    expect(rows.at(-1).invested).toBe(300000);
+  });
+
+  it("is empty over 0 years", () => {
+    expect(sipSchedule({ monthlyInvestment: 10000, annualReturnPct: 12, years: 0 })).toEqual([]);
+  });
+
+  it("raises the instalment once a year with a step-up, up to the cap", () => {
+    const rows = sipSchedule({ monthlyInvestment: 10000, annualReturnPct: 12, years: 4, stepUpType: "amount", stepUpValue: 2000, stepUpCap: 14000 });
+    expect(rows.map((r) => r.monthly)).toEqual([10000, 12000, 14000, 14000]);
+    const stepped = fvStepUpSIP({ monthlyInvestment: 10000, annualReturnPct: 12, years: 4, stepUpType: "amount", stepUpValue: 2000, stepUpCap: 14000 });
+    expect(stepped.value).toBeCloseTo(rows.at(-1).value, 4);
+    expect(stepped.invested).toBe(12 * (10000 + 12000 + 14000 + 14000));
+  });
+});
+
+describe("lumpsumSchedule", () => {
+  it("ends at fvLumpSum, with a final row for a fractional horizon", () => {
+    const rows = lumpsumSchedule({ principal: 100000, annualReturnPct: 10, years: 2.5 });
+    expect(rows.map((r) => r.year)).toEqual([1, 2, 2.5]);
+    expect(rows.at(-1).value).toBeCloseTo(fvLumpSum({ principal: 100000, annualReturnPct: 10, years: 2.5 }), 6);
+  });
+});
+
+describe("requiredSIP", () => {
+  it("matches PMT(1%, 180, 0, -10000000, 1)", () => {
+    expect(requiredSIP({ targetAmount: 10000000, years: 15, annualReturnPct: 12 })).toBeCloseTo(19818.62, 2);
+  });
+
+  it("divides the target evenly at a 0% return", () => {
+    expect(requiredSIP({ targetAmount: 120000, years: 1, annualReturnPct: 0 })).toBe(10000);
+  });
+
+  it("is 0 when the existing corpus already reaches the target", () => {
+    expect(requiredSIP({ targetAmount: 100000, years: 5, annualReturnPct: 10, existingCorpus: 100000 })).toBe(0);
+  });
+
+  it("is Infinity with a shortfall and 0 years", () => {
+    expect(requiredSIP({ targetAmount: 100000, years: 0, annualReturnPct: 10 })).toBe(Infinity);
+  });
+
+  it("inverts fvSIP", () => {
+    const monthly = requiredSIP({ targetAmount: 5000000, years: 7.5, annualReturnPct: 9 });
+    expect(fvSIP({ monthlyInvestment: monthly, annualReturnPct: 9, years: 7.5 })).toBeCloseTo(5000000, 4);
+  });
+});
+
+describe("realValue and realSchedule", () => {
+  it("deflates by compound inflation", () => {
+    expect(realValue({ value: 1000000, inflationPct: 6, years: 10 })).toBeCloseTo(1000000 / Math.pow(1.06, 10), 6);
+  });
+
+  it("shrinks a lump sum in real terms when inflation exceeds the return", () => {
+    const rows = realSchedule(lumpsumSchedule({ principal: 100000, annualReturnPct: 4, years: 10 }), 8, { upfront: true });
+    expect(rows.at(-1).value).toBeGreaterThan(100000);
+    expect(rows.at(-1).realValue).toBeLessThan(100000);
+    expect(rows.every((r) => r.realInvested === 100000)).toBe(true);
+  });
+
+  it("handles very high inflation", () => {
+    expect(realValue({ value: 1000000, inflationPct: 100, years: 3 })).toBe(125000);
+  });
+
+  it("discounts each SIP instalment from the month it is paid", () => {
+    const rows = realSchedule(sipSchedule({ monthlyInvestment: 1000, annualReturnPct: 0, years: 1 }), 12);
+    const expected = Array.from({ length: 12 }, (_, k) => 1000 / Math.pow(1.12, k / 12)).reduce((s, v) => s + v, 0);
+    expect(rows[0].realInvested).toBeCloseTo(expected, 6);
+    expect(rows[0].realValue).toBeCloseTo(12000 / 1.12, 6);
+  });
+
+  it("leaves nominal values unchanged at 0% inflation", () => {
+    const rows = realSchedule(sipSchedule({ monthlyInvestment: 1000, annualReturnPct: 10, years: 3 }), 0);
+    rows.forEach((r) => {
+      expect(r.realValue).toBeCloseTo(r.value, 6);
+      expect(r.realInvested).toBeCloseTo(r.invested, 6);
+    });
+  });
+});
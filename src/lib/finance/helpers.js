@@ -0,0 +1,14 @@
+// Shared numeric helpers for the finance engine.
+// Every calculator coerces its inputs through `num` so that empty form fields,
+// strings and NaN behave like 0 instead of poisoning the whole result.
+
+export const num = (v) => (isFinite(+v) ? +v : 0);
+
+export const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+
+// Convert annual percentage to monthly decimal
+export const annualPctToMonthlyRate = (p) => num(p) / 100 / 12;
+export const annualPctToRate = (p) => num(p) / 100;
+
+// Number of whole monthly instalments in a (possibly fractional) horizon
+export const monthsIn = (years) => Math.max(0, Math.round(num(years) * 12));
@@ -0,0 +1,31 @@
+// Public API of the finance engine. Everything here is plain JavaScript with
+// no React or browser dependencies, so it can be reused by components, web
+// workers and tests alike.
+//
+// Conventions:
+// - Rates are passed as annual percentages (12 = 12% p.a.) in `...Pct` fields.
+// - Durations are in years and may be fractional; SIPs round to whole months.
+// - Calculators take a single options object; schedules return arrays of
+//   plain row objects keyed by `year`.
+
+export { num, clamp, annualPctToMonthlyRate, annualPctToRate, monthsIn } from "./helpers";
+export { fvLumpSum, fvSIP, stepUpInstalment, sipSchedule, fvStepUpSIP, lumpsumSchedule, requiredSIP, realValue, realSchedule } from "./growth";
+export { retirementCorpus_SWR, retirementCorpus_FiniteYears, retirementSchedule, retirementAccumulation } from "./retirement";
+export { SWP_FREQUENCIES, swpSchedule, swpDepletionMonth, maxSustainableWithdrawal, swpSummary } from "./swp";
+export { STP_FREQUENCIES, stpSchedule, stpComparison } from "./stp";
+export { WITHDRAWAL_STRATEGIES, withdrawalPlan } from "./withdrawal";
+export { FUND_PLANS, planCostRates, costedSchedule, sipWithCosts, lumpsumWithCosts, netOfCosts, compareFundPlans } from "./fees";
+export { PREPAY_MODES, loanEmi, prepaymentAt, amortizationSchedule, loanSummary, prepayVsInvest } from "./loan";
+export { GOAL_PRIORITIES, goalFutureCost, planGoals } from "./goals";
+export { calcCAGR, solveXirr, xirr } from "./returns";
+export { ASSET_CLASSES, TARGET_DATE_GLIDE, ALLOCATION_RULES, suggestAllocation, splitAllocation, blendedReturn, glidePath } from "./allocation";
+export { rebalancePlan } from "./rebalance";
+export { RISK_QUESTIONS, RISK_PROFILES, HORIZON_EQUITY_CAPS, scoreRiskProfile, profileAllocation, suggestedReturn } from "./riskProfile";
+export { INDIA_TAX_RULES, TAX_YEARS, LATEST_TAX_YEAR, slabTax, incomeTaxIndia, compareTaxRegimes } from "./tax";
+export { US_TAX_RULES, US_TAX_YEARS, usContributionLimits, incomeTaxUS } from "./taxUS";
+export { UK_TAX_RULES, UK_TAX_YEARS, incomeTaxUK } from "./taxUK";
+export { EU_CAPITAL_TAX_PRESETS, capitalTaxEU } from "./taxEU";
+export { TAX_JURISDICTIONS, compareTax } from "./taxJurisdictions";
+export { HISTORICAL_INDICES } from "./indexReturns";
+export { cagrDistribution, rollingBacktest } from "./backtest";
+export { createRng, annualReturnSampler, percentile, simulateSip, simulateRetirement } from "./monteCarlo";
@@ -0,0 +1,61 @@
+// Bundled calendar-year returns of market indices for offline backtests.
+// Values are annual percentages rounded to one decimal, listed from
+// `startYear` onwards. Indian equity series are price returns computed from
+// year-end closes (dividends of roughly 1–1.5% a year are not included); the
+// S&P 500 is a total return in US dollars; the debt series approximates a
+// composite Indian government and corporate bond index. Extend a series by
+// appending the latest year's return.
+
+/**
+ * Historical annual returns by index id.
+ * @type {Record<string, { label: string, currency: string, basis: "price"|"total", startYear: number, returnsPct: number[] }>}
+ */
+export const HISTORICAL_INDICES = {
+  nifty50: {
+    label: "Nifty 50",
+    currency: "INR",
+    basis: "price",
+    startYear: 1996,
+    returnsPct: [
+      -1.0, 20.1, -18.1, 67.4, -14.7, -16.2, 3.3, 71.9, 10.7, 36.3,
+      39.8, 54.8, -51.8, 75.8, 17.9, -24.6, 27.7, 6.8, 31.4, -4.1,
+      3.0, 28.6, 3.2, 12.0, 14.9, 24.1, 4.3, 20.0, 8.8,
+    ],
+  },
+  sensex: {
+    label: "BSE Sensex",
+    currency: "INR",
+    basis: "price",
+    startYear: 1991,
+    returnsPct: [
+      82.1, 37.0, 27.9, 17.4, -20.8, -0.8, 18.6, -16.5, 63.8, -20.6,
+      -17.9, 3.5, 72.9, 13.1, 42.3, 46.7, 47.1, -52.4, 81.0, 17.4,
+      -24.6, 25.7, 9.0, 29.9, -5.0, 1.9, 27.9, 5.9, 14.4, 15.8,
+      22.0, 4.4, 18.7, 8.2,
+    ],
+  },
+  sp500: {
+    label: "S&P 500 (USD)",
+    currency: "USD",
+    basis: "total",
+    startYear: 1980,
+    returnsPct: [
+      32.4, -4.9, 21.6, 22.6, 6.3, 31.7, 18.7, 5.3, 16.6, 31.7,
+      -3.1, 30.5, 7.6, 10.1, 1.3, 37.6, 23.0, 33.4, 28.6, 21.0,
+      -9.1, -11.9, -22.1, 28.7, 10.9, 4.9, 15.8, 5.5, -37.0, 26.5,
+      15.1, 2.1, 16.0, 32.4, 13.7, 1.4, 12.0, 21.8, -4.4, 31.5,
+      18.4, 28.7, -18.1, 26.3, 25.0,
+    ],
+  },
+  indiaBond: {
+    label: "India composite bond",
+    currency: "INR",
+    basis: "total",
+    startYear: 2002,
+    returnsPct: [
+      11.5, 8.9, 0.4, 4.5, 4.8, 7.3, 8.0, 2.7, 5.2, 6.9,
+      9.4, 4.0, 14.3, 8.6, 12.9, 4.7, 5.9, 10.7, 12.3, 3.4,
+      2.5, 7.3, 8.2,
+    ],
+  },
+};
@@ -0,0 +1,131 @@
+import { num, annualPctToMonthlyRate, monthsIn } from "./helpers";
+
+// LOANS (EMI)
+// Reducing-balance loans repaid in equal monthly instalments, with interest
+// charged monthly at a twelfth of the annual rate. Prepayments are made at
+// the end of the month they fall in, after that month's EMI, and either
+// shorten the tenure (EMI unchanged) or lower the EMI over the rest of the
+// original tenure. Processing fees, prepayment charges and tax relief on
+// interest are not modelled.
+
+export const PREPAY_MODES = ["tenure", "emi"];
+
+const emiFor = (balance, r, months) => {
+  if (months <= 0) return balance;
+  if (r === 0) return balance / months;
+  const f = Math.pow(1 + r, months);
+  return (balance * r * f) / (f - 1);
+};
+
+/**
+ * Monthly instalment of a loan.
+ * @param {{ principal: number, annualRatePct: number, years: number }} input
+ * @returns {number}
+ */
+export const loanEmi = ({ principal, annualRatePct, years }) => {
+  const n = monthsIn(years);
+  return n > 0 ? emiFor(num(principal), annualPctToMonthlyRate(annualRatePct), n) : 0;
+};
+
+/**
+ * Prepayment scheduled for a month (1-based): one-offs falling in it plus the
+ * recurring amount, paid every month or every 12 months from its start month.
+ * @param {number} month
+ * @param {{ oneOffs?: { month: number, amount: number }[], recurringAmount?: number, recurringFrequency?: "monthly"|"yearly", recurringStartMonth?: number }} input
+ * @returns {number}
+ */
+export const prepaymentAt = (month, { oneOffs = [], recurringAmount = 0, recurringFrequency = "monthly", recurringStartMonth = 1 }) => {
+  const start = Math.max(1, Math.round(num(recurringStartMonth)));
+  const due = month >= start && (recurringFrequency === "monthly" || (month - start) % 12 === 0);
+  const oneOff = oneOffs.reduce((sum, p) => sum + (Math.round(num(p.month)) === month ? Math.max(0, num(p.amount)) : 0), 0);
+  return oneOff + (due ? Math.max(0, num(recurringAmount)) : 0);
+};
+
+/**
+ * Month-wise amortization with optional prepayments. Rows stop when the loan
+ * is repaid; a prepayment never exceeds the outstanding balance.
+ * @param {{ principal: number, annualRatePct: number, years: number, prepayMode?: "tenure"|"emi", oneOffs?: { month: number, amount: number }[], recurringAmount?: number, recurringFrequency?: "monthly"|"yearly", recurringStartMonth?: number }} input
+ * @returns {{ month: number, year: number, emi: number, interest: number, principal: number, prepayment: number, balance: number }[]}
+ */
+export const amortizationSchedule = (input) => {
+  const { principal, annualRatePct, years, prepayMode = "tenure" } = input;
+  const r = annualPctToMonthlyRate(annualRatePct);
+  const n = monthsIn(years);
+  let balance = num(principal);
+  let payment = loanEmi({ principal, annualRatePct, years });
+  const rows = [];
+  for (let m = 1; m <= n && balance > 0.005; m++) {
+    const interest = balance * r;
+    const repaid = Math.min(balance, payment - interest);
+    balance -= repaid;
+    const prepayment = Math.min(balance, prepaymentAt(m, input));
+    balance -= prepayment;
+    rows.push({ month: m, year: Math.ceil(m / 12), emi: interest + repaid, interest, principal: repaid, prepayment, balance });
+    if (prepayment > 0 && prepayMode === "emi") payment = emiFor(balance, r, n - m);
+  }
+  return rows;
+};
+
+/**
+ * Loan totals with prepayments, against the same loan without them.
+ * @param {object} input as for `amortizationSchedule`
+ * @returns {{ emi: number, rows: object[], totalInterest: number, totalPrepaid: number, totalPaid: number, months: number, finalEmi: number, baseline: { totalInterest: number, months: number }, interestSaved: number, monthsSaved: number }}
+ */
+export const loanSummary = (input) => {
+  const rows = amortizationSchedule(input);
+  const base = amortizationSchedule({ ...input, oneOffs: [], recurringAmount: 0 });
+  const sum = (list, key) => list.reduce((s, x) => s + x[key], 0);
+  const totalInterest = sum(rows, "interest");
+  const totalPrepaid = sum(rows, "prepayment");
+  const baseInterest = sum(base, "interest");
+  return {
+    emi: loanEmi(input),
+    rows,
+    totalInterest,
+    totalPrepaid,
+    totalPaid: sum(rows, "emi") + totalPrepaid,
+    months: rows.length,
+    finalEmi: rows.at(-1)?.emi ?? 0,
+    baseline: { totalInterest: baseInterest, months: base.length },
+    interestSaved: baseInterest - totalInterest,
+    monthsSaved: base.length - rows.length,
+  };
+};
+
+/**
+ * Prepaying vs investing the same money. Both paths spend the same each month
+ * until the original tenure ends: the original EMI plus the scheduled
+ * prepayment. Prepaying puts it into the loan and invests whatever the loan
+ * no longer needs (a lower EMI, or everything once it is repaid); investing
+ * keeps the original loan and puts the prepayments into a SIP. Investments
+ * are made at the start of each month and compound like `fvSIP`; gains are
+ * pre-tax.
+ * @param {{ principal: number, annualRatePct: number, years: number, prepayMode?: "tenure"|"emi", oneOffs?: { month: number, amount: number }[], recurringAmount?: number, recurringFrequency?: "monthly"|"yearly", recurringStartMonth?: number, investReturnPct: number }} input
+ * @returns {{ prepayCorpus: number, investCorpus: number, advantage: number, better: "prepay"|"invest"|null, interestSaved: number, rows: { year: number, prepayCorpus: number, investCorpus: number }[] }}
+ */
+export const prepayVsInvest = (input) => {
+  const n = monthsIn(input.years);
+  const g = annualPctToMonthlyRate(input.investReturnPct);
+  const baseEmi = loanEmi(input);
+  const withPrepay = amortizationSchedule(input);
+  const without = amortizationSchedule({ ...input, oneOffs: [], recurringAmount: 0 });
+  const paid = (rows, m) => (rows[m - 1] ? rows[m - 1].emi + rows[m - 1].prepayment : 0);
+  let prepayCorpus = 0;
+  let investCorpus = 0;
+  const rows = [];
+  for (let m = 1; m <= n; m++) {
+    const budget = baseEmi + prepaymentAt(m, input);
+    prepayCorpus = (prepayCorpus + Math.max(0, budget - paid(withPrepay, m))) * (1 + g);
+    investCorpus = (investCorpus + Math.max(0, budget - paid(without, m))) * (1 + g);
+    if (m % 12 === 0 || m === n) rows.push({ year: Math.ceil(m / 12), prepayCorpus, investCorpus });
+  }
+  const advantage = Math.abs(investCorpus - prepayCorpus);
+  return {
+    prepayCorpus,
+    investCorpus,
+    advantage,
+    better: advantage < 1 ? null : investCorpus > prepayCorpus ? "invest" : "prepay",
+    interestSaved: without.reduce((s, x) => s + x.interest, 0) - withPrepay.reduce((s, x) => s + x.interest, 0),
+    rows,
+  };
+};
@@ -0,0 +1,78 @@
+import { describe, it, expect } from "vitest";
+import { loanEmi, prepaymentAt, amortizationSchedule, loanSummary, prepayVsInvest } from "./loan";
+
+const loan = { principal: 5000000, annualRatePct: 8.5, years: 20 };
+
+describe("loanEmi", () => {
+  it("matches PMT(8.5%/12, 240, -5000000)", () => {
+    expect(loanEmi(loan)).toBeCloseTo(43391.16, 2);
+  });
+
+  it("divides the principal evenly at a 0% rate", () => {
+    expect(loanEmi({ principal: 120000, annualRatePct: 0, years: 1 })).toBe(10000);
+  });
+
+  it("is 0 over 0 years", () => {
+    expect(loanEmi({ ...loan, years: 0 })).toBe(0);
+  });
+});
+
+describe("prepaymentAt", () => {
+  it("adds one-offs to a yearly recurring prepayment from its start month", () => {
+    const input = { oneOffs: [{ month: 24, amount: 300000 }], recurringAmount: 50000, recurringFrequency: "yearly", recurringStartMonth: 12 };
+    expect(prepaymentAt(11, input)).toBe(0);
+    expect(prepaymentAt(12, input)).toBe(50000);
+    expect(prepaymentAt(13, input)).toBe(0);
+    expect(prepaymentAt(24, input)).toBe(350000);
+  });
+});
+
+describe("amortizationSchedule", () => {
+  it("repays the loan over the tenure without prepayments", () => {
+    const rows = amortizationSchedule(loan);
+    expect(rows).toHaveLength(240);
+    expect(rows.at(-1).balance).toBeCloseTo(0, 4);
+    expect(rows.reduce((s, r) => s + r.principal, 0)).toBeCloseTo(5000000, 4);
+  });
+
+  it("never prepays more than the balance", () => {
+    const rows = amortizationSchedule({ ...loan, oneOffs: [{ month: 1, amount: 1e9 }] });
+    expect(rows).toHaveLength(1);
+    expect(rows[0].balance).toBe(0);
+  });
+});
+
+describe("loanSummary", () => {
+  const input = { ...loan, oneOffs: [{ month: 24, amount: 300000 }], recurringAmount: 50000, recurringFrequency: "yearly", recurringStartMonth: 12 };
+
+  it("shortens the tenure in tenure mode", () => {
+    const result = loanSummary({ ...input, prepayMode: "tenure" });
+    expect(result.monthsSaved).toBeGreaterThan(0);
+    expect(result.interestSaved).toBeGreaterThan(0);
+    expect(result.finalEmi).toBeLessThanOrEqual(result.emi + 1e-6);
+  });
+
+  it("keeps the tenure and lowers the EMI in emi mode", () => {
+    const result = loanSummary({ ...input, prepayMode: "emi" });
+    expect(result.months).toBe(240);
+    expect(result.finalEmi).toBeLessThan(result.emi);
+    expect(result.interestSaved).toBeGreaterThan(0);
+  });
+});
+
+describe("prepayVsInvest", () => {
+  it("favours investing when the investment return beats the loan rate", () => {
+    const result = prepayVsInvest({ ...loan, recurringAmount: 10000, recurringFrequency: "monthly", investReturnPct: 14 });
+    expect(result.better).toBe("invest");
+  });
+
+  it("favours prepaying when the loan rate beats the investment return", () => {
+    const result = prepayVsInvest({ ...loan, recurringAmount: 10000, recurringFrequency: "monthly", investReturnPct: 4 });
+    expect(result.better).toBe("prepay");
+  });
+
+  it("ties when the returns are equal", () => {
+    const result = prepayVsInvest({ ...loan, recurringAmount: 10000, recurringFrequency: "monthly", investReturnPct: 8.5 });
+    expect(result.advantage / result.investCorpus).toBeLessThan(1e-9);
+  });
+});
@@ -0,0 +1,158 @@
+import { num, annualPctToRate, monthsIn } from "./helpers";
+import { stepUpInstalment } from "./growth";
+
+// Monte Carlo simulation of SIP accumulation and retirement drawdown.
+// Each path draws one return per year from a normal or lognormal
+// distribution; the SIP compounds it monthly like `fvSIP`. A seeded
+// generator keeps results stable while the user edits unrelated inputs.
+
+// mulberry32: small, fast, seedable PRNG returning floats in [0, 1)
+export const createRng = (seed = 42) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Standard normal via Box-Muller
+const gaussian = (rng) => {
+  let u = 0;
+  while (u === 0) u = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+};
+
+/**
+ * Build a sampler of annual returns (as decimals) with the given arithmetic
+ * mean and volatility. "lognormal" matches both moments on 1 + return, so a
+ * year can never lose more than 100%; "normal" is floored at -100%.
+ * @param {{ meanPct: number, volatilityPct: number, distribution?: "normal"|"lognormal" }} input
+ * @param {() => number} rng
+ * @returns {() => number}
+ */
+export const annualReturnSampler = ({ meanPct, volatilityPct, distribution = "lognormal" }, rng) => {
+  const m = annualPctToRate(meanPct);
+  const v = Math.max(0, annualPctToRate(volatilityPct));
+  if (distribution === "normal") {
+    return () => Math.max(-1, m + v * gaussian(rng));
+  }
+  const growth = Math.max(1e-9, 1 + m);
+  const sigma2 = Math.log(1 + (v * v) / (growth * growth));
+  const mu = Math.log(growth) - sigma2 / 2;
+  const sigma = Math.sqrt(sigma2);
+  return () => Math.exp(mu + sigma * gaussian(rng)) - 1;
+};
+
+/**
+ * Value at a percentile (0–100) of an ascending-sorted array, linearly
+ * interpolated like a spreadsheet PERCENTILE.INC.
+ * @param {number[]} sorted
+ * @param {number} p
+ * @returns {number}
+ */
+export const percentile = (sorted, p) => {
+  if (sorted.length === 0) return 0;
+  const idx = (p / 100) * (sorted.length - 1);
+  const lo = Math.floor(idx);
+  const hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+};
+
+const summarise = (byYear, labels) =>
+  byYear.map((values, i) => {
+    const sorted = Float64Array.from(values).sort();
+    return { year: labels[i], p10: percentile(sorted, 10), p50: percentile(sorted, 50), p90: percentile(sorted, 90) };
+  });
+
+/**
+ * Simulate a (step-up) SIP over randomized annual returns.
+ * A path succeeds when its final value reaches `target`.
+ * @param {{ monthlyInvestment: number, years: number, meanPct: number, volatilityPct: number, distribution?: "normal"|"lognormal", paths?: number, target?: number, seed?: number, stepUpType?: string, stepUpValue?: number, stepUpCap?: number }} input
+ * @returns {{ series: { year: number, invested: number, p10: number, p50: number, p90: number }[], successProbability: number, final: { p10: number, p50: number, p90: number }, paths: number }}
+ */
+export const simulateSip = ({ monthlyInvestment, years, meanPct, volatilityPct, distribution = "lognormal", paths = 1000, target = 0, seed = 42, stepUpType = "none", stepUpValue = 0, stepUpCap = 0 }) => {
+  const n = monthsIn(years);
+  const count = Math.max(1, Math.round(num(paths)));
+  const rng = createRng(seed);
+  const sample = annualReturnSampler({ meanPct, volatilityPct, distribution }, rng);
+
+  const instalments = [];
+  for (let m = 1; m <= n; m++) {
+    instalments.push(stepUpInstalment({ monthlyInvestment, year: Math.ceil(m / 12), stepUpType, stepUpValue, stepUpCap }));
+  }
+  // Checkpoints: every completed year plus a final fractional year
+  const checkpoints = [];
+  for (let m = 12; m <= n; m += 12) checkpoints.push(m);
+  if (n % 12 !== 0) checkpoints.push(n);
+  const labels = checkpoints.map((m) => (m % 12 === 0 ? m / 12 : num(years)));
+  const invested = checkpoints.map((m) => instalments.slice(0, m).reduce((a, b) => a + b, 0));
+
+  const byYear = checkpoints.map(() => new Float64Array(count));
+  let successes = 0;
+  for (let p = 0; p < count; p++) {
+    let balance = 0;
+    let monthlyRate = 0;
+    let c = 0;
+    for (let m = 1; m <= n; m++) {
+      // Same convention as fvSIP: the annual rate is compounded monthly
+      if ((m - 1) % 12 === 0) monthlyRate = sample() / 12;
+      balance = (balance + instalments[m - 1]) * (1 + monthlyRate);
+      if (m === checkpoints[c]) byYear[c++][p] = balance;
+    }
+    if (balance >= num(target)) successes++;
+  }
+
+  const series = summarise(byYear, labels).map((row, i) => ({ ...row, invested: invested[i] }));
+  const last = series.at(-1) || { p10: 0, p50: 0, p90: 0 };
+  return {
+    series,
+    successProbability: successes / count,
+    final: { p10: last.p10, p50: last.p50, p90: last.p90 },
+    paths: count,
+  };
+};
+
+/**
+ * Simulate a retirement drawdown with the same mechanics as
+ * `retirementSchedule` (inflation-indexed withdrawal at the start of each
+ * year) but a randomized return every year. A path succeeds when every
+ * withdrawal is fully funded.
+ * @param {{ corpus: number, annualExpenseAtRetire: number, yearsInRetirement: number, inflationPct: number, meanPct: number, volatilityPct: number, distribution?: "normal"|"lognormal", paths?: number, seed?: number }} input
+ * @returns {{ series: { year: number, p10: number, p50: number, p90: number }[], successProbability: number, final: { p10: number, p50: number, p90: number }, paths: number }}
+ */
+export const simulateRetirement = ({ corpus, annualExpenseAtRetire, yearsInRetirement, inflationPct, meanPct, volatilityPct, distribution = "lognormal", paths = 1000, seed = 42 }) => {
+  const years = Math.max(0, Math.floor(num(yearsInRetirement)));
+  const count = Math.max(1, Math.round(num(paths)));
+  const g = annualPctToRate(inflationPct);
+  const rng = createRng(seed);
+  const sample = annualReturnSampler({ meanPct, volatilityPct, distribution }, rng);
+
+  const byYear = Array.from({ length: years }, () => new Float64Array(count));
+  let successes = 0;
+  for (let p = 0; p < count; p++) {
+    let balance = num(corpus);
+    let expense = num(annualExpenseAtRetire);
+    let survived = true;
+    for (let y = 0; y < years; y++) {
+      balance -= expense;
+      // Relative tolerance so a corpus sized to last exactly N years passes
+      if (balance < -1e-9 * expense) survived = false;
+      balance = Math.max(0, balance) * (1 + sample());
+      byYear[y][p] = balance;
+      expense *= 1 + g;
+    }
+    if (survived) successes++;
+  }
+
+  const series = summarise(byYear, byYear.map((_, i) => i + 1));
+  const last = series.at(-1) || { p10: num(corpus), p50: num(corpus), p90: num(corpus) };
+  return {
+    series,
+    successProbability: successes / count,
+    final: { p10: last.p10, p50: last.p50, p90: last.p90 },
+    paths: count,
+  };
+};
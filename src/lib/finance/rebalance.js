@@ -0,0 +1,113 @@
+import { num } from "./helpers";
+import { ASSET_CLASSES } from "./allocation";
+
+// PORTFOLIO REBALANCING
+// Trades that bring current holdings back to a target allocation, either by
+// buying and selling (new money included) or by directing new contributions
+// only, which never sells. Gains on sells use the average-cost method: the
+// share of the sale above the holding's cost basis is a realised gain, taxed
+// at the asset class's rate. The tax-free `equityExemption` is set against
+// domestic-equity gains first (as India's LTCG exemption is).
+
+const EPSILON = 1e-6;
+
+// Spread `amount` over classes in proportion to `weights`
+const spread = (amount, weights) => {
+  const total = weights.reduce((s, w) => s + w, 0);
+  return weights.map((w) => (total > 0 ? (amount * w) / total : 0));
+};
+
+/**
+ * Extra money needed to reach the target by buying only, or null when the
+ * target holds nothing of a class that is currently held.
+ * @param {number[]} holdings
+ * @param {number[]} weights target fractions summing to 1
+ * @returns {number|null}
+ */
+const contributionToRebalance = (holdings, weights) => {
+  let needed = 0;
+  for (let i = 0; i < holdings.length; i++) {
+    if (holdings[i] <= EPSILON) continue;
+    if (weights[i] <= EPSILON) return null;
+    needed = Math.max(needed, holdings[i] / weights[i]);
+  }
+  return Math.max(0, needed - holdings.reduce((s, h) => s + h, 0));
+};
+
+/**
+ * Buy/sell amounts per asset class to reach a target allocation.
+ * @param {{ holdings: Record<string, number>, costBasis?: Record<string, number>, targetPct: Record<string, number>, contribution?: number, contributionsOnly?: boolean, gainsTaxPct?: Record<string, number>, equityExemption?: number }} input
+ * @returns {{ rows: { id: string, current: number, currentPct: number, targetPct: number, target: number, trade: number, after: number, afterPct: number, realisedGain: number, tax: number }[], totals: { current: number, contribution: number, after: number, buys: number, sells: number, realisedGain: number, exemptionUsed: number, tax: number }, maxDriftPct: number, contributionNeeded: number|null }}
+ */
+export const rebalancePlan = ({
+  holdings,
+  costBasis = {},
+  targetPct,
+  contribution = 0,
+  contributionsOnly = false,
+  gainsTaxPct = {},
+  equityExemption = 0,
+}) => {
+  const current = ASSET_CLASSES.map((id) => Math.max(0, num(holdings[id])));
+  const rawWeights = ASSET_CLASSES.map((id) => Math.max(0, num(targetPct[id])));
+  const weightSum = rawWeights.reduce((s, w) => s + w, 0);
+  const weights = rawWeights.map((w) => (weightSum > 0 ? w / weightSum : 0));
+  const newMoney = Math.max(0, num(contribution));
+  const currentTotal = current.reduce((s, h) => s + h, 0);
+  const total = currentTotal + newMoney;
+  const target = weights.map((w) => total * w);
+
+  let trades;
+  if (!contributionsOnly) {
+    trades = target.map((t, i) => t - current[i]);
+  } else {
+    // Fill shortfalls first; anything left over follows the target weights
+    const shortfalls = target.map((t, i) => Math.max(0, t - current[i]));
+    const shortfallTotal = shortfalls.reduce((s, v) => s + v, 0);
+    trades = newMoney >= shortfallTotal
+      ? shortfalls.map((s, i) => s + spread(newMoney - shortfallTotal, weights)[i])
+      : spread(newMoney, shortfalls);
+  }
+
+  // Realised gains on sells, average-cost basis
+  const gains = trades.map((trade, i) => {
+    if (trade >= 0 || current[i] <= 0) return 0;
+    const basis = Math.max(0, num(costBasis[ASSET_CLASSES[i]]));
+    return -trade * Math.max(0, 1 - basis / current[i]);
+  });
+  const equityIdx = ASSET_CLASSES.indexOf("domesticEquity");
+  const exemptionUsed = Math.min(Math.max(0, num(equityExemption)), gains[equityIdx]);
+  const taxes = gains.map((g, i) => (g - (i === equityIdx ? exemptionUsed : 0)) * Math.max(0, num(gainsTaxPct[ASSET_CLASSES[i]])) / 100);
+
+  const after = current.map((h, i) => h + trades[i]);
+  const afterTotal = after.reduce((s, v) => s + v, 0);
+  const pct = (v, of) => (of > 0 ? (v / of) * 100 : 0);
+  const rows = ASSET_CLASSES.map((id, i) => ({
+    id,
+    current: current[i],
+    currentPct: pct(current[i], currentTotal),
+    targetPct: weights[i] * 100,
+    target: target[i],
+    trade: Math.abs(trades[i]) < EPSILON ? 0 : trades[i],
+    after: after[i],
+    afterPct: pct(after[i], afterTotal),
+    realisedGain: gains[i],
+    tax: taxes[i],
+  }));
+
+  return {
+    rows,
+    totals: {
+      current: currentTotal,
+      contribution: newMoney,
+      after: afterTotal,
+      buys: trades.reduce((s, t) => s + Math.max(0, t), 0),
+      sells: trades.reduce((s, t) => s + Math.max(0, -t), 0),
+      realisedGain: gains.reduce((s, g) => s + g, 0),
+      exemptionUsed,
+      tax: taxes.reduce((s, t) => s + t, 0),
+    },
+    maxDriftPct: Math.max(...rows.map((r) => Math.abs(r.afterPct - r.targetPct))),
+    contributionNeeded: contributionToRebalance(current, weights),
+  };
+};
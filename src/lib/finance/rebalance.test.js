@@ -0,0 +1,33 @@
+import { describe, it, expect } from "vitest";
+import { rebalancePlan } from "./rebalance";
+
+const holdings = { domesticEquity: 800000, debt: 200000 };
+const targetPct = { domesticEquity: 60, debt: 40 };
+const row = (plan, id) => plan.rows.find((r) => r.id === id);
+
+describe("rebalancePlan", () => {
+  it("buys and sells back to the target", () => {
+    const plan = rebalancePlan({ holdings, targetPct });
+    expect(row(plan, "domesticEquity").trade).toBeCloseTo(-200000, 6);
+    expect(row(plan, "debt").trade).toBeCloseTo(200000, 6);
+    expect(plan.maxDriftPct).toBeCloseTo(0, 8);
+  });
+
+  it("taxes realised gains after the equity exemption", () => {
+    const plan = rebalancePlan({ holdings, targetPct, costBasis: { domesticEquity: 400000 }, gainsTaxPct: { domesticEquity: 12.5 }, equityExemption: 25000 });
+    expect(plan.totals.realisedGain).toBeCloseTo(100000, 6);
+    expect(plan.totals.exemptionUsed).toBe(25000);
+    expect(plan.totals.tax).toBeCloseTo(9375, 6);
+  });
+
+  it("never sells with contributions only, and reports the money needed", () => {
+    const plan = rebalancePlan({ holdings, targetPct, contribution: 100000, contributionsOnly: true });
+    expect(plan.totals.sells).toBe(0);
+    expect(row(plan, "debt").trade).toBeCloseTo(100000, 6);
+    expect(plan.contributionNeeded).toBeCloseTo(800000 / 0.6 - 1000000, 6);
+  });
+
+  it("cannot reach a target without a held class by buying only", () => {
+    expect(rebalancePlan({ holdings, targetPct: { domesticEquity: 100 } }).contributionNeeded).toBeNull();
+  });
+});
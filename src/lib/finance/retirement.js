@@ -0,0 +1,100 @@
+import { num, annualPctToRate } from "./helpers";
+import { fvLumpSum, sipSchedule, requiredSIP } from "./growth";
+
+// Retirement corpus calculators.
+// Expenses are inflated from today to the retirement date, then the corpus is
+// sized either with a safe withdrawal rate or for a fixed number of years.
+// The accumulation plan projects today's savings and contributions to the
+// retirement date and sizes the extra SIP needed to close any gap.
+
+const annualExpenseAt = (monthlyExpenseToday, inflationPct, yearsToRetire) =>
+  num(monthlyExpenseToday) * 12 * Math.pow(1 + annualPctToRate(inflationPct), num(yearsToRetire));
+
+/**
+ * Corpus required under a safe-withdrawal-rate rule (e.g. the 4% rule).
+ * A withdrawal rate of 0 yields an infinite corpus.
+ * @param {{ monthlyExpenseToday: number, inflationPct: number, yearsToRetire: number, swrPct: number }} input
+ * @returns {{ annualExpenseAtRetire: number, corpus: number }}
+ */
+export const retirementCorpus_SWR = ({ monthlyExpenseToday, inflationPct, yearsToRetire, swrPct }) => {
+  const annualExpenseAtRetire = annualExpenseAt(monthlyExpenseToday, inflationPct, yearsToRetire);
+  const corpus = annualExpenseAtRetire / annualPctToRate(swrPct);
+  return { annualExpenseAtRetire, corpus };
+};
+
+/**
+ * Corpus required to fund inflation-indexed withdrawals, taken at the start
+ * of each year, for exactly `yearsInRetirement` years. The present value is
+ * discounted at the real rate, which may be negative when inflation exceeds
+ * the post-retirement return.
+ * @param {{ monthlyExpenseToday: number, inflationPct: number, yearsToRetire: number, yearsInRetirement: number, postRetReturnPct: number }} input
+ * @returns {{ annualExpenseAtRetire: number, corpus: number, realRate: number }}
+ */
+export const retirementCorpus_FiniteYears = ({ monthlyExpenseToday, inflationPct, yearsToRetire, yearsInRetirement, postRetReturnPct }) => {
+  const g = annualPctToRate(inflationPct);
+  const r = annualPctToRate(postRetReturnPct);
+  const n = num(yearsInRetirement);
+  const annualExpenseAtRetire = annualExpenseAt(monthlyExpenseToday, inflationPct, yearsToRetire);
+  const realRate = (1 + r) / (1 + g) - 1;
+  let corpus;
+  if (Math.abs(realRate) < 1e-9) {
+    corpus = annualExpenseAtRetire * n;
+  } else {
+    // Annuity due: the first withdrawal happens on the retirement date
+    corpus = annualExpenseAtRetire * (1 - Math.pow(1 + realRate, -n)) / realRate * (1 + realRate);
+  }
+  return { annualExpenseAtRetire, corpus, realRate };
+};
+
+/**
+ * Year-wise drawdown of a retirement corpus: the inflation-indexed expense is
+ * withdrawn at the start of each year and the remainder grows at the
+ * post-retirement return. `corpus` is floored at 0 once the money runs out.
+ * @param {{ corpus: number, annualExpenseAtRetire: number, yearsInRetirement: number, inflationPct: number, postRetReturnPct: number }} input
+ * @returns {{ year: number, expenses: number, corpus: number }[]}
+ */
+export const retirementSchedule = ({ corpus, annualExpenseAtRetire, yearsInRetirement, inflationPct, postRetReturnPct }) => {
+  const rows = [];
+  const g = annualPctToRate(inflationPct);
+  const r = annualPctToRate(postRetReturnPct);
+  let currentCorpus = num(corpus);
+  let currentExpense = num(annualExpenseAtRetire);
+
+  for (let y = 1; y <= num(yearsInRetirement); y++) {
+    currentCorpus = currentCorpus - currentExpense;
+    currentCorpus = currentCorpus * (1 + r);
+    rows.push({
+      year: y,
+      expenses: currentExpense,
+      corpus: Math.max(0, currentCorpus)
+    });
+    currentExpense = currentExpense * (1 + g);
+  }
+  return rows;
+};
+
+/**
+ * Projected corpus at retirement from current savings and a monthly
+ * contribution, compared with a target corpus. `gap` is positive for a
+ * shortfall and negative for a surplus; `additionalMonthlySIP` is the extra
+ * monthly investment needed on top of the current contribution (Infinity
+ * when there is a shortfall but no time left to invest).
+ * @param {{ currentSavings: number, monthlyContribution: number, preRetReturnPct: number, yearsToRetire: number, targetCorpus: number }} input
+ * @returns {{ projectedCorpus: number, invested: number, gap: number, additionalMonthlySIP: number, schedule: { year: number, invested: number, value: number }[] }}
+ */
+export const retirementAccumulation = ({ currentSavings, monthlyContribution, preRetReturnPct, yearsToRetire, targetCorpus }) => {
+  const savings = Math.max(0, num(currentSavings));
+  const growSavings = (years) => fvLumpSum({ principal: savings, annualReturnPct: preRetReturnPct, years });
+  const schedule = sipSchedule({ monthlyInvestment: monthlyContribution, annualReturnPct: preRetReturnPct, years: yearsToRetire })
+    .map((r) => ({ year: r.year, invested: savings + r.invested, value: growSavings(r.year) + r.value }));
+
+  const last = schedule.at(-1);
+  const projectedCorpus = last ? last.value : savings;
+  const invested = last ? last.invested : savings;
+  const gap = num(targetCorpus) - projectedCorpus;
+  const additionalMonthlySIP = gap > 0
+    ? requiredSIP({ targetAmount: gap, years: yearsToRetire, annualReturnPct: preRetReturnPct })
+    : 0;
+
+  return { projectedCorpus, invested, gap, additionalMonthlySIP, schedule };
+};
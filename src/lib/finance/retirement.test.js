@@ -0,0 +1,80 @@
+import { describe, it, expect } from "vitest";
+import { retirementCorpus_SWR, retirementCorpus_FiniteYears, retirementSchedule, retirementAccumulation } from "./retirement";
+import { fvSIP } from "./growth";
+
+describe("retirementCorpus_SWR", () => {
+  it("inflates the expense to retirement and divides by the withdrawal rate", () => {
+    const { annualExpenseAtRetire, corpus } = retirementCorpus_SWR({ monthlyExpenseToday: 50000, inflationPct: 6, yearsToRetire: 20, swrPct: 4 });
+    expect(annualExpenseAtRetire).toBeCloseTo(600000 * Math.pow(1.06, 20), 6);
+    expect(corpus).toBeCloseTo(annualExpenseAtRetire / 0.04, 4);
+  });
+
+  it("handles very high inflation", () => {
+    const { corpus } = retirementCorpus_SWR({ monthlyExpenseToday: 10000, inflationPct: 50, yearsToRetire: 2, swrPct: 4 });
+    expect(corpus).toBeCloseTo(120000 * 2.25 / 0.04, 6);
+  });
+
+  it("is infinite at a 0% withdrawal rate", () => {
+    expect(retirementCorpus_SWR({ monthlyExpenseToday: 10000, inflationPct: 6, yearsToRetire: 10, swrPct: 0 }).corpus).toBe(Infinity);
+  });
+});
+
+describe("retirementCorpus_FiniteYears", () => {
+  const input = { monthlyExpenseToday: 50000, inflationPct: 6, yearsToRetire: 10, yearsInRetirement: 25, postRetReturnPct: 8 };
+
+  it("lasts exactly the chosen number of years", () => {
+    const { corpus, annualExpenseAtRetire } = retirementCorpus_FiniteYears(input);
+    const rows = retirementSchedule({ ...input, corpus, annualExpenseAtRetire });
+    expect(rows).toHaveLength(25);
+    expect(rows.at(-1).corpus).toBeLessThan(1e-3);
+    expect(rows.at(-2).corpus).toBeGreaterThan(0);
+  });
+
+  it("is expense x years when the real rate is 0", () => {
+    const { corpus, annualExpenseAtRetire, realRate } = retirementCorpus_FiniteYears({ ...input, postRetReturnPct: 6 });
+    expect(realRate).toBeCloseTo(0, 12);
+    expect(corpus).toBeCloseTo(annualExpenseAtRetire * 25, 4);
+  });
+
+  it("needs more than expense x years at a negative real rate", () => {
+    const negative = { ...input, inflationPct: 9, postRetReturnPct: 5 };
+    const { corpus, annualExpenseAtRetire, realRate } = retirementCorpus_FiniteYears(negative);
+    expect(realRate).toBeLessThan(0);
+    expect(corpus).toBeGreaterThan(annualExpenseAtRetire * 25);
+    const rows = retirementSchedule({ ...negative, corpus, annualExpenseAtRetire });
+    expect(rows.at(-1).corpus).toBeLessThan(1e-3);
+  });
+
+  it("needs no corpus for 0 years in retirement", () => {
+    expect(retirementCorpus_FiniteYears({ ...input, yearsInRetirement: 0 }).corpus).toBeCloseTo(0, 8);
+  });
+});
+
+describe("retirementSchedule", () => {
+  it("floors the corpus at 0 once it runs out", () => {
+    const rows = retirementSchedule({ corpus: 100, annualExpenseAtRetire: 40, yearsInRetirement: 4, inflationPct: 0, postRetReturnPct: 0 });
+    expect(rows.map((r) => r.corpus)).toEqual([60, 20, 0, 0]);
+  });
+});
+
+describe("retirementAccumulation", () => {
+  it("grows savings and contributions, and sizes the extra SIP for a shortfall", () => {
+    const result = retirementAccumulation({ currentSavings: 1000000, monthlyContribution: 20000, preRetReturnPct: 12, yearsToRetire: 20, targetCorpus: 50000000 });
+    const projected = 1000000 * Math.pow(1.01, 240) + fvSIP({ monthlyInvestment: 20000, annualReturnPct: 12, years: 20 });
+    expect(result.projectedCorpus).toBeCloseTo(projected, 2);
+    expect(result.gap).toBeCloseTo(50000000 - projected, 2);
+    expect(fvSIP({ monthlyInvestment: result.additionalMonthlySIP, annualReturnPct: 12, years: 20 })).toBeCloseTo(result.gap, 2);
+  });
+
+  it("needs no extra SIP for a surplus", () => {
+    const result = retirementAccumulation({ currentSavings: 1000000, monthlyContribution: 20000, preRetReturnPct: 12, yearsToRetire: 20, targetCorpus: 1000 });
+    expect(result.gap).toBeLessThan(0);
+    expect(result.additionalMonthlySIP).toBe(0);
+  });
+
+  it("reports an infinite SIP for a shortfall with 0 years left", () => {
+    const result = retirementAccumulation({ currentSavings: 100000, monthlyContribution: 10000, preRetReturnPct: 10, yearsToRetire: 0, targetCorpus: 200000 });
+    expect(result.projectedCorpus).toBe(100000);
+    expect(result.additionalMonthlySIP).toBe(Infinity);
+  });
+});
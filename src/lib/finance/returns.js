@@ -0,0 +1,145 @@
+import { num } from "./helpers";
+
+// Realised-return calculators: CAGR for a start/end value pair and XIRR for
+// irregular, dated cashflows.
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Compound annual growth rate, in percent. Returns 0 when the initial value
+ * or the duration is not positive.
+ * @param {{ initial: number, final: number, years: number }} input
+ * @returns {number}
+ */
+export const calcCAGR = ({ initial, final, years }) => {
+  if (num(initial) <= 0 || num(years) <= 0) return 0;
+  return (Math.pow(num(final) / num(initial), 1 / num(years)) - 1) * 100;
+};
+
+// Candidate rates scanned for sign changes of the NPV: dense around typical
+// returns, sparser towards extreme gains. Rates at or below -100% are undefined.
+const SCAN_RATES = (() => {
+  const rates = [-0.999, -0.995];
+  for (let r = -0.99; r < 1; r += 0.01) rates.push(Math.round(r * 100) / 100);
+  for (let r = 1; r <= 1000; r *= 1.25) rates.push(r);
+  return rates;
+})();
+
+// Brent's method on [a, b] where f(a) and f(b) have opposite signs
+const brent = (f, a, b, tol = 1e-12, maxIter = 200) => {
+  let fa = f(a);
+  let fb = f(b);
+  if (fa === 0) return a;
+  if (fb === 0) return b;
+  if (Math.abs(fa) < Math.abs(fb)) { [a, b] = [b, a]; [fa, fb] = [fb, fa]; }
+  let c = a;
+  let fc = fa;
+  let d = b - a;
+  let bisected = true;
+  for (let i = 0; i < maxIter; i++) {
+    let s;
+    if (fa !== fc && fb !== fc) {
+      // Inverse quadratic interpolation
+      s = (a * fb * fc) / ((fa - fb) * (fa - fc)) + (b * fa * fc) / ((fb - fa) * (fb - fc)) + (c * fa * fb) / ((fc - fa) * (fc - fb));
+    } else {
+      // Secant
+      s = b - (fb * (b - a)) / (fb - fa);
+    }
+    const lo = (3 * a + b) / 4;
+    const outside = (s - lo) * (s - b) > 0;
+    if (outside
+      || (bisected && Math.abs(s - b) >= Math.abs(b - c) / 2)
+      || (!bisected && Math.abs(s - b) >= Math.abs(c - d) / 2)) {
+      s = (a + b) / 2;
+      bisected = true;
+    } else {
+      bisected = false;
+    }
+    const fs = f(s);
+    d = c;
+    c = b;
+    fc = fb;
+    if (fa * fs < 0) { b = s; fb = fs; } else { a = s; fa = fs; }
+    if (Math.abs(fa) < Math.abs(fb)) { [a, b] = [b, a]; [fa, fb] = [fb, fa]; }
+    if (fb === 0 || Math.abs(b - a) < tol) return b;
+  }
+  return b;
+};
+
+/**
+ * XIRR with diagnostics. Flows are sorted by date and validated first; the
+ * rate is found with Newton-Raphson from `guess`, falling back to Brent's
+ * method on a bracket when Newton does not converge. The NPV is scanned for
+ * sign changes so that cashflows with more than one IRR are reported.
+ *
+ * `error` is null on success, otherwise one of "tooFewFlows", "invalidDate",
+ * "noSignChange" (no inflow or no outflow) or "noConvergence"; `rate` is NaN
+ * whenever there is an error. When several rates solve the NPV, `roots`
+ * lists them all and `rate` is the one closest to `guess`.
+ * @param {{ date: Date|string, amount: number }[]} cashflows
+ * @param {{ guess?: number }} [options]
+ * @returns {{ rate: number, error: string|null, method: "newton"|"brent"|null, roots: number[] }}
+ */
+export const solveXirr = (cashflows, { guess = 0.1 } = {}) => {
+  const fail = (error) => ({ rate: NaN, error, method: null, roots: [] });
+  const flows = (cashflows || [])
+    .map((c) => ({ date: c.date instanceof Date ? c.date : new Date(c.date), amount: num(c.amount) }))
+    .filter((c) => c.amount !== 0);
+  if (flows.length < 2) return fail("tooFewFlows");
+  if (flows.some((c) => isNaN(c.date.getTime()))) return fail("invalidDate");
+  if (!flows.some((c) => c.amount < 0) || !flows.some((c) => c.amount > 0)) return fail("noSignChange");
+
+  flows.sort((a, b) => a.date - b.date);
+  const t0 = flows[0].date;
+  const years = flows.map((c) => (c.date - t0) / MS_PER_DAY / 365.0);
+  const amounts = flows.map((c) => c.amount);
+
+  const npv = (r) => amounts.reduce((s, a, i) => s + a / Math.pow(1 + r, years[i]), 0);
+  const npvDerivative = (r) => amounts.reduce((s, a, i) => s - (years[i] * a) / Math.pow(1 + r, years[i] + 1), 0);
+  const scale = amounts.reduce((s, a) => s + Math.abs(a), 0);
+  const isRoot = (r) => isFinite(r) && r > -1 && Math.abs(npv(r)) <= 1e-7 * scale;
+
+  // Every bracketed root, solved with Brent
+  const roots = [];
+  let prev = SCAN_RATES[0];
+  let fPrev = npv(prev);
+  for (const r of SCAN_RATES.slice(1)) {
+    const fr = npv(r);
+    if (fr === 0) roots.push(r);
+    else if (fPrev !== 0 && Math.sign(fr) !== Math.sign(fPrev)) roots.push(brent(npv, prev, r));
+    prev = r;
+    fPrev = fr;
+  }
+
+  let newton = NaN;
+  let x = guess;
+  for (let i = 0; i < 100; i++) {
+    const fprime = npvDerivative(x);
+    if (!isFinite(fprime) || Math.abs(fprime) < 1e-12) break;
+    const dx = npv(x) / fprime;
+    x -= dx;
+    if (!(x > -1)) break;
+    if (Math.abs(dx) < 1e-10) {
+      if (isRoot(x)) newton = x;
+      break;
+    }
+  }
+
+  if (isFinite(newton) && !roots.some((r) => Math.abs(r - newton) < 1e-6)) roots.push(newton);
+  roots.sort((a, b) => a - b);
+  if (isFinite(newton)) return { rate: newton, error: null, method: "newton", roots };
+  if (roots.length === 0) return fail("noConvergence");
+  const closest = roots.reduce((best, r) => (Math.abs(r - guess) < Math.abs(best - guess) ? r : best));
+  return { rate: closest, error: null, method: "brent", roots };
+};
+
+/**
+ * Annualised internal rate of return for irregular cashflows, as a decimal
+ * (0.12 = 12%), using the spreadsheet XIRR convention of an actual/365 year.
+ * Outflows (investments) are negative, inflows positive. Returns NaN when
+ * the flows are invalid or no rate solves them; see `solveXirr` for why.
+ * @param {{ date: Date|string, amount: number }[]} cashflows
+ * @param {number} [guess=0.1]
+ * @returns {number}
+ */
+export const xirr = (cashflows, guess = 0.1) => solveXirr(cashflows, { guess }).rate;
@@ -0,0 +1,67 @@
+import { describe, it, expect } from "vitest";
+import { calcCAGR, solveXirr, xirr } from "./returns";
+
+describe("calcCAGR", () => {
+  it("annualises growth", () => {
+    expect(calcCAGR({ initial: 100000, final: 200000, years: 6 })).toBeCloseTo((Math.pow(2, 1 / 6) - 1) * 100, 8);
+  });
+
+  it("is 0 for a non-positive start value or duration", () => {
+    expect(calcCAGR({ initial: 0, final: 100, years: 5 })).toBe(0);
+    expect(calcCAGR({ initial: 100, final: 200, years: 0 })).toBe(0);
+  });
+
+  it("is negative for a loss over a fractional period", () => {
+    expect(calcCAGR({ initial: 100, final: 81, years: 1.5 })).toBeCloseTo((Math.pow(0.81, 1 / 1.5) - 1) * 100, 8);
+  });
+});
+
+// Reference values are the spreadsheet XIRR function (actual/365 years)
+describe("xirr", () => {
+  it("matches XIRR for a 10% gain over 366 days", () => {
+    expect(xirr([{ date: "2024-01-01", amount: -1000 }, { date: "2025-01-01", amount: 1100 }])).toBeCloseTo(0.099714, 6);
+  });
+
+  it("matches the spreadsheet documentation example", () => {
+    const flows = [
+      { date: "2008-01-01", amount: -10000 },
+      { date: "2008-03-01", amount: 2750 },
+      { date: "2008-10-30", amount: 4250 },
+      { date: "2009-02-15", amount: 3250 },
+      { date: "2009-04-01", amount: 2750 },
+    ];
+    expect(xirr(flows)).toBeCloseTo(0.373362535, 8);
+  });
+
+  it("does not depend on the order of the flows", () => {
+    expect(xirr([{ date: "2025-01-01", amount: 1100 }, { date: "2024-01-01", amount: -1000 }])).toBeCloseTo(0.099714, 6);
+  });
+
+  it("finds a negative rate for a loss", () => {
+    expect(xirr([{ date: "2023-01-01", amount: -1000 }, { date: "2024-01-01", amount: 900 }])).toBeCloseTo(-0.1, 8);
+  });
+
+  it("is NaN for invalid flows", () => {
+    expect(xirr([{ date: "2024-01-01", amount: -1000 }])).toBeNaN();
+  });
+});
+
+describe("solveXirr", () => {
+  it("reports why flows cannot be solved", () => {
+    expect(solveXirr([{ date: "2024-01-01", amount: -1000 }]).error).toBe("tooFewFlows");
+    expect(solveXirr([{ date: "nope", amount: -1000 }, { date: "2024-01-01", amount: 1100 }]).error).toBe("invalidDate");
+    expect(solveXirr([{ date: "2024-01-01", amount: 1000 }, { date: "2025-01-01", amount: 1100 }]).error).toBe("noSignChange");
+  });
+
+  it("lists every rate when the NPV has more than one root", () => {
+    // -100, +230, -132 yearly has IRRs of 10% and 20%
+    const flows = [
+      { date: "2021-01-01", amount: -100 },
+      { date: "2022-01-01", amount: 230 },
+      { date: "2023-01-01", amount: -132 },
+    ];
+    const result = solveXirr(flows);
+    expect(result.error).toBeNull();
+    expect(result.roots).toHaveLength(2);
+  });
+});
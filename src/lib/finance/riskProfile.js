@@ -0,0 +1,103 @@
+import { clamp, num } from "./helpers";
+import { suggestAllocation } from "./allocation";
+
+// RISK PROFILING
+// A short questionnaire scored 0–4 per answer (age is taken from the
+// allocation inputs rather than asked again). The total maps to one of five
+// profiles, each of which tilts the age-rule equity share up or down.
+// Expected returns are then blended from the equity/debt split for a given
+// horizon, with equity capped on short horizons where a drawdown could not
+// be waited out.
+
+/**
+ * Questions in display order; each option is [answer id, points].
+ */
+export const RISK_QUESTIONS = [
+  { id: "incomeStability", options: [["unstable", 0], ["stable", 2], ["veryStable", 4]] },
+  { id: "horizon", options: [["under3", 0], ["3to7", 1], ["7to15", 3], ["over15", 4]] },
+  { id: "experience", options: [["none", 0], ["some", 2], ["experienced", 4]] },
+  { id: "lossTolerance", options: [["sellAll", 0], ["sellSome", 1], ["hold", 3], ["buyMore", 4]] },
+];
+
+/**
+ * Profiles from most to least cautious. A score belongs to the last profile
+ * whose `minScore` it reaches; `equityTiltPct` is added to the age-rule equity.
+ */
+export const RISK_PROFILES = [
+  { id: "conservative", minScore: 0, equityTiltPct: -20 },
+  { id: "moderatelyConservative", minScore: 6, equityTiltPct: -10 },
+  { id: "moderate", minScore: 10, equityTiltPct: 0 },
+  { id: "moderatelyAggressive", minScore: 14, equityTiltPct: 10 },
+  { id: "aggressive", minScore: 17, equityTiltPct: 20 },
+];
+
+/**
+ * Highest equity share for horizons shorter than `underYears`.
+ */
+export const HORIZON_EQUITY_CAPS = [
+  { underYears: 3, maxEquityPct: 20 },
+  { underYears: 5, maxEquityPct: 40 },
+  { underYears: 7, maxEquityPct: 60 },
+];
+
+const MAX_POINTS = 4;
+
+// Younger investors have more working years to recover from losses
+const agePoints = (age) => {
+  const a = num(age);
+  if (a < 30) return 4;
+  if (a < 40) return 3;
+  if (a < 50) return 2;
+  if (a < 60) return 1;
+  return 0;
+};
+
+/**
+ * Score the questionnaire. The profile is null until every question is
+ * answered.
+ * @param {{ age: number, answers: Record<string, string> }} input
+ * @returns {{ complete: boolean, score: number, maxScore: number, profile: object|null, breakdown: { id: string, answer: string|number, points: number }[] }}
+ */
+export const scoreRiskProfile = ({ age, answers = {} }) => {
+  const breakdown = [{ id: "age", answer: num(age), points: agePoints(age) }];
+  let complete = true;
+  RISK_QUESTIONS.forEach((q) => {
+    const option = q.options.find(([id]) => id === answers[q.id]);
+    if (!option) complete = false;
+    else breakdown.push({ id: q.id, answer: option[0], points: option[1] });
+  });
+  const score = breakdown.reduce((s, b) => s + b.points, 0);
+  const maxScore = (RISK_QUESTIONS.length + 1) * MAX_POINTS;
+  const profile = complete ? RISK_PROFILES.filter((p) => score >= p.minScore).pop() : null;
+  return { complete, score, maxScore, profile, breakdown };
+};
+
+/**
+ * Age-rule allocation tilted by a risk profile.
+ * @param {number} age
+ * @param {string} rule
+ * @param {{ equityTiltPct: number }|null} profile
+ * @param {object} [params] rule parameters, as for `suggestAllocation`
+ * @returns {{ equity: number, debt: number }}
+ */
+export const profileAllocation = (age, rule, profile, params) => {
+  const base = suggestAllocation(age, rule, params);
+  if (!profile) return base;
+  const equity = clamp(base.equity + profile.equityTiltPct, 0, 100);
+  return { equity, debt: 100 - equity };
+};
+
+/**
+ * Blended expected return for an investment of `years`, from an equity
+ * share capped by the horizon.
+ * @param {{ equityPct: number, years: number, equityReturnPct: number, debtReturnPct: number }} input
+ * @returns {{ equity: number, debt: number, annualReturnPct: number, horizonCapped: boolean }}
+ */
+export const suggestedReturn = ({ equityPct, years, equityReturnPct, debtReturnPct }) => {
+  const cap = HORIZON_EQUITY_CAPS.find((c) => num(years) < c.underYears);
+  const wanted = clamp(num(equityPct), 0, 100);
+  const equity = cap ? Math.min(wanted, cap.maxEquityPct) : wanted;
+  const debt = 100 - equity;
+  const annualReturnPct = Math.round(((equity * num(equityReturnPct) + debt * num(debtReturnPct)) / 100) * 10) / 10;
+  return { equity, debt, annualReturnPct, horizonCapped: equity < wanted };
+};
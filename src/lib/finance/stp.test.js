@@ -0,0 +1,38 @@
+import { describe, it, expect } from "vitest";
+import { stpSchedule, stpComparison } from "./stp";
+import { fvLumpSum } from "./growth";
+
+const input = { lumpSum: 1200000, sourceReturnPct: 6.5, targetReturnPct: 12, transfer: 100000, years: 10 };
+
+describe("stpSchedule", () => {
+  it("empties the source in fixed transfers", () => {
+    const rows = stpSchedule({ ...input, sourceReturnPct: 0 });
+    expect(rows.slice(0, 12).every((r) => r.transferred === 100000)).toBe(true);
+    expect(rows[12].transferred).toBe(0);
+    expect(rows[11].source).toBe(0);
+  });
+
+  it("transfers every three months when quarterly", () => {
+    const rows = stpSchedule({ ...input, frequency: "quarterly" });
+    expect(rows.filter((r) => r.transferred > 0).slice(0, 4).map((r) => r.month)).toEqual([1, 4, 7, 10]);
+  });
+});
+
+describe("stpComparison", () => {
+  it("trails the day-one lump sum when the target fund earns more", () => {
+    const result = stpComparison(input);
+    expect(result.lumpSumValue).toBeCloseTo(fvLumpSum({ principal: 1200000, annualReturnPct: 12, years: 10 }), 4);
+    expect(result.difference).toBeLessThan(0);
+    expect(result.totalTransferred).toBeGreaterThan(1200000);
+  });
+
+  it("ties the lump sum when both funds earn the same", () => {
+    const result = stpComparison({ ...input, sourceReturnPct: 12 });
+    expect(result.difference).toBeCloseTo(0, 4);
+  });
+
+  it("reports when the source was emptied, or null when it still holds money", () => {
+    expect(stpComparison({ ...input, sourceReturnPct: 0 }).lastTransferMonth).toBe(12);
+    expect(stpComparison({ ...input, transfer: 1000 }).lastTransferMonth).toBeNull();
+  });
+});
@@ -0,0 +1,99 @@
+import { num, annualPctToMonthlyRate, annualPctToRate, monthsIn } from "./helpers";
+
+// SYSTEMATIC WITHDRAWAL PLANS
+// A corpus earns a constant return, compounded monthly like `fvSIP`, while a
+// fixed amount is withdrawn at the start of every withdrawal period (one, three
+// or twelve months). Inflation-indexed withdrawals rise once a year. The last
+// withdrawal is whatever is left when the balance cannot cover a full one.
+// Exit loads and tax on redemptions are not modelled.
+
+/**
+ * Months between withdrawals.
+ */
+export const SWP_FREQUENCIES = { monthly: 1, quarterly: 3, yearly: 12 };
+
+// Longest horizon searched when working out how long a corpus lasts
+const MAX_SWP_YEARS = 100;
+
+// Withdrawal due in a month (1-based), before capping at the balance
+const withdrawalAt = (month, { withdrawal, frequency, indexation, inflationPct }) => {
+  const every = SWP_FREQUENCIES[frequency] || 1;
+  if ((month - 1) % every !== 0) return 0;
+  const yearsElapsed = Math.floor((month - 1) / 12);
+  const growth = indexation === "inflation" ? Math.pow(1 + annualPctToRate(inflationPct), yearsElapsed) : 1;
+  return Math.max(0, num(withdrawal)) * growth;
+};
+
+/**
+ * Month-wise SWP balance for up to `years`, stopping early if the corpus runs
+ * out.
+ * @param {{ corpus: number, withdrawal: number, annualReturnPct: number, years: number, frequency?: "monthly"|"quarterly"|"yearly", indexation?: "fixed"|"inflation", inflationPct?: number }} input
+ * @returns {{ month: number, year: number, withdrawal: number, returns: number, balance: number }[]}
+ */
+export const swpSchedule = ({ corpus, withdrawal, annualReturnPct, years, frequency = "monthly", indexation = "fixed", inflationPct = 0 }) => {
+  const r = annualPctToMonthlyRate(annualReturnPct);
+  const n = monthsIn(years);
+  let balance = Math.max(0, num(corpus));
+  const rows = [];
+  for (let m = 1; m <= n && balance > 0.005; m++) {
+    const taken = Math.min(balance, withdrawalAt(m, { withdrawal, frequency, indexation, inflationPct }));
+    balance -= taken;
+    const returns = balance * r;
+    balance += returns;
+    rows.push({ month: m, year: Math.ceil(m / 12), withdrawal: taken, returns, balance });
+  }
+  return rows;
+};
+
+/**
+ * Month in which the corpus runs out (the last withdrawal), or null when it
+ * outlasts `MAX_SWP_YEARS`.
+ * @param {object} input as for `swpSchedule`, without `years`
+ * @returns {number|null}
+ */
+export const swpDepletionMonth = (input) => {
+  const rows = swpSchedule({ ...input, years: MAX_SWP_YEARS });
+  const last = rows.at(-1);
+  return last && last.balance <= 0.005 ? last.month : null;
+};
+
+/**
+ * Largest first withdrawal that the corpus can sustain for exactly `years`
+ * with the same frequency and indexation, found by bisection.
+ * @param {{ corpus: number, annualReturnPct: number, years: number, frequency?: "monthly"|"quarterly"|"yearly", indexation?: "fixed"|"inflation", inflationPct?: number }} input
+ * @returns {number}
+ */
+export const maxSustainableWithdrawal = (input) => {
+  const corpus = Math.max(0, num(input.corpus));
+  const n = monthsIn(input.years);
+  if (corpus === 0 || n === 0) return 0;
+  let lo = 0;
+  let hi = corpus;
+  for (let i = 0; i < 60; i++) {
+    const mid = (lo + hi) / 2;
+    // Too high if the corpus is emptied before the last month
+    const rows = swpSchedule({ ...input, withdrawal: mid });
+    if (rows.length === n && rows.at(-1).balance > 0.005) lo = mid;
+    else hi = mid;
+  }
+  return lo;
+};
+
+/**
+ * SWP totals over `years` and how long the corpus lasts at that withdrawal.
+ * @param {object} input as for `swpSchedule`
+ * @returns {{ rows: object[], totalWithdrawn: number, totalReturns: number, finalBalance: number, depletionMonth: number|null, lastsFullTerm: boolean, maxWithdrawal: number }}
+ */
+export const swpSummary = (input) => {
+  const rows = swpSchedule(input);
+  const depletionMonth = swpDepletionMonth(input);
+  return {
+    rows,
+    totalWithdrawn: rows.reduce((s, x) => s + x.withdrawal, 0),
+    totalReturns: rows.reduce((s, x) => s + x.returns, 0),
+    finalBalance: rows.at(-1)?.balance ?? Math.max(0, num(input.corpus)),
+    depletionMonth,
+    lastsFullTerm: depletionMonth === null || depletionMonth >= monthsIn(input.years),
+    maxWithdrawal: maxSustainableWithdrawal(input),
+  };
+};
@@ -0,0 +1,50 @@
+import { describe, it, expect } from "vitest";
+import { swpSchedule, swpDepletionMonth, maxSustainableWithdrawal, swpSummary } from "./swp";
+
+describe("swpSchedule", () => {
+  it("takes the last withdrawal from whatever is left", () => {
+    const rows = swpSchedule({ corpus: 95000, withdrawal: 10000, annualReturnPct: 0, years: 2 });
+    expect(rows).toHaveLength(10);
+    expect(rows.at(-1).withdrawal).toBe(5000);
+    expect(rows.at(-1).balance).toBe(0);
+  });
+
+  it("withdraws every quarter and raises indexed withdrawals once a year", () => {
+    const rows = swpSchedule({ corpus: 1e7, withdrawal: 10000, annualReturnPct: 0, years: 2, frequency: "quarterly", indexation: "inflation", inflationPct: 10 });
+    const taken = rows.filter((r) => r.withdrawal > 0).map((r) => r.month);
+    expect(taken).toEqual([1, 4, 7, 10, 13, 16, 19, 22]);
+    expect(rows[0].withdrawal).toBe(10000);
+    expect(rows[12].withdrawal).toBeCloseTo(11000, 8);
+  });
+});
+
+describe("swpDepletionMonth", () => {
+  it("is the month of the last withdrawal", () => {
+    expect(swpDepletionMonth({ corpus: 100000, withdrawal: 10000, annualReturnPct: 0 })).toBe(10);
+  });
+
+  it("is null when returns cover the withdrawals", () => {
+    expect(swpDepletionMonth({ corpus: 1200000, withdrawal: 5000, annualReturnPct: 12 })).toBeNull();
+  });
+});
+
+describe("maxSustainableWithdrawal", () => {
+  it("matches PMT(8%/12, 300, -5000000, 0, 1)", () => {
+    expect(maxSustainableWithdrawal({ corpus: 5000000, annualReturnPct: 8, years: 25 })).toBeCloseTo(38335.24, 1);
+  });
+
+  it("is 0 for an empty corpus or 0 years", () => {
+    expect(maxSustainableWithdrawal({ corpus: 0, annualReturnPct: 8, years: 25 })).toBe(0);
+    expect(maxSustainableWithdrawal({ corpus: 5000000, annualReturnPct: 8, years: 0 })).toBe(0);
+  });
+});
+
+describe("swpSummary", () => {
+  it("reports whether the corpus lasts the full term", () => {
+    expect(swpSummary({ corpus: 5000000, withdrawal: 30000, annualReturnPct: 8, years: 25 }).lastsFullTerm).toBe(true);
+    const short = swpSummary({ corpus: 5000000, withdrawal: 60000, annualReturnPct: 8, years: 25 });
+    expect(short.lastsFullTerm).toBe(false);
+    expect(short.finalBalance).toBe(0);
+    expect(short.totalWithdrawn).toBeCloseTo(5000000 + short.totalReturns, 2);
+  });
+});
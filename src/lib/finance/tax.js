@@ -0,0 +1,262 @@
+import { num } from "./helpers";
+
+// INDIAN INCOME TAX (resident individuals)
+// Rules are kept per financial year so a new budget is a new table entry,
+// not a code change. Covered:
+// - Slab tax for the old and new regimes (old-regime slabs vary by age)
+// - Standard deduction on salary, 80C, 80D and NPS 80CCD(1B) (old regime only)
+// - Equity STCG (sec 111A) and LTCG (sec 112A) at special rates; unused basic
+//   exemption is set off against them as the Act allows
+// - Sec 87A rebate (with marginal relief where the regime provides it)
+// - Surcharge with marginal relief, capped at 15% on equity capital gains
+// - 4% health & education cess
+// Not covered: HRA/LTA, home-loan interest, other capital assets, AMT.
+// For FY 2024-25 the post 23 July 2024 capital gains rates are applied to the
+// whole year.
+
+const INF = Infinity;
+
+const OLD_SLABS = {
+  below60: [{ upTo: 250000, ratePct: 0 }, { upTo: 500000, ratePct: 5 }, { upTo: 1000000, ratePct: 20 }, { upTo: INF, ratePct: 30 }],
+  "60to80": [{ upTo: 300000, ratePct: 0 }, { upTo: 500000, ratePct: 5 }, { upTo: 1000000, ratePct: 20 }, { upTo: INF, ratePct: 30 }],
+  above80: [{ upTo: 500000, ratePct: 0 }, { upTo: 1000000, ratePct: 20 }, { upTo: INF, ratePct: 30 }],
+};
+
+const SURCHARGE_OLD = [{ above: 5000000, ratePct: 10 }, { above: 10000000, ratePct: 15 }, { above: 20000000, ratePct: 25 }, { above: 50000000, ratePct: 37 }];
+const SURCHARGE_NEW = [{ above: 5000000, ratePct: 10 }, { above: 10000000, ratePct: 15 }, { above: 20000000, ratePct: 25 }];
+
+const OLD_REGIME = {
+  slabs: OLD_SLABS,
+  standardDeduction: 50000,
+  rebate: { maxIncome: 500000, maxRebate: 12500, marginalRelief: false, onStcg: true },
+  surcharge: SURCHARGE_OLD,
+  allowsDeductions: true,
+};
+
+const DEDUCTION_CAPS = {
+  sec80C: 150000,
+  sec80DSelf: 25000,
+  sec80DSelfSenior: 50000,
+  sec80DParents: 25000,
+  sec80DParentsSenior: 50000,
+  sec80CCD1B: 50000,
+};
+
+/**
+ * Rule tables keyed by financial year ("2025-26" = 1 Apr 2025 – 31 Mar 2026).
+ */
+export const INDIA_TAX_RULES = {
+  "2025-26": {
+    capitalGains: { stcgRatePct: 20, ltcgRatePct: 12.5, ltcgExemption: 125000, surchargeCapPct: 15 },
+    cessPct: 4,
+    deductionCaps: DEDUCTION_CAPS,
+    regimes: {
+      old: OLD_REGIME,
+      new: {
+        slabs: [
+          { upTo: 400000, ratePct: 0 }, { upTo: 800000, ratePct: 5 }, { upTo: 1200000, ratePct: 10 }, { upTo: 1600000, ratePct: 15 },
+          { upTo: 2000000, ratePct: 20 }, { upTo: 2400000, ratePct: 25 }, { upTo: INF, ratePct: 30 },
+        ],
+        standardDeduction: 75000,
+        rebate: { maxIncome: 1200000, maxRebate: 60000, marginalRelief: true, onStcg: false },
+        surcharge: SURCHARGE_NEW,
+        allowsDeductions: false,
+      },
+    },
+  },
+  "2024-25": {
+    capitalGains: { stcgRatePct: 20, ltcgRatePct: 12.5, ltcgExemption: 125000, surchargeCapPct: 15 },
+    cessPct: 4,
+    deductionCaps: DEDUCTION_CAPS,
+    regimes: {
+      old: OLD_REGIME,
+      new: {
+        slabs: [
+          { upTo: 300000, ratePct: 0 }, { upTo: 700000, ratePct: 5 }, { upTo: 1000000, ratePct: 10 },
+          { upTo: 1200000, ratePct: 15 }, { upTo: 1500000, ratePct: 20 }, { upTo: INF, ratePct: 30 },
+        ],
+        standardDeduction: 75000,
+        rebate: { maxIncome: 700000, maxRebate: 25000, marginalRelief: true, onStcg: true },
+        surcharge: SURCHARGE_NEW,
+        allowsDeductions: false,
+      },
+    },
+  },
+  "2023-24": {
+    capitalGains: { stcgRatePct: 15, ltcgRatePct: 10, ltcgExemption: 100000, surchargeCapPct: 15 },
+    cessPct: 4,
+    deductionCaps: DEDUCTION_CAPS,
+    regimes: {
+      old: OLD_REGIME,
+      new: {
+        slabs: [
+          { upTo: 300000, ratePct: 0 }, { upTo: 600000, ratePct: 5 }, { upTo: 900000, ratePct: 10 },
+          { upTo: 1200000, ratePct: 15 }, { upTo: 1500000, ratePct: 20 }, { upTo: INF, ratePct: 30 },
+        ],
+        standardDeduction: 50000,
+        rebate: { maxIncome: 700000, maxRebate: 25000, marginalRelief: true, onStcg: true },
+        surcharge: SURCHARGE_NEW,
+        allowsDeductions: false,
+      },
+    },
+  },
+};
+
+export const TAX_YEARS = Object.keys(INDIA_TAX_RULES);
+export const LATEST_TAX_YEAR = TAX_YEARS[0];
+
+/**
+ * Tax on `income` under progressive slabs.
+ * @param {number} income
+ * @param {{ upTo: number, ratePct: number }[]} slabs
+ * @returns {number}
+ */
+export const slabTax = (income, slabs) => {
+  let tax = 0;
+  let lower = 0;
+  for (const { upTo, ratePct } of slabs) {
+    if (income <= lower) break;
+    tax += (Math.min(income, upTo) - lower) * ratePct / 100;
+    lower = upTo;
+  }
+  return tax;
+};
+
+const surchargeTier = (income, tiers) => {
+  let tier = null;
+  for (const t of tiers) if (income > t.above) tier = t;
+  return tier;
+};
+
+// Tax + surcharge (before cess) on the three income heads. Recurses once per
+// surcharge tier to apply marginal relief at the tier threshold.
+const chargeTax = (regime, cg, slabs, { normal, stcg, ltcg }) => {
+  const basicExemption = slabs[0].ratePct === 0 ? slabs[0].upTo : 0;
+  const unused = Math.max(0, basicExemption - normal);
+  const stcgTaxable = Math.max(0, stcg - unused);
+  const ltcgAboveExemption = Math.max(0, ltcg - cg.ltcgExemption);
+  const ltcgTaxable = Math.max(0, ltcgAboveExemption - Math.max(0, unused - stcg));
+
+  const normalTax = slabTax(normal, slabs);
+  const stcgTax = stcgTaxable * cg.stcgRatePct / 100;
+  const ltcgTax = ltcgTaxable * cg.ltcgRatePct / 100;
+  const totalIncome = normal + stcg + ltcg;
+
+  const { maxIncome, maxRebate, marginalRelief, onStcg } = regime.rebate;
+  const rebatable = normalTax + (onStcg ? stcgTax : 0);
+  let rebate = 0;
+  if (totalIncome <= maxIncome) rebate = Math.min(rebatable, maxRebate);
+  else if (marginalRelief) rebate = Math.max(0, rebatable - (totalIncome - maxIncome));
+
+  const tier = surchargeTier(totalIncome, regime.surcharge);
+  const ratePct = tier ? tier.ratePct : 0;
+  const cgRatePct = Math.min(ratePct, cg.surchargeCapPct);
+  const normalShare = Math.max(0, normalTax - rebate);
+  const cgShare = Math.max(0, stcgTax + ltcgTax - Math.max(0, rebate - normalTax));
+  let surcharge = normalShare * ratePct / 100 + cgShare * cgRatePct / 100;
+
+  // Marginal relief: crossing a threshold may not cost more than the income above it
+  if (tier && normal >= totalIncome - tier.above) {
+    const atThreshold = chargeTax(regime, cg, slabs, { normal: normal - (totalIncome - tier.above), stcg, ltcg });
+    const cap = atThreshold.taxAfterRebate + atThreshold.surcharge + (totalIncome - tier.above);
+    surcharge = Math.max(0, Math.min(surcharge, cap - (normalShare + cgShare)));
+  }
+
+  return {
+    totalIncome,
+    normalTax,
+    stcgTaxable,
+    stcgTax,
+    ltcgTaxable,
+    ltcgTax,
+    rebate,
+    taxAfterRebate: normalShare + cgShare,
+    surcharge,
+  };
+};
+
+/**
+ * Income tax for one regime. Amounts are annual, in INR.
+ * @param {{ fy?: string, regime: "old"|"new", ageGroup?: "below60"|"60to80"|"above80", salaryIncome?: number, otherIncome?: number, ltcgGain?: number, stcgGain?: number, investments80C?: number, medical80D?: number, medical80DParents?: number, parentsSenior?: boolean, nps80CCD1B?: number }} input
+ * @returns {{ regime: string, grossIncome: number, standardDeduction: number, deductions: { sec80C: number, sec80D: number, sec80CCD1B: number, total: number }, taxableNormalIncome: number, totalIncome: number, slabTax: number, stcgTaxable: number, stcgTax: number, ltcgTaxable: number, ltcgTax: number, rebate: number, surcharge: number, cess: number, totalTax: number, effectiveRatePct: number }}
+ */
+export const incomeTaxIndia = ({
+  fy = LATEST_TAX_YEAR,
+  regime,
+  ageGroup = "below60",
+  salaryIncome = 0,
+  otherIncome = 0,
+  ltcgGain = 0,
+  stcgGain = 0,
+  investments80C = 0,
+  medical80D = 0,
+  medical80DParents = 0,
+  parentsSenior = false,
+  nps80CCD1B = 0,
+}) => {
+  const rules = INDIA_TAX_RULES[fy] || INDIA_TAX_RULES[LATEST_TAX_YEAR];
+  const r = rules.regimes[regime];
+  if (!r) throw new Error(`Unknown tax regime: ${regime}`);
+  const slabs = Array.isArray(r.slabs) ? r.slabs : r.slabs[ageGroup] || r.slabs.below60;
+  const caps = rules.deductionCaps;
+
+  const salary = Math.max(0, num(salaryIncome));
+  const grossNormal = salary + Math.max(0, num(otherIncome));
+  const standardDeduction = Math.min(salary, r.standardDeduction);
+
+  const senior = ageGroup !== "below60";
+  const sec80C = r.allowsDeductions ? Math.min(caps.sec80C, Math.max(0, num(investments80C))) : 0;
+  const sec80D = r.allowsDeductions
+    ? Math.min(senior ? caps.sec80DSelfSenior : caps.sec80DSelf, Math.max(0, num(medical80D)))
+      + Math.min(parentsSenior ? caps.sec80DParentsSenior : caps.sec80DParents, Math.max(0, num(medical80DParents)))
+    : 0;
+  const sec80CCD1B = r.allowsDeductions ? Math.min(caps.sec80CCD1B, Math.max(0, num(nps80CCD1B))) : 0;
+  // Chapter VI-A deductions can't exceed normal income (not set off against capital gains)
+  const totalDeductions = Math.min(sec80C + sec80D + sec80CCD1B, grossNormal - standardDeduction);
+
+  const normal = Math.max(0, grossNormal - standardDeduction - totalDeductions);
+  const stcg = Math.max(0, num(stcgGain));
+  const ltcg = Math.max(0, num(ltcgGain));
+  const charged = chargeTax(r, rules.capitalGains, slabs, { normal, stcg, ltcg });
+
+  const cess = (charged.taxAfterRebate + charged.surcharge) * rules.cessPct / 100;
+  const totalTax = Math.round(charged.taxAfterRebate + charged.surcharge + cess);
+  const grossIncome = grossNormal + stcg + ltcg;
+
+  return {
+    regime,
+    grossIncome,
+    standardDeduction,
+    deductions: { sec80C, sec80D, sec80CCD1B, total: totalDeductions },
+    taxableNormalIncome: normal,
+    totalIncome: charged.totalIncome,
+    slabTax: charged.normalTax,
+    stcgTaxable: charged.stcgTaxable,
+    stcgTax: charged.stcgTax,
+    ltcgTaxable: charged.ltcgTaxable,
+    ltcgTax: charged.ltcgTax,
+    rebate: charged.rebate,
+    surcharge: charged.surcharge,
+    cess,
+    totalTax,
+    effectiveRatePct: grossIncome > 0 ? (totalTax / grossIncome) * 100 : 0,
+  };
+};
+
+/**
+ * Old vs new regime for the same inputs, with the cheaper one recommended
+ * (new regime on a tie, as it is the default).
+ * @param {object} input same as `incomeTaxIndia` without `regime`
+ * @returns {{ old: object, new: object, recommended: "old"|"new", savings: number }}
+ */
+export const compareTaxRegimes = (input) => {
+  const oldRegime = incomeTaxIndia({ ...input, regime: "old" });
+  const newRegime = incomeTaxIndia({ ...input, regime: "new" });
+  const recommended = oldRegime.totalTax < newRegime.totalTax ? "old" : "new";
+  return {
+    old: oldRegime,
+    new: newRegime,
+    recommended,
+    savings: Math.abs(oldRegime.totalTax - newRegime.totalTax),
+  };
+};
@@ -0,0 +1,63 @@
+import { describe, it, expect } from "vitest";
+import { slabTax, incomeTaxIndia, compareTaxRegimes } from "./tax";
+
+describe("slabTax", () => {
+  const slabs = [{ upTo: 100, ratePct: 0 }, { upTo: 200, ratePct: 10 }, { upTo: Infinity, ratePct: 20 }];
+
+  it("taxes each band at its own rate", () => {
+    expect(slabTax(50, slabs)).toBe(0);
+    expect(slabTax(150, slabs)).toBe(5);
+    expect(slabTax(300, slabs)).toBe(30);
+  });
+});
+
+describe("incomeTaxIndia", () => {
+  it("fully rebates the new regime up to 12 lakh taxable in FY 2025-26", () => {
+    expect(incomeTaxIndia({ fy: "2025-26", regime: "new", salaryIncome: 1275000 }).totalTax).toBe(0);
+  });
+
+  it("limits tax just above the rebate limit to the income above it", () => {
+    // 12.10 lakh taxable: slab tax 61,500, capped at the 10,000 above 12 lakh, plus cess
+    const result = incomeTaxIndia({ fy: "2025-26", regime: "new", salaryIncome: 1285000 });
+    expect(result.slabTax).toBe(61500);
+    expect(result.totalTax).toBe(10400);
+  });
+
+  it("applies the new regime slabs and cess", () => {
+    expect(incomeTaxIndia({ fy: "2025-26", regime: "new", salaryIncome: 1675000 }).totalTax).toBe(124800);
+  });
+
+  it("allows capped deductions only in the old regime", () => {
+    const input = { fy: "2025-26", salaryIncome: 1050000, investments80C: 200000 };
+    const old = incomeTaxIndia({ ...input, regime: "old" });
+    expect(old.deductions.sec80C).toBe(150000);
+    expect(old.taxableNormalIncome).toBe(850000);
+    expect(old.totalTax).toBe(85800);
+    expect(incomeTaxIndia({ ...input, regime: "new" }).deductions.total).toBe(0);
+  });
+
+  it("taxes equity LTCG above the exemption at the special rate", () => {
+    const result = incomeTaxIndia({ fy: "2025-26", regime: "new", salaryIncome: 2075000, ltcgGain: 225000 });
+    expect(result.ltcgTaxable).toBe(100000);
+    expect(result.ltcgTax).toBe(12500);
+  });
+
+  it("is 0 with no income", () => {
+    const result = incomeTaxIndia({ regime: "old" });
+    expect(result.totalTax).toBe(0);
+    expect(result.effectiveRatePct).toBe(0);
+  });
+
+  it("rejects an unknown regime", () => {
+    expect(() => incomeTaxIndia({ regime: "flat" })).toThrow("Unknown tax regime");
+  });
+});
+
+describe("compareTaxRegimes", () => {
+  it("recommends the cheaper regime, and the new one on a tie", () => {
+    expect(compareTaxRegimes({ fy: "2025-26", salaryIncome: 1675000 }).recommended).toBe("new");
+    expect(compareTaxRegimes({ fy: "2025-26", salaryIncome: 0 }).recommended).toBe("new");
+    const result = compareTaxRegimes({ fy: "2025-26", salaryIncome: 1050000, investments80C: 150000 });
+    expect(result.savings).toBe(Math.abs(result.old.totalTax - result.new.totalTax));
+  });
+});
@@ -0,0 +1,80 @@
+import { num } from "./helpers";
+import { slabTax } from "./tax";
+
+// GENERIC EU CAPITAL-INCOME TAX
+// Most EU countries tax investment income (gains, dividends, interest) on a
+// separate schedule from earnings: a flat rate or a short progressive scale,
+// an optional annual allowance, partial exemptions for equity funds and
+// losses carried forward against gains. A country preset fills in those
+// parameters; "custom" lets the user enter them. Wealth taxes, church tax,
+// withholding-tax credits and deemed-return systems (e.g. the Dutch box 3)
+// are not modelled.
+
+/**
+ * Country presets. `bands` (progressive, like `slabTax`) take precedence
+ * over `ratePct`. `equityFundExemptionPct` is the share of equity-fund gains
+ * and distributions that is tax-free.
+ */
+export const EU_CAPITAL_TAX_PRESETS = {
+  DE: { label: "Germany", ratePct: 26.375, allowance: 1000, equityFundExemptionPct: 30 },
+  FR: { label: "France", ratePct: 30, allowance: 0, equityFundExemptionPct: 0 },
+  IT: { label: "Italy", ratePct: 26, allowance: 0, equityFundExemptionPct: 0 },
+  ES: {
+    label: "Spain",
+    bands: [{ upTo: 6000, ratePct: 19 }, { upTo: 50000, ratePct: 21 }, { upTo: 200000, ratePct: 23 }, { upTo: 300000, ratePct: 27 }, { upTo: Infinity, ratePct: 30 }],
+    allowance: 0,
+    equityFundExemptionPct: 0,
+  },
+  custom: { label: "Custom", ratePct: 25, allowance: 0, equityFundExemptionPct: 0 },
+};
+
+/**
+ * Tax on a year's capital income under a preset, or under the user's own
+ * rate, allowance and exemption when the preset is "custom".
+ * @param {{ preset?: string, capitalGains?: number, dividends?: number, interest?: number, equityFunds?: boolean, lossesCarriedForward?: number, ratePct?: number, allowance?: number, equityFundExemptionPct?: number }} input
+ * @returns {{ grossIncome: number, lossesUsed: number, partialExemption: number, allowance: number, taxableIncome: number, capitalTax: number, totalTax: number, effectiveRatePct: number, lossesRemaining: number }}
+ */
+export const capitalTaxEU = ({
+  preset = "DE",
+  capitalGains = 0,
+  dividends = 0,
+  interest = 0,
+  equityFunds = false,
+  lossesCarriedForward = 0,
+  ratePct,
+  allowance,
+  equityFundExemptionPct,
+}) => {
+  const base = EU_CAPITAL_TAX_PRESETS[preset] || EU_CAPITAL_TAX_PRESETS.custom;
+  const rules = preset === "custom"
+    ? { ...base, ratePct: num(ratePct ?? base.ratePct), allowance: num(allowance ?? base.allowance), equityFundExemptionPct: num(equityFundExemptionPct ?? base.equityFundExemptionPct) }
+    : base;
+
+  const gains = Math.max(0, num(capitalGains));
+  const divs = Math.max(0, num(dividends));
+  const int = Math.max(0, num(interest));
+  const losses = Math.max(0, num(lossesCarriedForward));
+
+  // Losses only offset gains; the partial exemption applies to what remains
+  const lossesUsed = Math.min(losses, gains);
+  const exemptShare = equityFunds ? Math.min(100, Math.max(0, rules.equityFundExemptionPct)) / 100 : 0;
+  const partialExemption = (gains - lossesUsed + divs) * exemptShare;
+  const beforeAllowance = gains - lossesUsed + divs + int - partialExemption;
+  const allowanceUsed = Math.min(Math.max(0, rules.allowance), beforeAllowance);
+  const taxableIncome = beforeAllowance - allowanceUsed;
+
+  const capitalTax = rules.bands ? slabTax(taxableIncome, rules.bands) : taxableIncome * Math.max(0, rules.ratePct) / 100;
+  const totalTax = Math.round(capitalTax);
+  const grossIncome = gains + divs + int;
+  return {
+    grossIncome,
+    lossesUsed,
+    partialExemption,
+    allowance: allowanceUsed,
+    taxableIncome,
+    capitalTax,
+    totalTax,
+    effectiveRatePct: grossIncome > 0 ? (totalTax / grossIncome) * 100 : 0,
+    lossesRemaining: losses - lossesUsed,
+  };
+};
@@ -0,0 +1,141 @@
+import { TAX_YEARS, LATEST_TAX_YEAR, compareTaxRegimes } from "./tax";
+import { US_TAX_YEARS, incomeTaxUS } from "./taxUS";
+import { UK_TAX_RULES, UK_TAX_YEARS, incomeTaxUK } from "./taxUK";
+import { capitalTaxEU } from "./taxEU";
+
+// Tax jurisdictions behind one interface, selectable independently of the
+// display currency. Each entry declares:
+// - `currency`: amounts are entered and reported in it
+// - `years`: selectable rule years (empty when the rules are not per year)
+// - `defaults`: a complete input object
+// - `compare(input)`: the scenarios worth comparing for that country, as
+//   { scenarios: [{ id, totalTax, effectiveRatePct, lines: [{ key, amount }] }],
+//     recommended, savings, allowances: [{ key, amount }], warnings: [{ key, amount }] }
+//   where `recommended` is the cheaper scenario id (null with one scenario)
+//   and `savings` what it saves over the other.
+// A new country only needs an entry in TAX_JURISDICTIONS.
+
+const pick = (result, keys) => keys.map((key) => ({ key, amount: result[key] }));
+
+// Two scenarios: the cheaper is recommended, ties go to the first
+const rankTwo = (scenarios) => {
+  const [a, b] = scenarios;
+  const savings = Math.abs(a.totalTax - b.totalTax);
+  return { scenarios, recommended: savings > 0 ? (b.totalTax < a.totalTax ? b.id : a.id) : null, savings };
+};
+
+const IN_LINES = ["grossIncome", "standardDeduction", "deductions", "taxableIncome", "slabTax", "stcgTax", "ltcgTax", "rebate", "surcharge", "cess", "totalTax"];
+const US_LINES = ["grossIncome", "preTaxContributions", "standardDeduction", "taxableIncome", "ordinaryTax", "ltcgTax", "niit", "totalTax"];
+const UK_LINES = ["grossIncome", "pensionRelief", "personalAllowance", "taxableIncome", "incomeTax", "dividendTax", "nationalInsurance", "cgt", "totalTax"];
+const EU_LINES = ["grossIncome", "lossesUsed", "partialExemption", "allowance", "taxableIncome", "totalTax"];
+
+const india = {
+  currency: "INR",
+  years: TAX_YEARS,
+  defaults: {
+    fy: LATEST_TAX_YEAR, ageGroup: "below60", salaryIncome: 1200000, otherIncome: 50000, ltcgGain: 200000, stcgGain: 20000,
+    investments80C: 150000, medical80D: 25000, medical80DParents: 0, parentsSenior: false, nps80CCD1B: 50000,
+  },
+  // Old vs new regime
+  compare: (input) => {
+    const { old: o, new: n, recommended, savings } = compareTaxRegimes(input);
+    const scenario = (id, r) => ({
+      id,
+      totalTax: r.totalTax,
+      effectiveRatePct: r.effectiveRatePct,
+      lines: pick({ ...r, deductions: r.deductions.total, taxableIncome: r.taxableNormalIncome, rebate: r.rebate ? -r.rebate : 0 }, IN_LINES),
+    });
+    return { scenarios: [scenario("old", o), scenario("new", n)], recommended: savings > 0 ? recommended : null, savings, allowances: [], warnings: [] };
+  },
+};
+
+const unitedStates = {
+  currency: "USD",
+  years: US_TAX_YEARS,
+  defaults: {
+    year: US_TAX_YEARS[0], filingStatus: "single", ageGroup: "under50", wages: 120000, otherIncome: 2000, stcgGain: 1000, ltcgGain: 10000,
+    k401: 10000, traditionalIra: 0, rothIra: 7000,
+  },
+  // Contributions as entered vs maxing the 401(k) and a traditional IRA
+  compare: (input) => {
+    const entered = incomeTaxUS(input);
+    const maxed = incomeTaxUS({ ...input, k401: entered.limits.k401, traditionalIra: entered.limits.ira, rothIra: 0 });
+    const scenario = (id, r) => ({ id, totalTax: r.totalTax, effectiveRatePct: r.effectiveRatePct, lines: pick(r, US_LINES) });
+    return {
+      ...rankTwo([scenario("asEntered", entered), scenario("maxPreTax", maxed)]),
+      allowances: [
+        { key: "k401Limit", amount: entered.limits.k401 },
+        { key: "iraLimit", amount: entered.limits.ira },
+        { key: "rothRoom", amount: entered.rothRoom },
+      ],
+      warnings: entered.rothExcess > 0 ? [{ key: "rothExcess", amount: entered.rothExcess }] : [],
+    };
+  },
+};
+
+const unitedKingdom = {
+  currency: "GBP",
+  years: UK_TAX_YEARS,
+  defaults: {
+    year: UK_TAX_YEARS[0], salary: 60000, otherIncome: 0, savingsInterest: 1500, dividends: 2000, capitalGains: 8000,
+    pensionContributions: 3000, isaSubscriptions: 10000,
+  },
+  // Pension contributions as entered vs contributing enough to bring taxable
+  // income down to the basic-rate band (within the annual allowance)
+  compare: (input) => {
+    const entered = incomeTaxUK(input);
+    const rules = UK_TAX_RULES[input.year] || UK_TAX_RULES[UK_TAX_YEARS[0]];
+    const toBasicRate = Math.min(entered.allowances.pension, entered.pensionRelief + Math.max(0, entered.taxableIncome - rules.basicBand));
+    const maxed = incomeTaxUK({ ...input, pensionContributions: toBasicRate });
+    const scenario = (id, r) => ({ id, totalTax: r.totalTax, effectiveRatePct: r.effectiveRatePct, lines: pick(r, UK_LINES) });
+    const isaExcess = Math.max(0, (input.isaSubscriptions || 0) - entered.allowances.isa);
+    return {
+      ...rankTwo([scenario("asEntered", entered), scenario("pensionToBasicRate", maxed)]),
+      allowances: [
+        { key: "isaRemaining", amount: entered.allowances.isaRemaining },
+        { key: "pensionAllowance", amount: entered.allowances.pension },
+        { key: "cgtExempt", amount: entered.allowances.cgtExempt },
+        { key: "dividendAllowance", amount: entered.allowances.dividend },
+        { key: "savingsAllowance", amount: entered.allowances.savings },
+      ],
+      warnings: isaExcess > 0 ? [{ key: "isaExcess", amount: isaExcess }] : [],
+    };
+  },
+};
+
+const europe = {
+  currency: "EUR",
+  years: [],
+  defaults: {
+    preset: "DE", capitalGains: 5000, dividends: 1500, interest: 500, equityFunds: true, lossesCarriedForward: 0,
+    ratePct: 25, allowance: 0, equityFundExemptionPct: 0,
+  },
+  // One scenario: the country's capital-income schedule
+  compare: (input) => {
+    const r = capitalTaxEU(input);
+    return {
+      scenarios: [{ id: "asEntered", totalTax: r.totalTax, effectiveRatePct: r.effectiveRatePct, lines: pick(r, EU_LINES) }],
+      recommended: null,
+      savings: 0,
+      allowances: r.lossesRemaining > 0 ? [{ key: "lossesRemaining", amount: r.lossesRemaining }] : [],
+      warnings: [],
+    };
+  },
+};
+
+/**
+ * Registry of tax jurisdictions by id.
+ */
+export const TAX_JURISDICTIONS = { IN: india, US: unitedStates, UK: unitedKingdom, EU: europe };
+
+/**
+ * Run a jurisdiction's comparison with its defaults filled in.
+ * @param {string} jurisdiction
+ * @param {object} input
+ * @returns {{ scenarios: { id: string, totalTax: number, effectiveRatePct: number, lines: { key: string, amount: number }[] }[], recommended: string|null, savings: number, allowances: { key: string, amount: number }[], warnings: { key: string, amount: number }[] }}
+ */
+export const compareTax = (jurisdiction, input) => {
+  const impl = TAX_JURISDICTIONS[jurisdiction];
+  if (!impl) throw new Error(`Unknown tax jurisdiction: ${jurisdiction}`);
+  return impl.compare({ ...impl.defaults, ...input });
+};
@@ -0,0 +1,149 @@
+import { num } from "./helpers";
+
+// UK INCOME TAX, NATIONAL INSURANCE AND CGT (England, Wales and NI rates)
+// Covered:
+// - Personal allowance, tapered by £1 for every £2 of adjusted net income
+//   over £100,000
+// - Basic, higher and additional rates on earnings and other income, then
+//   savings interest (with the personal savings allowance) and dividends
+//   (with the dividend allowance), in the order HMRC stacks them
+// - Pension contributions under a net pay arrangement: deducted before tax,
+//   relieved up to the annual allowance (capped at earnings)
+// - Employee Class 1 National Insurance on salary
+// - Capital gains over the annual exempt amount at the lower rate within the
+//   unused basic-rate band and the higher rate above it
+// - ISA subscriptions against the annual ISA allowance (income and gains
+//   inside an ISA are tax-free, so only enter gains made outside it)
+// Not covered: Scottish rates, the starting rate for savings, the tapered
+// annual allowance, marriage allowance and carry-forward of unused allowance.
+// For 2024-25 the post 30 October 2024 CGT rates are applied to the whole year.
+
+/**
+ * Rule tables keyed by tax year ("2025-26" = 6 Apr 2025 – 5 Apr 2026).
+ */
+export const UK_TAX_RULES = {
+  "2025-26": {
+    personalAllowance: 12570,
+    taperThreshold: 100000,
+    basicBand: 37700,
+    additionalThreshold: 125140,
+    rates: { basic: 20, higher: 40, additional: 45 },
+    dividendRates: { basic: 8.75, higher: 33.75, additional: 39.35 },
+    dividendAllowance: 500,
+    savingsAllowance: { basic: 1000, higher: 500, additional: 0 },
+    cgt: { annualExempt: 3000, lowerPct: 18, higherPct: 24 },
+    ni: { primaryThreshold: 12570, upperLimit: 50270, mainPct: 8, upperPct: 2 },
+    isaAllowance: 20000,
+    pensionAnnualAllowance: 60000,
+  },
+  "2024-25": {
+    personalAllowance: 12570,
+    taperThreshold: 100000,
+    basicBand: 37700,
+    additionalThreshold: 125140,
+    rates: { basic: 20, higher: 40, additional: 45 },
+    dividendRates: { basic: 8.75, higher: 33.75, additional: 39.35 },
+    dividendAllowance: 500,
+    savingsAllowance: { basic: 1000, higher: 500, additional: 0 },
+    cgt: { annualExempt: 3000, lowerPct: 18, higherPct: 24 },
+    ni: { primaryThreshold: 12570, upperLimit: 50270, mainPct: 8, upperPct: 2 },
+    isaAllowance: 20000,
+    pensionAnnualAllowance: 60000,
+  },
+};
+
+export const UK_TAX_YEARS = Object.keys(UK_TAX_RULES);
+
+// Tax on `amount` of one income type sitting on top of `start` of taxable
+// income already charged, with the first `zeroBand` of it at 0%.
+const stackedTax = (rules, start, amount, rates, zeroBand = 0) => {
+  const edges = [[rules.basicBand, rates.basic], [rules.additionalThreshold, rates.higher], [Infinity, rates.additional]];
+  let tax = 0;
+  let pos = start + Math.min(amount, zeroBand);
+  const end = start + amount;
+  let lower = 0;
+  for (const [upTo, ratePct] of edges) {
+    if (pos < upTo && end > lower) tax += (Math.min(end, upTo) - Math.max(pos, lower)) * ratePct / 100;
+    pos = Math.max(pos, Math.min(end, upTo));
+    lower = upTo;
+  }
+  return tax;
+};
+
+/**
+ * Income tax, National Insurance and CGT for one year. Amounts are annual,
+ * in GBP.
+ * @param {{ year?: string, salary?: number, otherIncome?: number, savingsInterest?: number, dividends?: number, capitalGains?: number, pensionContributions?: number, isaSubscriptions?: number }} input
+ * @returns {{ grossIncome: number, pensionRelief: number, personalAllowance: number, taxableIncome: number, incomeTax: number, dividendTax: number, nationalInsurance: number, cgt: number, totalTax: number, effectiveRatePct: number, allowances: { isa: number, isaRemaining: number, pension: number, cgtExempt: number, dividend: number, savings: number } }}
+ */
+export const incomeTaxUK = ({
+  year = UK_TAX_YEARS[0],
+  salary = 0,
+  otherIncome = 0,
+  savingsInterest = 0,
+  dividends = 0,
+  capitalGains = 0,
+  pensionContributions = 0,
+  isaSubscriptions = 0,
+}) => {
+  const rules = UK_TAX_RULES[year] || UK_TAX_RULES[UK_TAX_YEARS[0]];
+  const pay = Math.max(0, num(salary));
+  const other = Math.max(0, num(otherIncome));
+  const interest = Math.max(0, num(savingsInterest));
+  const divs = Math.max(0, num(dividends));
+  const gains = Math.max(0, num(capitalGains));
+
+  const pensionAllowance = Math.min(rules.pensionAnnualAllowance, pay);
+  const pensionRelief = Math.min(pensionAllowance, Math.max(0, num(pensionContributions)));
+  const nonSavings = pay - pensionRelief + other;
+  const adjustedNet = nonSavings + interest + divs;
+  const personalAllowance = Math.max(0, rules.personalAllowance - Math.max(0, adjustedNet - rules.taperThreshold) / 2);
+
+  // The personal allowance is used against earnings first, then savings, then dividends
+  let pa = personalAllowance;
+  const take = (amount) => {
+    const used = Math.min(pa, amount);
+    pa -= used;
+    return amount - used;
+  };
+  const nsTaxable = take(nonSavings);
+  const savTaxable = take(interest);
+  const divTaxable = take(divs);
+  const taxableIncome = nsTaxable + savTaxable + divTaxable;
+
+  const band = taxableIncome > rules.additionalThreshold ? "additional" : taxableIncome > rules.basicBand ? "higher" : "basic";
+  const nsTax = stackedTax(rules, 0, nsTaxable, rules.rates);
+  const savTax = stackedTax(rules, nsTaxable, savTaxable, rules.rates, rules.savingsAllowance[band]);
+  const dividendTax = stackedTax(rules, nsTaxable + savTaxable, divTaxable, rules.dividendRates, rules.dividendAllowance);
+
+  const { primaryThreshold, upperLimit, mainPct, upperPct } = rules.ni;
+  const nationalInsurance = (Math.max(0, Math.min(pay, upperLimit) - primaryThreshold) * mainPct + Math.max(0, pay - upperLimit) * upperPct) / 100;
+
+  const gainsTaxable = Math.max(0, gains - rules.cgt.annualExempt);
+  const basicLeft = Math.max(0, rules.basicBand - taxableIncome);
+  const cgt = (Math.min(gainsTaxable, basicLeft) * rules.cgt.lowerPct + Math.max(0, gainsTaxable - basicLeft) * rules.cgt.higherPct) / 100;
+
+  const incomeTax = nsTax + savTax;
+  const totalTax = Math.round(incomeTax + dividendTax + nationalInsurance + cgt);
+  const grossIncome = pay + other + interest + divs + gains;
+  return {
+    grossIncome,
+    pensionRelief,
+    personalAllowance,
+    taxableIncome,
+    incomeTax,
+    dividendTax,
+    nationalInsurance,
+    cgt,
+    totalTax,
+    effectiveRatePct: grossIncome > 0 ? (totalTax / grossIncome) * 100 : 0,
+    allowances: {
+      isa: rules.isaAllowance,
+      isaRemaining: Math.max(0, rules.isaAllowance - Math.max(0, num(isaSubscriptions))),
+      pension: pensionAllowance,
+      cgtExempt: rules.cgt.annualExempt,
+      dividend: rules.dividendAllowance,
+      savings: rules.savingsAllowance[band],
+    },
+  };
+};
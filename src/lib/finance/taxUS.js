@@ -0,0 +1,133 @@
+import { num } from "./helpers";
+import { slabTax } from "./tax";
+
+// US FEDERAL INCOME TAX (individuals, single or married filing jointly)
+// Covered:
+// - Ordinary brackets and the standard deduction (with the extra amount at 65+)
+// - Long-term gains and qualified dividends at 0/15/20%, stacked on top of
+//   ordinary income; short-term gains are ordinary income
+// - "Other income" is taken as interest and non-qualified dividends, so it is
+//   ordinary income and counts towards the net investment income tax
+// - 3.8% net investment income tax above the MAGI threshold
+// - 401(k) and traditional IRA contributions reduce taxable income, with the
+//   age-50 catch-ups; Roth IRA contributions are limited by the MAGI phase-out
+// Not covered: state tax, itemised deductions, credits, AMT, the 60–63 super
+// catch-up, the 2025 senior bonus deduction and the traditional IRA
+// deduction phase-out for workplace-plan participants (treated as deductible).
+
+const INF = Infinity;
+
+/**
+ * Federal rule tables keyed by tax year.
+ */
+export const US_TAX_RULES = {
+  2025: {
+    brackets: {
+      single: [{ upTo: 11925, ratePct: 10 }, { upTo: 48475, ratePct: 12 }, { upTo: 103350, ratePct: 22 }, { upTo: 197300, ratePct: 24 }, { upTo: 250525, ratePct: 32 }, { upTo: 626350, ratePct: 35 }, { upTo: INF, ratePct: 37 }],
+      joint: [{ upTo: 23850, ratePct: 10 }, { upTo: 96950, ratePct: 12 }, { upTo: 206700, ratePct: 22 }, { upTo: 394600, ratePct: 24 }, { upTo: 501050, ratePct: 32 }, { upTo: 751600, ratePct: 35 }, { upTo: INF, ratePct: 37 }],
+    },
+    standardDeduction: { single: 15750, joint: 31500 },
+    seniorExtraDeduction: { single: 2000, joint: 1600 },
+    ltcg: { single: [48350, 533400], joint: [96700, 600050] },
+    niit: { ratePct: 3.8, single: 200000, joint: 250000 },
+    limits: { k401: 23500, k401CatchUp: 7500, ira: 7000, iraCatchUp: 1000 },
+    rothPhaseOut: { single: [150000, 165000], joint: [236000, 246000] },
+  },
+  2024: {
+    brackets: {
+      single: [{ upTo: 11600, ratePct: 10 }, { upTo: 47150, ratePct: 12 }, { upTo: 100525, ratePct: 22 }, { upTo: 191950, ratePct: 24 }, { upTo: 243725, ratePct: 32 }, { upTo: 609350, ratePct: 35 }, { upTo: INF, ratePct: 37 }],
+      joint: [{ upTo: 23200, ratePct: 10 }, { upTo: 94300, ratePct: 12 }, { upTo: 201050, ratePct: 22 }, { upTo: 383900, ratePct: 24 }, { upTo: 487450, ratePct: 32 }, { upTo: 731200, ratePct: 35 }, { upTo: INF, ratePct: 37 }],
+    },
+    standardDeduction: { single: 14600, joint: 29200 },
+    seniorExtraDeduction: { single: 1950, joint: 1550 },
+    ltcg: { single: [47025, 518900], joint: [94050, 583750] },
+    niit: { ratePct: 3.8, single: 200000, joint: 250000 },
+    limits: { k401: 23000, k401CatchUp: 7500, ira: 7000, iraCatchUp: 1000 },
+    rothPhaseOut: { single: [146000, 161000], joint: [230000, 240000] },
+  },
+};
+
+export const US_TAX_YEARS = Object.keys(US_TAX_RULES).sort().reverse();
+
+/**
+ * Contribution limits for a filer: 401(k), the shared IRA limit and how much
+ * of it may go to a Roth IRA at the given MAGI.
+ * @param {{ year?: string, filingStatus?: "single"|"joint", ageGroup?: "under50"|"50to64"|"65plus", magi?: number }} input
+ * @returns {{ k401: number, ira: number, roth: number }}
+ */
+export const usContributionLimits = ({ year = US_TAX_YEARS[0], filingStatus = "single", ageGroup = "under50", magi = 0 }) => {
+  const rules = US_TAX_RULES[year] || US_TAX_RULES[US_TAX_YEARS[0]];
+  const catchUp = ageGroup !== "under50";
+  const k401 = rules.limits.k401 + (catchUp ? rules.limits.k401CatchUp : 0);
+  const ira = rules.limits.ira + (catchUp ? rules.limits.iraCatchUp : 0);
+  const [lo, hi] = rules.rothPhaseOut[filingStatus] || rules.rothPhaseOut.single;
+  const share = Math.min(1, Math.max(0, (hi - num(magi)) / (hi - lo)));
+  // A reduced (non-zero) limit is rounded up to the next $10
+  const roth = share === 1 ? ira : share === 0 ? 0 : Math.ceil((ira * share) / 10) * 10;
+  return { k401, ira, roth };
+};
+
+/**
+ * Federal income tax for one year. Amounts are annual, in USD.
+ * @param {{ year?: string, filingStatus?: "single"|"joint", ageGroup?: "under50"|"50to64"|"65plus", wages?: number, otherIncome?: number, stcgGain?: number, ltcgGain?: number, k401?: number, traditionalIra?: number, rothIra?: number }} input
+ * @returns {{ grossIncome: number, preTaxContributions: number, agi: number, standardDeduction: number, taxableIncome: number, ordinaryTax: number, ltcgTax: number, niit: number, totalTax: number, effectiveRatePct: number, limits: { k401: number, ira: number, roth: number }, rothRoom: number, rothExcess: number }}
+ */
+export const incomeTaxUS = ({
+  year = US_TAX_YEARS[0],
+  filingStatus = "single",
+  ageGroup = "under50",
+  wages = 0,
+  otherIncome = 0,
+  stcgGain = 0,
+  ltcgGain = 0,
+  k401 = 0,
+  traditionalIra = 0,
+  rothIra = 0,
+}) => {
+  const rules = US_TAX_RULES[year] || US_TAX_RULES[US_TAX_YEARS[0]];
+  const status = rules.brackets[filingStatus] ? filingStatus : "single";
+  const salary = Math.max(0, num(wages));
+  const ordinaryOther = Math.max(0, num(otherIncome)) + Math.max(0, num(stcgGain));
+  const ltcg = Math.max(0, num(ltcgGain));
+
+  const baseLimits = usContributionLimits({ year, filingStatus: status, ageGroup });
+  const k401Used = Math.min(salary, baseLimits.k401, Math.max(0, num(k401)));
+  const iraUsed = Math.min(baseLimits.ira, Math.max(0, num(traditionalIra)));
+  const preTax = k401Used + iraUsed;
+  const grossIncome = salary + ordinaryOther + ltcg;
+  const agi = Math.max(0, grossIncome - preTax);
+
+  const standardDeduction = rules.standardDeduction[status] + (ageGroup === "65plus" ? rules.seniorExtraDeduction[status] : 0);
+  const taxableIncome = Math.max(0, agi - standardDeduction);
+  const ordinaryTaxable = Math.max(0, taxableIncome - ltcg);
+  const ltcgTaxable = taxableIncome - ordinaryTaxable;
+
+  const ordinaryTax = slabTax(ordinaryTaxable, rules.brackets[status]);
+  const [zeroTop, fifteenTop] = rules.ltcg[status];
+  const at15 = Math.max(0, Math.min(taxableIncome, fifteenTop) - Math.max(ordinaryTaxable, zeroTop));
+  const at20 = Math.max(0, taxableIncome - Math.max(ordinaryTaxable, fifteenTop));
+  const ltcgTax = ltcgTaxable > 0 ? at15 * 0.15 + at20 * 0.2 : 0;
+
+  const investmentIncome = Math.max(0, num(otherIncome)) + Math.max(0, num(stcgGain)) + ltcg;
+  const niit = Math.min(investmentIncome, Math.max(0, agi - rules.niit[status])) * rules.niit.ratePct / 100;
+
+  const totalTax = Math.round(ordinaryTax + ltcgTax + niit);
+  const limits = usContributionLimits({ year, filingStatus: status, ageGroup, magi: agi });
+  // Roth and traditional IRA contributions share one annual limit
+  const rothRoom = Math.min(limits.roth, Math.max(0, limits.ira - iraUsed));
+  return {
+    grossIncome,
+    preTaxContributions: preTax,
+    agi,
+    standardDeduction,
+    taxableIncome,
+    ordinaryTax,
+    ltcgTax,
+    niit,
+    totalTax,
+    effectiveRatePct: grossIncome > 0 ? (totalTax / grossIncome) * 100 : 0,
+    limits,
+    rothRoom,
+    rothExcess: Math.max(0, num(rothIra) - rothRoom),
+  };
+};
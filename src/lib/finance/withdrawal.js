@@ -0,0 +1,145 @@
+import { num, annualPctToRate } from "./helpers";
+
+// Retirement withdrawal strategies.
+// Each strategy turns a corpus into a year-wise drawdown; `withdrawalPlan`
+// runs one by id and summarises it. Withdrawals are taken at the start of
+// each year and can never exceed what is left, so a strategy that asks for
+// more than the balance has depleted the corpus. A new strategy only needs
+// an entry in WITHDRAWAL_STRATEGIES with its default parameters and `run`.
+//
+// `run` receives { corpus, expense, years, inflation, growth } (rates as
+// decimals) plus the strategy parameters, and returns rows of
+// { year, planned, withdrawal, corpus }.
+
+const constantReal = {
+  defaults: {},
+  // The starting expense, raised with inflation every year
+  run: ({ corpus, expense, years, inflation, growth }) => {
+    const rows = [];
+    let balance = corpus;
+    let planned = expense;
+    for (let year = 1; year <= years; year++) {
+      const withdrawal = Math.min(planned, balance);
+      balance = (balance - withdrawal) * (1 + growth);
+      rows.push({ year, planned, withdrawal, corpus: balance });
+      planned *= 1 + inflation;
+    }
+    return rows;
+  },
+};
+
+const fixedPercent = {
+  defaults: { withdrawalPct: 4 },
+  // A fixed share of whatever the portfolio is worth; income varies, the corpus never runs out
+  run: ({ corpus, years, growth }, { withdrawalPct }) => {
+    const rows = [];
+    const rate = Math.min(1, Math.max(0, annualPctToRate(withdrawalPct)));
+    let balance = corpus;
+    for (let year = 1; year <= years; year++) {
+      const withdrawal = balance * rate;
+      balance = (balance - withdrawal) * (1 + growth);
+      rows.push({ year, planned: withdrawal, withdrawal, corpus: balance });
+    }
+    return rows;
+  },
+};
+
+const guytonKlinger = {
+  defaults: { guardrailPct: 20, adjustmentPct: 10 },
+  // Inflation-indexed withdrawals with guardrails: cut spending when the
+  // current withdrawal rate drifts too far above the initial rate (except in
+  // the last 15 years), raise it when the rate falls too far below, and skip
+  // the inflation raise after a losing year.
+  run: ({ corpus, expense, years, inflation, growth }, { guardrailPct, adjustmentPct }) => {
+    const rows = [];
+    const guardrail = annualPctToRate(guardrailPct);
+    const adjustment = annualPctToRate(adjustmentPct);
+    const initialRate = corpus > 0 ? expense / corpus : Infinity;
+    let balance = corpus;
+    let planned = expense;
+    for (let year = 1; year <= years; year++) {
+      if (year > 1 && balance > 0) {
+        if (!(growth < 0 && planned / balance > initialRate)) planned *= 1 + inflation;
+        const rate = planned / balance;
+        if (rate > initialRate * (1 + guardrail) && years - year >= 15) planned *= 1 - adjustment;
+        else if (rate < initialRate * (1 - guardrail)) planned *= 1 + adjustment;
+      }
+      const withdrawal = Math.min(planned, balance);
+      balance = (balance - withdrawal) * (1 + growth);
+      rows.push({ year, planned, withdrawal, corpus: balance });
+    }
+    return rows;
+  },
+};
+
+const bucket = {
+  defaults: { cashYears: 2, debtYears: 5, cashReturnPct: 4, debtReturnPct: 7, equityReturnPct: 10 },
+  // Spend from a cash bucket holding a few years of expenses, refill it from
+  // debt and refill debt from equity each year. Bucket returns replace the
+  // single post-retirement return.
+  run: ({ corpus, expense, years, inflation }, { cashYears, debtYears, cashReturnPct, debtReturnPct, equityReturnPct }) => {
+    const rows = [];
+    const rates = [cashReturnPct, debtReturnPct, equityReturnPct].map(annualPctToRate);
+    const b = [0, 0, 0]; // cash, debt, equity
+    const fill = (target, from, to) => {
+      const move = Math.min(Math.max(0, target - b[to]), b[from]);
+      b[from] -= move;
+      b[to] += move;
+    };
+    b[2] = corpus;
+    fill(num(cashYears) * expense, 2, 0);
+    fill(num(debtYears) * expense, 2, 1);
+
+    let planned = expense;
+    for (let year = 1; year <= years; year++) {
+      let need = planned;
+      for (let i = 0; i < 3 && need > 0; i++) {
+        const take = Math.min(need, b[i]);
+        b[i] -= take;
+        need -= take;
+      }
+      const withdrawal = planned - need;
+      for (let i = 0; i < 3; i++) b[i] *= 1 + rates[i];
+      rows.push({ year, planned, withdrawal, corpus: b[0] + b[1] + b[2] });
+      planned *= 1 + inflation;
+      fill(num(cashYears) * planned, 1, 0);
+      fill(num(cashYears) * planned, 2, 0);
+      fill(num(debtYears) * planned, 2, 1);
+    }
+    return rows;
+  },
+};
+
+/**
+ * Registry of withdrawal strategies by id.
+ */
+export const WITHDRAWAL_STRATEGIES = { constantReal, fixedPercent, guytonKlinger, bucket };
+
+/**
+ * Drawdown of a corpus under one withdrawal strategy. `depletionYear` is the
+ * first year the corpus could not fund the planned withdrawal (null when it
+ * lasts the whole period) and `legacy` is what is left at the end.
+ * @param {{ strategy?: string, corpus: number, annualExpenseAtRetire: number, yearsInRetirement: number, inflationPct: number, postRetReturnPct: number, params?: object }} input
+ * @returns {{ rows: { year: number, planned: number, withdrawal: number, corpus: number }[], depletionYear: number|null, totalWithdrawn: number, legacy: number }}
+ */
+export const withdrawalPlan = ({ strategy = "constantReal", corpus, annualExpenseAtRetire, yearsInRetirement, inflationPct, postRetReturnPct, params = {} }) => {
+  const impl = WITHDRAWAL_STRATEGIES[strategy];
+  if (!impl) throw new Error(`Unknown withdrawal strategy: ${strategy}`);
+  const rows = impl.run(
+    {
+      corpus: Math.max(0, num(corpus)),
+      expense: Math.max(0, num(annualExpenseAtRetire)),
+      years: Math.max(0, Math.round(num(yearsInRetirement))),
+      inflation: annualPctToRate(inflationPct),
+      growth: annualPctToRate(postRetReturnPct),
+    },
+    { ...impl.defaults, ...params }
+  );
+  const depleted = rows.find((r) => r.withdrawal < r.planned * (1 - 1e-9));
+  return {
+    rows,
+    depletionYear: depleted ? depleted.year : null,
+    totalWithdrawn: rows.reduce((sum, r) => sum + r.withdrawal, 0),
+    legacy: rows.length ? rows.at(-1).corpus : Math.max(0, num(corpus)),
+  };
+};
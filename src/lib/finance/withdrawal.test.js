@@ -0,0 +1,39 @@
+import { describe, it, expect } from "vitest";
+import { withdrawalPlan } from "./withdrawal";
+
+const base = { corpus: 100, annualExpenseAtRetire: 10, yearsInRetirement: 15, inflationPct: 0, postRetReturnPct: 0 };
+
+describe("withdrawalPlan", () => {
+  it("depletes a constant real withdrawal when the corpus runs out", () => {
+    const result = withdrawalPlan(base);
+    expect(result.depletionYear).toBe(11);
+    expect(result.totalWithdrawn).toBe(100);
+    expect(result.legacy).toBe(0);
+  });
+
+  it("lasts the whole period when it can", () => {
+    expect(withdrawalPlan({ ...base, yearsInRetirement: 10 }).depletionYear).toBeNull();
+  });
+
+  it("never depletes a fixed-percent withdrawal", () => {
+    const result = withdrawalPlan({ ...base, strategy: "fixedPercent", params: { withdrawalPct: 10 } });
+    expect(result.depletionYear).toBeNull();
+    expect(result.rows[0].withdrawal).toBe(10);
+    expect(result.rows[1].withdrawal).toBeCloseTo(9, 10);
+  });
+
+  it("spends from the cash bucket first", () => {
+    const result = withdrawalPlan({ ...base, corpus: 1000, strategy: "bucket", params: { cashReturnPct: 0, debtReturnPct: 0, equityReturnPct: 0 } });
+    expect(result.totalWithdrawn).toBe(150);
+    expect(result.legacy).toBe(850);
+  });
+
+  it("cuts guardrail withdrawals after the corpus falls", () => {
+    const result = withdrawalPlan({ ...base, corpus: 1000, annualExpenseAtRetire: 50, yearsInRetirement: 30, inflationPct: 3, postRetReturnPct: -5, strategy: "guytonKlinger" });
+    expect(result.rows.some((r, i) => i > 0 && r.planned < result.rows[i - 1].planned)).toBe(true);
+  });
+
+  it("rejects an unknown strategy", () => {
+    expect(() => withdrawalPlan({ ...base, strategy: "yolo" })).toThrow("Unknown withdrawal strategy");
+  });
+});
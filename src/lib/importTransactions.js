@@ -0,0 +1,221 @@
+// Import dated cashflows for XIRR from broker / registrar CSV statements.
+// A statement is parsed into rows of cells, a header row is located (most
+// exports start with a few lines of investor details), columns are mapped
+// either by a preset or by hand, and every transaction becomes an XIRR flow:
+// purchases are negative, redemptions positive. Dividend reinvestments move
+// no cash and are left out.
+
+/**
+ * Column names used by common Indian registrars and brokers. Each field lists
+ * candidate headers, matched case-insensitively. `units` × `price` is used
+ * when a statement has no amount column.
+ */
+export const BROKER_PRESETS = {
+  cams: {
+    label: "CAMS",
+    date: ["transaction date", "date", "trxn date"],
+    amount: ["amount", "amount (inr)", "amount(rs)", "amount (rs.)"],
+    type: ["transaction type", "transaction description", "description", "trxn type"],
+  },
+  kfintech: {
+    label: "KFintech",
+    date: ["transaction date", "trxn date", "date"],
+    amount: ["amount", "amount (rs.)", "transaction amount"],
+    type: ["transaction description", "transaction type", "description", "trxn description"],
+  },
+  zerodha: {
+    label: "Zerodha Coin / Console",
+    date: ["trade date", "trade_date", "order execution time", "date"],
+    units: ["quantity", "qty"],
+    price: ["price", "nav"],
+    type: ["trade type", "trade_type", "type"],
+  },
+  groww: {
+    label: "Groww",
+    date: ["date", "transaction date"],
+    amount: ["amount", "transaction amount"],
+    type: ["transaction type", "type"],
+  },
+};
+
+const BUY = /purchase|\bsip\b|systematic investment|\bbuy\b|switch[\s-]*in|stp[\s-]*in|additional/i;
+const SELL = /redemption|redeem|\bsell\b|switch[\s-]*out|stp[\s-]*out|\bswp\b|payout|withdrawal/i;
+const REINVEST = /reinvest/i;
+
+const MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+
+const pad = (n) => String(n).padStart(2, "0");
+const isoDate = (y, m, d) => {
+  const date = new Date(Date.UTC(y, m - 1, d));
+  return date.getUTCMonth() === m - 1 && date.getUTCDate() === d ? `${y}-${pad(m)}-${pad(d)}` : null;
+};
+const fullYear = (y) => (y < 100 ? 2000 + y : y);
+
+/**
+ * Split CSV text into rows of trimmed cells. Handles quoted fields, a
+ * byte-order mark and comma, semicolon or tab delimiters.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export const parseCsv = (text) => {
+  const source = text.replace(/^\uFEFF/, "");
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = [",", ";", "\t"].reduce((best, d) => (firstLine.split(d).length > firstLine.split(best).length ? d : best), ",");
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell.trim());
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && source[i + 1] === "\n") i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length) rows.push([...row, cell.trim()]);
+  return rows.filter((r) => r.some((c) => c !== ""));
+};
+
+/**
+ * Parse the date formats found in Indian statements (day first):
+ * 05-Jan-2024, 05 Jan 2024, 05/01/2024, 05-01-24 and ISO 2024-01-05.
+ * @param {string} value
+ * @returns {string|null} ISO date (YYYY-MM-DD) or null
+ */
+export const parseStatementDate = (value) => {
+  const text = String(value || "").trim();
+  let m = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(text);
+  if (m) return isoDate(+m[1], +m[2], +m[3]);
+  m = /^(\d{1,2})[-/. ]([A-Za-z]{3})[A-Za-z]*[-/., ]+(\d{2,4})/.exec(text);
+  if (m && MONTHS[m[2].toLowerCase()]) return isoDate(fullYear(+m[3]), MONTHS[m[2].toLowerCase()], +m[1]);
+  m = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/.exec(text);
+  if (m) return isoDate(fullYear(+m[3]), +m[2], +m[1]);
+  return null;
+};
+
+/**
+ * Parse an amount such as "₹1,25,000.50", "Rs. 5,000", "(5,000)", "-5000"
+ * or "5000 Dr". The first number in the cell is the amount, so currency
+ * prefixes and their dots are ignored. A trailing Dr (debit) makes it
+ * negative and Cr (credit) positive; without one, a minus before the number
+ * or parentheses make it negative.
+ * @param {string} value
+ * @returns {number} NaN when the cell holds no number
+ */
+export const parseAmount = (value) => {
+  const text = String(value ?? "").trim();
+  const marker = /(?:^|[^a-z])(dr|cr)\.?$/i.exec(text);
+  const number = /\d[\d,]*(?:\.\d+)?/.exec(marker ? text.slice(0, marker.index + 1) : text);
+  if (!number) return NaN;
+  const amount = Number(number[0].replace(/,/g, ""));
+  const negative = marker ? marker[1].toLowerCase() === "dr" : /^\(.*\)$/.test(text) || text.slice(0, number.index).includes("-");
+  return negative ? -amount : amount;
+};
+
+const findColumn = (header, candidates = []) => {
+  const cells = header.map((c) => c.toLowerCase().trim());
+  for (const name of candidates) {
+    const i = cells.indexOf(name);
+    if (i !== -1) return i;
+  }
+  return -1;
+};
+
+/**
+ * Locate the header row and map columns for a preset. Returns null when no
+ * row in the first 50 has the preset's date and amount (or units and price)
+ * columns.
+ * @param {string[][]} rows
+ * @param {string} presetId
+ * @returns {{ headerRow: number, date: number, amount: number, units: number, price: number, type: number }|null}
+ */
+export const detectMapping = (rows, presetId) => {
+  const preset = BROKER_PRESETS[presetId];
+  if (!preset) return null;
+  for (let i = 0; i < Math.min(rows.length, 50); i++) {
+    const mapping = {
+      headerRow: i,
+      date: findColumn(rows[i], preset.date),
+      amount: findColumn(rows[i], preset.amount),
+      units: findColumn(rows[i], preset.units),
+      price: findColumn(rows[i], preset.price),
+      type: findColumn(rows[i], preset.type),
+    };
+    if (mapping.date !== -1 && (mapping.amount !== -1 || (mapping.units !== -1 && mapping.price !== -1))) return mapping;
+  }
+  return null;
+};
+
+/**
+ * Try every preset and return the first that matches.
+ * @param {string[][]} rows
+ * @returns {{ presetId: string, mapping: object }|null}
+ */
+export const detectPreset = (rows) => {
+  for (const presetId of Object.keys(BROKER_PRESETS)) {
+    const mapping = detectMapping(rows, presetId);
+    if (mapping) return { presetId, mapping };
+  }
+  return null;
+};
+
+/**
+ * Convert statement rows to XIRR flows. Column indexes of -1 are unused.
+ * `signMode` decides the direction of each flow:
+ * - "type": from the transaction type text (purchase vs redemption); rows
+ *   whose type is not recognised are skipped rather than guessed
+ * - "positiveIsInvestment" / "negativeIsInvestment": from the amount's sign
+ * Dividend reinvestments are skipped in every mode.
+ * @param {string[][]} rows
+ * @param {{ headerRow: number, date: number, amount: number, units?: number, price?: number, type?: number, signMode?: "type"|"positiveIsInvestment"|"negativeIsInvestment" }} mapping
+ * @returns {{ flows: { date: string, amount: number, label: string }[], skipped: { line: number, reason: "date"|"amount"|"reinvest"|"type" }[] }}
+ */
+export const rowsToFlows = (rows, { headerRow, date, amount, units = -1, price = -1, type = -1, signMode = "type" }) => {
+  const flows = [];
+  const skipped = [];
+  rows.slice(headerRow + 1).forEach((row, i) => {
+    const line = headerRow + i + 2; // 1-based, among non-empty rows
+    const iso = parseStatementDate(row[date]);
+    if (!iso) {
+      skipped.push({ line, reason: "date" });
+      return;
+    }
+    let value = amount !== -1 ? parseAmount(row[amount]) : parseAmount(row[units]) * Math.abs(parseAmount(row[price]));
+    if (!isFinite(value) || value === 0) {
+      skipped.push({ line, reason: "amount" });
+      return;
+    }
+    const label = type !== -1 ? row[type] || "" : "";
+    if (REINVEST.test(label)) {
+      skipped.push({ line, reason: "reinvest" });
+      return;
+    }
+    if (signMode === "positiveIsInvestment") value = -value;
+    else if (signMode === "type") {
+      if (BUY.test(label)) value = -Math.abs(value);
+      else if (SELL.test(label)) value = Math.abs(value);
+      else {
+        skipped.push({ line, reason: "type" });
+        return;
+      }
+    }
+    flows.push({ date: iso, amount: Math.round(value * 100) / 100, label });
+  });
+  flows.sort((a, b) => a.date.localeCompare(b.date));
+  return { flows, skipped };
+};
@@ -0,0 +1,142 @@
+import { describe, it, expect } from "vitest";
+import { parseCsv, parseStatementDate, parseAmount, detectPreset, rowsToFlows } from "./importTransactions";
+
+describe("parseCsv", () => {
+  it("keeps commas, quotes and line breaks inside quoted fields", () => {
+    const text = 'Date,Amount,Description\n01-01-2024,"1,25,000.50","Purchase, ""SIP"" instalment"\n02-01-2024,500,"two\nlines"\n';
+    expect(parseCsv(text)).toEqual([
+      ["Date", "Amount", "Description"],
+      ["01-01-2024", "1,25,000.50", 'Purchase, "SIP" instalment'],
+      ["02-01-2024", "500", "two\nlines"],
+    ]);
+  });
+
+  it("detects semicolon and tab delimiters", () => {
+    expect(parseCsv("a;b;c\n1;2,5;3")).toEqual([["a", "b", "c"], ["1", "2,5", "3"]]);
+    expect(parseCsv("a\tb\n1\t2")).toEqual([["a", "b"], ["1", "2"]]);
+  });
+
+  it("drops a byte-order mark, CRLF endings, blank lines and padding", () => {
+    expect(parseCsv("\uFEFFa , b\r\n\r\n 1 ,2\r\n,\r\n")).toEqual([["a", "b"], ["1", "2"]]);
+  });
+});
+
+describe("parseStatementDate", () => {
+  it("reads day-first statement formats", () => {
+    expect(parseStatementDate("05-Jan-2024")).toBe("2024-01-05");
+    expect(parseStatementDate("5 January 2024")).toBe("2024-01-05");
+    expect(parseStatementDate("05/01/2024")).toBe("2024-01-05");
+    expect(parseStatementDate("05-01-24")).toBe("2024-01-05");
+    expect(parseStatementDate("2024-01-05 10:30:00")).toBe("2024-01-05");
+  });
+
+  it("rejects dates that do not exist or cannot be read", () => {
+    expect(parseStatementDate("31-02-2024")).toBeNull();
+    expect(parseStatementDate("05-Foo-2024")).toBeNull();
+    expect(parseStatementDate("")).toBeNull();
+    expect(parseStatementDate(undefined)).toBeNull();
+  });
+});
+
+describe("parseAmount", () => {
+  it("reads grouped amounts with a currency symbol", () => {
+    expect(parseAmount("₹1,25,000.50")).toBe(125000.5);
+  });
+
+  it("treats a leading minus or parentheses as negative", () => {
+    expect(parseAmount("-5000")).toBe(-5000);
+    expect(parseAmount("(5,000)")).toBe(-5000);
+  });
+
+  it("takes the sign from a Dr or Cr marker", () => {
+    expect(parseAmount("5000 Dr")).toBe(-5000);
+    expect(parseAmount("-5000 Dr")).toBe(-5000);
+    expect(parseAmount("5,000.00Dr.")).toBe(-5000);
+    expect(parseAmount("5000 CR")).toBe(5000);
+    expect(parseAmount("(5000) Cr")).toBe(5000);
+  });
+
+  it("ignores currency prefixes, dots included", () => {
+    expect(parseAmount("Rs. 5,000")).toBe(5000);
+    expect(parseAmount("Rs.5000.00")).toBe(5000);
+    expect(parseAmount("INR 1,25,000.50")).toBe(125000.5);
+    expect(parseAmount("Rs. -5,000")).toBe(-5000);
+    expect(parseAmount("Rs. 5,000.00 Dr.")).toBe(-5000);
+  });
+
+  it("is NaN without a number", () => {
+    expect(parseAmount("")).toBeNaN();
+    expect(parseAmount("Dr")).toBeNaN();
+    expect(parseAmount("Rs.")).toBeNaN();
+  });
+});
+
+describe("detectPreset", () => {
+  it("finds the header below a statement's preamble", () => {
+    const rows = [
+      ["Consolidated Account Statement"],
+      ["Investor", "A. Investor"],
+      ["Transaction Date", "Transaction Type", "Amount", "Units"],
+      ["05-Jan-2024", "Purchase", "5000", "10.5"],
+    ];
+    expect(detectPreset(rows)).toEqual({
+      presetId: "cams",
+      mapping: { headerRow: 2, date: 0, amount: 2, units: -1, price: -1, type: 1 },
+    });
+  });
+
+  it("maps units and price when there is no amount column", () => {
+    const rows = [["Trade Date", "Trade Type", "Quantity", "Price"], ["2024-01-05", "buy", "10", "150"]];
+    expect(detectPreset(rows)).toMatchObject({ presetId: "zerodha", mapping: { date: 0, units: 2, price: 3, type: 1, amount: -1 } });
+  });
+
+  it("is null when no preset matches", () => {
+    expect(detectPreset([["When", "How much"], ["2024-01-05", "10"]])).toBeNull();
+  });
+});
+
+describe("rowsToFlows", () => {
+  const mapping = { headerRow: 0, date: 0, amount: 1, type: 2 };
+
+  it("signs flows by transaction type and sorts them by date", () => {
+    const rows = [
+      ["Date", "Amount", "Type"],
+      ["01-06-2024", "-6,000", "Redemption"],
+      ["01-01-2024", "5000", "SIP Purchase"],
+      ["01-03-2024", "1000", "Switch In"],
+    ];
+    expect(rowsToFlows(rows, mapping).flows.map((f) => f.amount)).toEqual([-5000, -1000, 6000]);
+  });
+
+  it("signs flows by the amount when asked", () => {
+    const rows = [["Date", "Amount"], ["01-01-2024", "5000"], ["01-06-2024", "-6000"]];
+    const amounts = (signMode) => rowsToFlows(rows, { headerRow: 0, date: 0, amount: 1, signMode }).flows.map((f) => f.amount);
+    expect(amounts("positiveIsInvestment")).toEqual([-5000, 6000]);
+    expect(amounts("negativeIsInvestment")).toEqual([5000, -6000]);
+  });
+
+  it("values trades at units × price", () => {
+    const rows = [["Trade Date", "Type", "Qty", "Price"], ["2024-01-05", "buy", "10", "150.5"], ["2024-02-05", "sell", "-4", "160"]];
+    const { flows } = rowsToFlows(rows, { headerRow: 0, date: 0, amount: -1, units: 2, price: 3, type: 1 });
+    expect(flows.map((f) => f.amount)).toEqual([-1505, 640]);
+  });
+
+  it("reports rows without a date or amount by their line", () => {
+    const rows = [["Preamble"], ["Date", "Amount", "Type"], ["Total", "5000", ""], ["01-01-2024", "", "Purchase"], ["01-02-2024", "0", "Purchase"]];
+    const { flows, skipped } = rowsToFlows(rows, { ...mapping, headerRow: 1 });
+    expect(flows).toEqual([]);
+    expect(skipped).toEqual([{ line: 3, reason: "date" }, { line: 4, reason: "amount" }, { line: 5, reason: "amount" }]);
+  });
+
+  it("skips dividend reinvestments and unrecognised types instead of counting them as purchases", () => {
+    const rows = [
+      ["Date", "Amount", "Type"],
+      ["01-01-2024", "5000", "Purchase"],
+      ["01-02-2024", "250", "Dividend Reinvestment"],
+      ["01-03-2024", "100", "Stamp Duty"],
+    ];
+    const { flows, skipped } = rowsToFlows(rows, mapping);
+    expect(flows).toEqual([{ date: "2024-01-01", amount: -5000, label: "Purchase" }]);
+    expect(skipped).toEqual([{ line: 3, reason: "reinvest" }, { line: 4, reason: "type" }]);
+  });
+});
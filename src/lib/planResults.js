@@ -0,0 +1,267 @@
+// Calculator results derived from the plan's own state slices (the shapes in
+// planState). The planner tabs and the PDF report both read their numbers
+// from these selectors, so what is printed is what was on screen.
+// Everything here is pure; components memoize the calls themselves.
+
+import {
+  num,
+  fvLumpSum,
+  fvSIP,
+  fvStepUpSIP,
+  sipSchedule,
+  lumpsumSchedule,
+  realSchedule,
+  planCostRates,
+  sipWithCosts,
+  lumpsumWithCosts,
+  netOfCosts,
+  requiredSIP,
+  retirementCorpus_SWR,
+  retirementCorpus_FiniteYears,
+  retirementSchedule,
+  retirementAccumulation,
+  calcCAGR,
+  solveXirr,
+  scoreRiskProfile,
+  profileAllocation,
+  glidePath,
+  rebalancePlan,
+  planGoals,
+  amortizationSchedule,
+  loanSummary,
+  prepayVsInvest,
+  swpSummary,
+  stpComparison,
+  compareTaxRegimes,
+  compareTax,
+} from "./finance";
+
+/** Rates of the selected fund plan, or null when costs are switched off. */
+export const costRatesOf = (costs) => (costs.enabled ? planCostRates(costs, costs.plan) : null);
+
+/**
+ * SIP tab: headline values (net of costs when they are on) and the yearly
+ * rows with today's-money columns. With a step-up the rows also carry the
+ * flat SIP as `flatValue` / `flatRealValue` / `flatRealInvested`.
+ * @param {object} sip - plan.sip
+ * @param {object} costs - plan.costs
+ * @param {number} inflationPct - plan.realView.inflation
+ */
+export function sipResults(sip, costs, inflationPct) {
+  const input = { monthlyInvestment: sip.monthly, annualReturnPct: sip.annualReturn, years: sip.years, stepUpType: sip.stepUpType, stepUpValue: sip.stepUpValue, stepUpCap: sip.stepUpCap };
+  const stepUp = sip.stepUpType !== "none";
+  const costRates = costRatesOf(costs);
+  const net = costRates
+    ? { main: sipWithCosts({ ...input, ...costRates }), flat: sipWithCosts({ ...input, stepUpType: "none", ...costRates }) }
+    : null;
+  const flatValue = net ? net.flat.netValue : fvSIP(input);
+  const flatInvested = num(sip.monthly) * Math.round(num(sip.years) * 12);
+  const main = net
+    ? { value: net.main.netValue, invested: net.main.invested }
+    : stepUp ? fvStepUpSIP(input) : { value: flatValue, invested: flatInvested };
+
+  const gross = sipSchedule(input);
+  let rows = realSchedule(net ? netOfCosts(gross, net.main) : gross, inflationPct);
+  if (stepUp) {
+    // Overlay the flat SIP so the chart shows what the step-up adds
+    const grossFlat = sipSchedule({ ...input, stepUpType: "none" });
+    const flat = realSchedule(net ? netOfCosts(grossFlat, net.flat) : grossFlat, inflationPct);
+    rows = rows.map((d, i) => ({ ...d, flatValue: flat[i]?.value, flatRealValue: flat[i]?.realValue, flatRealInvested: flat[i]?.realInvested }));
+  }
+  return { input, stepUp, value: main.value, invested: main.invested, flatValue, flatInvested, rows };
+}
+
+/**
+ * Lump Sum tab: final value (net of costs when they are on) and the yearly
+ * rows with today's-money columns.
+ * @param {object} ls - plan.ls
+ * @param {object} costs - plan.costs
+ * @param {number} inflationPct - plan.realView.inflation
+ */
+export function lumpsumResults(ls, costs, inflationPct) {
+  const input = { principal: ls.principal, annualReturnPct: ls.annualReturn, years: ls.years };
+  const costRates = costRatesOf(costs);
+  const net = costRates ? lumpsumWithCosts({ ...input, ...costRates }) : null;
+  const gross = lumpsumSchedule(input);
+  const rows = realSchedule(net ? netOfCosts(gross, net) : gross, inflationPct, { upfront: true });
+  return { input, value: net ? net.netValue : fvLumpSum(input), rows };
+}
+
+/**
+ * Retirement tab: corpus by SWR and over a finite retirement, the drawdown
+ * rows, the accumulation towards the corpus, and the lifetime series
+ * (accumulation followed by the drawdown of the projected and the required
+ * corpus).
+ * @param {object} ret - plan.ret
+ */
+export function retirementResults(ret) {
+  const swr = retirementCorpus_SWR({ monthlyExpenseToday: ret.expenseMonthly, inflationPct: ret.inflation, yearsToRetire: ret.yearsToRetire, swrPct: ret.swr });
+  const finite = retirementCorpus_FiniteYears({ monthlyExpenseToday: ret.expenseMonthly, inflationPct: ret.inflation, yearsToRetire: ret.yearsToRetire, yearsInRetirement: ret.yearsInRetirement, postRetReturnPct: ret.postRetReturn });
+  const drawdown = {
+    annualExpenseAtRetire: finite.annualExpenseAtRetire,
+    yearsInRetirement: ret.yearsInRetirement,
+    inflationPct: ret.inflation,
+    postRetReturnPct: ret.postRetReturn,
+  };
+  const rows = retirementSchedule({ corpus: finite.corpus, ...drawdown });
+  const plan = retirementAccumulation({
+    currentSavings: ret.currentSavings,
+    monthlyContribution: ret.monthlyContribution,
+    preRetReturnPct: ret.preRetReturn,
+    yearsToRetire: ret.yearsToRetire,
+    targetCorpus: finite.corpus,
+  });
+
+  const projectedDrawdown = retirementSchedule({ corpus: plan.projectedCorpus, ...drawdown });
+  const accumulation = [
+    { year: 0, projected: ret.currentSavings },
+    ...plan.schedule.map((r) => ({ year: r.year, projected: r.value })),
+  ];
+  // The retirement date carries both series so the required line starts there
+  accumulation[accumulation.length - 1] = { ...accumulation.at(-1), required: finite.corpus };
+  const lifetime = accumulation.concat(projectedDrawdown.map((r, i) => ({
+    year: ret.yearsToRetire + r.year,
+    projected: r.corpus,
+    required: rows[i].corpus,
+  })));
+
+  return { swr, finite, rows, plan, lifetime, drawdown };
+}
+
+/**
+ * Allocation tab: risk profile, today's allocation and the glide path.
+ * @param {{ age: number, rule: string, allocation: object, riskAnswers: object }} input
+ */
+export function allocationResults({ age, rule, allocation, riskAnswers }) {
+  const risk = scoreRiskProfile({ age, answers: riskAnswers });
+  // The rule alone until the questionnaire is complete
+  const alloc = profileAllocation(age, rule, risk.profile, allocation);
+  const glide = glidePath({
+    ...allocation,
+    age,
+    rule,
+    tiltPct: risk.profile ? risk.profile.equityTiltPct : 0,
+    returnsPct: allocation.returns,
+  });
+  return { risk, alloc, glide };
+}
+
+/** Trades from the current holdings to `targetPct` (today's glide path row). */
+export const rebalanceResults = (rebalance, targetPct) => rebalancePlan({ ...rebalance, targetPct });
+
+/** Indian old vs new regime, plus the selected jurisdiction's own comparison (null for India). */
+export function taxResults({ taxJurisdiction, taxInputs, taxPacks }) {
+  return {
+    india: compareTaxRegimes(taxInputs),
+    pack: taxJurisdiction === "IN" ? null : compareTax(taxJurisdiction, taxPacks[taxJurisdiction]),
+  };
+}
+
+/** Monthly SIP needed for the single goal. */
+export const goalSipResult = (goal) => requiredSIP({ targetAmount: goal.target, years: goal.years, annualReturnPct: goal.expectedReturn, existingCorpus: goal.existingCorpus, lumpsum: goal.lumpsum });
+
+/** Goals funded from this year, in priority order within the monthly budget. */
+export const multiGoalResults = (multiGoals, startYear = new Date().getFullYear()) =>
+  planGoals({ goals: multiGoals.list, startYear, monthlyBudget: multiGoals.monthlyBudget });
+
+/** STP vs investing the lump sum on day one. */
+export const stpResults = (stp) => stpComparison({
+  lumpSum: stp.lumpSum,
+  sourceReturnPct: stp.sourceReturn,
+  targetReturnPct: stp.targetReturn,
+  transfer: stp.transfer,
+  years: stp.years,
+  frequency: stp.frequency,
+});
+
+/**
+ * SWP tab: the summary and, per year from year 0, the closing balance, that
+ * year's withdrawals and the cumulative amount withdrawn.
+ * @param {object} swp - plan.swp
+ */
+export function swpResults(swp) {
+  const summary = swpSummary({
+    corpus: swp.corpus,
+    withdrawal: swp.withdrawal,
+    annualReturnPct: swp.annualReturn,
+    years: swp.years,
+    frequency: swp.frequency,
+    indexation: swp.indexation,
+    inflationPct: swp.inflation,
+  });
+  const yearly = [{ year: 0, balance: num(swp.corpus), withdrawal: 0, withdrawn: 0 }];
+  let withdrawn = 0;
+  summary.rows.forEach((row) => {
+    withdrawn += row.withdrawal;
+    if (yearly.at(-1).year !== row.year) yearly.push({ year: row.year, withdrawal: 0 });
+    const y = yearly.at(-1);
+    y.withdrawal += row.withdrawal;
+    y.balance = row.balance;
+    y.withdrawn = withdrawn;
+  });
+  return { summary, yearly };
+}
+
+/**
+ * Loan tab: the summary with prepayments, prepaying vs investing the same
+ * amounts, and per year from year 0 the closing balance with and without
+ * prepayments (`balance` / `baseBalance`) and that year's interest,
+ * principal and prepayment.
+ * @param {object} loan - plan.loan
+ */
+export function loanResults(loan) {
+  const input = {
+    principal: loan.principal,
+    annualRatePct: loan.annualRate,
+    years: loan.years,
+    prepayMode: loan.prepayMode,
+    oneOffs: loan.oneOffs,
+    recurringAmount: loan.recurringAmount,
+    recurringFrequency: loan.recurringFrequency,
+    recurringStartMonth: loan.recurringStartMonth,
+  };
+  const summary = loanSummary(input);
+  const comparison = prepayVsInvest({ ...input, investReturnPct: loan.investReturn });
+
+  const yearly = [];
+  const yearRow = (year) => yearly[year] || (yearly[year] = { year, interest: 0, principal: 0, prepayment: 0, balance: 0, baseBalance: 0 });
+  yearRow(0).balance = yearRow(0).baseBalance = num(loan.principal);
+  summary.rows.forEach((row) => {
+    const y = yearRow(row.year);
+    y.interest += row.interest;
+    y.principal += row.principal;
+    y.prepayment += row.prepayment;
+    y.balance = row.balance;
+  });
+  // Without prepayments the loan runs its full tenure, so it sets the years
+  amortizationSchedule({ ...input, oneOffs: [], recurringAmount: 0 }).forEach((row) => {
+    yearRow(row.year).baseBalance = row.balance;
+  });
+
+  return { input, summary, comparison, yearly };
+}
+
+/**
+ * Everything the PDF report prints, from a full plan snapshot.
+ * @param {object} plan - normalized plan (see planState)
+ */
+export function planResults(plan) {
+  const { costs, realView } = plan;
+  const allocation = allocationResults(plan);
+  return {
+    costRates: costRatesOf(costs),
+    sip: sipResults(plan.sip, costs, realView.inflation),
+    ls: lumpsumResults(plan.ls, costs, realView.inflation),
+    stp: stpResults(plan.stp),
+    swp: swpResults(plan.swp),
+    loan: loanResults(plan.loan),
+    ret: retirementResults(plan.ret),
+    cagr: calcCAGR(plan.cagr),
+    ...allocation,
+    rebalance: rebalanceResults(plan.rebalance, allocation.glide[0]),
+    tax: taxResults(plan),
+    xirr: solveXirr(plan.xirrFlows),
+    goalSip: goalSipResult(plan.goal),
+    goals: multiGoalResults(plan.multiGoals),
+  };
+}
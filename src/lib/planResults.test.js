@@ -0,0 +1,77 @@
+import { describe, it, expect } from "vitest";
+import { createDefaultPlan } from "./planState";
+import { planResults, sipResults, loanResults, swpResults } from "./planResults";
+import { fvSIP } from "./finance";
+import { SCENARIO_MODELS } from "./scenarios";
+
+describe("sipResults", () => {
+  it("headlines the flat SIP future value when costs are off", () => {
+    const plan = createDefaultPlan();
+    const sip = { ...plan.sip, monthly: 10000, annualReturn: 12, years: 10, stepUpType: "none" };
+    const result = sipResults(sip, { ...plan.costs, enabled: false }, 6);
+    expect(result.value).toBeCloseTo(fvSIP({ monthlyInvestment: 10000, annualReturnPct: 12, years: 10 }), 6);
+    expect(result.invested).toBe(1200000);
+    expect(result.rows.at(-1).value).toBeCloseTo(result.value, 0);
+  });
+
+  it("overlays the flat SIP on step-up rows", () => {
+    const plan = createDefaultPlan();
+    const result = sipResults({ ...plan.sip, stepUpType: "percent", stepUpValue: 10 }, plan.costs, 6);
+    expect(result.value).toBeGreaterThan(result.flatValue);
+    expect(result.rows.at(-1).flatValue).toBeCloseTo(result.flatValue, 0);
+  });
+});
+
+describe("scenario models", () => {
+  it("net fund costs out of SIP and lump-sum scenarios like the tabs", () => {
+    const plan = createDefaultPlan();
+    const costs = { ...plan.costs, enabled: true };
+    const sip = SCENARIO_MODELS.sip.compute(plan.sip, costs);
+    expect(sip.metrics.futureValue).toBeCloseTo(sipResults(plan.sip, costs, 0).value, 6);
+    expect(sip.metrics.futureValue).toBeLessThan(SCENARIO_MODELS.sip.compute(plan.sip).metrics.futureValue);
+    const ls = SCENARIO_MODELS.lumpsum.compute(plan.ls, costs);
+    expect(ls.metrics.futureValue).toBeLessThan(SCENARIO_MODELS.lumpsum.compute(plan.ls).metrics.futureValue);
+    expect(ls.series.at(-1).value).toBeCloseTo(ls.metrics.futureValue, 0);
+  });
+});
+
+describe("loanResults", () => {
+  it("starts at the loan amount and keeps the baseline running after an early payoff", () => {
+    const loan = { ...createDefaultPlan().loan, principal: 1000000, annualRate: 9, years: 10, oneOffs: [{ id: 1, month: 12, amount: 500000 }], prepayMode: "tenure" };
+    const { summary, yearly } = loanResults(loan);
+    expect(yearly[0]).toMatchObject({ year: 0, balance: 1000000, baseBalance: 1000000 });
+    expect(yearly).toHaveLength(11);
+    expect(yearly.at(-1)).toMatchObject({ year: 10, balance: 0 });
+    expect(yearly[9].baseBalance).toBeGreaterThan(0);
+    const interest = yearly.reduce((sum, y) => sum + y.interest, 0);
+    expect(interest).toBeCloseTo(summary.totalInterest, 6);
+  });
+});
+
+describe("swpResults", () => {
+  it("sums each year's withdrawals and carries the running total", () => {
+    const swp = { ...createDefaultPlan().swp, corpus: 1000000, withdrawal: 10000, frequency: "monthly", years: 5, indexation: "fixed" };
+    const { summary, yearly } = swpResults(swp);
+    expect(yearly[0]).toEqual({ year: 0, balance: 1000000, withdrawal: 0, withdrawn: 0 });
+    expect(yearly[1].withdrawal).toBeCloseTo(120000, 6);
+    expect(yearly.at(-1).withdrawn).toBeCloseTo(summary.totalWithdrawn, 6);
+    expect(yearly.at(-1).balance).toBeCloseTo(summary.finalBalance, 6);
+  });
+});
+
+describe("planResults", () => {
+  it("reports XIRR diagnostics instead of a bare number", () => {
+    const plan = { ...createDefaultPlan(), xirrFlows: [{ date: "2024-01-01", amount: -1000 }] };
+    const { xirr } = planResults(plan);
+    expect(xirr.error).toBe("tooFewFlows");
+  });
+
+  it("derives every section from the default plan", () => {
+    const results = planResults(createDefaultPlan());
+    expect(results.costRates).toBeNull();
+    expect(results.tax.pack).toBeNull();
+    expect(Number.isFinite(results.xirr.rate)).toBe(true);
+    expect(results.glide[0]).toBeDefined();
+    expect(results.ret.lifetime.length).toBeGreaterThan(0);
+  });
+});
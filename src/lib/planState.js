@@ -0,0 +1,285 @@
+// Planner state snapshot: the single source of truth for default inputs and
+// for (de)serializing everything the user has entered, so a plan can be
+// shared as a link and restored exactly.
+//
+// Links carry `#plan=<version>.<payload>` where the payload is base64url
+// JSON holding only the values that differ from the defaults, plus the lists
+// whose defaults depend on today's date. Decoding
+// merges the payload over fresh defaults, so fields added in later versions
+// fall back to their defaults and unknown or mistyped fields are dropped.
+// List entries are merged over a default entry the same way, and fields
+// with a fixed set of values fall back to their default on anything else.
+
+import {
+  TAX_JURISDICTIONS,
+  TAX_YEARS,
+  US_TAX_YEARS,
+  UK_TAX_YEARS,
+  HISTORICAL_INDICES,
+  ALLOCATION_RULES,
+  RISK_QUESTIONS,
+  WITHDRAWAL_STRATEGIES,
+  PREPAY_MODES,
+  SWP_FREQUENCIES,
+  STP_FREQUENCIES,
+  FUND_PLANS,
+  GOAL_PRIORITIES,
+} from "./finance";
+
+export const PLAN_VERSION = 1;
+const HASH_KEY = "plan";
+
+const isoDate = (d) => d.toISOString().slice(0, 10);
+
+const defaultXirrFlows = () => {
+  const today = new Date();
+  const nextYear = new Date(today);
+  nextYear.setFullYear(today.getFullYear() + 1);
+  return [
+    { date: isoDate(today), amount: -20000 },
+    { date: isoDate(nextYear), amount: 250000 },
+  ];
+};
+
+const defaultGoals = () => {
+  const year = new Date().getFullYear();
+  return [
+    { id: 1, kind: "house", name: "", costToday: 5000000, inflationPct: 7, targetYear: year + 10, priority: "high", existingCorpus: 500000, expectedReturn: 11 },
+    { id: 2, kind: "education", name: "", costToday: 2000000, inflationPct: 10, targetYear: year + 15, priority: "high", existingCorpus: 0, expectedReturn: 12 },
+    { id: 3, kind: "car", name: "", costToday: 1000000, inflationPct: 5, targetYear: year + 3, priority: "low", existingCorpus: 100000, expectedReturn: 8 },
+  ];
+};
+
+/**
+ * Fresh default planner state.
+ * @returns {object}
+ */
+export const createDefaultPlan = () => ({
+  tab: "sip",
+  sip: { monthly: 20000, annualReturn: 12, years: 20, stepUpType: "none", stepUpValue: 10, stepUpCap: 0 },
+  sipSim: { enabled: false, volatility: 15, distribution: "lognormal", paths: 2000, target: 0 },
+  sipBacktest: { enabled: false, index: "nifty50" },
+  ls: { principal: 1000000, annualReturn: 10, years: 15 },
+  lsBacktest: { enabled: false, index: "nifty50" },
+  // Lump sum moved from a debt fund into equity in fixed instalments
+  stp: { lumpSum: 1200000, sourceReturn: 6.5, targetReturn: 12, transfer: 100000, frequency: "monthly", years: 10 },
+  // Loan with optional prepayments; `investReturn` is the SIP return the
+  // prepayments are compared against
+  loan: {
+    principal: 5000000, annualRate: 8.5, years: 20, prepayMode: "tenure",
+    recurringAmount: 0, recurringFrequency: "yearly", recurringStartMonth: 12,
+    oneOffs: [{ id: 1, month: 24, amount: 300000 }],
+    investReturn: 12,
+  },
+  // Withdrawals from a corpus; `withdrawal` is the amount per withdrawal
+  // period and `years` the duration the plan should last
+  swp: { corpus: 5000000, withdrawal: 30000, annualReturn: 8, frequency: "monthly", indexation: "fixed", inflation: 6, years: 25 },
+  // SIP and Lump Sum results in nominal terms or in today's money
+  realView: { mode: "nominal", inflation: 6 },
+  // Fund costs applied to the SIP and Lump Sum schedules when enabled; the
+  // TERs are per year, `exitLoadMonths` is how recent a purchase must be to
+  // pay the exit load on redemption
+  costs: {
+    enabled: false, plan: "direct", directTerPct: 0.5, regularTerPct: 1.5,
+    advisoryFeePct: 0, transactionCostPct: 0.005, exitLoadPct: 1, exitLoadMonths: 12,
+  },
+  ret: { expenseMonthly: 60000, inflation: 6, yearsToRetire: 25, yearsInRetirement: 30, postRetReturn: 7, swr: 4, currentSavings: 1000000, monthlyContribution: 25000, preRetReturn: 11 },
+  retWithdrawal: {
+    strategy: "constantReal", corpusSource: "required", withdrawalPct: 4, guardrailPct: 20, adjustmentPct: 10,
+    cashYears: 2, debtYears: 5, cashReturnPct: 4, debtReturnPct: 7, equityReturnPct: 10,
+  },
+  retSim: { enabled: false, volatility: 8, distribution: "lognormal", paths: 2000 },
+  cagr: { initial: 500000, final: 2500000, years: 5 },
+  age: 30,
+  rule: "110-age",
+  // Glide-path settings: the custom rule's end points, how equity and the
+  // defensive part are split, and expected returns per asset class
+  allocation: {
+    retirementAge: 60, startEquityPct: 80, endEquityPct: 30, internationalPct: 20, goldPct: 10, cashPct: 10,
+    returns: { domesticEquity: 12, internationalEquity: 10, debt: 7, gold: 8, cash: 5 },
+  },
+  // Current holdings per asset class, compared with today's glide-path allocation
+  rebalance: {
+    holdings: { domesticEquity: 1200000, internationalEquity: 100000, debt: 500000, gold: 150000, cash: 50000 },
+    costBasis: { domesticEquity: 800000, internationalEquity: 80000, debt: 450000, gold: 100000, cash: 50000 },
+    gainsTaxPct: { domesticEquity: 12.5, internationalEquity: 12.5, debt: 30, gold: 12.5, cash: 0 },
+    contribution: 0, contributionsOnly: false, equityExemption: 125000,
+  },
+  // Unanswered questions are empty strings
+  riskAnswers: { incomeStability: "", horizon: "", experience: "", lossTolerance: "" },
+  taxJurisdiction: "IN",
+  // India keeps its own key so plans saved before the other jurisdictions still load
+  taxInputs: { ...TAX_JURISDICTIONS.IN.defaults },
+  taxPacks: {
+    US: { ...TAX_JURISDICTIONS.US.defaults },
+    UK: { ...TAX_JURISDICTIONS.UK.defaults },
+    EU: { ...TAX_JURISDICTIONS.EU.defaults },
+  },
+  xirrFlows: defaultXirrFlows(),
+  goal: { target: 10000000, years: 10, expectedReturn: 12, existingCorpus: 500000, lumpsum: 0 },
+  // A monthly budget of 0 funds every goal in full
+  multiGoals: { monthlyBudget: 0, list: defaultGoals() },
+  scenarios: { sip: [], lumpsum: [], retire: [], goal: [] },
+  currency: "INR",
+  language: "en",
+});
+
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+const scenarioEntry = (inputs) => (i) => ({ id: `scenario-${i + 1}`, name: "", inputs });
+
+// Default entry for each list in the plan, by path, given its index. Lists
+// not named here hold plain values and are taken wholesale.
+const listEntries = (defaults) => ({
+  xirrFlows: () => ({ date: "", amount: 0 }),
+  "loan.oneOffs": (i) => ({ id: i + 1, month: 12, amount: 0 }),
+  "multiGoals.list": (i) => ({
+    id: i + 1, kind: "other", name: "", costToday: 0, inflationPct: 6, targetYear: new Date().getFullYear() + 5,
+    priority: "medium", existingCorpus: 0, expectedReturn: 10,
+  }),
+  "scenarios.sip": scenarioEntry(defaults.sip),
+  "scenarios.lumpsum": scenarioEntry(defaults.ls),
+  "scenarios.retire": scenarioEntry(defaults.ret),
+  "scenarios.goal": scenarioEntry(defaults.goal),
+});
+
+const STEP_UP_TYPES = ["none", "percent", "amount"];
+const DISTRIBUTIONS = ["normal", "lognormal"];
+
+// Allowed values of the enumerated fields, by path; `[]` stands for any
+// entry of a list. Anything else would select a tab, index or engine that
+// does not exist.
+const CHOICES = {
+  tab: ["sip", "lumpsum", "retire", "swp", "loan", "cagr", "alloc", "advanced"],
+  "sip.stepUpType": STEP_UP_TYPES,
+  "scenarios.sip[].inputs.stepUpType": STEP_UP_TYPES,
+  "sipSim.distribution": DISTRIBUTIONS,
+  "retSim.distribution": DISTRIBUTIONS,
+  "sipBacktest.index": Object.keys(HISTORICAL_INDICES),
+  "lsBacktest.index": Object.keys(HISTORICAL_INDICES),
+  "stp.frequency": Object.keys(STP_FREQUENCIES),
+  "loan.prepayMode": PREPAY_MODES,
+  "loan.recurringFrequency": ["monthly", "yearly"],
+  "swp.frequency": Object.keys(SWP_FREQUENCIES),
+  "swp.indexation": ["fixed", "inflation"],
+  "realView.mode": ["nominal", "real"],
+  "costs.plan": FUND_PLANS,
+  "retWithdrawal.strategy": Object.keys(WITHDRAWAL_STRATEGIES),
+  "retWithdrawal.corpusSource": ["required", "projected"],
+  rule: Object.keys(ALLOCATION_RULES),
+  ...Object.fromEntries(RISK_QUESTIONS.map((q) => [`riskAnswers.${q.id}`, ["", ...q.options.map(([id]) => id)]])),
+  taxJurisdiction: Object.keys(TAX_JURISDICTIONS),
+  "taxInputs.fy": TAX_YEARS,
+  "taxPacks.US.year": US_TAX_YEARS,
+  "taxPacks.UK.year": UK_TAX_YEARS,
+  "multiGoals.list[].priority": GOAL_PRIORITIES,
+};
+
+// Keep only the parts of `value` that match the type of `defaults`. Objects
+// are merged key by key; list entries that are not objects are dropped and
+// the rest are merged over the list's default entry.
+const mergeWithDefaults = (defaults, value, entries, path = "") => {
+  if (Array.isArray(defaults)) {
+    if (!Array.isArray(value)) return defaults;
+    const entry = entries[path];
+    return entry ? value.filter(isPlainObject).map((item, i) => mergeWithDefaults(entry(i), item, entries, `${path}[]`)) : value;
+  }
+  if (isPlainObject(defaults)) {
+    if (!isPlainObject(value)) return defaults;
+    const out = {};
+    for (const key of Object.keys(defaults)) {
+      out[key] = key in value ? mergeWithDefaults(defaults[key], value[key], entries, path ? `${path}.${key}` : key) : defaults[key];
+    }
+    return out;
+  }
+  if (typeof defaults === "number") return typeof value === "number" && isFinite(value) ? value : defaults;
+  if (path in CHOICES) return CHOICES[path].includes(value) ? value : defaults;
+  return typeof value === typeof defaults ? value : defaults;
+};
+
+// Values in `state` that differ from `defaults`; undefined when identical
+const diffFromDefaults = (defaults, state) => {
+  if (isPlainObject(defaults) && isPlainObject(state)) {
+    const out = {};
+    for (const key of Object.keys(state)) {
+      const d = diffFromDefaults(defaults[key], state[key]);
+      if (d !== undefined) out[key] = d;
+    }
+    return Object.keys(out).length ? out : undefined;
+  }
+  return JSON.stringify(defaults) === JSON.stringify(state) ? undefined : state;
+};
+
+const toBase64Url = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let binary = "";
+  bytes.forEach((b) => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+const fromBase64Url = (encoded) => {
+  const b64 = encoded.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(b64 + "=".repeat((4 - (b64.length % 4)) % 4));
+  return new TextDecoder().decode(Uint8Array.from(binary, (c) => c.charCodeAt(0)));
+};
+
+/**
+ * Fill a partial or older plan with defaults and drop anything unexpected.
+ * @param {object} plan
+ * @returns {object}
+ */
+export const normalizePlan = (plan) => {
+  const defaults = createDefaultPlan();
+  return mergeWithDefaults(defaults, plan, listEntries(defaults));
+};
+
+/**
+ * Encode a plan as a compact, versioned string ("1.eyJzaXAiOns...").
+ * @param {object} plan
+ * @returns {string}
+ */
+export const encodePlan = (plan) => {
+  const diff = diffFromDefaults(createDefaultPlan(), plan) || {};
+  // Defaults built from today's date are always encoded, so the recipient
+  // gets the same dates rather than ones based on their own today
+  diff.xirrFlows = plan.xirrFlows;
+  diff.multiGoals = { ...diff.multiGoals, list: plan.multiGoals?.list };
+  return `${PLAN_VERSION}.${toBase64Url(JSON.stringify(diff))}`;
+};
+
+/**
+ * Decode a string produced by `encodePlan`. Returns null when the string is
+ * malformed or was written by an unsupported version.
+ * @param {string} encoded
+ * @returns {object|null}
+ */
+export const decodePlan = (encoded) => {
+  const match = /^(\d+)\.([A-Za-z0-9_-]*)$/.exec(encoded || "");
+  if (!match || Number(match[1]) !== PLAN_VERSION) return null;
+  try {
+    return normalizePlan(JSON.parse(fromBase64Url(match[2])));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Shareable URL for a plan, based on the current page address.
+ * @param {object} plan
+ * @returns {string}
+ */
+export const buildShareUrl = (plan) => {
+  const url = new URL(window.location.href);
+  url.hash = `${HASH_KEY}=${encodePlan(plan)}`;
+  return url.toString();
+};
+
+/**
+ * Plan encoded in the current URL hash, if any.
+ * @returns {object|null}
+ */
+export const readPlanFromUrl = () => {
+  const params = new URLSearchParams(window.location.hash.slice(1));
+  const encoded = params.get(HASH_KEY);
+  return encoded ? decodePlan(encoded) : null;
+};
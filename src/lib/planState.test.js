@@ -0,0 +1,86 @@
+import { describe, it, expect } from "vitest";
+import { createDefaultPlan, normalizePlan, encodePlan, decodePlan, PLAN_VERSION } from "./planState";
+import { SCENARIO_MODELS } from "./scenarios";
+import { planResults } from "./planResults";
+import { prepaymentAt } from "./finance";
+
+// Payloads here are ASCII, so plain base64 is enough
+const link = (payload) => `${PLAN_VERSION}.${btoa(JSON.stringify(payload)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "")}`;
+const payloadOf = (encoded) => JSON.parse(atob(encoded.split(".")[1].replace(/-/g, "+").replace(/_/g, "/")));
+
+describe("normalizePlan", () => {
+  it("fills scenario inputs from the tab defaults", () => {
+    const plan = decodePlan(link({ scenarios: { sip: [{ id: "a" }, 3, null] } }));
+    expect(plan.scenarios.sip).toHaveLength(1);
+    expect(plan.scenarios.sip[0].inputs).toEqual(createDefaultPlan().sip);
+    expect(() => SCENARIO_MODELS.sip.compute(plan.scenarios.sip[0].inputs)).not.toThrow();
+  });
+
+  it("drops list entries that are not objects and fills missing fields", () => {
+    const plan = normalizePlan({
+      loan: { oneOffs: [null, { month: 6 }] },
+      xirrFlows: ["x", { amount: "5" }],
+      multiGoals: { list: [{ costToday: 100, priority: 1 }] },
+    });
+    expect(plan.loan.oneOffs).toEqual([{ id: 1, month: 6, amount: 0 }]);
+    expect(() => prepaymentAt(6, plan.loan)).not.toThrow();
+    expect(plan.xirrFlows).toEqual([{ date: "", amount: 0 }]);
+    expect(plan.multiGoals.list[0]).toMatchObject({ id: 1, costToday: 100, priority: "medium" });
+  });
+
+  it("keeps valid entries as they are", () => {
+    const defaults = createDefaultPlan();
+    expect(normalizePlan(defaults)).toEqual(defaults);
+  });
+
+  it("replaces unknown choices with their defaults", () => {
+    const defaults = createDefaultPlan();
+    const plan = decodePlan(link({
+      tab: "nope",
+      taxJurisdiction: "XX",
+      sip: { stepUpType: "double" },
+      sipSim: { distribution: "cauchy" },
+      sipBacktest: { enabled: true, index: "zzz" },
+      lsBacktest: { index: "constructor" },
+      retWithdrawal: { strategy: "yolo" },
+      riskAnswers: { horizon: "forever" },
+      taxInputs: { fy: "1999-00" },
+      scenarios: { sip: [{ inputs: { stepUpType: 3 } }] },
+      multiGoals: { list: [{ priority: "urgent" }] },
+    }));
+    expect(plan.tab).toBe(defaults.tab);
+    expect(plan.taxJurisdiction).toBe("IN");
+    expect(plan.sip.stepUpType).toBe("none");
+    expect(plan.sipSim.distribution).toBe(defaults.sipSim.distribution);
+    expect(plan.sipBacktest).toEqual({ enabled: true, index: defaults.sipBacktest.index });
+    expect(plan.lsBacktest.index).toBe(defaults.lsBacktest.index);
+    expect(plan.retWithdrawal.strategy).toBe(defaults.retWithdrawal.strategy);
+    expect(plan.riskAnswers.horizon).toBe("");
+    expect(plan.taxInputs.fy).toBe(defaults.taxInputs.fy);
+    expect(plan.scenarios.sip[0].inputs.stepUpType).toBe("none");
+    expect(plan.multiGoals.list[0].priority).toBe("medium");
+    expect(() => planResults(plan)).not.toThrow();
+  });
+
+  it("keeps known choices", () => {
+    const plan = normalizePlan({ tab: "loan", taxJurisdiction: "UK", sip: { stepUpType: "percent" }, riskAnswers: { horizon: "over15" } });
+    expect(plan.tab).toBe("loan");
+    expect(plan.taxJurisdiction).toBe("UK");
+    expect(plan.sip.stepUpType).toBe("percent");
+    expect(plan.riskAnswers.horizon).toBe("over15");
+  });
+});
+
+describe("encodePlan", () => {
+  it("round-trips a plan", () => {
+    const plan = { ...createDefaultPlan(), sip: { ...createDefaultPlan().sip, monthly: 12345 } };
+    expect(decodePlan(encodePlan(plan))).toEqual(plan);
+  });
+
+  it("always carries the date-based defaults", () => {
+    const plan = createDefaultPlan();
+    const payload = payloadOf(encodePlan(plan));
+    expect(payload.xirrFlows).toEqual(plan.xirrFlows);
+    expect(payload.multiGoals.list).toEqual(plan.multiGoals.list);
+  });
+});
@@ -0,0 +1,135 @@
+import { PLAN_VERSION, normalizePlan } from "./planState";
+
+// Local, offline persistence of planner state in IndexedDB.
+// - "plans" holds named plans: { id, name, version, plan, createdAt, updatedAt }
+// - "working" holds the autosaved current plan under a single key
+// Every function returns a promise; plans read back are normalized against
+// the current defaults so older saves keep loading as the planner grows.
+
+const DB_NAME = "dplanner";
+const DB_VERSION = 1;
+const PLANS = "plans";
+const WORKING = "working";
+const WORKING_KEY = "current";
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not available in this browser"));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(PLANS)) {
+          db.createObjectStore(PLANS, { keyPath: "id" }).createIndex("updatedAt", "updatedAt");
+        }
+        if (!db.objectStoreNames.contains(WORKING)) db.createObjectStore(WORKING);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Allow a retry after a failed open (e.g. private mode quota errors)
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+// Run `fn(store)` in a transaction and resolve with the request's result
+const withStore = async (storeName, mode, fn) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+const newId = () =>
+  (typeof crypto !== "undefined" && crypto.randomUUID)
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+const hydrate = (record) => record && { ...record, plan: normalizePlan(record.plan) };
+
+/**
+ * All saved plans, most recently updated first.
+ * @returns {Promise<{ id: string, name: string, version: number, plan: object, createdAt: number, updatedAt: number }[]>}
+ */
+export const listPlans = async () => {
+  const records = await withStore(PLANS, "readonly", (store) => store.getAll());
+  return records.map(hydrate).sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+/**
+ * Save a plan under a name. Passing an existing `id` overwrites that plan.
+ * @param {{ id?: string, name: string, plan: object }} input
+ * @returns {Promise<object>} the stored record
+ */
+export const savePlan = async ({ id, name, plan }) => {
+  const now = Date.now();
+  const existing = id ? await withStore(PLANS, "readonly", (store) => store.get(id)) : null;
+  const record = {
+    id: existing ? existing.id : newId(),
+    name: name.trim() || "Untitled plan",
+    version: PLAN_VERSION,
+    plan,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now,
+  };
+  await withStore(PLANS, "readwrite", (store) => store.put(record));
+  return record;
+};
+
+/**
+ * @param {string} id
+ * @param {string} name
+ * @returns {Promise<object>} the renamed record
+ */
+export const renamePlan = async (id, name) => {
+  const record = await withStore(PLANS, "readonly", (store) => store.get(id));
+  if (!record) throw new Error(`Plan ${id} not found`);
+  const updated = { ...record, name: name.trim() || record.name, updatedAt: Date.now() };
+  await withStore(PLANS, "readwrite", (store) => store.put(updated));
+  return hydrate(updated);
+};
+
+/**
+ * Copy a plan under a new name.
+ * @param {string} id
+ * @param {string} name
+ * @returns {Promise<object>} the new record
+ */
+export const duplicatePlan = async (id, name) => {
+  const record = await withStore(PLANS, "readonly", (store) => store.get(id));
+  if (!record) throw new Error(`Plan ${id} not found`);
+  return savePlan({ name, plan: record.plan });
+};
+
+/**
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export const deletePlan = (id) => withStore(PLANS, "readwrite", (store) => store.delete(id));
+
+/**
+ * Autosave the plan currently being edited.
+ * @param {object} plan
+ * @returns {Promise<void>}
+ */
+export const saveWorkingPlan = (plan) =>
+  withStore(WORKING, "readwrite", (store) => store.put({ version: PLAN_VERSION, plan, updatedAt: Date.now() }, WORKING_KEY));
+
+/**
+ * The autosaved plan, or null when nothing has been saved yet.
+ * @returns {Promise<object|null>}
+ */
+export const loadWorkingPlan = async () => {
+  const record = await withStore(WORKING, "readonly", (store) => store.get(WORKING_KEY));
+  return record ? normalizePlan(record.plan) : null;
+};
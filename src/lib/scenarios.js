@@ -0,0 +1,148 @@
+import {
+  fvLumpSum,
+  sipSchedule,
+  requiredSIP,
+  retirementCorpus_SWR,
+  retirementCorpus_FiniteYears,
+  retirementSchedule,
+  retirementAccumulation,
+  monthsIn,
+} from "./finance";
+import { sipResults, lumpsumResults } from "./planResults";
+
+// Scenario models for the comparison view. Each calculator tab describes
+// which of its inputs can be edited per scenario, which headline metrics to
+// compare, and how to turn a set of inputs into a chart series and metrics.
+// Inputs use the same shape as the tab's own state, so a scenario can be
+// loaded back into the calculator unchanged. SIP and Lump Sum scenarios
+// are net of the plan's fund costs when they are on, like their tabs.
+
+const NO_COSTS = { enabled: false };
+
+const sipModel = {
+  fields: [
+    { key: "monthly", label: "sip.monthlyInvestment", money: true },
+    { key: "annualReturn", label: "sip.expectedReturn" },
+    { key: "years", label: "sip.investmentHorizon" },
+  ],
+  metrics: [
+    { key: "futureValue", label: "sip.futureValue" },
+    { key: "invested", label: "sip.totalInvested" },
+    { key: "wealthGain", label: "sip.wealthGain" },
+  ],
+  compute: (inputs, costs = NO_COSTS) => {
+    const { value, invested, rows } = sipResults(inputs, costs, 0);
+    return {
+      series: rows.map((r) => ({ year: r.year, value: r.value })),
+      metrics: { futureValue: value, invested, wealthGain: value - invested },
+    };
+  },
+};
+
+const lumpsumModel = {
+  fields: [
+    { key: "principal", label: "lumpsum.principal", money: true },
+    { key: "annualReturn", label: "lumpsum.expectedReturn" },
+    { key: "years", label: "common.years" },
+  ],
+  metrics: [
+    { key: "futureValue", label: "sip.futureValue" },
+    { key: "invested", label: "lumpsum.principal" },
+    { key: "wealthGain", label: "sip.wealthGain" },
+  ],
+  compute: (inputs, costs = NO_COSTS) => {
+    const { value, rows } = lumpsumResults(inputs, costs, 0);
+    return {
+      series: rows.map((r) => ({ year: r.year, value: r.value })),
+      metrics: { futureValue: value, invested: inputs.principal, wealthGain: value - inputs.principal },
+    };
+  },
+};
+
+const retirementModel = {
+  fields: [
+    { key: "expenseMonthly", label: "retirement.monthlyExpense", money: true },
+    { key: "inflation", label: "retirement.inflation" },
+    { key: "yearsToRetire", label: "retirement.yearsToRetirement" },
+    { key: "yearsInRetirement", label: "retirement.yearsInRetirement" },
+    { key: "postRetReturn", label: "retirement.postRetirementReturn" },
+    { key: "swr", label: "retirement.safeWithdrawalRate" },
+    { key: "currentSavings", label: "retirement.currentSavings", money: true },
+    { key: "monthlyContribution", label: "retirement.monthlyContribution", money: true },
+    { key: "preRetReturn", label: "retirement.preRetirementReturn" },
+  ],
+  metrics: [
+    { key: "annualExpense", label: "retirement.annualExpenseAtRetirement" },
+    { key: "corpusSWR", label: "retirement.corpusSWR" },
+    { key: "corpusFinite", label: "scenarios.corpusFinite" },
+    { key: "additionalSip", label: "retirement.additionalSip" },
+  ],
+  compute: (inputs) => {
+    const swr = retirementCorpus_SWR({ monthlyExpenseToday: inputs.expenseMonthly, inflationPct: inputs.inflation, yearsToRetire: inputs.yearsToRetire, swrPct: inputs.swr });
+    const finite = retirementCorpus_FiniteYears({ monthlyExpenseToday: inputs.expenseMonthly, inflationPct: inputs.inflation, yearsToRetire: inputs.yearsToRetire, yearsInRetirement: inputs.yearsInRetirement, postRetReturnPct: inputs.postRetReturn });
+    const rows = retirementSchedule({ corpus: finite.corpus, annualExpenseAtRetire: finite.annualExpenseAtRetire, yearsInRetirement: inputs.yearsInRetirement, inflationPct: inputs.inflation, postRetReturnPct: inputs.postRetReturn });
+    return {
+      series: [{ year: 0, value: finite.corpus }, ...rows.map((r) => ({ year: r.year, value: r.corpus }))],
+      metrics: {
+        annualExpense: swr.annualExpenseAtRetire,
+        corpusSWR: swr.corpus,
+        corpusFinite: finite.corpus,
+        additionalSip: retirementAccumulation({
+          currentSavings: inputs.currentSavings,
+          monthlyContribution: inputs.monthlyContribution,
+          preRetReturnPct: inputs.preRetReturn,
+          yearsToRetire: inputs.yearsToRetire,
+          targetCorpus: finite.corpus,
+        }).additionalMonthlySIP,
+      },
+    };
+  },
+};
+
+const goalModel = {
+  fields: [
+    { key: "target", label: "advanced.goalSip.targetAmount", money: true },
+    { key: "years", label: "advanced.goalSip.yearsToGoal" },
+    { key: "expectedReturn", label: "advanced.goalSip.expectedReturn" },
+    { key: "existingCorpus", label: "advanced.goalSip.existingCorpus", money: true },
+    { key: "lumpsum", label: "advanced.goalSip.existingLumpsum", money: true },
+  ],
+  metrics: [
+    { key: "requiredSip", label: "advanced.goalSip.monthlySip" },
+    { key: "invested", label: "sip.totalInvested" },
+    { key: "target", label: "advanced.goalSip.targetAmount" },
+  ],
+  compute: (inputs) => {
+    const monthly = requiredSIP({ targetAmount: inputs.target, years: inputs.years, annualReturnPct: inputs.expectedReturn, existingCorpus: inputs.existingCorpus, lumpsum: inputs.lumpsum });
+    const sipMonthly = isFinite(monthly) ? monthly : 0;
+    const corpus = inputs.existingCorpus + inputs.lumpsum;
+    // Path of the funded goal: SIP balance plus the growing existing corpus
+    const series = sipSchedule({ monthlyInvestment: sipMonthly, annualReturnPct: inputs.expectedReturn, years: inputs.years })
+      .map((r) => ({ year: r.year, value: r.value + fvLumpSum({ principal: corpus, annualReturnPct: inputs.expectedReturn, years: r.year }) }));
+    return {
+      series: [{ year: 0, value: corpus }, ...series],
+      metrics: { requiredSip: monthly, invested: corpus + sipMonthly * monthsIn(inputs.years), target: inputs.target },
+    };
+  },
+};
+
+export const SCENARIO_MODELS = {
+  sip: sipModel,
+  lumpsum: lumpsumModel,
+  retire: retirementModel,
+  goal: goalModel,
+};
+
+let scenarioSeq = 0;
+
+/**
+ * Snapshot a tab's inputs as a named scenario.
+ * @param {string} name
+ * @param {object} inputs
+ * @returns {{ id: string, name: string, inputs: object }}
+ */
+export const createScenario = (name, inputs) => ({
+  id: `${Date.now().toString(36)}-${(scenarioSeq++).toString(36)}`,
+  name,
+  inputs: { ...inputs },
+});
@@ -0,0 +1,20 @@
+import { simulateSip, simulateRetirement } from "../lib/finance";
+
+// Runs Monte Carlo simulations off the main thread.
+// Request: { id, kind: "sip" | "retirement", input }; reply: { id, result } or { id, error }.
+
+const simulators = {
+  sip: simulateSip,
+  retirement: simulateRetirement,
+};
+
+self.onmessage = ({ data }) => {
+  const { id, kind, input } = data;
+  try {
+    const simulate = simulators[kind];
+    if (!simulate) throw new Error(`Unknown simulation kind: ${kind}`);
+    self.postMessage({ id, result: simulate(input) });
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};